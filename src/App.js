@@ -43,6 +43,7 @@ import { strengthOptions, allFlavorNotes, commonCigarDimensions, cigarShapes, ci
 import { fontOptions } from './constants/fontOptions';
 import { roxysTips } from './constants/roxysTips';
 import { themes } from './constants/themes';
+import { DEFAULT_SUBSCRIPTION_PLAN } from './constants/subscriptionPlans';
 
 // Components - Cigar
 import GridCigarCard from './components/Cigar/GridCigarCard';
@@ -100,6 +101,9 @@ import {
     InteractiveWorldMap
 } from './components/Panels';
 
+// Components - Profile
+import AccountMergeBanner from './components/Profile/AccountMergeBanner';
+
 // Components - Settings
 import AboutScreen from './components/Settings/AboutScreen';
 import NotificationsScreen from './components/Settings/NotificationsScreen';
@@ -137,11 +141,25 @@ import FontsScreen from './screens/FontsScreen';
 import HumidorsScreen from './screens/HumidorsScreen';
 import IntegrationsScreen from './screens/IntegrationsScreen';
 import MyHumidor from './screens/MyHumidor';
+import SearchScreen from './screens/SearchScreen';
+import SmartCollectionScreen from './screens/SmartCollectionScreen';
 import SettingsScreen from './screens/SettingsScreen';
+import AiSettingsScreen from './screens/AiSettingsScreen';
 
 // Services
-import { callGeminiAPI } from './services/geminiService';
-import { fetchGoveeDevices } from './services/goveeService';
+import { fetchGoveeDevices, createGoveeClient, startGoveePolling } from './services/goveeService';
+import { recordHumidorReading } from './services/environmentService';
+import { subscribeToQueuedTasks } from './services/syncService';
+import { setAiUsageAccount } from './services/aiService';
+import { getAiUsageRef } from './services/aiUsageService';
+import {
+    discardPendingAccountMerge, finishAccountMerge, getPendingAccountMerge, signInForAccountMerge, subscribeToSessionRevocation
+} from './services/accountService';
+import { subscribeToHumidorShares, subscribeToShareInvites, subscribeToSharedHumidor } from './services/shareService';
+import { setActivityActor } from './services/inventoryService';
+import { getCurrentRoute, listenForNativeNavigation, navigateTo, subscribeToRoute } from './services/routerService';
+import { requiresEmailVerification } from './utils/authUtils';
+import { getActivityActor, getHumidorOwnerId, withShareInfo } from './utils/shareUtils';
 
 // Utils
 import { getFlavorTagColor } from './utils/colorUtils';
@@ -158,10 +176,18 @@ const log = DEBUG ? console.log : () => { };
 export default function App() {
     log('🚀 App component mounted');
 
-    const [navigation, setNavigation] = useState({ screen: 'Dashboard', params: {} });
+    const [navigation, setNavigation] = useState(getCurrentRoute);
     const [cigars, setCigars] = useState([]);
     const [humidors, setHumidors] = useState([]);
     const [journalEntries, setJournalEntries] = useState([]);
+    const [smokingSessions, setSmokingSessions] = useState([]);
+    const [smartCollections, setSmartCollections] = useState([]);
+    const [aiUsage, setAiUsage] = useState(null);
+    // Shared humidors: the shares this user belongs to, invites waiting for them, and for each humidor
+    // someone else shared, its humidor, cigars and smoking sessions (by humidor ID).
+    const [humidorShares, setHumidorShares] = useState([]);
+    const [shareInvites, setShareInvites] = useState([]);
+    const [sharedHumidorData, setSharedHumidorData] = useState({});
     // Initialize theme from localStorage or default to "Humidor Hub"
     const [theme, setTheme] = useState(() => {
         try {
@@ -181,7 +207,8 @@ export default function App() {
         log('🎨 Using default theme: Humidor Hub');
         return themes["Humidor Hub"];
     });
-    const [goveeApiKey, setGoveeApiKey] = useState('');
+    // The Govee API key is kept in localStorage so sensor polling resumes after a reload.
+    const [goveeApiKey, setGoveeApiKey] = useState(() => localStorage.getItem('humidor-hub-govee-key') || '');
     const [goveeDevices, setGoveeDevices] = useState([]);
 
     const [selectedFont, setSelectedFont] = useState(fontOptions[0]);
@@ -196,6 +223,7 @@ export default function App() {
         showInventoryAnalysis: true,
         showWorldMap: true,
         showAgingWellPanel: true,
+        showSmartCollectionsPanel: true,
     });
 
     // New state to manage the open/closed status of dashboard panels
@@ -207,7 +235,8 @@ export default function App() {
         strength: true,
         country: true,
         worldMap: true,
-        agingWell: true
+        agingWell: true,
+        smartCollections: false
     });
 
     // Gemini TODO:Firebase state
@@ -217,6 +246,14 @@ export default function App() {
     const [userId, setUserId] = useState(null);
     const [isLoading, setIsLoading] = useState(true); // Loading state for initial data fetch
 
+    // Sync state shown in the BottomNav badge: snapshot metadata per collection,
+    // the browser's connection state, and the number of AI calls waiting for a connection.
+    const [snapshotMetadata, setSnapshotMetadata] = useState({});
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine !== false);
+    const [queuedAiCalls, setQueuedAiCalls] = useState(0);
+    // A guest collection being copied to the account the user signed in to: { userId, archive, progress, error }.
+    const [accountMerge, setAccountMerge] = useState(null);
+
     // Extract appId from the Firebase configuration to pass as a prop.
     const appId = firebaseConfigExport.appId;
 
@@ -280,7 +317,11 @@ export default function App() {
             // Set the Firebase app ID for use in Firestore paths.
             onAuthStateChanged(firebaseAuth, async (user) => {
                 log('👤 Auth state changed:', user ? `User: ${user.uid}` : 'No user');
-                if (user) {
+                if (requiresEmailVerification(user)) {
+                    // Email accounts can't use the app until their address is verified; FirebaseAuthUI asks them to.
+                    log('✉️ Email not verified yet:', user.uid);
+                    setUserId(null);
+                } else if (user) {
                     log('🔐 User authentication successful:', {
                         uid: user.uid,
                         isAnonymous: user.isAnonymous,
@@ -328,8 +369,16 @@ export default function App() {
 
             // Set up a real-time listener for the 'humidors' collection.
             // `onSnapshot` will automatically update the `humidors` state whenever data changes in Firestore.
+            // `includeMetadataChanges` also fires when local writes are acknowledged by the server,
+            // which keeps the pending-write indicator accurate.
+            const trackMetadata = (name, snapshot) => setSnapshotMetadata(prev => ({
+                ...prev,
+                [name]: { hasPendingWrites: snapshot.metadata.hasPendingWrites, fromCache: snapshot.metadata.fromCache }
+            }));
+
             const humidorsCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'humidors');
-            const unsubscribeHumidors = onSnapshot(humidorsCollectionRef, (snapshot) => {
+            const unsubscribeHumidors = onSnapshot(humidorsCollectionRef, { includeMetadataChanges: true }, (snapshot) => {
+                trackMetadata('humidors', snapshot);
                 log('🏠 Humidors data updated:', snapshot.docs.length, 'items');
                 const humidorsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
                 log('🏠 Humidors:', humidorsData.map(h => ({ id: h.id, name: h.name })));
@@ -340,7 +389,8 @@ export default function App() {
 
             // Set up a real-time listener for the 'cigars' collection.
             const cigarsCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'cigars');
-            const unsubscribeCigars = onSnapshot(cigarsCollectionRef, (snapshot) => {
+            const unsubscribeCigars = onSnapshot(cigarsCollectionRef, { includeMetadataChanges: true }, (snapshot) => {
+                trackMetadata('cigars', snapshot);
                 log('🚬 Cigars data updated:', snapshot.docs.length, 'items');
                 const cigarsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
                 log('🚬 Sample cigar data:', cigarsData.slice(0, 3));
@@ -354,7 +404,8 @@ export default function App() {
 
             // Set up a real-time listener for the 'journalEntries' collection.
             const journalEntriesCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'journalEntries');
-            const unsubscribeJournalEntries = onSnapshot(journalEntriesCollectionRef, (snapshot) => {
+            const unsubscribeJournalEntries = onSnapshot(journalEntriesCollectionRef, { includeMetadataChanges: true }, (snapshot) => {
+                trackMetadata('journalEntries', snapshot);
                 log('📔 Journal entries updated:', snapshot.docs.length, 'items');
                 const entriesData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
                 setJournalEntries(entriesData);
@@ -362,6 +413,51 @@ export default function App() {
                 console.error("Error fetching journal entries:", error);
             });
 
+            // Set up a real-time listener for the 'smokingSessions' collection.
+            const smokingSessionsCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'smokingSessions');
+            const unsubscribeSmokingSessions = onSnapshot(smokingSessionsCollectionRef, { includeMetadataChanges: true }, (snapshot) => {
+                trackMetadata('smokingSessions', snapshot);
+                log('💨 Smoking sessions updated:', snapshot.docs.length, 'items');
+                setSmokingSessions(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            }, (error) => {
+                console.error("Error fetching smoking sessions:", error);
+            });
+
+            // Set up a real-time listener for the 'smartCollections' collection (saved searches and filters).
+            const smartCollectionsCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'smartCollections');
+            const unsubscribeSmartCollections = onSnapshot(smartCollectionsCollectionRef, { includeMetadataChanges: true }, (snapshot) => {
+                trackMetadata('smartCollections', snapshot);
+                log('🔖 Smart collections updated:', snapshot.docs.length, 'items');
+                setSmartCollections(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+            }, (error) => {
+                console.error("Error fetching smart collections:", error);
+            });
+
+            // Count Roxy's AI lookups against this user's plan, and listen to this month's usage ledger
+            // so the Profile screen's subscription panel stays current.
+            setAiUsageAccount({ db, appId, userId, plan: DEFAULT_SUBSCRIPTION_PLAN });
+            const unsubscribeAiUsage = onSnapshot(getAiUsageRef(db, appId, userId), (snapshot) => {
+                log('✨ AI usage updated:', snapshot.exists() ? snapshot.data().count : 0, 'lookups');
+                setAiUsage(snapshot.exists() ? snapshot.data() : null);
+            }, (error) => {
+                console.error("Error fetching AI usage:", error);
+            });
+
+            // Record who smokes and moves cigars, and listen to the humidors this user shares or has been invited to.
+            const currentUser = auth?.currentUser;
+            setActivityActor(getActivityActor(currentUser));
+            const unsubscribeShares = subscribeToHumidorShares(db, appId, userId, setHumidorShares);
+            const unsubscribeInvites = currentUser?.email
+                ? subscribeToShareInvites(db, appId, currentUser.email, setShareInvites)
+                : () => { };
+
+            // Sign out here too if the user signs out everywhere from another device.
+            const unsubscribeSessions = subscribeToSessionRevocation(db, auth, appId, userId, async () => {
+                log('🚪 Signed out everywhere from another device');
+                await auth.signOut();
+                window.location.reload();
+            });
+
             // This is a cleanup function. When the component unmounts (or `db`/`userId` changes),
             // it will detach the listeners to prevent memory leaks.
             return () => {
@@ -373,11 +469,134 @@ export default function App() {
                 console.log("Unsubscribing from cigars updates.");
                 unsubscribeJournalEntries();
                 console.log("Unsubscribing from journal entries updates.");
+                unsubscribeSmokingSessions();
+                console.log("Unsubscribing from smoking sessions updates.");
+                unsubscribeSmartCollections();
+                console.log("Unsubscribing from smart collections updates.");
+                unsubscribeAiUsage();
+                setAiUsageAccount(null);
+                console.log("Unsubscribing from AI usage updates.");
+                unsubscribeSessions();
+                console.log("Unsubscribing from sign-out updates.");
+                unsubscribeShares();
+                unsubscribeInvites();
+                setActivityActor(null);
+                setHumidorShares([]);
+                setShareInvites([]);
+                console.log("Unsubscribing from shared humidor updates.");
             };
         } else {
             log('⏳ Waiting for database and user ID...', { db: !!db, userId });
         }
-    }, [db, userId]); // Dependencies for this effect.
+    }, [db, auth, userId]); // Dependencies for this effect.
+
+    // Humidors other people have shared with this user are read from the owners' collections.
+    // Listeners only restart when the set of shared humidors changes, not when a share's members do.
+    const sharesWithMe = useMemo(() => humidorShares.filter(share => share.ownerId !== userId), [humidorShares, userId]);
+    const sharedHumidorKeys = sharesWithMe.map(share => `${share.ownerId}/${share.humidorId}`).sort().join(',');
+
+    useEffect(() => {
+        if (!db || !userId || !sharedHumidorKeys) return;
+        log('🤝 Listening to shared humidors:', sharedHumidorKeys);
+        const unsubscribers = sharedHumidorKeys.split(',').map(key => {
+            const [ownerId, humidorId] = key.split('/');
+            return subscribeToSharedHumidor(db, appId, { ownerId, humidorId }, (data) => {
+                setSharedHumidorData(prev => ({ ...prev, [humidorId]: data }));
+            });
+        });
+        return () => {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            setSharedHumidorData({});
+        };
+    }, [db, appId, userId, sharedHumidorKeys]);
+
+    // The user's own collection plus everything in the humidors shared with them, for the screens to show.
+    const allHumidors = useMemo(() => [
+        ...humidors,
+        ...sharesWithMe
+            .filter(share => sharedHumidorData[share.humidorId]?.humidor)
+            .map(share => withShareInfo(sharedHumidorData[share.humidorId].humidor, share, userId))
+    ], [humidors, sharesWithMe, sharedHumidorData, userId]);
+    const allCigars = useMemo(() => [...cigars, ...Object.values(sharedHumidorData).flatMap(data => data.cigars)], [cigars, sharedHumidorData]);
+    const allSmokingSessions = useMemo(() => [...smokingSessions, ...Object.values(sharedHumidorData).flatMap(data => data.smokingSessions)], [smokingSessions, sharedHumidorData]);
+    const currentMember = auth?.currentUser ? { ...getActivityActor(auth.currentUser), email: auth.currentUser.email } : null;
+
+    // Track the browser's connection state and the offline AI call queue for the sync badge.
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        const unsubscribeQueue = subscribeToQueuedTasks(setQueuedAiCalls);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+            unsubscribeQueue();
+        };
+    }, []);
+
+    const syncStatus = useMemo(() => {
+        const metadata = Object.values(snapshotMetadata);
+        return {
+            isOnline,
+            hasPendingWrites: metadata.some(m => m.hasPendingWrites),
+            fromCache: metadata.some(m => m.fromCache),
+            queuedAiCalls
+        };
+    }, [snapshotMetadata, isOnline, queuedAiCalls]);
+
+    // Save the Govee API key whenever it changes, and rediscover devices for a restored key.
+    useEffect(() => {
+        if (goveeApiKey) {
+            localStorage.setItem('humidor-hub-govee-key', goveeApiKey);
+        } else {
+            localStorage.removeItem('humidor-hub-govee-key');
+        }
+    }, [goveeApiKey]);
+
+    useEffect(() => {
+        if (!goveeApiKey || goveeDevices.length > 0) return;
+        fetchGoveeDevices(goveeApiKey)
+            .then(setGoveeDevices)
+            .catch(error => console.warn('Failed to load Govee devices:', error.message));
+        // Once devices are loaded this does nothing; IntegrationsScreen handles explicit reconnects.
+    }, [goveeApiKey, goveeDevices.length]);
+
+    // Poll Govee sensors for every humidor linked to one in EditHumidor and record the readings.
+    // The effect only restarts when the set of linked devices changes, not on every humidor
+    // snapshot, since each recorded reading updates the humidor document itself.
+    const humidorsRef = useRef(humidors);
+    useEffect(() => {
+        humidorsRef.current = humidors;
+    }, [humidors]);
+
+    const goveeLinks = humidors
+        .filter(h => h.goveeDeviceId && h.goveeDeviceModel)
+        .map(h => `${h.id}:${h.goveeDeviceId}`)
+        .sort()
+        .join(',');
+
+    useEffect(() => {
+        if (!db || !userId || !goveeApiKey || !goveeLinks) return;
+        log('🌡️ Starting Govee polling for:', goveeLinks);
+        const client = createGoveeClient({ apiKey: goveeApiKey });
+        return startGoveePolling({
+            client,
+            getHumidors: () => humidorsRef.current,
+            onReading: (humidor, reading) => recordHumidorReading(db, appId, userId, humidor, reading, 'govee'),
+            onError: (humidor, error) => console.warn(`Govee reading failed for ${humidor.name}:`, error.message)
+        });
+    }, [db, appId, userId, goveeApiKey, goveeLinks]);
+
+    // A guest collection that didn't finish copying to this account, perhaps because the app was closed,
+    // is kept on the device so the copy can be tried again.
+    useEffect(() => {
+        if (!userId) return;
+        const archive = getPendingAccountMerge(userId);
+        if (archive) {
+            setAccountMerge(current => current || { userId, archive, progress: 0, error: "The copy didn't finish." });
+        }
+    }, [userId]);
 
     // This effect runs whenever the `navigation` state changes.
     // It is used to scroll the window to the top smoothly when navigating between screens.
@@ -386,11 +605,18 @@ export default function App() {
         window.scrollTo({ top: 0, behavior: 'smooth' });
     }, [navigation]);
 
+    // The current screen is kept in the URL's hash, so back, refresh and bookmarks all work.
+    // `navigation` follows the URL, however it changes.
+    useEffect(() => subscribeToRoute(setNavigation), []);
+
+    // Android's back button and deep links from shared QR codes, in the native app.
+    useEffect(() => listenForNativeNavigation(), []);
+
     // Function to handle navigation between screens.
     // It takes the screen name and any parameters to pass to that screen.
     const navigate = (screen, params = {}) => {
         log('🧭 Navigation:', { from: navigation.screen, to: screen, params });
-        setNavigation({ screen, params });
+        navigateTo(screen, params);
     };
 
     // This function determines which screen component to render based on the current navigation state.
@@ -411,16 +637,18 @@ export default function App() {
 
         // Log data availability for screen rendering
         log('📊 Data available for screen:', {
-            cigars: cigars.length,
-            humidors: humidors.length,
-            journalEntries: journalEntries.length
+            cigars: allCigars.length,
+            humidors: allHumidors.length,
+            journalEntries: journalEntries.length,
+            smokingSessions: allSmokingSessions.length,
+            smartCollections: smartCollections.length
         });
 
         // A `switch` statement is used to select the correct component.
         switch (screen) {
             case 'Dashboard':
-                return <Dashboard navigate={navigate} cigars={cigars}
-                    humidors={humidors} theme={theme}
+                return <Dashboard navigate={navigate} cigars={allCigars}
+                    humidors={allHumidors} journalEntries={journalEntries} smartCollections={smartCollections} theme={theme}
                     showWrapperPanel={dashboardPanelVisibility.showWrapperPanel}
                     showStrengthPanel={dashboardPanelVisibility.showStrengthPanel}
                     showCountryPanel={dashboardPanelVisibility.showCountryPanel}
@@ -429,30 +657,38 @@ export default function App() {
                     setPanelStates={setDashboardPanelStates}
                     dashboardPanelVisibility={dashboardPanelVisibility} />;
             case 'HumidorsScreen':
-                return <HumidorsScreen navigate={navigate} cigars={cigars} humidors={humidors} db={db} appId={appId} userId={userId} theme={theme} {...params} />;
+                return <HumidorsScreen navigate={navigate} cigars={allCigars} humidors={allHumidors} journalEntries={journalEntries} invites={shareInvites} member={currentMember} db={db} appId={appId} userId={userId} theme={theme} {...params} />;
+            case 'Search':
+                return <SearchScreen navigate={navigate} cigars={allCigars} humidors={allHumidors} journalEntries={journalEntries} smartCollections={smartCollections} db={db} appId={appId} userId={userId} theme={theme} {...params} />;
+            case 'SmartCollection':
+                const smartCollection = smartCollections.find(c => c.id === params.smartCollectionId);
+                return smartCollection ? <SmartCollectionScreen smartCollection={smartCollection} smartCollections={smartCollections} navigate={navigate} cigars={allCigars} humidors={allHumidors} journalEntries={journalEntries} db={db} appId={appId} userId={userId} theme={theme} /> : <div>Collection not found</div>;
             case 'MyHumidor':
-                const humidor = humidors.find(h => h.id === params.humidorId);
+                const humidor = allHumidors.find(h => h.id === params.humidorId);
                 log('🏠 MyHumidor lookup:', {
                     requestedId: params.humidorId,
                     found: !!humidor,
-                    availableIds: humidors.map(h => h.id)
+                    availableIds: allHumidors.map(h => h.id)
                 });
-                return humidor ? <MyHumidor humidor={humidor} navigate={navigate} cigars={cigars} humidors={humidors} db={db} appId={appId} userId={userId} theme={theme} /> : <div>Humidor not found</div>;
+                return humidor ? <MyHumidor humidor={humidor} navigate={navigate} cigars={allCigars} humidors={allHumidors} journalEntries={journalEntries} smartCollections={smartCollections} share={humidorShares.find(share => share.humidorId === humidor.id)} db={db} appId={appId} userId={getHumidorOwnerId(humidor, userId)} currentUserId={userId} theme={theme} /> : <div>Humidor not found</div>;
             case 'CigarDetail':
-                const cigar = cigars.find(c => c.id === params.cigarId);
+                const cigar = allCigars.find(c => c.id === params.cigarId);
+                const cigarHumidor = allHumidors.find(h => h.id === cigar?.humidorId);
                 log('🚬 CigarDetail lookup:', {
                     requestedId: params.cigarId,
                     found: !!cigar,
-                    availableIds: cigars.map(c => c.id).slice(0, 5)
+                    availableIds: allCigars.map(c => c.id).slice(0, 5)
                 });
-                return cigar ? <CigarDetail cigar={cigar} navigate={navigate} db={db} appId={appId} userId={userId} journalEntries={journalEntries} /> : <div>Cigar not found</div>;
+                return cigar ? <CigarDetail cigar={cigar} navigate={navigate} db={db} appId={appId} userId={getHumidorOwnerId(cigarHumidor, userId)} currentUserId={userId} role={cigarHumidor?.share?.role} journalEntries={journalEntries} smokingSessions={allSmokingSessions} /> : <div>Cigar not found</div>;
             case 'AddCigar':
-                return <AddCigar navigate={navigate} db={db} appId={appId} userId={userId} humidorId={params.humidorId} theme={theme} />;
+                const humidorForCigar = allHumidors.find(h => h.id === params.humidorId);
+                return <AddCigar navigate={navigate} db={db} appId={appId} userId={getHumidorOwnerId(humidorForCigar, userId)} humidorId={params.humidorId} humidor={humidorForCigar} cigarsInHumidor={allCigars.filter(c => c.humidorId === params.humidorId)} theme={theme} />;
             case 'EditCigar':
-                const cigarToEdit = cigars.find(c => c.id === params.cigarId);
-                return cigarToEdit ? <EditCigar navigate={navigate} db={db} appId={appId} userId={userId} cigar={cigarToEdit} theme={theme} /> : <div>Cigar not found</div>;
+                const cigarToEdit = allCigars.find(c => c.id === params.cigarId);
+                const cigarToEditOwnerId = getHumidorOwnerId(allHumidors.find(h => h.id === cigarToEdit?.humidorId), userId);
+                return cigarToEdit ? <EditCigar navigate={navigate} db={db} appId={appId} userId={cigarToEditOwnerId} cigar={cigarToEdit} theme={theme} /> : <div>Cigar not found</div>;
             case 'Alerts':
-                return <AlertsScreen navigate={navigate} humidors={humidors} />;
+                return <AlertsScreen navigate={navigate} humidors={humidors} db={db} appId={appId} userId={userId} />;
             case 'Fonts':
                 return <FontsScreen navigate={navigate} selectedFont={selectedFont} setSelectedFont={setSelectedFont} theme={theme} />;
             case 'Settings':
@@ -460,30 +696,36 @@ export default function App() {
             case 'AddHumidor':
                 return <AddHumidor navigate={navigate} db={db} appId={appId} userId={userId} theme={theme} />;
             case 'EditHumidor':
-                const humidorToEdit = humidors.find(h => h.id === params.humidorId);
-                return humidorToEdit ? <EditHumidor navigate={navigate} db={db} appId={appId} userId={userId} humidor={humidorToEdit} goveeApiKey={goveeApiKey} goveeDevices={goveeDevices} theme={theme} /> : <div>Humidor not found</div>;
+                const humidorToEdit = allHumidors.find(h => h.id === params.humidorId);
+                return humidorToEdit ? <EditHumidor navigate={navigate} db={db} appId={appId} userId={getHumidorOwnerId(humidorToEdit, userId)} member={currentMember} share={humidorShares.find(share => share.humidorId === humidorToEdit.id)} humidor={humidorToEdit} goveeApiKey={goveeApiKey} goveeDevices={goveeDevices} theme={theme} /> : <div>Humidor not found</div>;
             case 'CigarJournal':
                 return <CigarJournalScreen navigate={navigate} journalEntries={journalEntries} theme={theme} db={db} appId={appId} userId={userId} />;
             case 'AddEditJournalEntry':
-                const cigarForJournal = cigars.find(c => c.id === params.cigarId);
                 const entryToEdit = journalEntries.find(e => e.id === params.entryId);
-                return cigarForJournal ? <AddEditJournalEntry navigate={navigate} db={db} appId={appId} userId={userId} cigar={cigarForJournal} existingEntry={entryToEdit} theme={theme} /> : <div>Cigar not found for journal entry.</div>;
+                // Links to an entry don't always name its cigar.
+                const cigarForJournal = allCigars.find(c => c.id === (params.cigarId || entryToEdit?.cigarId));
+                const sessionForJournal = allSmokingSessions.find(s => s.id === (params.sessionId || entryToEdit?.sessionId));
+                // Journal entries are the user's own, but the smoke they link to belongs to the humidor's owner.
+                const sessionOwnerId = getHumidorOwnerId(allHumidors.find(h => h.id === cigarForJournal?.humidorId), userId);
+                return cigarForJournal ? <AddEditJournalEntry navigate={navigate} db={db} appId={appId} userId={userId} sessionOwnerId={sessionOwnerId} cigar={cigarForJournal} existingEntry={entryToEdit} session={sessionForJournal} theme={theme} /> : <div>Cigar not found for journal entry.</div>;
+            case 'AiSettings':
+                return <AiSettingsScreen navigate={navigate} theme={theme} />;
             case 'DashboardSettings':
                 return <DashboardSettingsScreen navigate={navigate} theme={theme} dashboardPanelVisibility={dashboardPanelVisibility} setDashboardPanelVisibility={setDashboardPanelVisibility} />;
             case 'DeeperStatistics':
-                return <DeeperStatisticsScreen navigate={navigate} cigars={cigars} theme={theme} />;
+                return <DeeperStatisticsScreen navigate={navigate} cigars={allCigars} smokingSessions={allSmokingSessions} theme={theme} />;
             case 'Integrations':
                 return <IntegrationsScreen navigate={navigate} goveeApiKey={goveeApiKey} setGoveeApiKey={setGoveeApiKey} goveeDevices={goveeDevices} setGoveeDevices={setGoveeDevices} theme={theme} />;
             case 'DataSync':
-                return <DataSyncScreen navigate={navigate} db={db} appId={appId} userId={userId} cigars={cigars} humidors={humidors} />;
+                return <DataSyncScreen navigate={navigate} db={db} appId={appId} userId={userId} cigars={cigars} humidors={humidors} preferences={{ themeName: theme.name, fontLabel: selectedFont.label, dashboardPanelVisibility }} onRestorePreferences={handleRestorePreferences} />;
             case 'Notifications':
-                return <NotificationsScreen navigate={navigate} humidors={humidors} />;
+                return <NotificationsScreen navigate={navigate} humidors={humidors} db={db} appId={appId} userId={userId} />;
             case 'About':
                 return <AboutScreen navigate={navigate} />;
             case 'Profile':
-                return <ProfileScreen navigate={navigate} cigars={cigars} humidors={humidors} theme={theme} userId={userId} auth={auth} />;
+                return <ProfileScreen navigate={navigate} cigars={cigars} humidors={humidors} aiUsage={aiUsage} theme={theme} userId={userId} auth={auth} db={db} appId={appId} onMergeAccount={handleMergeAccount} />;
             default:
-                return <Dashboard navigate={navigate} cigars={cigars} humidors={humidors} theme={theme} showWrapperPanel={dashboardPanelVisibility.showWrapperPanel} showStrengthPanel={dashboardPanelVisibility.showStrengthPanel} showCountryPanel={dashboardPanelVisibility.showCountryPanel} showInventoryAnalysis={dashboardPanelVisibility.showInventoryAnalysis} panelStates={dashboardPanelStates} setPanelStates={setDashboardPanelStates} />;
+                return <Dashboard navigate={navigate} cigars={allCigars} humidors={allHumidors} theme={theme} showWrapperPanel={dashboardPanelVisibility.showWrapperPanel} showStrengthPanel={dashboardPanelVisibility.showStrengthPanel} showCountryPanel={dashboardPanelVisibility.showCountryPanel} showInventoryAnalysis={dashboardPanelVisibility.showInventoryAnalysis} panelStates={dashboardPanelStates} setPanelStates={setDashboardPanelStates} />;
         }
     }; //end of renderScreen function
 
@@ -513,6 +755,42 @@ export default function App() {
         setTheme(newTheme);
     };
 
+    // Applies the app preferences stored in a restored backup. Unknown themes or fonts are ignored.
+    const handleRestorePreferences = (preferences) => {
+        const restoredTheme = Object.values(themes).find(t => t.name === preferences.themeName);
+        if (restoredTheme) handleSetTheme(restoredTheme);
+        const restoredFont = fontOptions.find(f => f.label === preferences.fontLabel);
+        if (restoredFont) setSelectedFont(restoredFont);
+        if (preferences.dashboardPanelVisibility) {
+            setDashboardPanelVisibility(prev => ({ ...prev, ...preferences.dashboardPanelVisibility }));
+        }
+    };
+
+    // Copies a guest collection to the account signed in to. This is reported here rather than on the
+    // Profile screen, whose upgrade panel closes as soon as the account changes.
+    const runAccountMerge = async (accountId, archive) => {
+        setAccountMerge({ userId: accountId, archive, progress: 0, error: null });
+        try {
+            const counts = await finishAccountMerge(db, appId, accountId, archive, progress => setAccountMerge(merge => ({ ...merge, progress })));
+            setAccountMerge(null);
+            alert(`Woof! Copied ${counts.humidors} humidors, ${counts.cigars} cigars and ${counts.journalEntries} journal entries to your account.`);
+        } catch (error) {
+            console.error('Error merging accounts:', error);
+            setAccountMerge(merge => ({ ...merge, error: error.message }));
+        }
+    };
+
+    // Signs a guest in to the account their new sign-in belongs to, then copies their collection there.
+    const handleMergeAccount = async (credential, archive) => {
+        const merge = await signInForAccountMerge(db, auth, appId, credential, archive);
+        runAccountMerge(merge.userId, merge.archive);
+    };
+
+    const handleDiscardAccountMerge = () => {
+        discardPendingAccountMerge();
+        setAccountMerge(null);
+    };
+
     // If the user is not signed in and Firebase auth is available, show the Firebase Auth UI.
     // This component handles user authentication.
     if (!userId && auth) {
@@ -539,7 +817,14 @@ export default function App() {
             <div className="max-w-md mx-auto">
                 {renderScreen()}
             </div>
-            <BottomNav activeScreen={navigation.screen} navigate={navigate} theme={theme} />
+            <BottomNav activeScreen={navigation.screen} navigate={navigate} theme={theme} syncStatus={syncStatus} />
+            {accountMerge && (
+                <AccountMergeBanner
+                    merge={accountMerge}
+                    onRetry={() => runAccountMerge(accountMerge.userId, accountMerge.archive)}
+                    onDiscard={handleDiscardAccountMerge}
+                />
+            )}
         </div>
     );
 }
@@ -4,49 +4,151 @@
 // Date: July 7, 2025
 // Time: 10:24 PM CDT
 
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
     getAuth, signInWithEmailAndPassword, createUserWithEmailAndPassword,
-    GoogleAuthProvider, signInWithPopup
+    sendPasswordResetEmail, sendEmailVerification, signOut
 } from 'firebase/auth';
-import { Box } from 'lucide-react'; // Optional: Replace with your logo/icon
+import { Box, MailCheck } from 'lucide-react'; // Optional: Replace with your logo/icon
+import { getGoogleRedirectResult, signInWithGoogle } from './services/accountService';
+import { getAuthErrorMessage, requiresEmailVerification } from './utils/authUtils';
 
 export default function CustomAuth({ onSignIn }) {
+    const auth = getAuth();
+
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [isRegister, setIsRegister] = useState(false);
     const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
     const [showPassword, setShowPassword] = useState(false);
+    // Email accounts stay here until their address is verified. App.js sends them back here on start-up too.
+    const [unverifiedUser, setUnverifiedUser] = useState(() => (requiresEmailVerification(auth.currentUser) ? auth.currentUser : null));
 
-    const auth = getAuth();
+    const showError = useCallback((err) => {
+        console.error('Authentication error:', err);
+        setNotice('');
+        setError(getAuthErrorMessage(err));
+    }, []);
+
+    const finishSignIn = useCallback((user) => {
+        if (requiresEmailVerification(user)) {
+            setUnverifiedUser(user);
+            return;
+        }
+        if (onSignIn) onSignIn(user.uid);
+    }, [onSignIn]);
+
+    // In the native app, Google sign-in leaves the app and comes back with a reload; pick up the result here.
+    useEffect(() => {
+        getGoogleRedirectResult(auth)
+            .then(result => result && finishSignIn(result.user))
+            .catch(showError);
+    }, [auth, finishSignIn, showError]);
 
     const handleEmailAuth = async (e) => {
         e.preventDefault();
         setError('');
+        setNotice('');
         try {
-            let userCredential;
             if (isRegister) {
-                userCredential = await createUserWithEmailAndPassword(auth, email, password);
+                const userCredential = await createUserWithEmailAndPassword(auth, email, password);
+                await sendEmailVerification(userCredential.user);
+                finishSignIn(userCredential.user);
             } else {
-                userCredential = await signInWithEmailAndPassword(auth, email, password);
+                const userCredential = await signInWithEmailAndPassword(auth, email, password);
+                finishSignIn(userCredential.user);
             }
-            if (onSignIn) onSignIn(userCredential.user.uid);
         } catch (err) {
-            setError(err.message);
+            showError(err);
         }
     };
 
     const handleGoogleSignIn = async () => {
+        setError('');
+        setNotice('');
+        try {
+            const result = await signInWithGoogle(auth);
+            if (result) finishSignIn(result.user);
+        } catch (err) {
+            showError(err);
+        }
+    };
+
+    const handlePasswordReset = async () => {
+        setError('');
+        setNotice('');
+        try {
+            await sendPasswordResetEmail(auth, email);
+            setNotice(`Woof! If ${email} has an account, a link to reset the password is on its way.`);
+        } catch (err) {
+            showError(err);
+        }
+    };
+
+    const handleResendVerification = async () => {
         setError('');
         try {
-            const provider = new GoogleAuthProvider();
-            const result = await signInWithPopup(auth, provider);
-            if (onSignIn) onSignIn(result.user.uid);
+            await sendEmailVerification(unverifiedUser);
+            setNotice(`Woof! Sent another verification email to ${unverifiedUser.email}.`);
         } catch (err) {
-            setError(err.message);
+            showError(err);
         }
     };
 
+    const handleCheckVerification = async () => {
+        setError('');
+        setNotice('');
+        try {
+            await unverifiedUser.reload();
+            if (requiresEmailVerification(unverifiedUser)) {
+                setNotice("Ruff! That email isn't verified yet. Open the link in the email, then try again.");
+                return;
+            }
+            const verifiedUser = unverifiedUser;
+            setUnverifiedUser(null);
+            finishSignIn(verifiedUser);
+        } catch (err) {
+            showError(err);
+        }
+    };
+
+    const handleUseDifferentAccount = async () => {
+        setError('');
+        setNotice('');
+        try {
+            await signOut(auth);
+            setUnverifiedUser(null);
+        } catch (err) {
+            showError(err);
+        }
+    };
+
+    if (unverifiedUser) {
+        return (
+            <div className="flex flex-col items-center justify-center min-h-screen bg-gradient-to-br from-amber-900 via-gray-900 to-gray-800">
+                <div className="bg-gray-800/90 rounded-2xl shadow-2xl p-8 w-full max-w-sm flex flex-col items-center">
+                    <MailCheck className="w-14 h-14 text-amber-400 mb-4" />
+                    <h2 className="text-xl font-bold text-white mb-2">Verify Your Email</h2>
+                    <p className="text-gray-400 mb-6 text-center">
+                        We sent a link to <span className="text-white">{unverifiedUser.email}</span>. Open it to finish setting up your account.
+                    </p>
+                    <button className="bg-amber-500 hover:bg-amber-600 text-white font-bold py-2 rounded-lg shadow transition-colors w-full" onClick={handleCheckVerification} type="button">
+                        I've Verified My Email
+                    </button>
+                    <button className="mt-3 bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 rounded-lg shadow transition-colors w-full" onClick={handleResendVerification} type="button">
+                        Resend Email
+                    </button>
+                    <button className="mt-4 text-amber-400 underline text-sm" onClick={handleUseDifferentAccount} type="button">
+                        Use a different account
+                    </button>
+                    {notice && <div className="mt-3 text-green-300 text-center text-sm">{notice}</div>}
+                    {error && <div className="mt-3 text-red-400 text-center">{error}</div>}
+                </div>
+            </div>
+        );
+    }
+
     return (
         <div className="flex flex-col items-center justify-center min-h-screen bg-gradient-to-br from-amber-900 via-gray-900 to-gray-800">
             <div className="bg-gray-800/90 rounded-2xl shadow-2xl p-8 w-full max-w-sm flex flex-col items-center">
@@ -98,6 +200,11 @@ export default function CustomAuth({ onSignIn }) {
                         {isRegister ? 'Register' : 'Sign In'}
                     </button>
                 </form>
+                {!isRegister && (
+                    <button className="mt-3 text-amber-400 text-sm hover:underline" onClick={handlePasswordReset} type="button">
+                        Forgot your password?
+                    </button>
+                )}
                 <div className="my-4 flex items-center w-full">
                     <div className="flex-grow border-t border-gray-700"></div>
                     <span className="mx-3 text-gray-500 text-sm">or</span>
@@ -111,9 +218,10 @@ export default function CustomAuth({ onSignIn }) {
                     <svg className="w-5 h-5" viewBox="0 0 48 48"><g><path fill="#4285F4" d="M44.5 20H24v8.5h11.7C34.7 33.1 29.8 36 24 36c-6.6 0-12-5.4-12-12s5.4-12 12-12c2.7 0 5.2.9 7.2 2.5l6.4-6.4C34.1 5.1 29.3 3 24 3 12.4 3 3 12.4 3 24s9.4 21 21 21c10.5 0 19.5-7.6 21-17.5.1-.8.1-1.6.1-2.5 0-1.4-.1-2.7-.3-4z" /><path fill="#34A853" d="M6.3 14.7l7 5.1C15.2 16.1 19.2 13 24 13c2.7 0 5.2.9 7.2 2.5l6.4-6.4C34.1 5.1 29.3 3 24 3c-7.7 0-14.3 4.4-17.7 10.7z" /><path fill="#FBBC05" d="M24 45c5.8 0 10.7-1.9 14.6-5.2l-6.7-5.5C29.9 36.7 27.1 38 24 38c-5.7 0-10.5-3.7-12.2-8.8l-7 5.4C7.7 41.6 15.3 45 24 45z" /><path fill="#EA4335" d="M44.5 20H24v8.5h11.7c-1.1 3.1-4.2 5.5-7.7 5.5-5.7 0-10.5-3.7-12.2-8.8l-7 5.4C7.7 41.6 15.3 45 24 45c10.5 0 19.5-7.6 21-17.5.1-.8.1-1.6.1-2.5 0-1.4-.1-2.7-.3-4z" /></g></svg>
                     Sign in with Google
                 </button>
-                {/* <button className="mt-4 text-amber-400 underline text-sm" onClick={() => setIsRegister(!isRegister)} type="button">
+                <button className="mt-4 text-amber-400 underline text-sm" onClick={() => setIsRegister(!isRegister)} type="button">
                     {isRegister ? 'Already have an account? Sign In' : "Don't have an account? Register"}
-                </button> */}
+                </button>
+                {notice && <div className="mt-3 text-green-300 text-center text-sm">{notice}</div>}
                 {error && <div className="mt-3 text-red-400 text-center">{error}</div>}
             </div>
             <div className="mt-8 text-gray-500 text-xs text-center">
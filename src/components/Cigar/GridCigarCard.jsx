@@ -2,6 +2,7 @@ import React from 'react';
 import { Check, Award } from 'lucide-react';
 import { getRatingColor } from '../utils/getRatingColor';
 import { calculateAge } from '../utils/calculateAge';
+import { getCigarAgeDate } from '../../utils/lotUtils';
 
 const GridCigarCard = ({ cigar, navigate, isSelectMode, isSelected, onSelect }) => {
     const ratingColor = getRatingColor(cigar.rating);
@@ -70,7 +71,7 @@ const GridCigarCard = ({ cigar, navigate, isSelectMode, isSelected, onSelect })
 
                     </div>
                     <div className="flex justify-between items-center pt-2 border-t border-gray-700/50">
-                        <p className="text-gray-400 text-xs">Time in Humidor: <span className="font-semibold text-gray-200">{calculateAge(cigar.dateAdded)}</span></p>
+                        <p className="text-gray-400 text-xs">Time in Humidor: <span className="font-semibold text-gray-200">{calculateAge(getCigarAgeDate(cigar))}</span></p>
                         <span id="cigar-quantity" className="text-lg font-bold bg-gray-700 text-white px-3 py-1 rounded-full">{cigar.quantity}</span>
                     </div>
                 </div>
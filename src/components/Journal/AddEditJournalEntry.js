@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
-import { doc, addDoc, updateDoc, collection, deleteDoc } from 'firebase/firestore';
+import { doc, updateDoc, collection, writeBatch } from 'firebase/firestore';
+import { settleWrite } from '../../services/syncService';
+import { formatDate } from '../../utils/formatUtils';
 import { ChevronLeft, Star, MapPin, GlassWater, Calendar as CalendarIcon, Save, Trash2, Compass as BrowseIcon, HelpCircle } from 'lucide-react';
 import InputField from '../UI/InputField';
 import TextAreaField from '../UI/TextAreaField';
@@ -7,13 +9,14 @@ import FlavorWheel from './FlavorWheel';
 
 
 
-const AddEditJournalEntry = ({ navigate, db, appId, userId, cigar, existingEntry, theme }) => {
+const AddEditJournalEntry = ({ navigate, db, appId, userId, sessionOwnerId = userId, cigar, existingEntry, session, theme }) => {
     const isEditing = !!existingEntry;
     const [isFlavorWheelOpen, setIsFlavorWheelOpen] = useState(false);
     const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false); 
 
     const [formData, setFormData] = useState({
-        dateSmoked: new Date().toISOString(),
+        // An entry logged from a smoking session is dated when that cigar was smoked.
+        dateSmoked: session?.timestamp || new Date().toISOString(),
         location: '',
         pairing: '',
         experienceRating: 0,
@@ -27,6 +30,9 @@ const AddEditJournalEntry = ({ navigate, db, appId, userId, cigar, existingEntry
         ...existingEntry,
     });
 
+    // Smokes from a shared humidor are stored with the humidor's owner, not with this user's journal.
+    const getSessionRef = (sessionId) => doc(db, 'artifacts', appId, 'users', sessionOwnerId, 'smokingSessions', sessionId);
+
     const handleInputChange = (e) => {
         const { name, value } = e.target;
         setFormData(prev => ({ ...prev, [name]: value }));
@@ -43,6 +49,7 @@ const AddEditJournalEntry = ({ navigate, db, appId, userId, cigar, existingEntry
             cigarId: cigar.id,
             cigarName: cigar.name,
             cigarBrand: cigar.brand,
+            sessionId: formData.sessionId || session?.id || null,
             experienceRating: Number(formData.experienceRating),
             drawRating: Number(formData.drawRating),
             burnRating: Number(formData.burnRating),
@@ -52,9 +59,14 @@ const AddEditJournalEntry = ({ navigate, db, appId, userId, cigar, existingEntry
 
         if (isEditing) {
             const docRef = doc(db, 'artifacts', appId, 'users', userId, 'journalEntries', existingEntry.id);
-            await updateDoc(docRef, dataToSave);
+            await settleWrite(updateDoc(docRef, dataToSave));
         } else {
-            await addDoc(collectionRef, dataToSave);
+            // Link the new entry and its smoking session both ways.
+            const entryRef = doc(collectionRef);
+            const batch = writeBatch(db);
+            batch.set(entryRef, dataToSave);
+            if (dataToSave.sessionId) batch.update(getSessionRef(dataToSave.sessionId), { journalEntryId: entryRef.id });
+            await settleWrite(batch.commit());
         }
         navigate('CigarJournal');
     };
@@ -62,7 +74,10 @@ const AddEditJournalEntry = ({ navigate, db, appId, userId, cigar, existingEntry
     const handleDelete = async () => {
         if (isEditing) {
             const docRef = doc(db, 'artifacts', appId, 'users', userId, 'journalEntries', existingEntry.id);
-            await deleteDoc(docRef);
+            const batch = writeBatch(db);
+            batch.delete(docRef);
+            if (existingEntry.sessionId && session) batch.update(getSessionRef(existingEntry.sessionId), { journalEntryId: null });
+            await settleWrite(batch.commit());
             navigate('CigarJournal');
         }
     };
@@ -81,6 +96,7 @@ const AddEditJournalEntry = ({ navigate, db, appId, userId, cigar, existingEntry
             <div className="bg-gray-800/50 p-4 rounded-xl mb-4">
                 <p className="text-sm text-gray-400">{cigar.brand}</p>
                 <h2 className="text-xl font-bold text-amber-300">{cigar.name}</h2>
+                {session && <p className="text-xs text-gray-400 mt-1">Linked to the smoke on {formatDate(session.timestamp)}</p>}
             </div>
 
             <div className="space-y-6">
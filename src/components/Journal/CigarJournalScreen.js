@@ -1,6 +1,7 @@
 import React, { useMemo, useState } from 'react';
 import { BookText, Search, X, Trash2 } from 'lucide-react';
 import { doc, deleteDoc } from 'firebase/firestore';
+import { settleWrite } from '../../services/syncService';
 import JournalEntryCard from './JournalEntryCard';
 
 const CigarJournalScreen = ({ navigate, journalEntries, theme, db, appId, userId }) => {
@@ -32,7 +33,7 @@ const CigarJournalScreen = ({ navigate, journalEntries, theme, db, appId, userId
     const handleDelete = async () => {
         if (entryToDelete) {
             const docRef = doc(db, 'artifacts', appId, 'users', userId, 'journalEntries', entryToDelete.id);
-            await deleteDoc(docRef);
+            await settleWrite(deleteDoc(docRef));
             setIsDeleteModalOpen(false);
             setEntryToDelete(null);
             navigate('CigarJournal');
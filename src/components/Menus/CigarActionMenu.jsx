@@ -1,10 +1,12 @@
 /**
  * CigarActionMenu - A dropdown menu for managing cigar-specific actions
- * Provides options to edit, export, and delete cigars
+ * Provides options to add a journal entry, edit, export, and delete cigars.
+ * Only the actions with a handler are shown, so viewers of a shared humidor get fewer of them.
  * @param {Object} props - Component props
  * @param {Function} props.onEdit - Function to handle edit action
  * @param {Function} props.onExport - Function to handle export action
  * @param {Function} props.onDelete - Function to handle delete action
+ * @param {Function} props.onAddJournal - Function to handle add journal action
  */
 import React, { useState, useEffect, useRef } from 'react';
 import { MoreVertical, PencilRuler, FileUp, Trash, BookOpen } from 'lucide-react';
@@ -45,10 +47,14 @@ const CigarActionMenu = ({ onEdit, onExport, onDelete, onAddJournal }) => {
                 <div className="absolute top-full right-0 mt-2 w-56 bg-gray-800 border border-gray-700 rounded-lg shadow-lg z-30 overflow-hidden">
                     <MenuItem icon={BookOpen} text="Add Journal" onClick={onAddJournal} className="text-gray-200" />
                     <div className="border-t border-gray-700 my-1"></div>
-                    <MenuItem icon={PencilRuler} text="Edit this Cigar" onClick={onEdit} className="text-gray-200" />
+                    {onEdit && <MenuItem icon={PencilRuler} text="Edit this Cigar" onClick={onEdit} className="text-gray-200" />}
                     <MenuItem icon={FileUp} text="Export this Cigar" onClick={onExport} className="text-gray-200" />
-                    <div className="border-t border-gray-700 my-1"></div>
-                    <MenuItem icon={Trash} text="Delete this Cigar" onClick={onDelete} className="text-red-400 hover:bg-red-900/50" />
+                    {onDelete && (
+                        <>
+                            <div className="border-t border-gray-700 my-1"></div>
+                            <MenuItem icon={Trash} text="Delete this Cigar" onClick={onDelete} className="text-red-400 hover:bg-red-900/50" />
+                        </>
+                    )}
                 </div>
             )}
         </div>
@@ -1,18 +1,20 @@
 /**
  * HumidorActionMenu - A dropdown menu for managing humidor actions
- * Provides options to add cigars, edit, take readings, export, delete, and import cigars
+ * Provides options to add cigars, edit, take readings, manage members, export, delete, and import cigars.
+ * Only the actions with a handler are shown, so shared humidors can offer fewer of them by role.
  * @param {Object} props - Component props
  * @param {Function} props.onAddCigar - Function to handle add cigar action
  * @param {Function} props.onEdit - Function to handle edit action
  * @param {Function} props.onTakeReading - Function to handle take reading action
+ * @param {Function} props.onMembers - Function to handle manage members action
  * @param {Function} props.onExport - Function to handle export action
  * @param {Function} props.onDelete - Function to handle delete action
  * @param {Function} props.onImport - Function to handle import action
  */
 import React, { useState, useEffect, useRef } from 'react';
-import { MoreVertical, PencilRuler, ClipboardPenLine, FileDown, FileUp, Trash, Plus } from 'lucide-react';
+import { MoreVertical, PencilRuler, ClipboardPenLine, FileDown, FileUp, Trash, Plus, Users } from 'lucide-react';
 
-const HumidorActionMenu = ({ onAddCigar, onEdit, onTakeReading, onExport, onDelete, onImport }) => {
+const HumidorActionMenu = ({ onAddCigar, onEdit, onTakeReading, onMembers, onExport, onDelete, onImport }) => {
     const [isOpen, setIsOpen] = useState(false);
     const menuRef = useRef(null);
 
@@ -47,14 +49,19 @@ const HumidorActionMenu = ({ onAddCigar, onEdit, onTakeReading, onExport, onDele
             {isOpen && (
                 <div id="pnlHumidorActionMenu" className="absolute top-full right-0 mt-2 w-56 bg-gray-800 border border-gray-700 rounded-lg shadow-lg z-30 overflow-hidden">
                     {/* <div className="border-t border-gray-700 my-1"></div> */}
-                    <MenuItem icon={PencilRuler} text="Edit Humidor" onClick={onEdit} className="text-gray-200" />
-                    <MenuItem icon={ClipboardPenLine} text="Take Reading" onClick={onTakeReading} className="text-gray-200" />
+                    {onEdit && <MenuItem icon={PencilRuler} text="Edit Humidor" onClick={onEdit} className="text-gray-200" />}
+                    {onTakeReading && <MenuItem icon={ClipboardPenLine} text="Take Reading" onClick={onTakeReading} className="text-gray-200" />}
+                    {onMembers && <MenuItem icon={Users} text="Members" onClick={onMembers} className="text-gray-200" />}
                     <div className="border-t border-gray-700 my-1"></div>
-                    <MenuItem icon={Plus} text="Add Cigar" onClick={onAddCigar} className="text-gray-200" />
-                    <MenuItem icon={FileDown} text="Import Cigars from CSV" onClick={onImport} className="text-gray-200" />
-                    <MenuItem icon={FileUp} text="Export Cigars to CSV" onClick={onExport} className="text-gray-200" />
-                    <div className="border-t border-gray-700 my-1"></div>
-                    <MenuItem icon={Trash} text="Delete Humidor" onClick={onDelete} className="text-red-400 hover:bg-red-900/50" />
+                    {onAddCigar && <MenuItem icon={Plus} text="Add Cigar" onClick={onAddCigar} className="text-gray-200" />}
+                    {onImport && <MenuItem icon={FileDown} text="Import Cigars from CSV" onClick={onImport} className="text-gray-200" />}
+                    {onExport && <MenuItem icon={FileUp} text="Export Cigars to CSV" onClick={onExport} className="text-gray-200" />}
+                    {onDelete && (
+                        <>
+                            <div className="border-t border-gray-700 my-1"></div>
+                            <MenuItem icon={Trash} text="Delete Humidor" onClick={onDelete} className="text-red-400 hover:bg-red-900/50" />
+                        </>
+                    )}
                 </div>
             )}
         </div>
@@ -0,0 +1,105 @@
+/**
+ * DeleteAccountModal - A modal for permanently deleting the user's account and everything in it
+ * Email accounts confirm with their password; Google accounts sign in again in a popup.
+ * @param {Object} props - Component props
+ * @param {Object} props.db - Firestore database instance
+ * @param {Object} props.auth - Firebase auth instance
+ * @param {string} props.appId - Application ID for Firestore paths
+ * @param {Function} props.onClose - Function to call when the modal should be closed
+ * @param {Function} props.onDeleted - Function to call once the account has been deleted
+ */
+import React, { useState } from 'react';
+import { X, AlertTriangle, Trash2, LoaderCircle } from 'lucide-react';
+import { deleteAccount } from '../../../services/accountService';
+import { getAuthErrorMessage } from '../../../utils/authUtils';
+
+// Typed to confirm, so the account can't be deleted by a stray tap.
+const CONFIRM_WORD = 'DELETE';
+
+const DeleteAccountModal = ({ db, auth, appId, onClose, onDeleted }) => {
+    const user = auth.currentUser;
+    const needsPassword = user.providerData.some(provider => provider.providerId === 'password');
+    const [password, setPassword] = useState('');
+    const [confirmText, setConfirmText] = useState('');
+    const [isDeleting, setIsDeleting] = useState(false);
+    const [progress, setProgress] = useState(0);
+    const [error, setError] = useState('');
+
+    const canDelete = confirmText === CONFIRM_WORD && (!needsPassword || password) && !isDeleting;
+
+    const handleDelete = async () => {
+        setIsDeleting(true);
+        setError('');
+        try {
+            await deleteAccount(db, auth, appId, { password, onProgress: setProgress });
+            onDeleted();
+        } catch (deleteError) {
+            console.error('Error deleting account:', deleteError);
+            setError(getAuthErrorMessage(deleteError));
+            setIsDeleting(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center p-4 z-[100]" onClick={!isDeleting ? onClose : undefined}>
+            <div className="bg-gray-800 rounded-2xl p-6 w-full max-w-sm" onClick={e => e.stopPropagation()}>
+                <div className="flex justify-between items-center mb-6">
+                    <h3 className="text-xl font-bold text-red-400 flex items-center">
+                        <AlertTriangle className="w-5 h-5 mr-2" />
+                        Delete Account
+                    </h3>
+                    <button onClick={onClose} disabled={isDeleting} className="text-gray-400 hover:text-white">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <div className="mb-6 space-y-3">
+                    <p className="text-gray-300">
+                        This permanently deletes your account and everything in it: humidors, cigars, journal entries, smoking sessions and readings.
+                    </p>
+                    <p className="text-gray-400 text-sm">This action cannot be undone. Make a backup first if you might want your collection back.</p>
+                    {needsPassword && (
+                        <input
+                            type="password"
+                            placeholder="Your password"
+                            value={password}
+                            onChange={e => setPassword(e.target.value)}
+                            disabled={isDeleting}
+                            className="w-full p-3 rounded-lg bg-gray-700 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-red-400"
+                        />
+                    )}
+                    <input
+                        type="text"
+                        placeholder={`Type ${CONFIRM_WORD} to confirm`}
+                        value={confirmText}
+                        onChange={e => setConfirmText(e.target.value)}
+                        disabled={isDeleting}
+                        className="w-full p-3 rounded-lg bg-gray-700 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-red-400"
+                    />
+                    {isDeleting && <p className="text-xs text-gray-400">{progress} items deleted</p>}
+                    {error && <p className="text-sm text-red-300">{error}</p>}
+                </div>
+
+                <div className="flex gap-3">
+                    <button
+                        onClick={onClose}
+                        disabled={isDeleting}
+                        className="flex-1 bg-gray-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors disabled:opacity-50"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleDelete}
+                        disabled={!canDelete}
+                        className="flex-1 flex items-center justify-center gap-2 bg-red-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
+                    >
+                        {isDeleting ? <LoaderCircle className="w-4 h-4 animate-spin" /> : <Trash2 className="w-4 h-4" />}
+                        Delete
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default DeleteAccountModal;
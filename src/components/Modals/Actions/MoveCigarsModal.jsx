@@ -1,21 +1,55 @@
 /**
  * MoveCigarsModal - A pop-up for moving selected cigars to another humidor
+ * Each cigar has a quantity picker, so part of a box can be moved. Cigars identical to one
+ * already in the destination are merged into it, and the move must fit the destination's capacity.
+ * The cigars are moved together through the inventory service, so either all of them move or none
+ * do, checked against the cigars as stored.
  * @param {Object} props - Component props
  * @param {Function} props.onClose - Function to call when the modal should be closed
- * @param {Function} props.onMove - Function to call when moving cigars with (humidorId) parameter
+ * @param {Function} props.onMoved - Function to call with (humidorId) once the cigars have been moved
+ * @param {Array} props.cigars - The cigars selected to move
+ * @param {Array} props.allCigars - All of the user's cigars, used to find identical cigars in the destination
  * @param {Array} props.destinationHumidors - Array of available destination humidors
+ * @param {Object} props.db - Firestore database instance
+ * @param {string} props.appId - Application ID for Firestore paths
+ * @param {string} props.userId - Current user ID
  * @param {Object} props.theme - Theme object for styling
  */
-import React, { useState } from 'react';
-import { X, Move } from 'lucide-react';
+import React, { useState, useMemo } from 'react';
+import { X, Move, Minus, Plus, GitMerge } from 'lucide-react';
+import { moveCigarQuantities } from '../../../services/inventoryService';
+import { planCigarMove } from '../../../utils/moveUtils';
 
-const MoveCigarsModal = ({ onClose, onMove, destinationHumidors, theme }) => {
+const MoveCigarsModal = ({ onClose, onMoved, cigars, allCigars, destinationHumidors, db, appId, userId, theme }) => {
     const [selectedHumidorId, setSelectedHumidorId] = useState(destinationHumidors[0]?.id || '');
+    // How many of each cigar to move; everything by default.
+    const [quantities, setQuantities] = useState(() => Object.fromEntries(cigars.map(c => [c.id, c.quantity || 0])));
+    const [isMoving, setIsMoving] = useState(false);
+    const [error, setError] = useState('');
 
-    const handleMove = () => {
-        if (selectedHumidorId) {
-            onMove(selectedHumidorId);
-            onClose();
+    const destination = destinationHumidors.find(h => h.id === selectedHumidorId);
+    const plan = useMemo(
+        () => planCigarMove(cigars, quantities, destination, allCigars.filter(c => c.humidorId === selectedHumidorId)),
+        [cigars, quantities, destination, allCigars, selectedHumidorId]
+    );
+
+    const setQuantity = (cigar, value) => {
+        const quantity = Math.min(Math.max(parseInt(value, 10) || 0, 0), cigar.quantity || 0);
+        setQuantities(prev => ({ ...prev, [cigar.id]: quantity }));
+    };
+
+    const handleMove = async () => {
+        if (!selectedHumidorId || plan.total === 0 || !plan.fits) return;
+        setIsMoving(true);
+        setError('');
+        try {
+            const moves = plan.moves.map(move => ({ cigarId: move.cigar.id, quantity: move.quantity, mergeIntoId: move.mergeInto?.id || null }));
+            await moveCigarQuantities(db, appId, userId, moves, selectedHumidorId);
+            onMoved(selectedHumidorId);
+        } catch (err) {
+            console.error("Error moving cigars:", err);
+            setError(err.message);
+            setIsMoving(false);
         }
     };
 
@@ -31,8 +65,8 @@ const MoveCigarsModal = ({ onClose, onMove, destinationHumidors, theme }) => {
                         <X className="w-6 h-6" />
                     </button>
                 </div>
-                
-                <div className="mb-6">
+
+                <div className="mb-4">
                     <label className="block text-gray-300 text-sm font-medium mb-2">
                         Select Destination Humidor
                     </label>
@@ -48,20 +82,72 @@ const MoveCigarsModal = ({ onClose, onMove, destinationHumidors, theme }) => {
                         ))}
                     </select>
                 </div>
-                
+
+                <div className="mb-4">
+                    <p className="text-gray-300 text-sm font-medium mb-2">How Many to Move</p>
+                    <div className="space-y-2 max-h-60 overflow-y-auto pr-1">
+                        {cigars.map(cigar => {
+                            const quantity = quantities[cigar.id] || 0;
+                            const mergeInto = plan.moves.find(move => move.cigar.id === cigar.id)?.mergeInto;
+                            return (
+                                <div key={cigar.id} className="bg-gray-700/50 rounded-lg p-2">
+                                    <div className="flex items-center justify-between gap-2">
+                                        <div className="min-w-0">
+                                            <p className="text-xs text-gray-400 truncate">{cigar.brand}</p>
+                                            <p className="text-sm text-white font-semibold truncate">{cigar.name}</p>
+                                        </div>
+                                        <div className="flex items-center gap-1 flex-shrink-0">
+                                            <button type="button" onClick={() => setQuantity(cigar, quantity - 1)} disabled={quantity <= 0} className="p-1 rounded-full bg-gray-600 text-white disabled:opacity-40" aria-label="Move one fewer">
+                                                <Minus className="w-4 h-4" />
+                                            </button>
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                max={cigar.quantity || 0}
+                                                value={quantity}
+                                                onChange={(e) => setQuantity(cigar, e.target.value)}
+                                                className="w-12 bg-gray-800 border border-gray-600 rounded text-center text-white text-sm py-1"
+                                            />
+                                            <button type="button" onClick={() => setQuantity(cigar, quantity + 1)} disabled={quantity >= (cigar.quantity || 0)} className="p-1 rounded-full bg-gray-600 text-white disabled:opacity-40" aria-label="Move one more">
+                                                <Plus className="w-4 h-4" />
+                                            </button>
+                                            <span className="text-xs text-gray-400 w-8 text-right">of {cigar.quantity || 0}</span>
+                                        </div>
+                                    </div>
+                                    {mergeInto && (
+                                        <p className="text-xs text-amber-300 mt-1 flex items-center">
+                                            <GitMerge className="w-3 h-3 mr-1" /> Joins the {mergeInto.quantity} already in {destination?.name}
+                                        </p>
+                                    )}
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+
+                <div className={`text-sm rounded-lg p-2 mb-4 ${plan.fits ? 'bg-gray-700/50 text-gray-300' : 'bg-red-900/50 text-red-300'}`}>
+                    Moving {plan.total} cigar{plan.total !== 1 ? 's' : ''}.
+                    {plan.fill.status !== 'unknown' && (
+                        plan.fits
+                            ? ` ${plan.fill.free} of ${plan.fill.capacity} spaces free in ${destination?.name}.`
+                            : ` Woof! ${destination?.name} only has room for ${plan.fill.free} more (${plan.fill.used} of ${plan.fill.capacity} used).`
+                    )}
+                </div>
+                {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+
                 <div className="flex gap-3">
-                    <button 
+                    <button
                         onClick={onClose}
                         className="flex-1 bg-gray-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors"
                     >
                         Cancel
                     </button>
-                    <button 
+                    <button
                         onClick={handleMove}
-                        disabled={!selectedHumidorId}
+                        disabled={!selectedHumidorId || isMoving || plan.total === 0 || !plan.fits}
                         className="flex-1 bg-amber-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-amber-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
                     >
-                        Move Cigars
+                        {isMoving ? 'Moving...' : 'Move Cigars'}
                     </button>
                 </div>
             </div>
@@ -69,4 +155,4 @@ const MoveCigarsModal = ({ onClose, onMove, destinationHumidors, theme }) => {
     );
 };
 
-export default MoveCigarsModal;
\ No newline at end of file
+export default MoveCigarsModal;
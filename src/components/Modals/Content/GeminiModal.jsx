@@ -4,12 +4,14 @@
  * @param {string} props.title - The title to display in the modal header
  * @param {string} props.content - The content text to display in the modal body
  * @param {boolean} props.isLoading - Whether the modal is in a loading state
+ * @param {number} [props.cachedAt] - When Roxy's answer was generated (ms), for answers that are cached
+ * @param {Function} [props.onRefresh] - Function to call to ask Roxy again instead of using her cached answer
  * @param {Function} props.onClose - Function to call when the modal should be closed
  */
 import React from 'react';
-import { LoaderCircle } from 'lucide-react';
+import { LoaderCircle, RefreshCw } from 'lucide-react';
 
-const GeminiModal = ({ title, content, isLoading, onClose }) => (
+const GeminiModal = ({ title, content, isLoading, cachedAt, onRefresh, onClose }) => (
     <div className="fixed inset-0 bg-black/60 flex items-center justify-center p-4 z-[100]" onClick={onClose}>
         <div className="bg-gray-800 rounded-2xl p-6 w-full max-w-sm" onClick={e => e.stopPropagation()}>
             <div className="flex items-center justify-center mb-4">
@@ -24,9 +26,19 @@ const GeminiModal = ({ title, content, isLoading, onClose }) => (
                 ) : (
                     <p className="text-gray-300 whitespace-pre-line">{content}</p>
                 )}
+                {!isLoading && cachedAt && (
+                    <p className="text-xs text-gray-500 mt-4">
+                        Roxy's answer from {new Date(cachedAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                    </p>
+                )}
             </div>
             {!isLoading && (
-                <div className="flex justify-center mt-6">
+                <div className="flex justify-center gap-3 mt-6">
+                    {onRefresh && (
+                        <button onClick={onRefresh} className="flex items-center gap-2 bg-gray-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors">
+                            <RefreshCw className="w-4 h-4" /> Ask Again
+                        </button>
+                    )}
                     <button onClick={onClose} className="bg-amber-500 text-white font-bold py-2 px-6 rounded-lg hover:bg-amber-600 transition-colors">
                         Got it!
                     </button>
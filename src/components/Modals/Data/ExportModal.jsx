@@ -1,5 +1,6 @@
 /**
  * ExportModal - Component that handles both cigar and humidor exports to CSV and JSON formats
+ * CSV exports use the shared schema in csvUtils, so they can be imported back without remapping
  * @param {Object} props - Component props
  * @param {Array} props.data - Array of data items to export
  * @param {string} props.dataType - Type of data being exported ('cigar' or 'humidor')
@@ -8,49 +9,12 @@
 import React from 'react';
 import { X, Download } from 'lucide-react';
 import { downloadFile } from '../../../utils/fileUtils';
+import { serializeCsv } from '../../../utils/csvUtils';
 
 const ExportModal = ({ data, dataType, onClose }) => {
-    const getHeaders = () => {
-        if (dataType === 'cigar') {
-            return ['id,name,brand,line,shape,isBoxPress,isPuro,length_inches,ring_gauge,Size,Country of Origin,wrapper,binder,filler,strength,flavorNotes,rating,userRating,price,quantity,image,shortDescription,description,dateAdded'];
-        } else if (dataType === 'humidor') {
-            return ['id,name,shortDescription,longDescription,size,location,image,type,temp,humidity,goveeDeviceId,goveeDeviceModel'];
-        }
-        return [];
-    };
-
-    const formatDataForCsv = () => {
-        const headers = getHeaders();
-        const csvRows = data.reduce((acc, item) => {
-            if (dataType === 'cigar') {
-                const {
-                    id, name, brand, line = '', shape, isBoxPress = false, isPuro = false, length_inches = 0, ring_gauge = 0,
-                    size, country, wrapper, binder, filler, strength, flavorNotes, rating, userRating = 0,
-                    quantity, price, image = '', shortDescription = '', description = '', dateAdded
-                } = item;
-                acc.push([
-                    id, name, brand, line, shape, isBoxPress ? 'TRUE' : 'FALSE', isPuro ? 'TRUE' : 'FALSE', length_inches, ring_gauge,
-                    size, country, wrapper, binder, filler, strength, `"${(flavorNotes || []).join(';')}"`,
-                    rating, userRating, price, quantity, image, `"${shortDescription}"`, `"${description}"`, dateAdded
-                ].map(field => `"${String(field ?? '').replace(/"/g, '""')}"`).join(',')); // Escape double quotes
-            } else if (dataType === 'humidor') {
-                const {
-                    id, name, shortDescription = '', longDescription = '', size = '', location = '',
-                    image = '', type = '', temp = 0, humidity = 0, goveeDeviceId = '', goveeDeviceModel = ''
-                } = item;
-                acc.push([
-                    id, name, shortDescription, longDescription, size, location, image, type, temp, humidity,
-                    goveeDeviceId, goveeDeviceModel
-                ].map(field => `"${String(field).replace(/"/g, '""')}"`).join(',')); // Escape double quotes
-            }
-            return acc;
-        }, []);
-        return [...headers, ...csvRows].join('\n');
-    };
-
     const exportToCsv = () => {
         downloadFile({
-            data: formatDataForCsv(),
+            data: serializeCsv(data, dataType),
             fileName: `humidor_hub_${dataType}s_export.csv`,
             fileType: 'text/csv',
         });
@@ -1,24 +1,34 @@
 /**
- * ImportCsvModal - Component that handles both cigar and humidor imports from CSV files
- * Features multi-step process: file selection, field mapping, import, and completion
+ * ImportCsvModal - Component that handles cigar, humidor and Govee reading imports from CSV files
+ * Features multi-step process: file selection, field mapping (or a chart preview for readings), validation, import, and completion
+ * The validation step lists row-level problems, lets the user fix cells inline or download the problem rows, and
+ * leaves rows that still have errors out of the import
+ * Cigars that already exist in the destination humidor go through a duplicates step (skip, add quantity or
+ * overwrite selected fields) and a summary of the changes before anything is written
  * @param {Object} props - Component props
- * @param {string} props.dataType - Type of data being imported ('cigar' or 'humidor')
- * @param {Array} props.data - Current data array (not used directly but passed for consistency)
+ * @param {string} props.dataType - Type of data being imported ('cigar', 'humidor' or 'reading')
+ * @param {Array} props.data - Current data array, used to find cigars that are already in the destination humidor
  * @param {Object} props.db - Firestore database instance
  * @param {string} props.appId - Application ID for Firestore collection
  * @param {string} props.userId - Current user ID
  * @param {Function} props.onClose - Function to call when the modal should be closed
- * @param {Array} props.humidors - Array of available humidors for cigar imports
+ * @param {Array} props.humidors - Array of available humidors for cigar and reading imports
  * @param {Function} props.navigate - Navigation function
  * @param {Function} props.onSwitchType - Function to switch between import types
  */
 import React, { useState, useRef, useMemo } from 'react';
-import { X, UploadCloud, Upload, LoaderCircle, Wind } from 'lucide-react';
+import { X, UploadCloud, Upload, LoaderCircle, Wind, Thermometer, Copy, AlertTriangle, Download, CheckCircle } from 'lucide-react';
 import { writeBatch, collection, doc } from 'firebase/firestore';
+import { settleWrite } from '../../../services/syncService';
 import Papa from 'papaparse';
-
-// Import field definitions from constants
-import { APP_HUMIDOR_FIELDS, APP_CIGAR_FIELDS } from '../../../constants/fieldDefinitions';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { queueReadingAlerts, fetchReadings, filterNewReadings, importReadings } from '../../../services/environmentService';
+import { parseGoveeRows, downsampleReadings } from '../../../utils/readingUtils';
+import { getCsvFields, autoMapFields, rowToItem, getMissingRequiredFields, validateCsvRow, validateCsvRows, serializeErrorRows } from '../../../utils/csvUtils';
+import { downloadFile } from '../../../utils/fileUtils';
+import { applyCigarEditsToLots, createLotFromCigar, getCigarLots, withLots } from '../../../utils/lotUtils';
+import { DUPLICATE_ACTIONS, findCigarMatches, getChangedFields, summarizeImportPlan } from '../../../utils/cigarMatchUtils';
+import { getHumidorFill } from '../../../utils/capacityUtils';
 
 const ImportCsvModal = ({ dataType, data, db, appId, userId, onClose, humidors, navigate, onSwitchType }) => {
     const [step, setStep] = useState('selectFile');
@@ -29,10 +39,41 @@ const ImportCsvModal = ({ dataType, data, db, appId, userId, onClose, humidors,
     const [fieldMapping, setFieldMapping] = useState({});
     const [isProcessing, setIsProcessing] = useState(false);
     const [importedCount, setImportedCount] = useState(0);
+    // Govee reading imports: parsed readings plus counts of unparseable and already-imported rows.
+    const [readingPreview, setReadingPreview] = useState(null);
+    const [importProgress, setImportProgress] = useState(0);
+    // Cigar imports: one entry per valid row with its matching existing cigar and the chosen action.
+    const [importPlan, setImportPlan] = useState([]);
+    const [importSummary, setImportSummary] = useState(null);
+    // CSV imports: the rows shown in the validation step, and how many rows were left out for errors.
+    const [reviewRows, setReviewRows] = useState([]);
+    const [skippedRowCount, setSkippedRowCount] = useState(0);
     const fileInputRef = useRef(null);
 
-    const currentAppFields = dataType === 'cigar' ? APP_CIGAR_FIELDS : APP_HUMIDOR_FIELDS;
+    const currentAppFields = getCsvFields(dataType);
     const collectionName = dataType === 'cigar' ? 'cigars' : 'humidors';
+    const dataTypeLabel = { cigar: 'Cigars', humidor: 'Humidors', reading: 'Govee Readings' }[dataType];
+    const needsHumidor = dataType === 'cigar' || dataType === 'reading';
+
+    const handleReadingsParsed = async (results) => {
+        const { readings, skipped, error } = parseGoveeRows(results.data, results.meta.fields || []);
+        if (error) {
+            alert(error);
+            setIsProcessing(false);
+            return;
+        }
+        try {
+            const existingReadings = await fetchReadings(db, appId, userId, selectedHumidor);
+            const newReadings = filterNewReadings(readings, existingReadings);
+            setReadingPreview({ readings, newReadings, skipped, duplicates: readings.length - newReadings.length });
+            setStep('preview');
+        } catch (err) {
+            console.error("Error loading existing readings:", err);
+            alert(`Could not check for existing readings: ${err.message}`);
+        } finally {
+            setIsProcessing(false);
+        }
+    };
 
     const handleFileChange = (event) => {
         const file = event.target.files[0];
@@ -51,22 +92,15 @@ const ImportCsvModal = ({ dataType, data, db, appId, userId, onClose, humidors,
                     return;
                 }
 
-                const headers = results.meta.fields;
-                const rows = results.data.map(row => headers.map(header => row[header]));
+                if (dataType === 'reading') {
+                    handleReadingsParsed(results);
+                    return;
+                }
 
+                const headers = results.meta.fields;
                 setCsvHeaders(headers);
-                setCsvRows(rows);
-
-                const initialMapping = {};
-                currentAppFields.forEach(appField => {
-                    const matchedHeader = headers.find(header => header.toLowerCase().replace(/[\s_]/g, '') === appField.label.toLowerCase().replace(/[\s_]/g, ''));
-                    if (matchedHeader) {
-                        initialMapping[appField.key] = matchedHeader;
-                    } else {
-                        initialMapping[appField.key] = 'none';
-                    }
-                });
-                setFieldMapping(initialMapping);
+                setCsvRows(results.data);
+                setFieldMapping(autoMapFields(headers, dataType));
 
                 setStep('mapFields');
                 setIsProcessing(false);
@@ -82,72 +116,177 @@ const ImportCsvModal = ({ dataType, data, db, appId, userId, onClose, humidors,
         setFieldMapping(prev => ({ ...prev, [appFieldKey]: csvHeader }));
     };
 
-    const handleImport = async () => {
+    const handleImportReadings = async () => {
+        setStep('importing');
+        setImportProgress(0);
+        try {
+            const humidor = humidors.find(h => h.id === selectedHumidor);
+            const { imported } = await importReadings(db, appId, userId, humidor, readingPreview.readings, setImportProgress);
+            setImportedCount(imported);
+            setStep('complete');
+        } catch (error) {
+            console.error("Error during reading import:", error);
+            alert(`Import failed: ${error.message}. Check console for details.`);
+            setStep('preview');
+        }
+    };
+
+    // Values filled in for cells the file leaves empty.
+    const importDefaults = useMemo(() => ({
+        // Add humidorId for cigars, but not for humidors themselves
+        ...(dataType === 'cigar' && { humidorId: selectedHumidor }),
+        // Initialize arrays for certain fields
+        ...(dataType === 'cigar' && { flavorNotes: [] }),
+        // Default quantity for cigars
+        ...(dataType === 'cigar' && { quantity: 1 }),
+        // Default dateAdded to now if not provided
+        ...(dataType === 'cigar' && { dateAdded: new Date().toISOString() }),
+        // Default temp/humidity for humidors if not provided
+        ...(dataType === 'humidor' && { temp: 70, humidity: 70 }),
+    }), [dataType, selectedHumidor]);
+
+    // Rows with problems, recalculated as the user fixes cells in the validation step.
+    const validationReport = useMemo(
+        () => validateCsvRows(csvRows, fieldMapping, dataType, importDefaults),
+        [csvRows, fieldMapping, dataType, importDefaults]
+    );
+    const errorRowCount = validationReport.filter(row => row.hasErrors).length;
+
+    // Builds the documents to import from the mapped CSV rows, leaving out rows with errors.
+    // `fields` holds only the values read from the file, so overwriting an existing cigar
+    // never copies one of the import defaults over it.
+    const buildImportEntries = () => {
+        const errorRows = new Set(validationReport.filter(row => row.hasErrors).map(row => row.index));
+        return csvRows.reduce((entries, row, index) => {
+            if (errorRows.has(index)) return entries;
+            const fields = rowToItem(row, fieldMapping, dataType);
+            const item = { ...importDefaults, ...fields };
+            if (getMissingRequiredFields(item, dataType).length === 0) {
+                entries.push({ fields, item, match: null });
+            }
+            return entries;
+        }, []);
+    };
+
+    // Shows the validation report when any row has a problem; otherwise imports straight away.
+    // The cells to review are fixed when the step opens so they stay on screen while being corrected.
+    const handleValidate = () => {
+        if (validationReport.length === 0) {
+            handleImport();
+            return;
+        }
+        setReviewRows(validationReport.map(({ index, issues }) => ({
+            index,
+            cells: issues.map(({ field, header }) => ({ field, header }))
+        })));
+        setStep('validate');
+    };
+
+    const handleCellChange = (index, header, value) => {
+        setCsvRows(prev => prev.map((row, i) => (i === index ? { ...row, [header]: value } : row)));
+    };
+
+    const handleDownloadErrorRows = () => {
+        downloadFile({
+            data: serializeErrorRows(csvRows, csvHeaders, validationReport),
+            fileName: `${fileName.replace(/\.csv$/i, '')}_issues.csv`,
+            fileType: 'text/csv'
+        });
+    };
+
+    // Cigars that already exist in the destination humidor are sent to the duplicates step
+    // so the user can decide what to do with each one before anything is written.
+    const handleImport = () => {
+        const entries = buildImportEntries();
+        if (dataType !== 'cigar') {
+            commitImport(entries);
+            return;
+        }
+
+        const existingCigars = data.filter(cigar => cigar.humidorId === selectedHumidor);
+        const matches = findCigarMatches(entries.map(entry => entry.item), existingCigars);
+        const plan = entries.map((entry, i) => {
+            const changedFields = matches[i] ? getChangedFields(matches[i], entry.fields).map(field => field.key) : [];
+            return { ...entry, match: matches[i], action: DUPLICATE_ACTIONS.skip, changedFields, overwriteFields: changedFields };
+        });
+
+        if (plan.some(entry => entry.match)) {
+            setImportPlan(plan);
+            setStep('duplicates');
+        } else {
+            const warning = getCapacityWarning(plan);
+            if (warning && !window.confirm(`${warning} Import them anyway?`)) return;
+            commitImport(plan);
+        }
+    };
+
+    // Returns a warning if importing the plan would put the destination humidor over capacity.
+    const getCapacityWarning = (plan) => {
+        const humidor = humidors.find(h => h.id === selectedHumidor);
+        const additions = plan.flatMap(({ item, match, action, overwriteFields }) => {
+            if (!match) return [{ cigar: item, quantity: item.quantity || 1 }];
+            if (action === DUPLICATE_ACTIONS.addQuantity) return [{ cigar: match, quantity: item.quantity || 1 }];
+            if (action === DUPLICATE_ACTIONS.overwrite && overwriteFields.includes('quantity')) {
+                return [{ cigar: match, quantity: (item.quantity || 0) - (match.quantity || 0) }];
+            }
+            return [];
+        });
+        const fill = getHumidorFill(humidor, data.filter(cigar => cigar.humidorId === selectedHumidor), additions);
+        return fill.status === 'over'
+            ? `Woof! ${humidor.name} only has room for ${fill.free} more, and this import adds ${fill.added}, putting it over capacity.`
+            : null;
+    };
+
+    const updatePlanEntry = (index, changes) => {
+        setImportPlan(prev => prev.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)));
+    };
+
+    const toggleOverwriteField = (index, fieldKey) => {
+        const { overwriteFields } = importPlan[index];
+        updatePlanEntry(index, {
+            overwriteFields: overwriteFields.includes(fieldKey)
+                ? overwriteFields.filter(key => key !== fieldKey)
+                : [...overwriteFields, fieldKey]
+        });
+    };
+
+    const commitImport = async (plan) => {
         setStep('importing');
         const batch = writeBatch(db);
         const targetCollectionRef = collection(db, 'artifacts', appId, 'users', userId, collectionName);
-        let count = 0;
-
-        csvRows.forEach(row => {
-            const newItem = {
-                // Add humidorId for cigars, but not for humidors themselves
-                ...(dataType === 'cigar' && { humidorId: selectedHumidor }),
-                // Initialize arrays for certain fields
-                ...(dataType === 'cigar' && { flavorNotes: [] }),
-                // Default quantity for cigars
-                ...(dataType === 'cigar' && { quantity: 1 }),
-                // Default dateAdded to now if not provided
-                ...(dataType === 'cigar' && { dateAdded: new Date().toISOString() }),
-                // Default temp/humidity for humidors if not provided
-                ...(dataType === 'humidor' && { temp: 70, humidity: 70 }),
-            };
-
-            currentAppFields.forEach(appField => {
-                const mappedHeader = fieldMapping[appField.key];
-                if (mappedHeader && mappedHeader !== 'none') {
-                    const headerIndex = csvHeaders.indexOf(mappedHeader);
-                    if (headerIndex === -1) return;
-
-                    let value = row[headerIndex]?.trim();
-
-                    if (appField.type === 'number') {
-                        newItem[appField.key] = parseFloat(value) || 0;
-                    } else if (appField.type === 'boolean') {
-                        newItem[appField.key] = value?.toLowerCase() === 'true' || value === '1';
-                    } else if (appField.type === 'array') {
-                        newItem[appField.key] = value ? value.split(';').map(s => s.trim()).filter(Boolean) : [];
-                    } else if (appField.type === 'date') {
-                        const date = new Date(value);
-                        if (value && !isNaN(date)) {
-                            newItem[appField.key] = date.toISOString();
-                        }
-                        // If value is invalid or missing, the default from above is used.
-                    } else {
-                        newItem[appField.key] = value;
-                    }
-                }
-            });
 
-            // Ensure required fields are present before adding
-            const isValidItem = currentAppFields.every(field => {
-                if (field.required) {
-                    return newItem[field.key] !== undefined && newItem[field.key] !== null && newItem[field.key] !== '';
-                }
-                return true;
-            });
+        // Several rows can update the same existing cigar, so track each cigar's lots as they change.
+        const updatedLots = new Map();
+        const currentCigar = (match) => ({ ...match, ...(updatedLots.has(match.id) && { lots: updatedLots.get(match.id) }) });
 
-            if (isValidItem) {
+        plan.forEach(({ item, fields, match, action, overwriteFields }) => {
+            if (!match) {
                 const itemRef = doc(targetCollectionRef); // Firestore will generate a new ID
-                batch.set(itemRef, newItem);
-                count++;
-            } else {
-                console.warn(`Skipping row due to missing required fields for ${dataType}:`, row);
+                // Imported cigars start with a single purchase lot.
+                batch.set(itemRef, dataType === 'cigar' ? { ...item, ...withLots([createLotFromCigar(item)]) } : item);
+                // Imported humidors carry a temp/humidity reading, so check it against their alert thresholds.
+                if (dataType === 'humidor') {
+                    queueReadingAlerts(batch, db, appId, userId, { id: itemRef.id, ...item }, item, 'import');
+                }
+            } else if (action === DUPLICATE_ACTIONS.addQuantity) {
+                // The imported cigars are recorded as a new purchase of the existing cigar.
+                const lots = [...getCigarLots(currentCigar(match)), createLotFromCigar({ ...item, quantity: item.quantity || 1 })];
+                updatedLots.set(match.id, lots);
+                batch.update(doc(targetCollectionRef, match.id), withLots(lots));
+            } else if (action === DUPLICATE_ACTIONS.overwrite && overwriteFields.length > 0) {
+                const updates = Object.fromEntries(overwriteFields.map(key => [key, fields[key]]));
+                const lots = applyCigarEditsToLots(currentCigar(match), updates);
+                updatedLots.set(match.id, lots);
+                batch.update(doc(targetCollectionRef, match.id), { ...updates, ...withLots(lots) });
             }
         });
 
         try {
-            await batch.commit();
-            setImportedCount(count);
+            await settleWrite(batch.commit());
+            const summary = summarizeImportPlan(plan);
+            setImportSummary(summary);
+            setImportedCount(summary.added);
+            setSkippedRowCount(errorRowCount);
             setStep('complete');
         } catch (error) {
             console.error("Error during batch import:", error);
@@ -163,6 +302,11 @@ const ImportCsvModal = ({ dataType, data, db, appId, userId, onClose, humidors,
         setCsvRows([]);
         setFileName('');
         setFieldMapping({});
+        setReadingPreview(null);
+        setImportPlan([]);
+        setImportSummary(null);
+        setReviewRows([]);
+        setSkippedRowCount(0);
         if (fileInputRef.current) fileInputRef.current.value = "";
     };
 
@@ -176,17 +320,51 @@ const ImportCsvModal = ({ dataType, data, db, appId, userId, onClose, humidors,
         return requiredFields.every(f => fieldMapping[f.key] && fieldMapping[f.key] !== 'none');
     }, [fieldMapping, currentAppFields]);
 
+    const fieldLabel = (key) => currentAppFields.find(field => field.key === key)?.label || key;
+
+    const formatPlanValue = (value) => {
+        if (value === undefined || value === null || value === '') return '(empty)';
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    };
+
+    const renderPlanSummary = ({ added, skipped, quantityAdded, overwritten }) => (
+        <div className="text-sm text-gray-300 space-y-2 text-left">
+            <p>New cigars: <span className="font-bold text-white">{added}</span></p>
+            {skipped > 0 && <p>Duplicates skipped: <span className="font-bold text-white">{skipped}</span></p>}
+            {quantityAdded.length > 0 && (
+                <div>
+                    <p className="font-semibold text-white">Quantity added</p>
+                    <ul className="text-xs text-gray-400 list-disc list-inside">
+                        {quantityAdded.map(({ cigar, quantity }, i) => (
+                            <li key={i}>{cigar.name}: {cigar.quantity || 0} → {(cigar.quantity || 0) + quantity}</li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+            {overwritten.length > 0 && (
+                <div>
+                    <p className="font-semibold text-white">Updated</p>
+                    <ul className="text-xs text-gray-400 list-disc list-inside">
+                        {overwritten.map(({ cigar, fields }, i) => (
+                            <li key={i}>{cigar.name}: {fields.map(fieldLabel).join(', ')}</li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+
     const renderContent = () => {
         switch (step) {
             case 'selectFile':
                 return (
                     <>
                         <div className="flex justify-between items-center mb-4">
-                            <h3 className="text-xl font-bold text-amber-400 flex items-center"><UploadCloud className="w-5 h-5 mr-2" /> Import {dataType === 'cigar' ? 'Cigars' : 'Humidors'} from CSV</h3>
+                            <h3 className="text-xl font-bold text-amber-400 flex items-center"><UploadCloud className="w-5 h-5 mr-2" /> Import {dataTypeLabel} from CSV</h3>
                             <button onClick={onClose} className="text-gray-400 hover:text-white"><X /></button>
                         </div>
                         <div className="space-y-4">
-                            {dataType === 'cigar' && (
+                            {needsHumidor && (
                                 <div>
                                     <label className="text-sm font-medium text-gray-300 mb-1 block">1. Select Destination Humidor</label>
                                     <select value={selectedHumidor} onChange={(e) => setSelectedHumidor(e.target.value)} className="w-full bg-gray-700 border border-gray-600 rounded-lg py-2 px-3 text-white">
@@ -195,7 +373,7 @@ const ImportCsvModal = ({ dataType, data, db, appId, userId, onClose, humidors,
                                 </div>
                             )}
                             <div>
-                                <label className="text-sm font-medium text-gray-300 mb-1 block">{dataType === 'cigar' ? '2' : '1'}. Choose CSV File</label>
+                                <label className="text-sm font-medium text-gray-300 mb-1 block">{needsHumidor ? '2' : '1'}. Choose {dataType === 'reading' ? 'Govee Export' : 'CSV File'}</label>
                                 <input type="file" ref={fileInputRef} onChange={handleFileChange} style={{ display: 'none' }} accept=".csv" />
                                 <button onClick={() => fileInputRef.current.click()} className="w-full flex items-center justify-center gap-2 bg-blue-600/80 text-white font-bold py-3 rounded-lg hover:bg-blue-700 transition-colors">
                                     {isProcessing ? <LoaderCircle className="w-5 h-5 animate-spin" /> : <Upload className="w-5 h-5" />}
@@ -226,17 +404,205 @@ const ImportCsvModal = ({ dataType, data, db, appId, userId, onClose, humidors,
                         </div>
                         <div className="flex justify-between gap-3 pt-4 mt-4 border-t border-gray-700">
                             <button onClick={handleReset} className="bg-gray-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors">Back</button>
-                            <button onClick={handleImport} disabled={!isMappingValid} className="bg-amber-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-amber-600 transition-colors disabled:bg-gray-500 disabled:cursor-not-allowed">
+                            <button onClick={handleValidate} disabled={!isMappingValid} className="bg-amber-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-amber-600 transition-colors disabled:bg-gray-500 disabled:cursor-not-allowed">
                                 Import
                             </button>
                         </div>
                     </>
                 );
+            case 'preview': {
+                const { newReadings, skipped, duplicates } = readingPreview;
+                const chartData = downsampleReadings(newReadings, 150).map(r => ({ ...r, time: new Date(r.timestamp).getTime() }));
+                const first = newReadings[0];
+                const last = newReadings[newReadings.length - 1];
+                return (
+                    <>
+                        <div className="flex justify-between items-center mb-4">
+                            <h3 className="text-xl font-bold text-amber-400 flex items-center"><Thermometer className="w-5 h-5 mr-2" /> Preview Readings</h3>
+                            <button onClick={onClose} className="text-gray-400 hover:text-white"><X /></button>
+                        </div>
+                        <div className="text-sm text-gray-300 space-y-1 mb-4">
+                            <p><span className="font-bold text-white">{newReadings.length}</span> new readings for {humidors.find(h => h.id === selectedHumidor)?.name}</p>
+                            {first && <p className="text-gray-400">{new Date(first.timestamp).toLocaleString('en-US')} – {new Date(last.timestamp).toLocaleString('en-US')}</p>}
+                            {duplicates > 0 && <p className="text-yellow-300">{duplicates} readings were already imported and will be skipped.</p>}
+                            {skipped > 0 && <p className="text-red-300">{skipped} rows could not be read and will be skipped.</p>}
+                        </div>
+                        {chartData.length > 0 && (
+                            <div className="h-48 mb-2">
+                                <ResponsiveContainer width="100%" height="100%">
+                                    <LineChart data={chartData} margin={{ top: 5, right: 10, left: -20, bottom: 5 }}>
+                                        <XAxis dataKey="time" type="number" scale="time" domain={['dataMin', 'dataMax']} tickFormatter={(time) => new Date(time).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} stroke="#9ca3af" fontSize={11} />
+                                        <YAxis stroke="#9ca3af" fontSize={11} />
+                                        <Tooltip contentStyle={{ backgroundColor: '#1f2937', border: '1px solid #4b5563', borderRadius: '0.5rem' }} labelFormatter={(time) => new Date(time).toLocaleString('en-US')} />
+                                        <Line type="monotone" dataKey="humidity" name="Humidity (%)" stroke="#3b82f6" strokeWidth={2} dot={false} />
+                                        <Line type="monotone" dataKey="temp" name="Temp (°F)" stroke="#ef4444" strokeWidth={2} dot={false} />
+                                    </LineChart>
+                                </ResponsiveContainer>
+                            </div>
+                        )}
+                        <div className="flex justify-between gap-3 pt-4 mt-4 border-t border-gray-700">
+                            <button onClick={handleReset} className="bg-gray-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors">Back</button>
+                            <button onClick={handleImportReadings} disabled={newReadings.length === 0} className="bg-amber-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-amber-600 transition-colors disabled:bg-gray-500 disabled:cursor-not-allowed">
+                                Import {newReadings.length} Readings
+                            </button>
+                        </div>
+                    </>
+                );
+            }
+            case 'validate': {
+                const validRowCount = csvRows.length - errorRowCount;
+                return (
+                    <>
+                        <div className="flex justify-between items-center mb-4">
+                            <h3 className="text-xl font-bold text-amber-400 flex items-center"><AlertTriangle className="w-5 h-5 mr-2" /> Check Your Data</h3>
+                            <button onClick={onClose} className="text-gray-400 hover:text-white"><X /></button>
+                        </div>
+                        <p className="text-sm text-gray-400 mb-4">
+                            {errorRowCount > 0
+                                ? `${errorRowCount} of ${csvRows.length} rows have errors and won't be imported until they're fixed.`
+                                : 'All errors are fixed.'}
+                            {' '}Warnings don't stop a row from importing.
+                        </p>
+                        <datalist id="import-strength-options">{getCsvFields('cigar').find(f => f.key === 'strength').options.map(o => <option key={o} value={o} />)}</datalist>
+                        <datalist id="import-shape-options">{getCsvFields('cigar').find(f => f.key === 'shape').options.map(o => <option key={o} value={o} />)}</datalist>
+                        <div className="space-y-3 max-h-80 overflow-y-auto pr-2">
+                            {reviewRows.map(({ index, cells }) => {
+                                const row = csvRows[index];
+                                const issues = validateCsvRow(row, fieldMapping, dataType, importDefaults);
+                                const rowName = [row[fieldMapping.brand], row[fieldMapping.name]].filter(Boolean).join(' ');
+                                return (
+                                    <div key={index} className="bg-gray-700/50 rounded-lg p-3">
+                                        <p className="text-white font-semibold text-sm mb-2">Row {index + 2}{rowName && <span className="text-gray-400 font-normal"> · {rowName}</span>}</p>
+                                        <div className="space-y-2">
+                                            {cells.map(({ field, header }) => {
+                                                const issue = issues.find(i => i.field.key === field.key);
+                                                return (
+                                                    <div key={field.key}>
+                                                        <label className="text-xs font-medium text-gray-300 block mb-1">{field.label}</label>
+                                                        {header ? (
+                                                            <input
+                                                                type="text"
+                                                                value={row[header] ?? ''}
+                                                                onChange={(e) => handleCellChange(index, header, e.target.value)}
+                                                                list={field.options ? `import-${field.key}-options` : undefined}
+                                                                className={`w-full bg-gray-700 border rounded-lg py-1.5 px-2 text-sm text-white ${issue ? (issue.severity === 'error' ? 'border-red-500' : 'border-yellow-500') : 'border-green-600'}`}
+                                                            />
+                                                        ) : (
+                                                            <p className="text-xs text-gray-400">No column is mapped to this field. Go back to map one.</p>
+                                                        )}
+                                                        {issue ? (
+                                                            <p className={`text-xs mt-1 ${issue.severity === 'error' ? 'text-red-300' : 'text-yellow-300'}`}>{issue.message}</p>
+                                                        ) : (
+                                                            <p className="text-xs mt-1 text-green-400 flex items-center gap-1"><CheckCircle className="w-3 h-3" /> Looks good</p>
+                                                        )}
+                                                    </div>
+                                                );
+                                            })}
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                        {validationReport.length > 0 && (
+                            <button onClick={handleDownloadErrorRows} className="w-full flex items-center justify-center gap-2 bg-gray-700 text-gray-200 text-sm font-semibold py-2 mt-4 rounded-lg hover:bg-gray-600 transition-colors">
+                                <Download className="w-4 h-4" /> Download Rows with Issues
+                            </button>
+                        )}
+                        <div className="flex justify-between gap-3 pt-4 mt-4 border-t border-gray-700">
+                            <button onClick={() => setStep('mapFields')} className="bg-gray-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors">Back</button>
+                            <button onClick={handleImport} disabled={validRowCount === 0} className="bg-amber-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-amber-600 transition-colors disabled:bg-gray-500 disabled:cursor-not-allowed">
+                                Import {validRowCount} {validRowCount === 1 ? 'Row' : 'Rows'}
+                            </button>
+                        </div>
+                    </>
+                );
+            }
+            case 'duplicates': {
+                const duplicateCount = importPlan.filter(entry => entry.match).length;
+                return (
+                    <>
+                        <div className="flex justify-between items-center mb-4">
+                            <h3 className="text-xl font-bold text-amber-400 flex items-center"><Copy className="w-5 h-5 mr-2" /> Possible Duplicates</h3>
+                            <button onClick={onClose} className="text-gray-400 hover:text-white"><X /></button>
+                        </div>
+                        <p className="text-sm text-gray-400 mb-4">
+                            {duplicateCount} {duplicateCount === 1 ? 'cigar looks' : 'cigars look'} like {duplicateCount === 1 ? 'it is' : 'they are'} already in {humidors.find(h => h.id === selectedHumidor)?.name}. Choose what to do with each one.
+                        </p>
+                        <div className="space-y-3 max-h-80 overflow-y-auto pr-2">
+                            {importPlan.map((entry, index) => entry.match && (
+                                <div key={index} className="bg-gray-700/50 rounded-lg p-3">
+                                    <p className="text-white font-semibold text-sm">{entry.item.brand} {entry.item.name} {entry.item.size && <span className="text-gray-400 font-normal">({entry.item.size})</span>}</p>
+                                    <p className="text-xs text-gray-400">Matches "{entry.match.name}" · {entry.match.quantity || 0} in humidor · {entry.item.quantity || 1} in file</p>
+                                    <div className="grid grid-cols-3 gap-2 mt-2">
+                                        {[
+                                            [DUPLICATE_ACTIONS.skip, 'Skip'],
+                                            [DUPLICATE_ACTIONS.addQuantity, 'Add Qty'],
+                                            [DUPLICATE_ACTIONS.overwrite, 'Overwrite']
+                                        ].map(([action, label]) => (
+                                            <button key={action} onClick={() => updatePlanEntry(index, { action })} className={`py-1.5 rounded-md text-xs font-semibold transition-colors ${entry.action === action ? 'bg-amber-500 text-white' : 'bg-gray-600 text-gray-300 hover:bg-gray-500'}`}>
+                                                {label}
+                                            </button>
+                                        ))}
+                                    </div>
+                                    {entry.action === DUPLICATE_ACTIONS.overwrite && (
+                                        <div className="mt-3 space-y-1.5">
+                                            {entry.changedFields.length === 0 && <p className="text-xs text-gray-400">The file has nothing new for this cigar.</p>}
+                                            {entry.changedFields.map(key => (
+                                                <label key={key} className="flex items-start gap-2 text-xs cursor-pointer">
+                                                    <input type="checkbox" checked={entry.overwriteFields.includes(key)} onChange={() => toggleOverwriteField(index, key)} className="mt-0.5 accent-amber-500" />
+                                                    <span className="text-gray-300">
+                                                        <span className="font-semibold text-white">{fieldLabel(key)}:</span>{' '}
+                                                        <span className="line-through text-gray-500">{formatPlanValue(entry.match[key])}</span> → {formatPlanValue(entry.fields[key])}
+                                                    </span>
+                                                </label>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
+                            ))}
+                        </div>
+                        <div className="flex justify-between gap-3 pt-4 mt-4 border-t border-gray-700">
+                            <button onClick={() => setStep('mapFields')} className="bg-gray-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors">Back</button>
+                            <button onClick={() => setStep('summary')} className="bg-amber-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-amber-600 transition-colors">
+                                Review Changes
+                            </button>
+                        </div>
+                    </>
+                );
+            }
+            case 'summary': {
+                const capacityWarning = getCapacityWarning(importPlan);
+                return (
+                    <>
+                        <div className="flex justify-between items-center mb-4">
+                            <h3 className="text-xl font-bold text-amber-400">Review Import</h3>
+                            <button onClick={onClose} className="text-gray-400 hover:text-white"><X /></button>
+                        </div>
+                        <div className="max-h-80 overflow-y-auto pr-2">
+                            {capacityWarning && (
+                                <p className="bg-red-900/50 text-red-300 text-sm rounded-lg p-2 mb-3 flex items-start gap-2">
+                                    <AlertTriangle className="w-4 h-4 flex-shrink-0 mt-0.5" /> {capacityWarning}
+                                </p>
+                            )}
+                            {renderPlanSummary(summarizeImportPlan(importPlan))}
+                        </div>
+                        <div className="flex justify-between gap-3 pt-4 mt-4 border-t border-gray-700">
+                            <button onClick={() => setStep('duplicates')} className="bg-gray-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors">Back</button>
+                            <button onClick={() => commitImport(importPlan)} className="bg-amber-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-amber-600 transition-colors">
+                                Import
+                            </button>
+                        </div>
+                    </>
+                );
+            }
             case 'importing':
                 return (
                     <div className="flex flex-col items-center justify-center h-48">
                         <LoaderCircle className="w-12 h-12 text-amber-500 animate-spin" />
-                        <p className="mt-4 text-gray-300">Importing your {dataType === 'cigar' ? 'cigars' : 'humidors'}...</p>
+                        <p className="mt-4 text-gray-300">Importing your {dataTypeLabel.toLowerCase()}...</p>
+                        {dataType === 'reading' && readingPreview && (
+                            <p className="mt-1 text-xs text-gray-400">{importProgress} of {readingPreview.newReadings.length}</p>
+                        )}
                     </div>
                 );
             case 'complete':
@@ -246,10 +612,14 @@ const ImportCsvModal = ({ dataType, data, db, appId, userId, onClose, humidors,
                             <Wind className="w-5 h-5 mr-2" /> Import Complete!
                         </h3>
                         <p className="text-amber-200 text-sm mb-6">
-                            Woof! Successfully imported {importedCount} {dataType === 'cigar' ? 'cigars' : 'humidors'}.
+                            Woof! Successfully imported {importedCount} {dataTypeLabel.toLowerCase()}.
+                            {skippedRowCount > 0 && ` ${skippedRowCount} ${skippedRowCount === 1 ? 'row' : 'rows'} with errors ${skippedRowCount === 1 ? 'was' : 'were'} left out.`}
                             <br />
                             What would you like to do next?
                         </p>
+                        {dataType === 'cigar' && importSummary && (importSummary.quantityAdded.length > 0 || importSummary.overwritten.length > 0) && (
+                            <div className="bg-gray-800/50 rounded-lg p-3 mb-6">{renderPlanSummary(importSummary)}</div>
+                        )}
                         <div className="space-y-3">
                             <button
                                 onClick={() => handleSwitchType('cigar')}
@@ -265,7 +635,7 @@ const ImportCsvModal = ({ dataType, data, db, appId, userId, onClose, humidors,
                             </button>
                             <button
                                 onClick={() => {
-                                    if (dataType === 'cigar' && selectedHumidor) {
+                                    if (needsHumidor && selectedHumidor) {
                                         navigate('MyHumidor', { humidorId: selectedHumidor });
                                     } else if (dataType === 'humidor') {
                                         navigate('HumidorsScreen');
@@ -0,0 +1,175 @@
+/**
+ * RestoreBackupModal - Restores a full-account JSON backup created from DataSyncScreen
+ * Features multi-step process: file selection and validation, restore options, restoring, and completion
+ * @param {Object} props - Component props
+ * @param {Object} props.db - Firestore database instance
+ * @param {string} props.appId - Application ID for Firestore collection
+ * @param {string} props.userId - Current user ID
+ * @param {Function} props.onClose - Function to call when the modal should be closed
+ * @param {Function} props.onRestorePreferences - Function to apply the backup's app preferences
+ */
+import React, { useState, useRef } from 'react';
+import { X, Upload, LoaderCircle, Wind, Archive, AlertTriangle } from 'lucide-react';
+import { restoreBackup } from '../../../services/backupService';
+import { validateBackup } from '../../../utils/backupUtils';
+import { formatDate } from '../../../utils/formatUtils';
+
+const RestoreBackupModal = ({ db, appId, userId, onClose, onRestorePreferences }) => {
+    const [step, setStep] = useState('selectFile');
+    const [archive, setArchive] = useState(null);
+    const [counts, setCounts] = useState(null);
+    const [fileError, setFileError] = useState('');
+    const [mode, setMode] = useState('merge');
+    const [idStrategy, setIdStrategy] = useState('preserve');
+    const [restorePreferences, setRestorePreferences] = useState(true);
+    const [progress, setProgress] = useState(0);
+    const fileInputRef = useRef(null);
+
+    const handleFileChange = (event) => {
+        const file = event.target.files[0];
+        if (!file) return;
+        setFileError('');
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            let parsed;
+            try {
+                parsed = JSON.parse(reader.result);
+            } catch (error) {
+                setFileError('This file is not valid JSON.');
+                return;
+            }
+            const validation = validateBackup(parsed);
+            if (!validation.valid) {
+                setFileError(validation.error);
+                return;
+            }
+            setArchive(parsed);
+            setCounts(validation.counts);
+            setStep('options');
+        };
+        reader.readAsText(file);
+    };
+
+    const handleRestore = async () => {
+        setStep('restoring');
+        setProgress(0);
+        try {
+            await restoreBackup(db, appId, userId, archive, { mode, idStrategy, onProgress: setProgress });
+            if (restorePreferences && archive.preferences) onRestorePreferences(archive.preferences);
+            setStep('complete');
+        } catch (error) {
+            console.error("Error restoring backup:", error);
+            alert(`Restore failed: ${error.message}. Check console for details.`);
+            setStep('options');
+        }
+    };
+
+    const RadioOption = ({ name, value, current, onChange, title, description }) => (
+        <label className="flex items-start gap-3 cursor-pointer">
+            <input type="radio" name={name} value={value} checked={current === value} onChange={() => onChange(value)} className="mt-1 accent-amber-500" />
+            <div>
+                <p className="text-white text-sm font-semibold">{title}</p>
+                <p className="text-gray-400 text-xs">{description}</p>
+            </div>
+        </label>
+    );
+
+    const renderContent = () => {
+        switch (step) {
+            case 'selectFile':
+                return (
+                    <>
+                        <div className="flex justify-between items-center mb-4">
+                            <h3 className="text-xl font-bold text-amber-400 flex items-center"><Archive className="w-5 h-5 mr-2" /> Restore Backup</h3>
+                            <button onClick={onClose} className="text-gray-400 hover:text-white"><X /></button>
+                        </div>
+                        <p className="text-sm text-gray-400 mb-4">Choose a Humidor Hub backup file (.json) created with "Backup Everything".</p>
+                        <input type="file" ref={fileInputRef} onChange={handleFileChange} style={{ display: 'none' }} accept=".json,application/json" />
+                        <button onClick={() => fileInputRef.current.click()} className="w-full flex items-center justify-center gap-2 bg-blue-600/80 text-white font-bold py-3 rounded-lg hover:bg-blue-700 transition-colors">
+                            <Upload className="w-5 h-5" /> Choose Backup File
+                        </button>
+                        {fileError && <p className="text-sm text-red-300 mt-3">{fileError}</p>}
+                    </>
+                );
+            case 'options':
+                return (
+                    <>
+                        <div className="flex justify-between items-center mb-4">
+                            <h3 className="text-xl font-bold text-amber-400 flex items-center"><Archive className="w-5 h-5 mr-2" /> Restore Options</h3>
+                            <button onClick={onClose} className="text-gray-400 hover:text-white"><X /></button>
+                        </div>
+                        <div className="bg-gray-700/50 rounded-lg p-3 text-sm text-gray-300 mb-4">
+                            <p className="text-gray-400 text-xs mb-1">Backup from {formatDate(archive.exportedAt)} (format v{archive.version})</p>
+                            <p>{counts.humidors} humidors · {counts.cigars} cigars · {counts.journalEntries} journal entries</p>
+                            <p>{counts.smokingSessions} smoking sessions · {counts.readings} environment readings · {counts.alerts} alerts</p>
+                            <p>{counts.smartCollections} smart collections</p>
+                        </div>
+                        <div className="space-y-4 max-h-80 overflow-y-auto pr-2">
+                            <div className="space-y-2">
+                                <p className="text-sm font-medium text-gray-300">Existing data</p>
+                                <RadioOption name="mode" value="merge" current={mode} onChange={setMode} title="Merge" description="Keep your current collection and add the backup to it." />
+                                <RadioOption name="mode" value="replace" current={mode} onChange={setMode} title="Replace" description="Restore the backup, then delete anything in your current collection that isn't in it." />
+                            </div>
+                            <div className="space-y-2">
+                                <p className="text-sm font-medium text-gray-300">Item IDs</p>
+                                <RadioOption name="idStrategy" value="preserve" current={idStrategy} onChange={setIdStrategy} title="Keep original IDs" description="Items that already exist are overwritten with the backed-up version." />
+                                <RadioOption name="idStrategy" value="remap" current={idStrategy} onChange={setIdStrategy} title="Restore as copies" description="Every item gets a new ID. Links between humidors, cigars and journal entries are kept." />
+                            </div>
+                            {archive.preferences && (
+                                <label className="flex items-center gap-3 cursor-pointer">
+                                    <input type="checkbox" checked={restorePreferences} onChange={(e) => setRestorePreferences(e.target.checked)} className="accent-amber-500 w-4 h-4" />
+                                    <span className="text-sm text-white">Restore theme, font and dashboard preferences</span>
+                                </label>
+                            )}
+                            {mode === 'replace' && (
+                                <div className="bg-red-900/30 border border-red-700 rounded-lg p-3 text-red-200 text-xs flex gap-2">
+                                    <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                                    Once the backup is restored, everything in your account that isn't in it will be permanently deleted.
+                                </div>
+                            )}
+                        </div>
+                        <div className="flex justify-between gap-3 pt-4 mt-4 border-t border-gray-700">
+                            <button onClick={() => setStep('selectFile')} className="bg-gray-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors">Back</button>
+                            <button onClick={handleRestore} className={`${mode === 'replace' ? 'bg-red-600 hover:bg-red-700' : 'bg-amber-500 hover:bg-amber-600'} text-white font-bold py-2 px-4 rounded-lg transition-colors`}>
+                                {mode === 'replace' ? 'Replace & Restore' : 'Restore'}
+                            </button>
+                        </div>
+                    </>
+                );
+            case 'restoring':
+                return (
+                    <div className="flex flex-col items-center justify-center h-48">
+                        <LoaderCircle className="w-12 h-12 text-amber-500 animate-spin" />
+                        <p className="mt-4 text-gray-300">Restoring your collection...</p>
+                        <p className="mt-1 text-xs text-gray-400">{progress} changes saved</p>
+                    </div>
+                );
+            case 'complete':
+                return (
+                    <div className="bg-amber-900/20 border border-amber-800 rounded-xl p-6 text-center">
+                        <h3 className="font-bold text-amber-300 text-xl flex items-center justify-center mb-3">
+                            <Wind className="w-5 h-5 mr-2" /> Restore Complete!
+                        </h3>
+                        <p className="text-amber-200 text-sm mb-6">
+                            Woof! Restored {counts.humidors} humidors, {counts.cigars} cigars and {counts.journalEntries} journal entries.
+                        </p>
+                        <button onClick={onClose} className="w-full bg-amber-500 text-white font-bold py-3 rounded-lg hover:bg-amber-600 transition-colors">
+                            Finish & Close
+                        </button>
+                    </div>
+                );
+            default: return null;
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center p-4 z-[100]" onClick={step !== 'restoring' ? onClose : undefined}>
+            <div className="bg-gray-800 rounded-2xl p-6 w-full max-w-lg flex flex-col" onClick={e => e.stopPropagation()}>
+                {renderContent()}
+            </div>
+        </div>
+    );
+};
+
+export default RestoreBackupModal;
@@ -0,0 +1,127 @@
+/**
+ * AutofillReviewModal - Shows Roxy's autofill suggestions next to the current values so the user
+ * can accept or reject them, field by field or in bulk, before anything is changed.
+ * Suggestions Roxy is confident about start out selected.
+ * @param {Object} props - Component props
+ * @param {Array} props.proposals - One per cigar: { id, title, changes } with changes from buildAutofillChanges
+ * @param {Function} props.onApply - Called with { [proposalId]: acceptedChanges }; may return a promise
+ * @param {Function} props.onClose - Function to call when the modal should be closed without applying
+ * @param {string} [props.applyLabel='Save'] - Label for the apply button
+ * @param {string} [props.closeLabel='Discard'] - Label for the button that closes without applying
+ */
+import React, { useState } from 'react';
+import { X, Sparkles, ArrowRight, LoaderCircle } from 'lucide-react';
+import { isConfidentChange, formatAutofillValue, HIGH_CONFIDENCE } from '../../../utils/autofillUtils';
+
+const changeKey = (proposalId, field) => `${proposalId}|${field}`;
+
+const ConfidenceBadge = ({ confidence }) => {
+    if (confidence === null) {
+        return <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-gray-600 text-gray-200">Unsure</span>;
+    }
+    const color = confidence >= HIGH_CONFIDENCE ? 'bg-green-500/20 text-green-300' : confidence >= 0.4 ? 'bg-yellow-500/20 text-yellow-300' : 'bg-red-500/20 text-red-300';
+    return <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${color}`}>{Math.round(confidence * 100)}%</span>;
+};
+
+const AutofillReviewModal = ({ proposals, onApply, onClose, applyLabel = 'Save', closeLabel = 'Discard' }) => {
+    const allChanges = proposals.flatMap(proposal => proposal.changes.map(change => ({ proposal, change })));
+    const [selected, setSelected] = useState(() => new Set(
+        allChanges.filter(({ change }) => isConfidentChange(change)).map(({ proposal, change }) => changeKey(proposal.id, change.field))
+    ));
+    const [isApplying, setIsApplying] = useState(false);
+
+    const setKeys = (keys, isSelected) => {
+        setSelected(prev => {
+            const next = new Set(prev);
+            keys.forEach(key => (isSelected ? next.add(key) : next.delete(key)));
+            return next;
+        });
+    };
+
+    const selectWhere = (predicate) => setSelected(new Set(
+        allChanges.filter(({ change }) => predicate(change)).map(({ proposal, change }) => changeKey(proposal.id, change.field))
+    ));
+
+    const handleApply = async () => {
+        const accepted = {};
+        proposals.forEach(proposal => {
+            const changes = proposal.changes.filter(change => selected.has(changeKey(proposal.id, change.field)));
+            if (changes.length > 0) accepted[proposal.id] = changes;
+        });
+        setIsApplying(true);
+        try {
+            await onApply(accepted);
+        } finally {
+            setIsApplying(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center p-4 z-[200]" onClick={onClose}>
+            <div className="bg-gray-800 rounded-2xl p-6 w-full max-w-lg max-h-[90vh] flex flex-col" onClick={e => e.stopPropagation()}>
+                <div className="flex justify-between items-center mb-2">
+                    <h3 className="text-xl font-bold text-amber-400 flex items-center">
+                        <Sparkles className="w-5 h-5 mr-2" /> Review Roxy's Suggestions
+                    </h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+                <p className="text-sm text-gray-400 mb-3">Pick the values to keep. Nothing changes until you {applyLabel.toLowerCase()}.</p>
+
+                <div className="flex gap-2 mb-3 text-xs">
+                    <button onClick={() => selectWhere(() => true)} className="px-3 py-1 rounded-full bg-gray-700 text-gray-200 hover:bg-gray-600">Select All</button>
+                    <button onClick={() => selectWhere(isConfidentChange)} className="px-3 py-1 rounded-full bg-gray-700 text-gray-200 hover:bg-gray-600">Confident Only</button>
+                    <button onClick={() => selectWhere(() => false)} className="px-3 py-1 rounded-full bg-gray-700 text-gray-200 hover:bg-gray-600">Select None</button>
+                </div>
+
+                <div className="overflow-y-auto space-y-4 pr-1 flex-1">
+                    {proposals.map(proposal => {
+                        const keys = proposal.changes.map(change => changeKey(proposal.id, change.field));
+                        const allSelected = keys.every(key => selected.has(key));
+                        return (
+                            <div key={proposal.id} className="bg-gray-700/50 rounded-lg p-3">
+                                <label className="flex items-center gap-2 mb-2 cursor-pointer">
+                                    <input type="checkbox" checked={allSelected} onChange={() => setKeys(keys, !allSelected)} className="accent-amber-500" />
+                                    <span className="font-bold text-white">{proposal.title}</span>
+                                </label>
+                                <div className="space-y-2">
+                                    {proposal.changes.map(change => {
+                                        const key = changeKey(proposal.id, change.field);
+                                        const currentText = formatAutofillValue(change.field, change.current);
+                                        return (
+                                            <label key={key} className={`flex items-start gap-2 p-2 rounded-md cursor-pointer ${selected.has(key) ? 'bg-amber-500/10' : ''}`}>
+                                                <input type="checkbox" checked={selected.has(key)} onChange={() => setKeys([key], !selected.has(key))} className="accent-amber-500 mt-1" />
+                                                <div className="flex-1 min-w-0">
+                                                    <div className="flex justify-between items-center gap-2">
+                                                        <span className="text-xs font-semibold text-gray-400 uppercase">{change.label}</span>
+                                                        <ConfidenceBadge confidence={change.confidence} />
+                                                    </div>
+                                                    <div className="flex items-start gap-2 text-sm mt-1">
+                                                        <span className={`flex-1 break-words ${currentText ? 'text-gray-400 line-through' : 'text-gray-500 italic'}`}>{currentText || 'Empty'}</span>
+                                                        <ArrowRight className="w-4 h-4 text-gray-500 flex-shrink-0 mt-0.5" />
+                                                        <span className="flex-1 break-words text-amber-200 max-h-24 overflow-y-auto">{formatAutofillValue(change.field, change.suggested)}</span>
+                                                    </div>
+                                                </div>
+                                            </label>
+                                        );
+                                    })}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+
+                <div className="flex gap-3 mt-4">
+                    <button onClick={onClose} className="flex-1 bg-gray-600 text-white font-bold py-2 rounded-lg hover:bg-gray-500 transition-colors">{closeLabel}</button>
+                    <button onClick={handleApply} disabled={isApplying || selected.size === 0} className="flex-1 flex items-center justify-center gap-2 bg-amber-500 text-white font-bold py-2 rounded-lg hover:bg-amber-600 transition-colors disabled:opacity-50">
+                        {isApplying && <LoaderCircle className="w-4 h-4 animate-spin" />}
+                        {applyLabel} {selected.size > 0 ? `${selected.size} Value${selected.size !== 1 ? 's' : ''}` : ''}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AutofillReviewModal;
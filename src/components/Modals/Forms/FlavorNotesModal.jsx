@@ -10,6 +10,7 @@
  */
 import React, { useState } from 'react';
 import { updateDoc, doc } from 'firebase/firestore';
+import { settleWrite } from '../../../services/syncService';
 import { X, Check } from 'lucide-react';
 import { allFlavorNotes } from '../../../constants/cigarOptions';
 
@@ -27,7 +28,7 @@ const FlavorNotesModal = ({ cigar, db, appId, userId, onClose, setSelectedNotes:
     const saveNotes = async () => {
         try {
             const cigarRef = doc(db, `${appId}_${userId}_cigars`, cigar.id);
-            await updateDoc(cigarRef, { flavorNotes: selectedNotes });
+            await settleWrite(updateDoc(cigarRef, { flavorNotes: selectedNotes }));
             updateParentNotes(selectedNotes);
             onClose();
         } catch (error) {
@@ -0,0 +1,111 @@
+/**
+ * SmartCollectionModal - A modal for naming and saving a smart collection (a saved search, filter and sort)
+ * Used both to save the current criteria as a new collection and to rename an existing one.
+ * @param {Object} props - Component props
+ * @param {Function} props.onClose - Function to call when the modal should be closed
+ * @param {Function} props.onSaved - Function to call once the collection has been saved
+ * @param {Object} props.smartCollection - The collection to save, from createSmartCollection (with an id when editing)
+ * @param {Array} props.smartCollections - The user's existing collections, used to catch duplicate names
+ * @param {Object} [props.humidor] - The humidor the criteria came from; offers to limit the collection to it
+ * @param {Array} props.humidors - The user's humidors, used in the criteria summary
+ * @param {Object} props.db - Firestore database instance
+ * @param {string} props.appId - Application ID for Firestore paths
+ * @param {string} props.userId - Current user ID
+ */
+import React, { useState } from 'react';
+import { X, Bookmark } from 'lucide-react';
+import { saveSmartCollection } from '../../../services/smartCollectionService';
+import { describeSmartCollection, validateSmartCollection } from '../../../utils/smartCollectionUtils';
+
+const SmartCollectionModal = ({ onClose, onSaved, smartCollection, smartCollections, humidor, humidors, db, appId, userId }) => {
+    const [name, setName] = useState(smartCollection.name || '');
+    const [onlyThisHumidor, setOnlyThisHumidor] = useState(Boolean(smartCollection.humidorId));
+    const [errors, setErrors] = useState({});
+    const [isSaving, setIsSaving] = useState(false);
+
+    const collectionToSave = {
+        ...smartCollection,
+        name: name.trim(),
+        humidorId: humidor ? (onlyThisHumidor ? humidor.id : null) : smartCollection.humidorId
+    };
+
+    const handleSave = async () => {
+        const validationErrors = validateSmartCollection(collectionToSave, smartCollections);
+        setErrors(validationErrors);
+        if (Object.keys(validationErrors).length > 0) return;
+
+        setIsSaving(true);
+        try {
+            await saveSmartCollection(db, appId, userId, collectionToSave);
+            onSaved();
+        } catch (error) {
+            console.error("Error saving smart collection:", error);
+            setErrors({ save: `Woof! The collection couldn't be saved: ${error.message}` });
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/60 flex items-center justify-center p-4 z-[200]" onClick={onClose}>
+            <div className="bg-gray-800 rounded-2xl p-6 w-full max-w-sm" onClick={e => e.stopPropagation()}>
+                <div className="flex justify-between items-center mb-6">
+                    <h3 className="text-xl font-bold text-amber-400 flex items-center">
+                        <Bookmark className="w-5 h-5 mr-2" />
+                        {smartCollection.id ? 'Rename Collection' : 'Save Smart Collection'}
+                    </h3>
+                    <button onClick={onClose} className="text-gray-400 hover:text-white">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <div className="space-y-4">
+                    <div>
+                        <label className="block text-gray-300 text-sm font-medium mb-2">Name</label>
+                        <input
+                            type="text"
+                            value={name}
+                            autoFocus
+                            onChange={(e) => setName(e.target.value)}
+                            placeholder="e.g., Ready to Smoke"
+                            className="w-full bg-gray-700 border border-gray-600 rounded-lg py-2 px-3 text-white focus:outline-none focus:border-amber-500"
+                        />
+                        {errors.name && <p className="text-red-400 text-xs mt-1">{errors.name}</p>}
+                    </div>
+
+                    {humidor && (
+                        <label className="flex items-center gap-2 text-sm text-gray-300">
+                            <input type="checkbox" checked={onlyThisHumidor} onChange={(e) => setOnlyThisHumidor(e.target.checked)} className="accent-amber-500" />
+                            Only cigars in {humidor.name}
+                        </label>
+                    )}
+
+                    <div className="bg-gray-700/50 rounded-lg p-3">
+                        <p className="text-xs text-gray-400 mb-1">Matches</p>
+                        <p className="text-sm text-amber-200 break-words">{describeSmartCollection(collectionToSave, humidors)}</p>
+                        <p className="text-xs text-gray-500 mt-2">The collection updates itself as your cigars change.</p>
+                    </div>
+                    {errors.criteria && <p className="text-red-400 text-sm">{errors.criteria}</p>}
+                    {errors.save && <p className="text-red-400 text-sm">{errors.save}</p>}
+                </div>
+
+                <div className="flex gap-3 mt-6">
+                    <button
+                        onClick={onClose}
+                        className="flex-1 bg-gray-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleSave}
+                        disabled={isSaving}
+                        className="flex-1 bg-amber-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-amber-600 disabled:opacity-50 transition-colors"
+                    >
+                        {isSaving ? 'Saving...' : 'Save'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SmartCollectionModal;
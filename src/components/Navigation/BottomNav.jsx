@@ -6,8 +6,9 @@
 // Time: 10:01 PM CDT
 
 // Description: Bottom navigation component for the main app navigation.
-// Provides tab-based navigation between Dashboard, Humidors, Journal, Alerts, and Settings screens.
-// Features active state highlighting and theme-aware styling.
+// Provides tab-based navigation between Dashboard, Humidors, Search, Journal, Alerts, and Settings screens.
+// Features active state highlighting, theme-aware styling, and a sync status badge
+// that appears while offline or while local changes are still being synced.
 
 /**
  * BottomNav - Component for the main app navigation
@@ -15,14 +16,17 @@
  * @param {string} props.activeScreen - Currently active screen name
  * @param {Function} props.navigate - Function to handle navigation
  * @param {Object} props.theme - Theme object for styling
+ * @param {Object} props.syncStatus - Offline/sync state for the SyncStatusBadge
  */
 import React from 'react';
-import { BarChart2, Box, BookText, Bell, Settings as SettingsIcon } from 'lucide-react';
+import { BarChart2, Box, Search, BookText, Bell, Settings as SettingsIcon } from 'lucide-react';
+import SyncStatusBadge from '../UI/SyncStatusBadge';
 
-const BottomNav = ({ activeScreen, navigate, theme }) => {
+const BottomNav = ({ activeScreen, navigate, theme, syncStatus }) => {
     const navItems = [
         { name: 'Dashboard', icon: BarChart2 },
         { name: 'HumidorsScreen', icon: Box },
+        { name: 'Search', icon: Search },
         { name: 'CigarJournal', icon: BookText },
         { name: 'Alerts', icon: Bell },
         { name: 'Settings', icon: SettingsIcon }
@@ -30,11 +34,12 @@ const BottomNav = ({ activeScreen, navigate, theme }) => {
 
     return (
         <div className={`fixed bottom-0 left-0 right-0 max-w-md mx-auto ${theme.card.replace('/50', '/90')} backdrop-blur-sm border-t ${theme.border} flex justify-around py-2 z-50`}>
+            <SyncStatusBadge syncStatus={syncStatus} />
             {navItems.map(({ name, icon: Icon }) => (
                 <button
                     key={name}
                     onClick={() => navigate(name)}
-                    className={`flex flex-col items-center py-2 px-3 transition-colors ${theme.subtleText} hover:${theme.text}`}
+                    className={`flex flex-col items-center py-2 px-2 transition-colors ${theme.subtleText} hover:${theme.text}`}
                 >
                     <Icon className={`w-6 h-6 mb-1 transition-colors ${activeScreen === name
                         ? `${theme.primary}`
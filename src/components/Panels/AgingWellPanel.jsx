@@ -2,17 +2,20 @@ import React, { useMemo } from 'react';
 import { Calendar as CalendarIcon, ChevronDown, Clock, Award } from 'lucide-react';
 import { calculateAge } from '../utils/calculateAge';
 import { formatDate } from '../../utils/formatUtils';
+import { getCigarAgeDate } from '../../utils/lotUtils';
 
 /**
  * AgingWellPanel - Shows the three oldest cigars from the collection.
+ * A cigar's age is counted from the purchase date of its oldest lot still in stock.
  * Displays aging status with visual indicators for mobile-friendly viewing.
  */
 const AgingWellPanel = ({ cigars, navigate, theme, isCollapsed, onToggle }) => {
     // Get the three oldest cigars with valid dates
     const oldestCigars = useMemo(() => {
         return cigars
-            .filter(cigar => cigar.dateAdded) // Only include cigars with valid dates
-            .sort((a, b) => new Date(a.dateAdded) - new Date(b.dateAdded)) // Sort oldest first
+            .map(cigar => ({ ...cigar, ageDate: getCigarAgeDate(cigar) }))
+            .filter(cigar => cigar.ageDate) // Only include cigars with valid dates
+            .sort((a, b) => new Date(a.ageDate) - new Date(b.ageDate)) // Sort oldest first
             .slice(0, 3); // Take only the first 3 (oldest)
     }, [cigars]);
 
@@ -36,7 +39,7 @@ const AgingWellPanel = ({ cigars, navigate, theme, isCollapsed, onToggle }) => {
                 <div className="p-4 space-y-3">
                     {oldestCigars.length > 0 ? (
                         oldestCigars.map((cigar, index) => {
-                            const ageInDays = calculateAge(cigar.dateAdded, true);
+                            const ageInDays = calculateAge(cigar.ageDate, true);
                             const agingStatus = getAgingStatus(ageInDays);
                             
                             return (
@@ -61,11 +64,11 @@ const AgingWellPanel = ({ cigars, navigate, theme, isCollapsed, onToggle }) => {
                                             <div className="flex items-center gap-4 text-xs text-gray-400">
                                                 <div className="flex items-center gap-1">
                                                     <Clock className="w-3 h-3" />
-                                                    <span>{calculateAge(cigar.dateAdded)}</span>
+                                                    <span>{calculateAge(cigar.ageDate)}</span>
                                                 </div>
                                                 <div className="flex items-center gap-1">
                                                     <CalendarIcon className="w-3 h-3" />
-                                                    <span>Since {formatDate(cigar.dateAdded)}</span>
+                                                    <span>Since {formatDate(cigar.ageDate)}</span>
                                                 </div>
                                             </div>
                                         </div>
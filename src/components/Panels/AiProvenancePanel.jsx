@@ -0,0 +1,75 @@
+/**
+ * AiProvenancePanel - Lists the details of a cigar that were filled in from Roxy's suggestions:
+ * the value, when it was accepted, which AI model suggested it and how confident it was.
+ * Each value can be reverted to what the field held before, or kept and forgotten.
+ * @param {Object} props - Component props
+ * @param {Object} props.cigar - The cigar whose AI-filled details to display
+ * @param {Object} props.db - Firestore database instance
+ * @param {string} props.appId - Application ID for Firestore paths
+ * @param {string} props.userId - Current user ID
+ */
+import React, { useState } from 'react';
+import { Sparkles, Undo2, Check } from 'lucide-react';
+import { revertAiValue, clearAiProvenance } from '../../services/autofillService';
+import { getAiProvenance, formatAutofillValue } from '../../utils/autofillUtils';
+import { formatDate } from '../../utils/formatUtils';
+import { AI_PROVIDERS } from '../../constants/aiProviders';
+
+const AiProvenancePanel = ({ cigar, db, appId, userId }) => {
+    const [busyField, setBusyField] = useState(null);
+    const records = getAiProvenance(cigar);
+
+    if (records.length === 0) return null;
+
+    const runFor = async (field, action, failure) => {
+        setBusyField(field);
+        try {
+            await action();
+        } catch (error) {
+            console.error(`${failure}:`, error);
+            alert(`${failure}: ${error.message}`);
+        } finally {
+            setBusyField(null);
+        }
+    };
+
+    const handleRevert = (record) => {
+        if (!window.confirm(`Put ${record.label} back to what it was before Roxy filled it in?`)) return;
+        runFor(record.field, () => revertAiValue(db, appId, userId, cigar, record.field), 'Could not revert the value');
+    };
+
+    const handleKeep = (record) => {
+        runFor(record.field, () => clearAiProvenance(db, appId, userId, cigar.id, record.field), 'Could not update the cigar');
+    };
+
+    return (
+        <div className="bg-gray-800/50 p-4 rounded-xl space-y-3">
+            <h3 className="font-bold text-amber-300 text-lg flex items-center"><Sparkles className="w-5 h-5 mr-2" /> Filled In by Roxy</h3>
+            {records.map(record => (
+                <div key={record.field} className="bg-gray-700/50 rounded-lg p-3">
+                    <div className="flex justify-between items-start gap-2">
+                        <div className="min-w-0">
+                            <p className="text-xs font-semibold text-gray-400 uppercase">{record.label}</p>
+                            <p className="text-white text-sm truncate">{formatAutofillValue(record.field, record.value)}</p>
+                            <p className="text-xs text-gray-400">
+                                {formatDate(record.acceptedAt)}
+                                {record.provider && ` · ${AI_PROVIDERS[record.provider]?.label || record.provider}`}
+                                {record.model && ` ${record.model}`}
+                                {record.confidence !== null && record.confidence !== undefined && ` · ${Math.round(record.confidence * 100)}% sure`}
+                            </p>
+                            {!record.isCurrent && <p className="text-xs text-yellow-400">Changed by hand since</p>}
+                        </div>
+                        <div className="flex gap-1 flex-shrink-0">
+                            {record.isCurrent && (
+                                <button onClick={() => handleRevert(record)} disabled={busyField === record.field} className="p-1.5 text-gray-400 hover:text-white disabled:opacity-50" aria-label={`Revert ${record.label}`}><Undo2 className="w-4 h-4" /></button>
+                            )}
+                            <button onClick={() => handleKeep(record)} disabled={busyField === record.field} className="p-1.5 text-gray-400 hover:text-green-400 disabled:opacity-50" aria-label={`Keep ${record.label}`}><Check className="w-4 h-4" /></button>
+                        </div>
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default AiProvenancePanel;
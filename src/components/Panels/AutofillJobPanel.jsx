@@ -0,0 +1,101 @@
+/**
+ * AutofillJobPanel - Shows the progress of a batch autofill job: an overall progress bar and the
+ * status of each cigar, with buttons to cancel, resume, retry failures and review the suggestions.
+ * The job keeps running in the background if the user leaves the screen.
+ * @param {Object} props - Component props
+ * @param {string} props.jobKey - The key the job was started with (the humidor ID)
+ * @param {Object} props.job - The job's state, from subscribeToAutofillJob
+ * @param {Function} props.onReview - Function to call to review the suggestions found so far
+ */
+import React, { useState } from 'react';
+import { LoaderCircle, Check, AlertTriangle, Clock, RefreshCw, ChevronDown } from 'lucide-react';
+import { getAutofillJob } from '../../services/autofillService';
+import { JOB_STATUS, JOB_ITEM_STATUS } from '../../services/jobRunner';
+
+const STATUS_ICONS = {
+    [JOB_ITEM_STATUS.pending]: <Clock className="w-4 h-4 text-gray-500" />,
+    [JOB_ITEM_STATUS.running]: <LoaderCircle className="w-4 h-4 text-amber-400 animate-spin" />,
+    [JOB_ITEM_STATUS.done]: <Check className="w-4 h-4 text-green-400" />,
+    [JOB_ITEM_STATUS.failed]: <AlertTriangle className="w-4 h-4 text-red-400" />
+};
+
+const AutofillJobPanel = ({ jobKey, job, onReview }) => {
+    const [showItems, setShowItems] = useState(false);
+    const runner = getAutofillJob(jobKey);
+    const { counts } = job;
+    const finished = counts.done + counts.failed;
+    const suggestionCount = job.items.filter(item => item.result?.changes.length > 0).length;
+    const isRunning = job.status === JOB_STATUS.running;
+
+    const headline = {
+        [JOB_STATUS.running]: `Roxy is looking up details... ${finished} of ${counts.total} done`,
+        [JOB_STATUS.cancelled]: `Stopped after ${finished} of ${counts.total}.`,
+        [JOB_STATUS.paused]: `Paused: ${job.error}`,
+        [JOB_STATUS.done]: `Finished! Roxy has suggestions for ${suggestionCount} cigar${suggestionCount !== 1 ? 's' : ''}.`
+    }[job.status];
+
+    const resultText = (item) => {
+        if (item.status === JOB_ITEM_STATUS.failed) return item.error;
+        if (item.status !== JOB_ITEM_STATUS.done) return '';
+        const count = item.result.changes.length;
+        return count > 0 ? `${count} suggestion${count !== 1 ? 's' : ''}` : 'Nothing new found';
+    };
+
+    return (
+        <div className="space-y-3">
+            <div>
+                <p className={`text-sm mb-1 ${job.status === JOB_STATUS.paused ? 'text-red-300' : 'text-amber-100'}`}>{headline}</p>
+                <div className="w-full bg-gray-700 rounded-full h-2">
+                    <div className="bg-amber-500 h-2 rounded-full transition-all" style={{ width: `${counts.total > 0 ? (finished / counts.total) * 100 : 100}%` }}></div>
+                </div>
+                {counts.failed > 0 && <p className="text-xs text-red-300 mt-1">{counts.failed} couldn't be looked up.</p>}
+            </div>
+
+            <div className="flex flex-wrap gap-2">
+                {isRunning && (
+                    <button onClick={() => runner?.cancel()} className="bg-gray-600 text-white font-bold px-4 py-2 rounded-lg hover:bg-gray-500 transition-colors text-sm">Cancel</button>
+                )}
+                {!isRunning && counts.pending > 0 && (
+                    <button onClick={() => runner?.resume()} className="bg-gray-600 text-white font-bold px-4 py-2 rounded-lg hover:bg-gray-500 transition-colors text-sm">Resume</button>
+                )}
+                {counts.failed > 0 && (
+                    <button onClick={() => runner?.retryFailed()} className="flex items-center gap-1 bg-gray-600 text-white font-bold px-4 py-2 rounded-lg hover:bg-gray-500 transition-colors text-sm">
+                        <RefreshCw className="w-4 h-4" /> Retry Failed
+                    </button>
+                )}
+                {suggestionCount > 0 && (
+                    <button onClick={onReview} className="bg-amber-500 text-white font-bold px-4 py-2 rounded-lg hover:bg-amber-600 transition-colors text-sm">
+                        Review {suggestionCount} Cigar{suggestionCount !== 1 ? 's' : ''}
+                    </button>
+                )}
+            </div>
+
+            <button onClick={() => setShowItems(!showItems)} className="flex items-center gap-1 text-xs text-amber-300 hover:text-amber-200">
+                <ChevronDown className={`w-4 h-4 transition-transform ${showItems ? 'rotate-180' : ''}`} />
+                {showItems ? 'Hide' : 'Show'} each cigar
+            </button>
+            {showItems && (
+                <ul className="max-h-60 overflow-y-auto space-y-1 pr-1">
+                    {job.items.map(item => (
+                        <li key={item.id} className="flex items-center gap-2 bg-gray-800/60 rounded-md px-2 py-1.5 text-sm">
+                            {STATUS_ICONS[item.status]}
+                            <div className="flex-1 min-w-0">
+                                <p className="text-white truncate">{item.label}</p>
+                                {resultText(item) && (
+                                    <p className={`text-xs truncate ${item.status === JOB_ITEM_STATUS.failed ? 'text-red-300' : 'text-gray-400'}`}>{resultText(item)}</p>
+                                )}
+                            </div>
+                            {item.status === JOB_ITEM_STATUS.failed && (
+                                <button onClick={() => runner?.retry(item.id)} className="p-1 text-gray-400 hover:text-white" aria-label={`Retry ${item.label}`}>
+                                    <RefreshCw className="w-4 h-4" />
+                                </button>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default AutofillJobPanel;
@@ -0,0 +1,110 @@
+/**
+ * EnvironmentHistoryPanel - Time-series chart of a humidor's temperature and humidity readings
+ * Shows the selected metric over a chosen time range, with the period's min/max band, its
+ * average, and the humidor's alert thresholds drawn as reference lines.
+ * @param {Object} props - Component props
+ * @param {Object} props.humidor - The humidor whose history to display
+ * @param {Object} props.db - Firestore database instance
+ * @param {string} props.appId - Application ID for Firestore paths
+ * @param {string} props.userId - Current user ID
+ * @param {Object} props.theme - Theme object for styling
+ */
+import React, { useState, useEffect, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ReferenceArea, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { Droplets, Thermometer } from 'lucide-react';
+import { subscribeToReadings } from '../../services/environmentService';
+import { READING_RANGES, getRangeStart, summarizeReadings, downsampleReadings } from '../../utils/readingUtils';
+import { getAlertSettings } from '../../utils/alertUtils';
+
+const METRICS = {
+    humidity: { label: 'Humidity', unit: '%', color: '#3b82f6', icon: Droplets, alertKey: 'humidityAlert', minKey: 'minHumidity', maxKey: 'maxHumidity' },
+    temp: { label: 'Temperature', unit: '°F', color: '#ef4444', icon: Thermometer, alertKey: 'tempAlert', minKey: 'minTemp', maxKey: 'maxTemp' }
+};
+
+const EnvironmentHistoryPanel = ({ humidor, db, appId, userId, theme }) => {
+    const [range, setRange] = useState('7d');
+    const [metric, setMetric] = useState('humidity');
+    const [readings, setReadings] = useState([]);
+
+    // Re-subscribe whenever the humidor or time range changes so only the needed readings are loaded.
+    useEffect(() => {
+        if (!db || !userId) return;
+        return subscribeToReadings(db, appId, userId, humidor.id, getRangeStart(range), setReadings);
+    }, [db, appId, userId, humidor.id, range]);
+
+    const config = METRICS[metric];
+    const alertSettings = getAlertSettings(humidor);
+    const stats = useMemo(() => summarizeReadings(readings, metric), [readings, metric]);
+    const chartData = useMemo(() => downsampleReadings(readings).map(r => ({
+        ...r,
+        time: new Date(r.timestamp).getTime()
+    })), [readings]);
+
+    const formatTick = (time) => {
+        const date = new Date(time);
+        return range === '24h'
+            ? date.toLocaleTimeString('en-US', { hour: 'numeric' })
+            : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    };
+
+    return (
+        <div id="pnlEnvironmentHistory" className="bg-gray-800/50 p-4 rounded-xl mb-6">
+            <div className="flex justify-between items-center mb-3">
+                <h3 className={`font-bold ${theme.primary} text-lg`}>Environment History</h3>
+                <div className="flex gap-1">
+                    {Object.entries(METRICS).map(([key, { icon: Icon, label }]) => (
+                        <button key={key} onClick={() => setMetric(key)} title={label} className={`p-2 rounded-full transition-colors ${metric === key ? 'bg-amber-500 text-white' : 'bg-gray-700 text-gray-300'}`}>
+                            <Icon className="w-4 h-4" />
+                        </button>
+                    ))}
+                </div>
+            </div>
+            <div className="flex gap-2 mb-4">
+                {Object.keys(READING_RANGES).map(key => (
+                    <button key={key} onClick={() => setRange(key)} className={`px-3 py-1 rounded-full text-xs font-semibold transition-colors ${range === key ? 'bg-amber-500 text-white' : 'bg-gray-700 text-gray-300'}`}>
+                        {key === 'all' ? 'All' : key}
+                    </button>
+                ))}
+            </div>
+
+            {chartData.length === 0 ? (
+                <p className="text-sm text-gray-400 text-center py-10">No readings recorded in this period.</p>
+            ) : (
+                <>
+                    <div className="h-56">
+                        <ResponsiveContainer width="100%" height="100%">
+                            <LineChart data={chartData} margin={{ top: 5, right: 10, left: -20, bottom: 5 }}>
+                                <XAxis dataKey="time" type="number" scale="time" domain={['dataMin', 'dataMax']} tickFormatter={formatTick} stroke="#9ca3af" fontSize={11} />
+                                <YAxis stroke="#9ca3af" fontSize={11} domain={['dataMin - 2', 'dataMax + 2']} allowDecimals={false} />
+                                <Tooltip
+                                    contentStyle={{ backgroundColor: '#1f2937', border: '1px solid #4b5563', borderRadius: '0.5rem' }}
+                                    labelFormatter={(time) => new Date(time).toLocaleString('en-US')}
+                                    formatter={(value) => [`${value}${config.unit}`, config.label]}
+                                />
+                                {stats && <ReferenceArea y1={stats.min} y2={stats.max} fill={config.color} fillOpacity={0.08} />}
+                                {stats && <ReferenceLine y={stats.avg} stroke="#9ca3af" strokeDasharray="4 4" />}
+                                {alertSettings[config.alertKey] && <ReferenceLine y={alertSettings[config.minKey]} stroke="#f59e0b" strokeDasharray="2 2" />}
+                                {alertSettings[config.alertKey] && <ReferenceLine y={alertSettings[config.maxKey]} stroke="#f59e0b" strokeDasharray="2 2" />}
+                                <Line type="monotone" dataKey={metric} stroke={config.color} strokeWidth={2} dot={false} connectNulls />
+                            </LineChart>
+                        </ResponsiveContainer>
+                    </div>
+                    {stats && (
+                        <div className="grid grid-cols-3 gap-2 mt-3 text-center text-xs">
+                            <div><p className="text-gray-400">Min</p><p className="font-bold text-white">{stats.min}{config.unit}</p></div>
+                            <div><p className="text-gray-400">Avg</p><p className="font-bold text-white">{stats.avg}{config.unit}</p></div>
+                            <div><p className="text-gray-400">Max</p><p className="font-bold text-white">{stats.max}{config.unit}</p></div>
+                        </div>
+                    )}
+                    {alertSettings[config.alertKey] && (
+                        <p className="text-xs text-amber-300 mt-2 text-center">
+                            Alert range: {alertSettings[config.minKey]}–{alertSettings[config.maxKey]}{config.unit}
+                        </p>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default EnvironmentHistoryPanel;
@@ -0,0 +1,165 @@
+/**
+ * HumidorMembersPanel - Shows who a humidor is shared with and lets its owner manage them
+ * The owner can start sharing, invite people by email as editors or viewers, change roles, remove
+ * members, withdraw invites and stop sharing. Other members see the list and can leave.
+ * @param {Object} props - Component props
+ * @param {Object} props.humidor - The humidor, with a `share` field if it was shared with the user
+ * @param {Object} props.share - The humidor's share document, if it is shared
+ * @param {Object} props.member - The current user, { uid, name, email }
+ * @param {Object} props.db - Firestore database instance
+ * @param {string} props.appId - Application ID for Firestore paths
+ * @param {Function} props.navigate - Function to navigate between screens
+ */
+import React, { useState } from 'react';
+import { Users, UserPlus, X, LogOut } from 'lucide-react';
+import {
+    shareHumidor, inviteToHumidor, cancelInvite, setMemberRole, removeMember, stopSharingHumidor
+} from '../../services/shareService';
+import {
+    SHARE_ROLES, SHARE_ROLE_LABELS, SHARE_ROLE_DESCRIPTIONS, INVITABLE_ROLES, listShareMembers, listShareInvites
+} from '../../utils/shareUtils';
+
+const HumidorMembersPanel = ({ humidor, share, member, db, appId, navigate }) => {
+    const [email, setEmail] = useState('');
+    const [role, setRole] = useState(SHARE_ROLES.editor);
+    const [isBusy, setIsBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    const isOwner = !humidor.share;
+
+    // Runs a sharing change, showing why it failed instead of throwing.
+    const run = async (change) => {
+        setIsBusy(true);
+        setError('');
+        try {
+            await change();
+            return true;
+        } catch (shareError) {
+            console.error('Error updating humidor sharing:', shareError);
+            setError(shareError.message);
+            return false;
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleInvite = async (e) => {
+        e.preventDefault();
+        if (await run(() => inviteToHumidor(db, appId, share, email, role))) setEmail('');
+    };
+
+    const handleRemove = (memberToRemove) => {
+        if (!window.confirm(`Remove ${memberToRemove.name} from ${humidor.name}?`)) return;
+        run(() => removeMember(db, appId, humidor.id, memberToRemove.uid));
+    };
+
+    const handleStopSharing = () => {
+        if (!window.confirm(`Stop sharing ${humidor.name}? Everyone else loses access and pending invites are withdrawn.`)) return;
+        run(() => stopSharingHumidor(db, appId, humidor.id));
+    };
+
+    const handleLeave = async () => {
+        if (!window.confirm(`Leave ${humidor.name}? You'll need a new invite from ${humidor.share.ownerName} to see it again.`)) return;
+        if (await run(() => removeMember(db, appId, humidor.id, member.uid))) navigate('HumidorsScreen');
+    };
+
+    const renderContent = () => {
+        if (!share) {
+            return (
+                <>
+                    <p className="text-sm text-gray-300 mb-4">
+                        Share this humidor with your household. Everyone sees the same cigars, and each smoke or move records who did it.
+                    </p>
+                    <button
+                        onClick={() => run(() => shareHumidor(db, appId, humidor, member))}
+                        disabled={isBusy}
+                        className="w-full bg-amber-500 text-white font-bold py-2 rounded-lg hover:bg-amber-600 transition-colors disabled:opacity-50"
+                    >
+                        Share This Humidor
+                    </button>
+                </>
+            );
+        }
+
+        const invites = listShareInvites(share);
+        return (
+            <>
+                <div className="space-y-2">
+                    {listShareMembers(share).map(shareMember => (
+                        <div key={shareMember.uid} className="bg-gray-700/50 rounded-lg p-3 flex justify-between items-center gap-2">
+                            <div className="min-w-0">
+                                <p className="text-white text-sm font-semibold truncate">
+                                    {shareMember.name}{shareMember.uid === member.uid && <span className="text-gray-400 font-normal"> (you)</span>}
+                                </p>
+                                {shareMember.email && <p className="text-xs text-gray-400 truncate">{shareMember.email}</p>}
+                            </div>
+                            {isOwner && shareMember.role !== SHARE_ROLES.owner ? (
+                                <div className="flex items-center gap-1 flex-shrink-0">
+                                    <select
+                                        value={shareMember.role}
+                                        onChange={e => run(() => setMemberRole(db, appId, humidor.id, shareMember.uid, e.target.value))}
+                                        disabled={isBusy}
+                                        className="bg-gray-800 border border-gray-600 rounded-lg py-1 px-2 text-sm text-white"
+                                    >
+                                        {INVITABLE_ROLES.map(r => <option key={r} value={r}>{SHARE_ROLE_LABELS[r]}</option>)}
+                                    </select>
+                                    <button onClick={() => handleRemove(shareMember)} disabled={isBusy} className="p-1.5 text-gray-400 hover:text-red-400" aria-label="Remove member"><X className="w-4 h-4" /></button>
+                                </div>
+                            ) : (
+                                <span className="text-xs font-semibold px-2 py-1 rounded-full bg-amber-500/20 text-amber-300 border border-amber-500/50 flex-shrink-0">{SHARE_ROLE_LABELS[shareMember.role]}</span>
+                            )}
+                        </div>
+                    ))}
+                </div>
+
+                {isOwner && invites.length > 0 && (
+                    <div className="mt-4 space-y-2">
+                        <h4 className="font-bold text-white text-sm">Waiting to Accept</h4>
+                        {invites.map(invite => (
+                            <div key={invite.email} className="flex justify-between items-center text-sm">
+                                <span className="text-gray-300 truncate">{invite.email} · {SHARE_ROLE_LABELS[invite.role]}</span>
+                                <button onClick={() => run(() => cancelInvite(db, appId, humidor.id, invite.email))} disabled={isBusy} className="p-1.5 text-gray-400 hover:text-red-400" aria-label="Withdraw invite"><X className="w-4 h-4" /></button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                {isOwner ? (
+                    <>
+                        <form onSubmit={handleInvite} className="border-t border-gray-700 mt-4 pt-4 space-y-3">
+                            <h4 className="font-bold text-white text-sm flex items-center"><UserPlus className="w-4 h-4 mr-2" /> Invite Someone</h4>
+                            <input
+                                type="email"
+                                placeholder="Their email"
+                                value={email}
+                                onChange={e => setEmail(e.target.value)}
+                                required
+                                className="w-full bg-gray-700 border border-gray-600 rounded-lg py-2 px-3 text-sm text-white placeholder-gray-500"
+                            />
+                            <select value={role} onChange={e => setRole(e.target.value)} className="w-full bg-gray-700 border border-gray-600 rounded-lg py-2 px-3 text-sm text-white">
+                                {INVITABLE_ROLES.map(r => <option key={r} value={r}>{SHARE_ROLE_LABELS[r]}</option>)}
+                            </select>
+                            <p className="text-xs text-gray-400">{SHARE_ROLE_DESCRIPTIONS[role]} They'll see the invite when they sign in with this email.</p>
+                            <button type="submit" disabled={isBusy} className="w-full bg-amber-500 text-white font-bold py-2 rounded-lg hover:bg-amber-600 transition-colors disabled:opacity-50">Send Invite</button>
+                        </form>
+                        <button onClick={handleStopSharing} disabled={isBusy} className="w-full mt-4 text-sm text-red-400 hover:text-red-300 font-semibold">Stop Sharing</button>
+                    </>
+                ) : (
+                    <button onClick={handleLeave} disabled={isBusy} className="w-full mt-4 flex items-center justify-center gap-2 bg-gray-600 text-white font-bold py-2 rounded-lg hover:bg-gray-500 transition-colors disabled:opacity-50">
+                        <LogOut className="w-4 h-4" /> Leave Humidor
+                    </button>
+                )}
+            </>
+        );
+    };
+
+    return (
+        <div id="pnlHumidorMembers" className="bg-gray-800/50 p-4 rounded-xl">
+            <h3 className="font-bold text-xl text-amber-300 mb-4 flex items-center"><Users className="w-5 h-5 mr-2" /> Members</h3>
+            {renderContent()}
+            {error && <p className="text-sm text-red-300 mt-3">{error}</p>}
+        </div>
+    );
+};
+
+export default HumidorMembersPanel;
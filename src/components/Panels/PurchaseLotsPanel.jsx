@@ -0,0 +1,161 @@
+/**
+ * PurchaseLotsPanel - Lists each purchase (box or single buy) of a cigar with its own date, vendor and price
+ * Lots can be added, edited and removed. The cigar's quantity, price and age are worked out from its lots.
+ * @param {Object} props - Component props
+ * @param {Object} props.cigar - The cigar whose lots to display
+ * @param {Object} props.db - Firestore database instance
+ * @param {string} props.appId - Application ID for Firestore paths
+ * @param {string} props.userId - Current user ID
+ * @param {boolean} [props.readOnly=false] - Hides the add, edit and remove buttons, for viewers of a shared humidor
+ */
+import React, { useState } from 'react';
+import { Package, Plus, Edit, Trash2 } from 'lucide-react';
+import { addCigarLot, updateCigarLot, removeCigarLot } from '../../services/lotService';
+import { getCigarLots, getCigarValue } from '../../utils/lotUtils';
+import { calculateAge } from '../utils/calculateAge';
+import { formatDate } from '../../utils/formatUtils';
+
+const EMPTY_FORM = { purchaseDate: '', vendor: '', unitPrice: '', count: '', boxCode: '', remaining: '' };
+
+const PurchaseLotsPanel = ({ cigar, db, appId, userId, readOnly = false }) => {
+    const [form, setForm] = useState(null); // null when the form is closed
+    const [editingLotId, setEditingLotId] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const lots = getCigarLots(cigar);
+
+    const openAddForm = () => {
+        setEditingLotId(null);
+        setForm({ ...EMPTY_FORM, purchaseDate: new Date().toISOString().split('T')[0], count: 1 });
+    };
+
+    const openEditForm = (lot) => {
+        setEditingLotId(lot.id);
+        setForm({
+            purchaseDate: lot.purchaseDate ? lot.purchaseDate.split('T')[0] : '',
+            vendor: lot.vendor || '',
+            unitPrice: lot.unitPrice || '',
+            count: lot.count,
+            boxCode: lot.boxCode || '',
+            remaining: lot.remaining
+        });
+    };
+
+    const closeForm = () => {
+        setForm(null);
+        setEditingLotId(null);
+    };
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setForm(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSave = async () => {
+        const count = Math.max(parseInt(form.count, 10) || 0, 0);
+        const details = {
+            purchaseDate: form.purchaseDate ? new Date(form.purchaseDate).toISOString() : new Date().toISOString(),
+            vendor: form.vendor.trim(),
+            unitPrice: Number(form.unitPrice) || 0,
+            count,
+            boxCode: form.boxCode.trim()
+        };
+        setIsSaving(true);
+        try {
+            if (editingLotId) {
+                const remaining = Math.min(Math.max(parseInt(form.remaining, 10) || 0, 0), count);
+                await updateCigarLot(db, appId, userId, cigar, editingLotId, { ...details, remaining });
+            } else {
+                await addCigarLot(db, appId, userId, cigar, details);
+            }
+            closeForm();
+        } catch (error) {
+            console.error("Error saving purchase lot:", error);
+            alert(`Could not save the purchase: ${error.message}`);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleRemove = async (lot) => {
+        if (!window.confirm(`Remove this purchase and the ${lot.remaining} cigar${lot.remaining !== 1 ? 's' : ''} left from it?`)) return;
+        try {
+            await removeCigarLot(db, appId, userId, cigar, lot.id);
+        } catch (error) {
+            console.error("Error removing purchase lot:", error);
+            alert(`Could not remove the purchase: ${error.message}`);
+        }
+    };
+
+    const Field = ({ name, label, type = 'text', placeholder }) => (
+        <div>
+            <label className="text-xs font-medium text-gray-400 mb-1 block">{label}</label>
+            <input type={type} name={name} value={form[name]} onChange={handleChange} placeholder={placeholder} className="w-full bg-gray-700 border border-gray-600 rounded-lg py-1.5 px-2 text-sm text-white placeholder-gray-500" />
+        </div>
+    );
+
+    return (
+        <div className="bg-gray-800/50 p-4 rounded-xl space-y-4">
+            <div className="flex justify-between items-center">
+                <h3 className="font-bold text-amber-300 text-lg flex items-center"><Package className="w-5 h-5 mr-2" /> Purchases</h3>
+                {!form && !readOnly && (
+                    <button onClick={openAddForm} className="flex items-center gap-1 text-sm text-amber-400 hover:text-amber-300 font-semibold">
+                        <Plus className="w-4 h-4" /> Add Purchase
+                    </button>
+                )}
+            </div>
+
+            <div className="space-y-2">
+                {lots.map(lot => (
+                    <div key={lot.id} className={`bg-gray-700/50 rounded-lg p-3 ${lot.remaining === 0 ? 'opacity-60' : ''}`}>
+                        <div className="flex justify-between items-start">
+                            <div>
+                                <p className="text-white text-sm font-semibold">
+                                    {formatDate(lot.purchaseDate)}{lot.vendor && <span className="text-gray-400 font-normal"> · {lot.vendor}</span>}
+                                </p>
+                                <p className="text-xs text-gray-400">
+                                    {lot.remaining} of {lot.count} left · ${Number(lot.unitPrice || 0).toFixed(2)} each
+                                    {lot.boxCode && ` · Box ${lot.boxCode}`}
+                                </p>
+                                {lot.remaining > 0 && <p className="text-xs text-gray-400">Aging {calculateAge(lot.purchaseDate)}</p>}
+                            </div>
+                            {!readOnly && <div className="flex gap-1">
+                                <button onClick={() => openEditForm(lot)} className="p-1.5 text-gray-400 hover:text-white" aria-label="Edit purchase"><Edit className="w-4 h-4" /></button>
+                                {lots.length > 1 && (
+                                    <button onClick={() => handleRemove(lot)} className="p-1.5 text-gray-400 hover:text-red-400" aria-label="Remove purchase"><Trash2 className="w-4 h-4" /></button>
+                                )}
+                            </div>}
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            {form && (
+                <div className="border-t border-gray-700 pt-4 space-y-3">
+                    <h4 className="font-bold text-white text-sm">{editingLotId ? 'Edit Purchase' : 'New Purchase'}</h4>
+                    <div className="grid grid-cols-2 gap-3">
+                        {Field({ name: 'purchaseDate', label: 'Purchase Date', type: 'date' })}
+                        {Field({ name: 'vendor', label: 'Vendor', placeholder: 'e.g., Local Shop' })}
+                        {Field({ name: 'unitPrice', label: 'Price per Cigar', type: 'number', placeholder: 'e.g., 12.50' })}
+                        {Field({ name: 'count', label: 'Cigars Bought', type: 'number' })}
+                        {Field({ name: 'boxCode', label: 'Box Code', placeholder: 'Optional' })}
+                        {editingLotId && Field({ name: 'remaining', label: 'Still in Humidor', type: 'number' })}
+                    </div>
+                    <div className="flex justify-end gap-3">
+                        <button onClick={closeForm} className="bg-gray-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors">Cancel</button>
+                        <button onClick={handleSave} disabled={isSaving} className="bg-amber-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-amber-600 transition-colors disabled:opacity-50">
+                            {isSaving ? 'Saving...' : 'Save'}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <div className="flex justify-between text-sm border-t border-gray-700 pt-3">
+                <span className="text-gray-400">Value of cigars left</span>
+                <span className="font-bold text-white">${getCigarValue(cigar).toFixed(2)}</span>
+            </div>
+        </div>
+    );
+};
+
+export default PurchaseLotsPanel;
@@ -0,0 +1,57 @@
+/**
+ * ShareInvitesPanel - Lists the humidors the user has been invited to share, to accept or decline
+ * @param {Object} props - Component props
+ * @param {Array} props.invites - Share documents with an invite for the user's email
+ * @param {Object} props.member - The current user, { uid, name, email }
+ * @param {Object} props.db - Firestore database instance
+ * @param {string} props.appId - Application ID for Firestore paths
+ */
+import React, { useState } from 'react';
+import { Mail } from 'lucide-react';
+import { acceptInvite, cancelInvite } from '../../services/shareService';
+import { SHARE_ROLE_LABELS, normalizeEmail } from '../../utils/shareUtils';
+
+const ShareInvitesPanel = ({ invites, member, db, appId }) => {
+    const [busyId, setBusyId] = useState(null);
+
+    const handleRespond = async (invite, accept) => {
+        setBusyId(invite.humidorId);
+        try {
+            if (accept) {
+                await acceptInvite(db, appId, invite, member);
+            } else {
+                await cancelInvite(db, appId, invite.humidorId, member.email);
+            }
+        } catch (error) {
+            console.error('Error answering humidor invite:', error);
+            alert(`Could not answer the invite: ${error.message}`);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    if (!invites.length || !member?.email) return null;
+
+    return (
+        <div id="pnlShareInvites" className="bg-amber-900/20 border border-amber-800 rounded-xl p-4 mb-6 space-y-3">
+            <h3 className="font-bold text-amber-200 text-lg flex items-center"><Mail className="w-5 h-5 mr-2" /> Humidor Invites</h3>
+            {invites.map(invite => {
+                const owner = invite.members?.[invite.ownerId];
+                const role = invite.invites?.[normalizeEmail(member.email)];
+                return (
+                    <div key={invite.humidorId} className="bg-gray-800/60 rounded-lg p-3">
+                        <p className="text-white text-sm">
+                            <span className="font-semibold">{owner?.name || 'Someone'}</span> invited you to <span className="font-semibold">{invite.humidorName}</span> as {role === 'editor' ? 'an' : 'a'} {SHARE_ROLE_LABELS[role]}.
+                        </p>
+                        <div className="flex gap-2 mt-3">
+                            <button onClick={() => handleRespond(invite, false)} disabled={busyId === invite.humidorId} className="flex-1 bg-gray-600 text-white font-bold py-2 rounded-lg hover:bg-gray-500 transition-colors disabled:opacity-50">Decline</button>
+                            <button onClick={() => handleRespond(invite, true)} disabled={busyId === invite.humidorId} className="flex-1 bg-amber-500 text-white font-bold py-2 rounded-lg hover:bg-amber-600 transition-colors disabled:opacity-50">Accept</button>
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default ShareInvitesPanel;
@@ -0,0 +1,59 @@
+import React, { useMemo } from 'react';
+import { Bookmark, ChevronDown, ChevronRight } from 'lucide-react';
+import { evaluateSmartCollection, describeSmartCollection } from '../../utils/smartCollectionUtils';
+
+/**
+ * SmartCollectionsPanel - Dashboard shortcuts to the user's smart collections (saved searches and filters).
+ * Each shortcut shows how many cigars the collection holds right now and opens the collection.
+ */
+const SmartCollectionsPanel = ({ smartCollections, cigars, humidors, journalEntries, navigate, theme, isCollapsed, onToggle }) => {
+    const shortcuts = useMemo(() => smartCollections
+        .map(smartCollection => {
+            const matching = evaluateSmartCollection(smartCollection, cigars, { humidors, journalEntries });
+            return {
+                smartCollection,
+                count: matching.reduce((sum, cigar) => sum + (cigar.quantity || 0), 0),
+                summary: describeSmartCollection(smartCollection, humidors)
+            };
+        })
+        .sort((a, b) => a.smartCollection.name.localeCompare(b.smartCollection.name)),
+    [smartCollections, cigars, humidors, journalEntries]);
+
+    return (
+        <div className="bg-gray-800/50 border border-gray-700 rounded-xl overflow-hidden">
+            <button onClick={onToggle} className="w-full p-4 flex justify-between items-center">
+                <h3 className={`font-bold ${theme.primary} text-lg flex items-center`}>
+                    <Bookmark className={`w-5 h-5 mr-2 ${theme.primary}`} /> Smart Collections
+                </h3>
+                <ChevronDown className={`w-5 h-5 ${theme.primary} transition-transform duration-300 ${isCollapsed ? '' : 'rotate-180'}`} />
+            </button>
+            {!isCollapsed && (
+                <div className="px-4 pb-4 space-y-2">
+                    {shortcuts.length > 0 ? (
+                        shortcuts.map(({ smartCollection, count, summary }) => (
+                            <button
+                                key={smartCollection.id}
+                                onClick={() => navigate('SmartCollection', { smartCollectionId: smartCollection.id })}
+                                className="w-full text-left p-3 rounded-lg bg-gray-700/30 hover:bg-gray-700/50 transition-all duration-200 border border-gray-600/30 flex items-center gap-3"
+                            >
+                                <div className="flex-1 min-w-0">
+                                    <h4 className="text-white font-semibold text-sm truncate">{smartCollection.name}</h4>
+                                    <p className="text-xs text-gray-400 truncate">{summary}</p>
+                                </div>
+                                <span className="text-sm font-bold text-amber-400 bg-amber-400/20 px-2 py-1 rounded-full">{count}</span>
+                                <ChevronRight className="w-4 h-4 text-gray-500" />
+                            </button>
+                        ))
+                    ) : (
+                        <div className="text-center py-4">
+                            <p className="text-gray-500 text-sm">No smart collections yet.</p>
+                            <p className="text-gray-600 text-xs mt-1">Search or filter a humidor, then tap the bookmark to save it here.</p>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SmartCollectionsPanel;
@@ -1,7 +1,9 @@
 export { default as LiveEnvironmentPanel } from './LiveEnvironmentPanel';
+export { default as EnvironmentHistoryPanel } from './EnvironmentHistoryPanel';
 export { default as InventoryAnalysisPanel } from './InventoryAnalysisPanel';
 export { default as MyCollectionStatsCards } from './MyCollectionStatsCards';
 export { default as AgingWellPanel } from './AgingWellPanel';
+export { default as SmartCollectionsPanel } from './SmartCollectionsPanel';
 export { default as BrowseByWrapper } from './BrowseByWrapper';
 export { default as BrowseByStrength } from './BrowseByStrength';
 export { default as BrowseByCountry } from './BrowseByCountry';
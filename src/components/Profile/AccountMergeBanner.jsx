@@ -0,0 +1,43 @@
+/**
+ * AccountMergeBanner - Shows a guest collection being copied to the account the user signed in to,
+ * and, if the copy didn't finish, lets the user try again or give up on it.
+ * @param {Object} props - Component props
+ * @param {Object} props.merge - { progress, error } for the copy under way
+ * @param {Function} props.onRetry - Function to copy the collection again
+ * @param {Function} props.onDiscard - Function to stop keeping the collection on this device
+ */
+import React from 'react';
+import { AlertTriangle, LoaderCircle } from 'lucide-react';
+
+const AccountMergeBanner = ({ merge, onRetry, onDiscard }) => {
+    const handleDiscard = () => {
+        if (window.confirm("Your guest collection won't be copied to this account and will no longer be kept on this device. Discard it?")) onDiscard();
+    };
+
+    return (
+        <div id="pnlAccountMerge" className="fixed top-4 inset-x-4 max-w-md mx-auto z-50 bg-gray-800 border border-amber-400/30 rounded-xl p-4 shadow-lg">
+            {merge.error ? (
+                <>
+                    <p className="flex items-center font-bold text-amber-300 mb-1">
+                        <AlertTriangle className="w-5 h-5 mr-2" /> Your guest collection wasn't copied
+                    </p>
+                    <p className="text-sm text-gray-300 mb-3">{merge.error} Everything copied so far is kept, and trying again won't add it twice.</p>
+                    <div className="flex gap-3">
+                        <button onClick={handleDiscard} className="flex-1 bg-gray-600 text-white font-bold py-2 rounded-lg hover:bg-gray-500 transition-colors">Discard</button>
+                        <button onClick={onRetry} className="flex-1 bg-amber-500 text-white font-bold py-2 rounded-lg hover:bg-amber-600 transition-colors">Try Again</button>
+                    </div>
+                </>
+            ) : (
+                <div className="flex items-center gap-3">
+                    <LoaderCircle className="w-6 h-6 text-amber-500 animate-spin flex-shrink-0" />
+                    <div>
+                        <p className="text-gray-300">Copying your guest collection...</p>
+                        <p className="text-xs text-gray-400">{merge.progress} changes saved</p>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AccountMergeBanner;
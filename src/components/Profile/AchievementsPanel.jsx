@@ -1,11 +1,12 @@
 import React, { useMemo, useState } from 'react';
 import { ChevronDown, Box, MapPin, Database, Star, DollarSign } from 'lucide-react';
+import { getCigarValue } from '../../utils/lotUtils';
 
 const AchievementsPanel = ({ cigars, humidors, theme }) => {
     const [isAchievementsCollapsed, setIsAchievementsCollapsed] = useState(true);
     
     const totalCigars = cigars.reduce((sum, c) => sum + c.quantity, 0);
-    const totalValue = cigars.reduce((acc, cigar) => acc + ((cigar.price || 0) * cigar.quantity), 0);
+    const totalValue = cigars.reduce((acc, cigar) => acc + getCigarValue(cigar), 0);
     const uniqueCountries = useMemo(() => [...new Set(cigars.map(c => c.country).filter(Boolean))], [cigars]);
 
     const achievementsList = useMemo(() => [
@@ -2,6 +2,10 @@ import React from 'react';
 import { Zap } from 'lucide-react';
 
 const SubscriptionPanel = ({ subscription }) => {
+    const { aiLookupsUsed, aiLookupsLimit, aiLookupsResetOn } = subscription;
+    const isAtLimit = aiLookupsUsed >= aiLookupsLimit;
+    const usedPercent = aiLookupsLimit > 0 ? Math.min((aiLookupsUsed / aiLookupsLimit) * 100, 100) : 100;
+
     return (
         <div id="pnlSubscription" className="bg-gradient-to-r from-amber-500/20 to-yellow-500/20 p-4 rounded-xl border border-amber-400/50 shadow-lg">
             <div className="flex justify-between items-center mb-4">
@@ -22,11 +26,17 @@ const SubscriptionPanel = ({ subscription }) => {
                 <div>
                     <div className="flex justify-between mb-1">
                         <span className="text-gray-300">AI Lookups this month:</span>
-                        <span className="font-semibold text-white">{subscription.aiLookupsUsed} / {subscription.aiLookupsLimit}</span>
+                        <span className={`font-semibold ${isAtLimit ? 'text-red-400' : 'text-white'}`}>{aiLookupsUsed} / {aiLookupsLimit}</span>
                     </div>
                     <div className="w-full bg-gray-700 rounded-full h-2">
-                        <div className="bg-amber-500 h-2 rounded-full" style={{ width: `${(subscription.aiLookupsUsed / subscription.aiLookupsLimit) * 100}%` }}></div>
+                        <div className={`${isAtLimit ? 'bg-red-500' : 'bg-amber-500'} h-2 rounded-full`} style={{ width: `${usedPercent}%` }}></div>
                     </div>
+                    {aiLookupsResetOn && (
+                        <p className={`text-xs mt-1 ${isAtLimit ? 'text-red-300' : 'text-gray-400'}`}>
+                            {isAtLimit ? "Roxy's out of lookups. Saved answers still work. " : ''}
+                            Resets on {aiLookupsResetOn.toLocaleDateString('en-US', { month: 'long', day: 'numeric' })}.
+                        </p>
+                    )}
                 </div>
             </div>
             {/* 
@@ -0,0 +1,167 @@
+/**
+ * UpgradeAccountPanel - Lets a guest (anonymous) user keep their collection by adding an email and
+ * password or a Google account to it. If that sign-in already has an account, offers to sign in to it
+ * and copy the guest collection over instead.
+ * @param {Object} props - Component props
+ * @param {Object} props.db - Firestore database instance
+ * @param {Object} props.auth - Firebase auth instance
+ * @param {string} props.appId - Application ID for Firestore paths
+ * @param {string} props.userId - The anonymous user's ID
+ * @param {Function} props.onUpgraded - Function to call once the guest account has been linked
+ * @param {Function} props.onMerge - async (credential, archive) => signs in to the existing account and
+ * starts copying the collection there; the app reports the copy, since this panel closes as the account changes
+ */
+import React, { useCallback, useEffect, useState } from 'react';
+import { ShieldCheck, LoaderCircle } from 'lucide-react';
+import { getAuthErrorMessage } from '../../utils/authUtils';
+import {
+    linkAnonymousWithEmail, linkAnonymousWithGoogle, getGoogleLinkResult, prepareAccountMerge, ACCOUNT_LINK_STATUS
+} from '../../services/accountService';
+
+const UpgradeAccountPanel = ({ db, auth, appId, userId, onUpgraded, onMerge }) => {
+    const [step, setStep] = useState('choose');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [isBusy, setIsBusy] = useState(false);
+    const [error, setError] = useState('');
+    const [merge, setMerge] = useState(null);
+
+    // Reports a sign-in that was added, or offers to copy the collection to the account it already belongs to.
+    const showLinkResult = useCallback(async (result) => {
+        if (result.status === ACCOUNT_LINK_STATUS.linked) {
+            alert(result.user.emailVerified
+                ? `Woof! Your collection is now saved to ${result.user.email || 'your account'}.`
+                : `Woof! Your collection is now saved to ${result.user.email}. Check your inbox to verify the address.`);
+            onUpgraded();
+            return;
+        }
+        const { archive, counts } = await prepareAccountMerge(db, appId, userId);
+        setMerge({ ...result, archive, counts });
+        setStep('merge');
+    }, [db, appId, userId, onUpgraded]);
+
+    const showLinkError = useCallback((linkError) => {
+        console.error('Error upgrading account:', linkError);
+        setError(getAuthErrorMessage(linkError));
+    }, []);
+
+    // In the native app, adding Google leaves the app and comes back with a reload; pick up the result here.
+    useEffect(() => {
+        getGoogleLinkResult(auth)
+            .then(result => result && showLinkResult(result))
+            .catch(showLinkError);
+    }, [auth, showLinkResult, showLinkError]);
+
+    const handleLink = async (link) => {
+        setIsBusy(true);
+        setError('');
+        try {
+            const result = await link();
+            if (result) await showLinkResult(result);
+        } catch (linkError) {
+            showLinkError(linkError);
+        } finally {
+            setIsBusy(false);
+        }
+    };
+
+    const handleCancelMerge = () => {
+        setMerge(null);
+        setStep('choose');
+    };
+
+    const handleMerge = async () => {
+        setStep('merging');
+        try {
+            await onMerge(merge.credential, merge.archive);
+        } catch (mergeError) {
+            console.error('Error merging accounts:', mergeError);
+            setError(getAuthErrorMessage(mergeError));
+            handleCancelMerge();
+        }
+    };
+
+    const renderContent = () => {
+        switch (step) {
+            case 'choose':
+                return (
+                    <>
+                        <p className="text-sm text-gray-300 mb-4">
+                            You're using a guest account. Add a sign-in so your collection isn't lost if you sign out or switch devices.
+                        </p>
+                        <form onSubmit={(e) => { e.preventDefault(); handleLink(() => linkAnonymousWithEmail(auth, email, password)); }} className="flex flex-col gap-3">
+                            <input
+                                className="p-3 rounded-lg bg-gray-700 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-amber-400"
+                                type="email"
+                                placeholder="Email"
+                                value={email}
+                                onChange={e => setEmail(e.target.value)}
+                                required
+                            />
+                            <input
+                                className="p-3 rounded-lg bg-gray-700 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-amber-400"
+                                type="password"
+                                placeholder="Password"
+                                value={password}
+                                onChange={e => setPassword(e.target.value)}
+                                required
+                            />
+                            <button type="submit" disabled={isBusy} className="flex items-center justify-center gap-2 bg-amber-500 text-white font-bold py-2 rounded-lg hover:bg-amber-600 transition-colors disabled:opacity-50">
+                                {isBusy && <LoaderCircle className="w-4 h-4 animate-spin" />} Save with Email
+                            </button>
+                        </form>
+                        <div className="my-3 flex items-center">
+                            <div className="flex-grow border-t border-gray-700"></div>
+                            <span className="mx-3 text-gray-500 text-sm">or</span>
+                            <div className="flex-grow border-t border-gray-700"></div>
+                        </div>
+                        <button
+                            type="button"
+                            onClick={() => handleLink(() => linkAnonymousWithGoogle(auth))}
+                            disabled={isBusy}
+                            className="w-full bg-blue-600 text-white font-bold py-2 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+                        >
+                            Save with Google
+                        </button>
+                    </>
+                );
+            case 'merge':
+                return (
+                    <>
+                        <p className="text-sm text-gray-300 mb-3">
+                            {merge.email || 'That account'} already has a Humidor Hub account. Sign in to it and copy this collection over?
+                        </p>
+                        <div className="bg-gray-700/50 rounded-lg p-3 text-sm text-gray-300 mb-3">
+                            <p>{merge.counts.humidors} humidors · {merge.counts.cigars} cigars · {merge.counts.journalEntries} journal entries</p>
+                            <p>{merge.counts.smokingSessions} smoking sessions · {merge.counts.readings} environment readings</p>
+                        </div>
+                        <p className="text-xs text-gray-400 mb-4">Everything is added alongside what's already in that account. Nothing there is overwritten.</p>
+                        <div className="flex gap-3">
+                            <button onClick={handleCancelMerge} className="flex-1 bg-gray-600 text-white font-bold py-2 rounded-lg hover:bg-gray-500 transition-colors">Cancel</button>
+                            <button onClick={handleMerge} className="flex-1 bg-amber-500 text-white font-bold py-2 rounded-lg hover:bg-amber-600 transition-colors">Sign In & Copy</button>
+                        </div>
+                    </>
+                );
+            case 'merging':
+                return (
+                    <div className="flex flex-col items-center justify-center py-6">
+                        <LoaderCircle className="w-10 h-10 text-amber-500 animate-spin" />
+                        <p className="mt-4 text-gray-300">Signing in...</p>
+                    </div>
+                );
+            default: return null;
+        }
+    };
+
+    return (
+        <div id="pnlUpgradeAccount" className="bg-gray-800/50 p-4 rounded-xl border border-amber-400/30">
+            <h3 className="font-bold text-amber-300 text-lg flex items-center mb-3">
+                <ShieldCheck className="w-5 h-5 mr-2" /> Save Your Collection
+            </h3>
+            {renderContent()}
+            {error && <p className="text-sm text-red-300 mt-3">{error}</p>}
+        </div>
+    );
+};
+
+export default UpgradeAccountPanel;
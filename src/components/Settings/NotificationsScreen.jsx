@@ -9,17 +9,30 @@
  * This component renders the Notifications settings screen for the Humidor Hub app.
  * It allows users to view and (in the future) configure notification preferences for
  * in-app, email, and push notifications related to their humidor collection.
- * The screen also displays a history of recent alerts for humidity and temperature.
+ * The screen also displays the alert thresholds configured for each humidor and a
+ * live history of recent humidity and temperature alerts.
  * 
  * Props:
  * - navigate: function to change screens
- * - humidors: array of user's humidors (for future notification targeting)
+ * - humidors: array of user's humidors (used to show their alert thresholds)
+ * - db, appId, userId: Firestore context used to subscribe to recent alerts
  */
 
-import React from 'react';
-import { ChevronLeft } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { ChevronLeft, Bell } from 'lucide-react';
+import { getAlertSettings, formatAlertMessage } from '../../utils/alertUtils';
+import { subscribeToRecentAlerts } from '../../services/environmentService';
+import { formatDate } from '../../utils/formatUtils';
+
+const NotificationsScreen = ({ navigate, humidors, db, appId, userId }) => {
+    const [recentAlerts, setRecentAlerts] = useState([]);
+
+    // Keep the recent alerts list in sync with Firestore while this screen is open.
+    useEffect(() => {
+        if (!db || !userId) return;
+        return subscribeToRecentAlerts(db, appId, userId, setRecentAlerts);
+    }, [db, appId, userId]);
 
-const NotificationsScreen = ({ navigate, humidors }) => {
     return (
         <div className="p-4 pb-24">
             <div className="flex items-center mb-6">
@@ -49,14 +62,41 @@ const NotificationsScreen = ({ navigate, humidors }) => {
                         </div>
                     </div>
                 </div>
+                <div className="bg-gray-800/50 p-4 rounded-xl">
+                    <div className="flex justify-between items-center mb-2">
+                        <h3 className="font-bold text-xl text-amber-300">Alert Thresholds</h3>
+                        <button onClick={() => navigate('Alerts')} className="text-amber-400 text-sm font-semibold">Edit</button>
+                    </div>
+                    <ul className="text-sm text-gray-300 space-y-2">
+                        {humidors.map(humidor => {
+                            const settings = getAlertSettings(humidor);
+                            return (
+                                <li key={humidor.id} className="flex justify-between">
+                                    <span>{humidor.name}</span>
+                                    <span className="text-gray-400">
+                                        {settings.humidityAlert ? `${settings.minHumidity}–${settings.maxHumidity}%` : 'Humidity off'}
+                                        {' · '}
+                                        {settings.tempAlert ? `${settings.minTemp}–${settings.maxTemp}°F` : 'Temp off'}
+                                    </span>
+                                </li>
+                            );
+                        })}
+                        {humidors.length === 0 && <li>Add a humidor to set up alerts.</li>}
+                    </ul>
+                </div>
                 <div className="bg-gray-800/50 p-4 rounded-xl">
                     <h3 className="font-bold text-xl text-amber-300 mb-2">Recent Alerts</h3>
                     <p className="text-gray-400 text-sm mb-4">
                         Here you’ll see a history of recent humidity and temperature alerts for your humidors.
                     </p>
                     <ul className="text-sm text-gray-300 space-y-2">
-                        <li>No recent alerts. All your humidors are in the safe zone!</li>
-                        {/* Example: <li>Humidity dropped below 68% in "Office Humidor" (July 7, 2025)</li> */}
+                        {recentAlerts.length === 0 && <li>No recent alerts. All your humidors are in the safe zone!</li>}
+                        {recentAlerts.map(alert => (
+                            <li key={alert.id} className="flex items-start gap-2">
+                                <Bell className={`w-4 h-4 mt-0.5 flex-shrink-0 ${alert.type === 'humidity' ? 'text-blue-400' : 'text-red-400'}`} />
+                                <span>{formatAlertMessage(alert)} ({formatDate(alert.timestamp)})</span>
+                            </li>
+                        ))}
                     </ul>
                 </div>
             </div>
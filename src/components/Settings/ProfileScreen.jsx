@@ -9,25 +9,42 @@
  * - User avatar, name, and email display
  * - Achievements panel showing user statistics
  * - Subscription status and usage information
- * - Logout functionality with Firebase auth integration
+ * - Upgrading a guest (anonymous) account to email or Google sign-in
+ * - Logout functionality with Firebase auth integration, on this device or everywhere
+ * - Account deletion, which also deletes the user's data
  * 
  * @component
  * @param {Object} props - Component props
  * @param {Function} props.navigate - Navigation function
  * @param {Array} props.cigars - User's cigar collection
  * @param {Array} props.humidors - User's humidor collection
+ * @param {Object|null} props.aiUsage - This month's AI usage ledger, or null if nothing has been used yet
  * @param {string} props.theme - Current theme setting
  * @param {string} props.userId - Current user ID
  * @param {Object} props.auth - Firebase auth instance
+ * @param {Object} props.db - Firestore database instance
+ * @param {string} props.appId - Application ID for Firestore paths
+ * @param {Function} props.onMergeAccount - Copies a guest collection to an existing account (see UpgradeAccountPanel)
  */
 
-import React, { useMemo, useState } from 'react';
-import { ChevronLeft, LogOut } from 'lucide-react';
+import React, { useCallback, useMemo, useState } from 'react';
+import { ChevronLeft, LogOut, MonitorSmartphone, Trash2 } from 'lucide-react';
 import AchievementsPanel from '../Profile/AchievementsPanel';
 import SubscriptionPanel from '../Profile/SubscriptionPanel';
+import UpgradeAccountPanel from '../Profile/UpgradeAccountPanel';
+import DeleteAccountModal from '../Modals/Actions/DeleteAccountModal';
 import GeminiKeySection from '../../services/GeminiKeySection';
+import { SUBSCRIPTION_PLANS, DEFAULT_SUBSCRIPTION_PLAN } from '../../constants/subscriptionPlans';
+import { summarizeAiUsage } from '../../utils/aiUsageUtils';
+import { getAuthErrorMessage } from '../../utils/authUtils';
+import { signOutEverywhere } from '../../services/accountService';
+
+const ProfileScreen = ({ navigate, cigars, humidors, aiUsage = null, theme, userId, auth, db, appId, onMergeAccount }) => {
+    // Linking a guest account keeps the same user ID, so nothing re-renders this screen on its own.
+    const [, setUserVersion] = useState(0);
+    const handleUpgraded = useCallback(() => setUserVersion(version => version + 1), []);
+    const [showDeleteAccount, setShowDeleteAccount] = useState(false);
 
-const ProfileScreen = ({ navigate, cigars, humidors, theme, userId, auth }) => {
     console.log('ProfileScreen rendered with props:', {
         navigate: typeof navigate,
         cigarsCount: cigars?.length,
@@ -36,16 +53,17 @@ const ProfileScreen = ({ navigate, cigars, humidors, theme, userId, auth }) => {
         userId
     });
 
-    // --- MOCK SUBSCRIPTION DATA ---
+    // AI lookups come from the usage ledger; billing status is still mock data.
+    const usage = summarizeAiUsage(aiUsage, DEFAULT_SUBSCRIPTION_PLAN);
     const subscription = {
-        plan: 'Premium',
+        plan: SUBSCRIPTION_PLANS[DEFAULT_SUBSCRIPTION_PLAN].label,
         status: 'Active',
         renewsOn: 'August 14, 2025',
-        aiLookupsUsed: 27,
-        aiLookupsLimit: 100,
+        aiLookupsUsed: usage.used,
+        aiLookupsLimit: usage.limit,
+        aiLookupsResetOn: usage.resetsOn,
     };
-    console.log('Mock subscription data:', subscription);
-    // --- END OF MOCK DATA ---
+    console.log('Subscription data:', subscription);
 
     const user = auth?.currentUser;
     console.log('Current user from auth:', user ? {
@@ -81,6 +99,17 @@ const ProfileScreen = ({ navigate, cigars, humidors, theme, userId, auth }) => {
         }
     };
 
+    const handleSignOutEverywhere = async () => {
+        if (!window.confirm('Sign out of Humidor Hub on all your devices, including this one?')) return;
+        try {
+            await signOutEverywhere(db, auth, appId);
+            window.location.reload();
+        } catch (error) {
+            console.error('Error signing out everywhere:', error);
+            alert(getAuthErrorMessage(error));
+        }
+    };
+
     return (
         <div className="p-4 pb-24">
             <div id="pnlProfileHeader" className="flex items-center mb-6">
@@ -97,6 +126,11 @@ const ProfileScreen = ({ navigate, cigars, humidors, theme, userId, auth }) => {
                     <p className="text-gray-400">{email}</p>
                 </div>
 
+                {/* --- Upgrade Guest Account Panel --- */}
+                {user?.isAnonymous && (
+                    <UpgradeAccountPanel db={db} auth={auth} appId={appId} userId={userId} onUpgraded={handleUpgraded} onMerge={onMergeAccount} />
+                )}
+
                 {/* --- Achievements Panel --- */}
                 <AchievementsPanel cigars={cigars} humidors={humidors} theme={theme} />
 
@@ -112,7 +146,30 @@ const ProfileScreen = ({ navigate, cigars, humidors, theme, userId, auth }) => {
                 >
                     <LogOut className="w-5 h-5" />Log Out
                 </button>
+                {!user?.isAnonymous && (
+                    <button
+                        className="w-full flex items-center justify-center gap-2 bg-gray-700 text-white font-bold py-3 rounded-lg hover:bg-gray-600 transition-colors"
+                        onClick={handleSignOutEverywhere}
+                    >
+                        <MonitorSmartphone className="w-5 h-5" />Log Out Everywhere
+                    </button>
+                )}
+                <button
+                    className="w-full flex items-center justify-center gap-2 text-red-400 font-semibold py-2 hover:text-red-300 transition-colors"
+                    onClick={() => setShowDeleteAccount(true)}
+                >
+                    <Trash2 className="w-4 h-4" />Delete Account
+                </button>
             </div>
+            {showDeleteAccount && (
+                <DeleteAccountModal
+                    db={db}
+                    auth={auth}
+                    appId={appId}
+                    onClose={() => setShowDeleteAccount(false)}
+                    onDeleted={() => window.location.reload()}
+                />
+            )}
         </div>
     );
 };
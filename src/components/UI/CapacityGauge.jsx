@@ -0,0 +1,36 @@
+/**
+ * CapacityGauge - Bar showing how full a humidor is, turning red when nearly full or over capacity
+ * @param {Object} props - Component props
+ * @param {Object} props.fill - The humidor's fill, from getHumidorFill
+ * @param {Object} props.theme - Theme object for styling
+ * @param {boolean} [props.showDetails=false] - Whether to show the spaces used under the bar
+ */
+import React from 'react';
+import { CAPACITY_MODES } from '../../utils/capacityUtils';
+
+const CapacityGauge = ({ fill, theme, showDetails = false }) => {
+    if (fill.status === 'unknown') {
+        return <p className="text-xs text-gray-400">Set this humidor's size to track its capacity.</p>;
+    }
+    const barColor = fill.status === 'ok' ? theme.primaryBg : 'bg-red-500';
+    const unit = fill.mode === CAPACITY_MODES.ringGauge ? 'spaces' : 'cigars';
+
+    return (
+        <div>
+            <div className="relative w-full bg-gray-700 rounded-full h-6 mt-1">
+                <div style={{ width: `${Math.min(fill.percent, 100)}%` }} className={`h-full rounded-full ${barColor} transition-all duration-500`}></div>
+                <span className="absolute inset-0 flex items-center justify-center text-sm font-bold text-white">
+                    {fill.status === 'over' ? `Over Capacity (${fill.percent}%)` : `${fill.percent}% Full`}
+                </span>
+            </div>
+            {showDetails && (
+                <p className={`text-xs mt-1 ${fill.status === 'over' ? 'text-red-400' : 'text-gray-400'}`}>
+                    {fill.total} of {fill.capacity} {unit} used
+                    {fill.mode === CAPACITY_MODES.ringGauge && ' (weighted by ring gauge)'}
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default CapacityGauge;
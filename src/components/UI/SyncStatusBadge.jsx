@@ -0,0 +1,35 @@
+/**
+ * SyncStatusBadge - Small pill showing whether the collection is offline or still syncing
+ * Hidden when everything is online and saved to the server.
+ * @param {Object} props - Component props
+ * @param {Object} props.syncStatus - { isOnline, hasPendingWrites, fromCache, queuedAiCalls }
+ */
+import React from 'react';
+import { CloudOff, RefreshCw } from 'lucide-react';
+
+const SyncStatusBadge = ({ syncStatus }) => {
+    if (!syncStatus) return null;
+    const { isOnline, hasPendingWrites, fromCache, queuedAiCalls } = syncStatus;
+
+    let label = null;
+    if (!isOnline) {
+        label = hasPendingWrites ? 'Offline · changes saved on device' : 'Offline';
+        if (queuedAiCalls > 0) label += ` · ${queuedAiCalls} Roxy request${queuedAiCalls > 1 ? 's' : ''} waiting`;
+    } else if (hasPendingWrites) {
+        label = 'Syncing changes...';
+    } else if (fromCache) {
+        label = 'Connecting...';
+    }
+
+    if (!label) return null;
+
+    const Icon = isOnline ? RefreshCw : CloudOff;
+    return (
+        <div className={`absolute -top-8 left-1/2 -translate-x-1/2 flex items-center gap-1.5 px-3 py-1 rounded-full text-xs font-semibold whitespace-nowrap shadow-lg ${isOnline ? 'bg-blue-900/90 text-blue-200' : 'bg-gray-700/95 text-amber-300'}`}>
+            <Icon className={`w-3.5 h-3.5 ${isOnline ? 'animate-spin' : ''}`} />
+            {label}
+        </div>
+    );
+};
+
+export default SyncStatusBadge;
@@ -0,0 +1,27 @@
+// The AI providers Roxy can use, and the models offered for each in the Settings model picker.
+// `needsKey` providers won't be called until the user has saved an API key for them.
+export const AI_PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        defaultModel: 'gemini-1.5-flash',
+        models: ['gemini-1.5-flash', 'gemini-1.5-pro', 'gemini-2.0-flash'],
+        defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        needsKey: true
+    },
+    openai: {
+        label: 'OpenAI-compatible',
+        defaultModel: 'gpt-4o-mini',
+        models: ['gpt-4o-mini', 'gpt-4o'],
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        needsKey: true
+    },
+    ollama: {
+        label: 'Local (Ollama)',
+        defaultModel: 'llama3.1',
+        models: ['llama3.1', 'mistral', 'gemma2'],
+        defaultBaseUrl: 'http://localhost:11434',
+        needsKey: false
+    }
+};
+
+export const DEFAULT_AI_PROVIDER = 'gemini';
@@ -1,5 +1,9 @@
 // Field definitions for data import/export and form validation
 // These constants define the structure and validation rules for humidor and cigar data
+// `options` lists the known values for a field; imports warn about values outside the list.
+// `wholeNumber` marks a number field that must be a whole number of zero or more.
+
+import { strengthOptions, cigarShapes } from './cigarOptions';
 
 export const APP_HUMIDOR_FIELDS = [
     { key: 'name', label: 'Humidor Name', required: true },
@@ -19,7 +23,7 @@ export const APP_CIGAR_FIELDS = [
     { key: 'name', label: 'Cigar Name', required: true },
     { key: 'brand', label: 'Brand', required: true },
     { key: 'line', label: 'Product Line', required: false },
-    { key: 'shape', label: 'Shape', required: false },
+    { key: 'shape', label: 'Shape', required: false, options: cigarShapes },
     { key: 'isBoxPress', label: 'Is Box Pressed', required: false, type: 'boolean' },
     { key: 'isPuro', label: 'Is Puro', required: false, type: 'boolean' },
     { key: 'length_inches', label: 'Length (in)', required: false, type: 'number' },
@@ -29,12 +33,12 @@ export const APP_CIGAR_FIELDS = [
     { key: 'wrapper', label: 'Wrapper', required: false },
     { key: 'binder', label: 'Binder', required: false },
     { key: 'filler', label: 'Filler', required: false },
-    { key: 'strength', label: 'Strength', required: false },
+    { key: 'strength', label: 'Strength', required: false, options: strengthOptions },
     { key: 'flavorNotes', label: 'Flavor Notes (semicolon-separated)', required: false, type: 'array' },
     { key: 'rating', label: 'Rating (Official)', required: false, type: 'number' },
     { key: 'userRating', label: 'My Rating', required: false, type: 'number' },
     { key: 'price', label: 'Price', required: false, type: 'number' },
-    { key: 'quantity', label: 'Quantity', required: true, type: 'number' },
+    { key: 'quantity', label: 'Quantity', required: true, type: 'number', wholeNumber: true },
     { key: 'image', label: 'Image URL', required: false },
     { key: 'shortDescription', label: 'Short Description', required: false },
     { key: 'description', label: 'Long Description', required: false },
@@ -0,0 +1,14 @@
+// Subscription plans and how many AI lookups (calls to Roxy's AI provider) each allows per calendar month.
+// Answers served from Roxy's cache don't count as lookups.
+export const SUBSCRIPTION_PLANS = {
+    free: {
+        label: 'Free',
+        aiLookupsLimit: 10
+    },
+    premium: {
+        label: 'Premium',
+        aiLookupsLimit: 100
+    }
+};
+
+export const DEFAULT_SUBSCRIPTION_PLAN = 'premium';
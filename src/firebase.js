@@ -6,7 +6,7 @@
 
 // Import the functions you need from the SDKs you need
 import { initializeApp } from "firebase/app";
-import { getFirestore } from "firebase/firestore";
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager } from "firebase/firestore";
 import { getAuth } from "firebase/auth";
 
 // Your web app's Firebase configuration
@@ -26,6 +26,11 @@ const app = initializeApp(firebaseConfig);
 
 // Initialize Firestore and Auth
 // These exports can be used in other parts of your application to interact with Firestore and Auth
-export const db = getFirestore(app);
+// Firestore keeps a persistent IndexedDB cache so the collection stays readable and editable offline
+// (e.g., in a walk-in humidor with no signal). Writes are queued locally and synced when back online.
+// This must run before anything calls getFirestore(), which then returns this same instance.
+export const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+});
 export const auth = getAuth(app);
 export const firebaseConfigExport = firebaseConfig; // This line is fine and can stay
\ No newline at end of file
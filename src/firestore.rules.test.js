@@ -0,0 +1,220 @@
+/**
+ * @jest-environment node
+ */
+// Tests firestore.rules against the Firestore emulator. They only run when it is available, so run
+// them whenever the rules change; `firebase deploy` runs them before deploying the rules:
+//   npm run test:rules            starts the emulator, runs these tests and stops it
+// or, with `npm run emulators` already running:
+//   FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 npm test -- firestore.rules
+import { readFileSync } from 'fs';
+import path from 'path';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { collection, deleteDoc, doc, getDoc, getDocs, query, setDoc, updateDoc, where } from 'firebase/firestore';
+
+const APP_ID = 'humidor-hub-test';
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+const userPath = (uid, ...segments) => ['artifacts', APP_ID, 'users', uid, ...segments].join('/');
+const sharePath = (humidorId) => `artifacts/${APP_ID}/humidorShares/${humidorId}`;
+
+const HUMIDOR = { name: 'Cabinet', temp: 68, humidity: 70, location: 'Office', goveeDeviceId: null };
+const CIGAR = { name: 'Hemingway', brand: 'Arturo Fuente', humidorId: 'h1', quantity: 5, price: 12.5, flavorNotes: ['Cedar'] };
+const JOURNAL_ENTRY = { cigarId: 'c1', cigarName: 'Hemingway', dateSmoked: '2025-07-01T20:00:00.000Z', experienceRating: 4, burnTimeMinutes: 60 };
+
+describeWithEmulator('firestore.rules', () => {
+    let testEnv;
+
+    const dbFor = (uid, token) => testEnv.authenticatedContext(uid, token).firestore();
+    const seed = (docPath, data) => testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), docPath), data));
+
+    beforeAll(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: 'demo-humidor-hub',
+            firestore: { rules: readFileSync(path.resolve(__dirname, '../firestore.rules'), 'utf8') }
+        });
+    });
+
+    afterAll(() => testEnv.cleanup());
+
+    beforeEach(() => testEnv.clearFirestore());
+
+    describe('each user\'s collection', () => {
+        test('is only readable and writable by that user', async () => {
+            await seed(userPath('alice', 'alerts', 'a1'), { humidorId: 'h1' });
+            await assertSucceeds(getDoc(doc(dbFor('alice'), userPath('alice', 'alerts', 'a1'))));
+            await assertSucceeds(setDoc(doc(dbFor('alice'), userPath('alice', 'smartCollections', 's1')), { name: 'Maduros' }));
+            await assertFails(getDoc(doc(dbFor('bob'), userPath('alice', 'alerts', 'a1'))));
+            await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), userPath('alice', 'alerts', 'a1'))));
+        });
+    });
+
+    describe('humidors', () => {
+        test('need a name and a sensible temperature and humidity', async () => {
+            const db = dbFor('alice');
+            await assertSucceeds(setDoc(doc(db, userPath('alice', 'humidors', 'h1')), HUMIDOR));
+            await assertFails(setDoc(doc(db, userPath('alice', 'humidors', 'h2')), { ...HUMIDOR, name: '  ' }));
+            await assertFails(setDoc(doc(db, userPath('alice', 'humidors', 'h2')), { temp: 68 }));
+            await assertFails(setDoc(doc(db, userPath('alice', 'humidors', 'h2')), { ...HUMIDOR, humidity: 150 }));
+            await assertFails(updateDoc(doc(db, userPath('alice', 'humidors', 'h1')), { temp: 'warm' }));
+        });
+
+        test('accept numbers saved as text by older versions of the app', async () => {
+            await seed(userPath('alice', 'humidors', 'h1'), HUMIDOR);
+            await assertSucceeds(updateDoc(doc(dbFor('alice'), userPath('alice', 'humidors', 'h1')), { temp: '68', humidity: '69.5' }));
+        });
+
+        test('can be deleted, along with their readings, by their owner', async () => {
+            await seed(userPath('alice', 'humidors', 'h1'), HUMIDOR);
+            const db = dbFor('alice');
+            await assertSucceeds(setDoc(doc(db, userPath('alice', 'humidors', 'h1', 'readings', 'r1')), { temp: 68, humidity: 70 }));
+            await assertSucceeds(deleteDoc(doc(db, userPath('alice', 'humidors', 'h1', 'readings', 'r1'))));
+            await assertSucceeds(deleteDoc(doc(db, userPath('alice', 'humidors', 'h1'))));
+        });
+    });
+
+    describe('cigars', () => {
+        test('need a name, brand, humidor and a whole, non-negative quantity', async () => {
+            const db = dbFor('alice');
+            await assertSucceeds(setDoc(doc(db, userPath('alice', 'cigars', 'c1')), CIGAR));
+            await assertFails(setDoc(doc(db, userPath('alice', 'cigars', 'c2')), { ...CIGAR, quantity: -3 }));
+            await assertFails(setDoc(doc(db, userPath('alice', 'cigars', 'c2')), { ...CIGAR, quantity: 2.5 }));
+            const { brand, ...withoutBrand } = CIGAR;
+            await assertFails(setDoc(doc(db, userPath('alice', 'cigars', 'c2')), withoutBrand));
+        });
+
+        test('reject numbers of the wrong type or out of range', async () => {
+            const db = dbFor('alice');
+            await assertFails(setDoc(doc(db, userPath('alice', 'cigars', 'c2')), { ...CIGAR, price: 'twelve' }));
+            await assertFails(setDoc(doc(db, userPath('alice', 'cigars', 'c2')), { ...CIGAR, price: -12 }));
+            await assertFails(setDoc(doc(db, userPath('alice', 'cigars', 'c2')), { ...CIGAR, userRating: 7 }));
+            await assertFails(setDoc(doc(db, userPath('alice', 'cigars', 'c2')), { ...CIGAR, isPuro: 'yes' }));
+            await assertFails(setDoc(doc(db, userPath('alice', 'cigars', 'c2')), { ...CIGAR, flavorNotes: 'Cedar' }));
+        });
+
+        test('only check the fields an update changes, so older cigars can still be edited', async () => {
+            await seed(userPath('alice', 'cigars', 'c1'), { ...CIGAR, price: '12.50' });
+            const ref = doc(dbFor('alice'), userPath('alice', 'cigars', 'c1'));
+            await assertSucceeds(updateDoc(ref, { humidorId: 'h2' }));
+            await assertFails(updateDoc(ref, { quantity: -1 }));
+            await assertFails(updateDoc(ref, { name: '' }));
+        });
+
+        test('accept prices saved as text, including on copies made by a partial move', async () => {
+            const legacy = { ...CIGAR, price: '12.50', rating: '90' };
+            await seed(userPath('alice', 'cigars', 'c1'), legacy);
+            const db = dbFor('alice');
+            await assertSucceeds(updateDoc(doc(db, userPath('alice', 'cigars', 'c1')), { price: '14.00' }));
+            await assertFails(updateDoc(doc(db, userPath('alice', 'cigars', 'c1')), { price: '-1' }));
+            // moveCigarQuantity copies every field of the cigar into the new record.
+            await assertSucceeds(setDoc(doc(db, userPath('alice', 'cigars', 'c3')), { ...legacy, humidorId: 'h2', quantity: 2 }));
+            await assertSucceeds(updateDoc(doc(db, userPath('alice', 'cigars', 'c1')), { quantity: 3 }));
+        });
+    });
+
+    describe('journal entries', () => {
+        test('need a cigar and a date, and ratings out of five', async () => {
+            const db = dbFor('alice');
+            await assertSucceeds(setDoc(doc(db, userPath('alice', 'journalEntries', 'j1')), JOURNAL_ENTRY));
+            await assertFails(setDoc(doc(db, userPath('alice', 'journalEntries', 'j2')), { ...JOURNAL_ENTRY, drawRating: 6 }));
+            await assertFails(setDoc(doc(db, userPath('alice', 'journalEntries', 'j2')), { ...JOURNAL_ENTRY, burnTimeMinutes: -5 }));
+            const { dateSmoked, ...withoutDate } = JOURNAL_ENTRY;
+            await assertFails(setDoc(doc(db, userPath('alice', 'journalEntries', 'j2')), withoutDate));
+            await assertFails(setDoc(doc(dbFor('bob'), userPath('alice', 'journalEntries', 'j2')), JOURNAL_ENTRY));
+        });
+    });
+
+    describe('shared humidors', () => {
+        const SHARE = {
+            humidorId: 'h1',
+            humidorName: 'Cabinet',
+            ownerId: 'alice',
+            members: {
+                alice: { role: 'owner', name: 'Alice', email: 'alice@example.com' },
+                bob: { role: 'editor', name: 'Bob', email: 'bob@example.com' },
+                carol: { role: 'viewer', name: 'Carol', email: 'carol@example.com' }
+            },
+            memberIds: ['alice', 'bob', 'carol'],
+            invites: { 'dan@example.com': 'viewer' },
+            inviteEmails: ['dan@example.com']
+        };
+        const DAN = { email: 'dan@example.com', email_verified: true };
+
+        beforeEach(async () => {
+            await seed(userPath('alice', 'humidors', 'h1'), HUMIDOR);
+            await seed(userPath('alice', 'humidors', 'h2'), { ...HUMIDOR, name: 'Travel' });
+            await seed(userPath('alice', 'cigars', 'c1'), CIGAR);
+            await seed(userPath('alice', 'cigars', 'c2'), { ...CIGAR, humidorId: 'h2' });
+            await seed(userPath('alice', 'journalEntries', 'j1'), JOURNAL_ENTRY);
+            await seed(sharePath('h1'), SHARE);
+        });
+
+        test('let members read the humidor and its cigars, and nothing else of the owner\'s', async () => {
+            const db = dbFor('carol');
+            await assertSucceeds(getDoc(doc(db, userPath('alice', 'humidors', 'h1'))));
+            await assertSucceeds(getDocs(query(collection(db, userPath('alice', 'cigars')), where('humidorId', '==', 'h1'))));
+            await assertFails(getDoc(doc(db, userPath('alice', 'humidors', 'h2'))));
+            await assertFails(getDoc(doc(db, userPath('alice', 'cigars', 'c2'))));
+            await assertFails(getDoc(doc(db, userPath('alice', 'journalEntries', 'j1'))));
+            await assertFails(getDoc(doc(dbFor('mallory'), userPath('alice', 'humidors', 'h1'))));
+        });
+
+        test('let editors change cigars but not delete the humidor, and viewers change nothing', async () => {
+            await assertSucceeds(updateDoc(doc(dbFor('bob'), userPath('alice', 'cigars', 'c1')), { quantity: 4 }));
+            await assertFails(updateDoc(doc(dbFor('bob'), userPath('alice', 'cigars', 'c1')), { quantity: -4 }));
+            await assertFails(updateDoc(doc(dbFor('bob'), userPath('alice', 'cigars', 'c1')), { humidorId: 'h2' }));
+            await assertFails(deleteDoc(doc(dbFor('bob'), userPath('alice', 'humidors', 'h1'))));
+            await assertFails(updateDoc(doc(dbFor('carol'), userPath('alice', 'cigars', 'c1')), { quantity: 4 }));
+            await assertFails(setDoc(doc(dbFor('carol'), userPath('alice', 'smokingSessions', 's1')), { cigarId: 'c1', humidorId: 'h1' }));
+            await assertSucceeds(setDoc(doc(dbFor('bob'), userPath('alice', 'smokingSessions', 's1')), { cigarId: 'c1', humidorId: 'h1' }));
+        });
+
+        test('let editors rename the humidor, but only the owner update the name invitees see', async () => {
+            await assertSucceeds(updateDoc(doc(dbFor('bob'), userPath('alice', 'humidors', 'h1')), { name: 'Living Room Cabinet' }));
+            await assertFails(updateDoc(doc(dbFor('carol'), userPath('alice', 'humidors', 'h1')), { name: 'Carol\'s Cabinet' }));
+            await assertFails(updateDoc(doc(dbFor('bob'), sharePath('h1')), { humidorName: 'Living Room Cabinet' }));
+            await assertSucceeds(updateDoc(doc(dbFor('alice'), sharePath('h1')), { humidorName: 'Living Room Cabinet' }));
+        });
+
+        test('let an editor\'s reading raise an alert for the owner', async () => {
+            const reading = { temp: 75, humidity: 60, timestamp: '2025-07-01T20:00:00.000Z', source: 'manual' };
+            const alert = { humidorId: 'h1', humidorName: 'Cabinet', type: 'humidity', level: 'low', value: 60, read: false };
+            await assertSucceeds(setDoc(doc(dbFor('bob'), userPath('alice', 'humidors', 'h1', 'readings', 'r1')), reading));
+            await assertSucceeds(setDoc(doc(dbFor('bob'), userPath('alice', 'alerts', 'a1')), alert));
+            await assertFails(setDoc(doc(dbFor('bob'), userPath('alice', 'alerts', 'a2')), { ...alert, humidorId: 'h2' }));
+            await assertFails(setDoc(doc(dbFor('carol'), userPath('alice', 'humidors', 'h1', 'readings', 'r2')), reading));
+            await assertFails(setDoc(doc(dbFor('carol'), userPath('alice', 'alerts', 'a3')), alert));
+            await assertFails(getDoc(doc(dbFor('bob'), userPath('alice', 'alerts', 'a1'))));
+        });
+
+        test('let invitees with a verified email accept with the role they were given', async () => {
+            const ref = doc(dbFor('dan', DAN), sharePath('h1'));
+            const accept = (role) => updateDoc(ref, {
+                'members.dan': { role, name: 'Dan', email: 'dan@example.com' },
+                memberIds: [...SHARE.memberIds, 'dan'],
+                invites: {},
+                inviteEmails: []
+            });
+            await assertFails(getDoc(doc(dbFor('dan', { ...DAN, email_verified: false }), sharePath('h1'))));
+            await assertFails(accept('editor'));
+            await assertSucceeds(accept('viewer'));
+            await assertSucceeds(getDoc(doc(dbFor('dan', DAN), userPath('alice', 'humidors', 'h1'))));
+        });
+
+        test('let members leave, and only the owner manage the share', async () => {
+            await assertFails(updateDoc(doc(dbFor('bob'), sharePath('h1')), { 'members.carol.role': 'editor' }));
+            await assertFails(updateDoc(doc(dbFor('alice'), sharePath('h1')), { ownerId: 'bob' }));
+            await assertSucceeds(updateDoc(doc(dbFor('alice'), sharePath('h1')), { 'members.carol.role': 'editor' }));
+            const { carol, ...remaining } = SHARE.members;
+            await assertSucceeds(updateDoc(doc(dbFor('carol'), sharePath('h1')), { members: remaining, memberIds: ['alice', 'bob'] }));
+            await assertFails(deleteDoc(doc(dbFor('bob'), sharePath('h1'))));
+            await assertSucceeds(deleteDoc(doc(dbFor('alice'), sharePath('h1'))));
+        });
+
+        test('can only be created by the owner of an existing humidor', async () => {
+            const share = { ...SHARE, humidorId: 'h2', members: { alice: SHARE.members.alice }, memberIds: ['alice'], invites: {}, inviteEmails: [] };
+            await assertFails(setDoc(doc(dbFor('bob'), sharePath('h2')), { ...share, ownerId: 'bob' }));
+            await assertFails(setDoc(doc(dbFor('alice'), sharePath('h9')), { ...share, humidorId: 'h9' }));
+            await assertSucceeds(setDoc(doc(dbFor('alice'), sharePath('h2')), share));
+        });
+    });
+});
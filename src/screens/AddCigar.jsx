@@ -7,11 +7,11 @@
 
 // Description:
 // AddCigar is a comprehensive React component that provides an advanced form interface for users to add new cigars to their humidor collection.
-// The component features AI-powered auto-fill capabilities using Gemini API, smart image modal integration, flavor notes management,
+// The component features AI-powered auto-fill capabilities through the AI provider chosen in Settings, smart image modal integration, flavor notes management,
 // and extensive form validation with Firebase Firestore persistence. It includes intelligent field suggestions and real-time updates.
 //
 // Key Features:
-// - AI-powered auto-fill using Gemini API with structured response schema for accurate cigar data population
+// - AI-powered auto-fill through the AI provider chosen in Settings (Gemini, OpenAI-compatible or local) with structured response schema for accurate cigar data population
 // - SmartImageModal integration for custom cigar images with positioning controls
 // - Comprehensive form with all cigar attributes including dimensions, wrapper details, and flavor profiles
 // - AutoCompleteInputField components with intelligent suggestions for shapes, wrappers, binders, fillers, and countries
@@ -25,7 +25,7 @@
 // - Navigation integration with proper back button and cancel functionality
 //
 // AI Integration:
-// - Gemini API integration with structured prompts for accurate cigar data retrieval
+// - AI provider integration with structured prompts for accurate cigar data retrieval
 // - Intelligent field population that respects existing user input
 // - Visual feedback system showing which fields were auto-populated
 // - Error handling and fallback for API failures
@@ -38,6 +38,7 @@
 
 import React, { useState, useRef, useEffect } from 'react';
 import { collection, addDoc } from 'firebase/firestore';
+import { settleWrite } from '../services/syncService';
 import { ChevronLeft, LoaderCircle, Sparkles, Tag, Edit, Award } from 'lucide-react';
 import { strengthOptions, commonCigarDimensions, cigarShapes, cigarLengths, cigarRingGauges, cigarWrapperColors, cigarBinderTypes, cigarFillerTypes, cigarCountryOfOrigin } from '../constants/cigarOptions';
 import InputField from '../components/UI/InputField';
@@ -47,16 +48,23 @@ import QuantityControl from '../components/UI/QuantityControl';
 import SmartImageModal from '../components/Modals/Composite/SmartImageModal';
 import GeminiModal from '../components/Modals/Content/GeminiModal';
 import FlavorNotesModal from '../components/Modals/Forms/FlavorNotesModal';
+import AutofillReviewModal from '../components/Modals/Forms/AutofillReviewModal';
 import { getFlavorTagColor } from '../utils/colorUtils';
-import { callGeminiAPI } from '../services/geminiService';
+import { createLotFromCigar, withLots } from '../utils/lotUtils';
+import { getHumidorFill } from '../utils/capacityUtils';
+import { APP_CIGAR_FIELDS } from '../constants/fieldDefinitions';
+import { callAI } from '../services/aiService';
+import { buildAutofillChanges, acceptAutofillChanges, withConfidenceSchema, CONFIDENCE_INSTRUCTIONS } from '../utils/autofillUtils';
+import { loadAiSettings } from '../utils/aiSettingsUtils';
 import StarRating from '../components/UI/StarRating';
 
-const AddCigar = ({ navigate, db, appId, userId, humidorId, theme }) => {
+const AddCigar = ({ navigate, db, appId, userId, humidorId, humidor, cigarsInHumidor = [], theme }) => {
     // Initialize formData with new fields length_inches, ring_gauge, and isPuro
     const [formData, setFormData] = useState({ brand: '', name: '', shape: '', size: '', wrapper: '', binder: '', filler: '', country: '', strength: '', price: '', rating: '', quantity: 1, image: '', shortDescription: '', description: '', flavorNotes: [], dateAdded: new Date().toISOString().split('T')[0], length_inches: '', ring_gauge: '', isPuro: false });
     const [strengthSuggestions, setStrengthSuggestions] = useState([]);
     const [isAutofilling, setIsAutofilling] = useState(false);
     const [modalState, setModalState] = useState({ isOpen: false, content: '', isLoading: false });
+    const [autofillProposal, setAutofillProposal] = useState(null); // Roxy's suggestions awaiting review
     const [isFlavorModalOpen, setIsFlavorModalOpen] = useState(false);
 
     // Refs for flashing effect
@@ -221,6 +229,11 @@ const AddCigar = ({ navigate, db, appId, userId, humidorId, theme }) => {
     };
 
     const handleSave = async () => {
+        const missing = APP_CIGAR_FIELDS.filter(field => field.required && String(formData[field.key] ?? '').trim() === '');
+        if (missing.length > 0) {
+            alert(`Please fill in ${missing.map(field => field.label).join(' and ')} before saving.`);
+            return;
+        }
         const newCigar = {
             ...formData,
             humidorId: humidorId,
@@ -233,9 +246,21 @@ const AddCigar = ({ navigate, db, appId, userId, humidorId, theme }) => {
             ring_gauge: Number(formData.ring_gauge) || 0,     // Ensure number type
             userRating: validateUserRating(Number(formData.userRating) || 0), // Validate user rating
         };
+        // Warn, but let the user carry on, if these cigars won't fit in the humidor.
+        const fill = getHumidorFill(humidor, cigarsInHumidor, [{ cigar: newCigar, quantity: newCigar.quantity }]);
+        if (fill.status === 'over' && !window.confirm(`Woof! ${humidor.name} only has room for ${fill.free} more, so adding ${newCigar.quantity} will put it over capacity. Add them anyway?`)) {
+            return;
+        }
+        // Record the cigars being added as the first purchase lot.
+        Object.assign(newCigar, withLots([createLotFromCigar(newCigar)]));
         const cigarsCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'cigars');
-        await addDoc(cigarsCollectionRef, newCigar);
-        navigate('MyHumidor', { humidorId: humidorId });
+        try {
+            await settleWrite(addDoc(cigarsCollectionRef, newCigar));
+            navigate('MyHumidor', { humidorId: humidorId });
+        } catch (error) {
+            console.error("Error adding cigar:", error);
+            alert(`Could not save your changes: ${error.message}`);
+        }
     };
 
     const handleAutofill = async () => {
@@ -244,9 +269,9 @@ const AddCigar = ({ navigate, db, appId, userId, humidorId, theme }) => {
             return;
         }
         setIsAutofilling(true);
-        const prompt = `You are a cigar database. Based on the cigar name "${formData.name}", provide its details as a JSON object. The schema MUST be: { "brand": "string", "shape": "string", "size": "string", "country": "string", "wrapper": "string", "binder": "string", "filler": "string", "strength": "Mild" | "Mild-Medium" | "Medium" | "Medium-Full" | "Full", "flavorNotes": ["string", "string", "string", "string"], "shortDescription": "string", "description": "string", "image": "string", "rating": "number", "price": "number", "length_inches": "number", "ring_gauge": "number" }. If you cannot determine a value, use an empty string "" or an empty array [] or 0 for numbers. Do not include any text or markdown formatting outside of the JSON object.`;
+        const prompt = `You are a cigar database. Based on the cigar name "${formData.name}", provide its details as a JSON object. The schema MUST be: { "brand": "string", "shape": "string", "size": "string", "country": "string", "wrapper": "string", "binder": "string", "filler": "string", "strength": "Mild" | "Mild-Medium" | "Medium" | "Medium-Full" | "Full", "flavorNotes": ["string", "string", "string", "string"], "shortDescription": "string", "description": "string", "image": "string", "rating": "number", "price": "number", "length_inches": "number", "ring_gauge": "number" }. If you cannot determine a value, use an empty string "" or an empty array [] or 0 for numbers. ${CONFIDENCE_INSTRUCTIONS} Do not include any text or markdown formatting outside of the JSON object.`;
 
-        const responseSchema = {
+        const fieldSchema = {
             type: "OBJECT",
             properties: {
                 brand: { type: "STRING" },
@@ -268,50 +293,26 @@ const AddCigar = ({ navigate, db, appId, userId, humidorId, theme }) => {
             },
             required: ["brand", "shape", "size", "country", "wrapper", "binder", "filler", "strength", "flavorNotes", "shortDescription", "description", "image", "rating", "price", "length_inches", "ring_gauge"]
         };
-
-        // Call the Gemini API with the prompt and response schema
-        const result = await callGeminiAPI(prompt, responseSchema);
-        console.log("Gemini result for", formData.name, result);
-
-        if (typeof result === 'object' && result !== null) {
-            const updatedFields = [];
-            const currentFormData = { ...formData }; // Get a snapshot of the current state
-
-            // Determine which fields will be updated
-            for (const key in result) {
-                const hasExistingValue = currentFormData[key] && (!Array.isArray(currentFormData[key]) || currentFormData[key].length > 0);
-                const hasNewValue = result[key] && (!Array.isArray(result[key]) || result[key].length > 0);
-
-                if (!hasExistingValue && hasNewValue) {
-                    updatedFields.push(key);
-                }
-            }
-
-            if (updatedFields.length > 0) {
-                // Apply the updates to the form state
-                setFormData(prevData => {
-                    const updatedData = { ...prevData };
-                    updatedFields.forEach(key => {
-                        updatedData[key] = result[key];
-                    });
-                    return updatedData;
-                });
-
-                // Create a user-friendly list of changes for the modal
-                const changesList = updatedFields
-                    .map(field => `- ${field.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}`)
-                    .join('\n');
-                const modalContent = `Woof! Roxy found some details for you and updated the following:\n\n${changesList}`;
-                setModalState({ isOpen: true, content: modalContent, isLoading: false });
-                setTimeout(() => setModalState({ isOpen: false, content: '', isLoading: false }), 8000); // Show for 8 seconds
+        const responseSchema = withConfidenceSchema(fieldSchema);
+
+        // Ask the AI provider chosen in Settings, using the response schema
+        try {
+            const result = await callAI(prompt, responseSchema);
+            console.log("AI result for", formData.name, result);
+
+            // Roxy only suggests values for fields that are still empty; the user reviews them before they go into the form.
+            const changes = buildAutofillChanges(formData, result, Object.keys(fieldSchema.properties));
+            if (changes.length > 0) {
+                const { provider, model } = loadAiSettings();
+                setAutofillProposal({ id: 'new', title: formData.name, changes, source: { provider, model } });
             } else {
                 // If no fields were updated, show a different message
                 setModalState({ isOpen: true, content: "Ruff! Roxy looked, but all your details seem to be filled in already. Good job!", isLoading: false });
                 setTimeout(() => setModalState({ isOpen: false, content: '', isLoading: false }), 5000); // Disappear after 5 seconds
             }
-        } else {
-            console.error("Gemini API response was not a valid object:", result);
-            setModalState({ isOpen: true, content: `Ruff! Roxy couldn't fetch details. Try a different name or fill manually. Error: ${result}`, isLoading: false });
+        } catch (error) {
+            console.error("AI autofill failed:", error);
+            setModalState({ isOpen: true, content: `Ruff! Roxy couldn't fetch details. Try a different name or fill manually. ${error.message}`, isLoading: false });
             setTimeout(() => setModalState({ isOpen: false, content: '', isLoading: false }), 5000); // Disappear after 5 seconds
         }
 
@@ -320,6 +321,13 @@ const AddCigar = ({ navigate, db, appId, userId, humidorId, theme }) => {
 
     const closeModal = () => setModalState({ isOpen: false, content: '', isLoading: false });
 
+    // Puts the suggestions the user accepted into the form, remembering that they came from Roxy.
+    const handleApplyAutofill = (accepted) => {
+        const { values, provenance } = acceptAutofillChanges(accepted[autofillProposal.id] || [], autofillProposal.source);
+        setFormData(prevData => ({ ...prevData, ...values, aiProvenance: { ...prevData.aiProvenance, ...provenance } }));
+        setAutofillProposal(null);
+    };
+
     // Function to update flavor notes from modal
     const handleFlavorNotesUpdate = (newNotes) => {
         setFormData(prev => ({ ...prev, flavorNotes: newNotes }));
@@ -328,6 +336,7 @@ const AddCigar = ({ navigate, db, appId, userId, humidorId, theme }) => {
     return (
         <div className="pb-24">
             {modalState.isOpen && <GeminiModal title="Auto-fill Status" content={modalState.content} isLoading={modalState.isLoading} onClose={closeModal} />}
+            {autofillProposal && <AutofillReviewModal proposals={[autofillProposal]} onApply={handleApplyAutofill} onClose={() => setAutofillProposal(null)} applyLabel="Use" />}
             {isFlavorModalOpen && <FlavorNotesModal cigar={{ flavorNotes: formData.flavorNotes }} db={db} appId={appId} userId={userId} onClose={() => setIsFlavorModalOpen(false)} setSelectedNotes={handleFlavorNotesUpdate} />}
 
             <div className="relative">
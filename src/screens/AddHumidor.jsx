@@ -21,10 +21,12 @@
 
 import React, { useState } from 'react';
 import { collection, addDoc } from 'firebase/firestore';
+import { settleWrite } from '../services/syncService';
 import { ChevronLeft, Thermometer } from 'lucide-react';
 import InputField from '../components/UI/InputField';
 import TextAreaField from '../components/UI/TextAreaField';
 import SmartImageModal from '../components/Modals/Composite/SmartImageModal';
+import { CAPACITY_MODES, CAPACITY_MODE_LABELS } from '../utils/capacityUtils';
 
 const AddHumidor = ({ navigate, db, appId, userId, theme }) => {
     const humidorTypes = ["Desktop Humidor", "Cabinet Humidor", "Glass Top Humidor", "Travel Humidor", "Cigar Cooler", "Walk-In Humidor", "Personalized Humidor"];
@@ -33,6 +35,7 @@ const AddHumidor = ({ navigate, db, appId, userId, theme }) => {
         shortDescription: '',
         longDescription: '',
         size: '',
+        capacityMode: CAPACITY_MODES.count,
         location: '',
         image: '',
         type: humidorTypes[0],
@@ -61,7 +64,7 @@ const AddHumidor = ({ navigate, db, appId, userId, theme }) => {
                 temp: trackEnvironment ? Number(formData.temp) : 68,
             };
             const humidorsCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'humidors');
-            await addDoc(humidorsCollectionRef, newHumidorData);
+            await settleWrite(addDoc(humidorsCollectionRef, newHumidorData));
             navigate('HumidorsScreen');
         } catch (error) {
             alert(`Failed to save humidor: ${error.message}`);
@@ -111,6 +114,14 @@ const AddHumidor = ({ navigate, db, appId, userId, theme }) => {
                     <InputField name="size" label="Size" placeholder="e.g., 150-count" value={formData.size} onChange={handleInputChange} theme={theme} />
                     <InputField name="location" label="Location" placeholder="e.g., Office" value={formData.location} onChange={handleInputChange} theme={theme} />
                 </div>
+                {/* Capacity Mode */}
+                <div>
+                    <label className={`text-sm font-medium ${theme.subtleText} mb-1 block`}>Count Capacity By</label>
+                    <select name="capacityMode" value={formData.capacityMode} onChange={handleInputChange} className={`w-full ${theme.inputBg} border ${theme.borderColor} rounded-lg py-2 px-3 ${theme.text} focus:outline-none focus:ring-2 ${theme.ring}`}>
+                        {Object.entries(CAPACITY_MODE_LABELS).map(([mode, label]) => <option key={mode} value={mode}>{label}</option>)}
+                    </select>
+                    <p className="text-xs text-gray-400 mt-1">Ring gauge weighted counts a 60-ring cigar as more space than a 42-ring one.</p>
+                </div>
 
                 <div className={`${theme.card} p-4 rounded-xl`}>
                     <div className="flex justify-between items-center">
@@ -0,0 +1,132 @@
+// File: AiSettingsScreen.jsx
+// Path: src/screens/AiSettingsScreen.jsx
+// Project: Humidor Hub
+// Author: Shawn Miller (hereiamnow@gmail.com)
+// Date: October 19, 2026
+
+// Description:
+// Lets the user choose which AI provider and model power Roxy's features (autofill, pairings,
+// tasting notes, collection summaries): Google Gemini, any OpenAI-compatible API, or a local
+// Ollama server. Gemini uses the key saved with the Gemini API Key section; OpenAI-compatible
+// providers take their own key here. A test button checks the choice before it is saved.
+
+import React, { useState } from 'react';
+import { ChevronLeft, Sparkles, LoaderCircle, Zap } from 'lucide-react';
+import GeminiKeySection from '../services/geminiKeySection';
+import { AI_PROVIDERS } from '../constants/aiProviders';
+import { loadAiSettings, saveAiSettings, normalizeAiSettings, getAiApiKey } from '../utils/aiSettingsUtils';
+import { testAiConnection } from '../services/aiService';
+
+const CUSTOM_MODEL = '__custom__';
+
+const AiSettingsScreen = ({ navigate, theme }) => {
+    const [settings, setSettings] = useState(loadAiSettings);
+    const [isCustomModel, setIsCustomModel] = useState(() => !AI_PROVIDERS[settings.provider].models.includes(settings.model));
+    const [status, setStatus] = useState(null); // { success, message }
+    const [isTesting, setIsTesting] = useState(false);
+
+    const provider = AI_PROVIDERS[settings.provider];
+
+    const updateSettings = (changes) => {
+        setSettings(prev => ({ ...prev, ...changes }));
+        setStatus(null);
+    };
+
+    const handleProviderChange = (providerKey) => {
+        // Switching provider starts from that provider's default model and address.
+        updateSettings({ provider: providerKey, model: AI_PROVIDERS[providerKey].defaultModel, baseUrl: AI_PROVIDERS[providerKey].defaultBaseUrl });
+        setIsCustomModel(false);
+    };
+
+    const handleModelChange = (value) => {
+        if (value === CUSTOM_MODEL) {
+            setIsCustomModel(true);
+            updateSettings({ model: '' });
+        } else {
+            setIsCustomModel(false);
+            updateSettings({ model: value });
+        }
+    };
+
+    const handleTest = async () => {
+        setIsTesting(true);
+        const normalized = normalizeAiSettings(settings);
+        setStatus(await testAiConnection(normalized, getAiApiKey(normalized)));
+        setIsTesting(false);
+    };
+
+    const handleSave = () => {
+        try {
+            setSettings(saveAiSettings(settings));
+            setStatus({ success: true, message: `Saved. Roxy will use ${provider.label}.` });
+        } catch (error) {
+            console.error("Error saving AI settings:", error);
+            setStatus({ success: false, message: 'Failed to save AI settings. Please try again.' });
+        }
+    };
+
+    const inputClass = "w-full bg-gray-700 border border-gray-600 rounded-lg py-2 px-3 text-white placeholder-gray-500 focus:outline-none focus:border-amber-500";
+
+    return (
+        <div className="p-4 pb-24">
+            <div className="flex items-center mb-6">
+                <button onClick={() => navigate('Settings')} className="p-2 -ml-2 mr-2"><ChevronLeft className={`w-7 h-7 ${theme.text}`} /></button>
+                <h1 className={`text-3xl font-bold ${theme.text}`}>Roxy's AI</h1>
+            </div>
+            <div className="space-y-6">
+                <div className="bg-gray-800/50 p-4 rounded-xl space-y-4">
+                    <h3 className="font-bold text-xl text-amber-300 flex items-center"><Sparkles className="w-5 h-5 mr-2" /> Provider & Model</h3>
+                    <div className="space-y-2">
+                        {Object.entries(AI_PROVIDERS).map(([key, option]) => (
+                            <label key={key} className={`flex items-center gap-3 p-3 rounded-lg border cursor-pointer ${settings.provider === key ? 'border-amber-500 bg-amber-500/10' : 'border-gray-700'}`}>
+                                <input type="radio" name="provider" value={key} checked={settings.provider === key} onChange={() => handleProviderChange(key)} className="accent-amber-500" />
+                                <span className="text-white font-semibold">{option.label}</span>
+                            </label>
+                        ))}
+                    </div>
+
+                    <div>
+                        <label className="block text-gray-300 text-sm font-medium mb-2">Model</label>
+                        <select value={isCustomModel ? CUSTOM_MODEL : settings.model} onChange={(e) => handleModelChange(e.target.value)} className={inputClass}>
+                            {provider.models.map(model => <option key={model} value={model}>{model}</option>)}
+                            <option value={CUSTOM_MODEL}>Other model...</option>
+                        </select>
+                        {isCustomModel && (
+                            <input type="text" value={settings.model} onChange={(e) => updateSettings({ model: e.target.value })} placeholder={`e.g., ${provider.defaultModel}`} className={`${inputClass} mt-2`} />
+                        )}
+                    </div>
+
+                    {settings.provider !== 'gemini' && (
+                        <div>
+                            <label className="block text-gray-300 text-sm font-medium mb-2">Server Address</label>
+                            <input type="url" value={settings.baseUrl} onChange={(e) => updateSettings({ baseUrl: e.target.value })} placeholder={provider.defaultBaseUrl} className={inputClass} />
+                            <p className="text-xs text-gray-500 mt-1">
+                                {settings.provider === 'ollama' ? 'Where your Ollama server is running.' : 'Any API that speaks the OpenAI chat completions format.'}
+                            </p>
+                        </div>
+                    )}
+
+                    {settings.provider === 'openai' && (
+                        <div>
+                            <label className="block text-gray-300 text-sm font-medium mb-2">API Key</label>
+                            <input type="password" value={settings.openaiApiKey} onChange={(e) => updateSettings({ openaiApiKey: e.target.value })} placeholder="Enter your API key" className={inputClass} />
+                        </div>
+                    )}
+
+                    <div className="flex gap-3">
+                        <button onClick={handleTest} disabled={isTesting} className="flex-1 flex items-center justify-center gap-2 bg-gray-600 text-white font-bold py-2 px-4 rounded-lg hover:bg-gray-500 transition-colors disabled:opacity-50">
+                            {isTesting ? <LoaderCircle className="w-4 h-4 animate-spin" /> : <Zap className="w-4 h-4" />}
+                            {isTesting ? 'Testing...' : 'Test'}
+                        </button>
+                        <button onClick={handleSave} className="flex-1 bg-amber-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-amber-600 transition-colors">Save</button>
+                    </div>
+                    {status && <p className={`text-sm ${status.success ? 'text-green-400' : 'text-red-400'}`}>{status.message}</p>}
+                </div>
+
+                {settings.provider === 'gemini' && <GeminiKeySection />}
+            </div>
+        </div>
+    );
+};
+
+export default AiSettingsScreen;
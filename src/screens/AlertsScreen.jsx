@@ -13,22 +13,67 @@
 // controls for humidity alerts (with percentage thresholds) and temperature alerts (with Fahrenheit
 // thresholds). When no humidors are present, it shows a helpful "Roxy's Corner" message encouraging
 // users to add their first humidor. The interface includes visual feedback with toggle switches
-// and organized layout with collapsible alert settings.
+// and organized layout with collapsible alert settings. Thresholds are validated and saved to each
+// humidor's `alertSettings` field, where environmentService evaluates them against every new reading.
 
 import React, { useState } from 'react';
-import { ChevronLeft, Wind, Plus } from 'lucide-react';
+import { ChevronLeft, Wind, Plus, LoaderCircle } from 'lucide-react';
+import { getAlertSettings, validateAlertSettings } from '../utils/alertUtils';
+import { saveAlertSettings } from '../services/environmentService';
 
-const AlertsScreen = ({ navigate, humidors }) => {
-    const [alertSettings, setAlertSettings] = useState(
-        humidors.map(h => ({ humidorId: h.id, name: h.name, humidityAlert: false, minHumidity: 68, maxHumidity: 72, tempAlert: false, minTemp: 65, maxTemp: 70 }))
-    );
+const AlertsScreen = ({ navigate, humidors, db, appId, userId }) => {
+    // Unsaved edits, keyed by humidorId. Humidors without edits show their stored settings.
+    const [drafts, setDrafts] = useState({});
+    const [errors, setErrors] = useState({});
+    const [savingId, setSavingId] = useState(null);
+    const [savedId, setSavedId] = useState(null);
+
+    const alertSettings = humidors.map(h => ({
+        humidorId: h.id,
+        name: h.name,
+        ...(drafts[h.id] || getAlertSettings(h))
+    }));
+
+    const updateDraft = (humidorId, changes) => {
+        const humidor = humidors.find(h => h.id === humidorId);
+        setDrafts(prev => ({ ...prev, [humidorId]: { ...(prev[humidorId] || getAlertSettings(humidor)), ...changes } }));
+        setErrors(prev => ({ ...prev, [humidorId]: {} }));
+        setSavedId(null);
+    };
 
     const handleToggle = (humidorId, type) => {
-        setAlertSettings(prev => prev.map(s => s.humidorId === humidorId ? { ...s, [type]: !s[type] } : s));
+        const current = alertSettings.find(s => s.humidorId === humidorId);
+        updateDraft(humidorId, { [type]: !current[type] });
     };
 
     const handleValueChange = (humidorId, type, value) => {
-        setAlertSettings(prev => prev.map(s => s.humidorId === humidorId ? { ...s, [type]: value } : s));
+        updateDraft(humidorId, { [type]: value });
+    };
+
+    const handleSave = async (humidorId) => {
+        const draft = drafts[humidorId];
+        if (!draft) return;
+
+        const validationErrors = validateAlertSettings(draft);
+        if (Object.keys(validationErrors).length > 0) {
+            setErrors(prev => ({ ...prev, [humidorId]: validationErrors }));
+            return;
+        }
+
+        setSavingId(humidorId);
+        try {
+            await saveAlertSettings(db, appId, userId, humidorId, draft);
+            setDrafts(prev => {
+                const { [humidorId]: saved, ...rest } = prev;
+                return rest;
+            });
+            setSavedId(humidorId);
+        } catch (error) {
+            console.error("Error saving alert settings:", error);
+            setErrors(prev => ({ ...prev, [humidorId]: { save: `Failed to save alerts: ${error.message}` } }));
+        } finally {
+            setSavingId(null);
+        }
     };
 
     return (
@@ -65,6 +110,16 @@ const AlertsScreen = ({ navigate, humidors }) => {
                                         <div className="flex items-center space-x-2"><label className="text-sm text-gray-400">Max:</label><input type="number" value={setting.maxTemp} onChange={(e) => handleValueChange(setting.humidorId, 'maxTemp', e.target.value)} className="w-16 bg-gray-700 text-white text-center rounded-md border border-gray-600 focus:outline-none focus:ring-2 focus:ring-amber-500" /><span className="text-gray-400">°F</span></div>
                                     </div>
                                 )}
+                                {Object.values(errors[setting.humidorId] || {}).map(message => (
+                                    <p key={message} className="text-xs text-red-300">{message}</p>
+                                ))}
+                                {drafts[setting.humidorId] && (
+                                    <button onClick={() => handleSave(setting.humidorId)} disabled={savingId === setting.humidorId} className="w-full flex items-center justify-center gap-2 bg-amber-500 text-white font-bold py-2 px-4 rounded-lg hover:bg-amber-600 transition-colors disabled:opacity-50">
+                                        {savingId === setting.humidorId && <LoaderCircle className="w-4 h-4 animate-spin" />}
+                                        Save Alerts
+                                    </button>
+                                )}
+                                {savedId === setting.humidorId && <p className="text-xs text-green-400 text-center">Alerts saved.</p>}
                             </div>
                         </div>
                     ))
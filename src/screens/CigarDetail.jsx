@@ -8,13 +8,16 @@
 // Description:
 // CigarDetail component provides a comprehensive view of individual cigar records with rich functionality.
 // Features include detailed cigar profile display, journal entry management, AI-powered recommendations,
-// smoking session logging, and interactive "Roxy's Corner" with pairing suggestions, tasting notes,
+// smoking session logging, purchase lots (each box or buy with its own date, vendor and price), and interactive "Roxy's Corner" with pairing suggestions, tasting notes,
 // similar cigar recommendations, and aging potential analysis. The component integrates with Firebase
 // Firestore for data operations and includes modal dialogs for various actions like editing, deleting,
 // and exporting cigar data.
+// In a shared humidor, userId is the owner's ID (where the cigar is stored) and currentUserId is the
+// member viewing it; viewers can look but not smoke, edit or delete.
 
-import React, { useState, useMemo } from 'react';
-import { doc, updateDoc, deleteDoc } from 'firebase/firestore';
+import React, { useState, useMemo, useEffect } from 'react';
+import { doc, deleteDoc } from 'firebase/firestore';
+import { settleWrite } from '../services/syncService';
 import {
     ChevronLeft,
     Cigarette,
@@ -24,6 +27,8 @@ import {
     Wind,
     ChevronDown,
     Sparkles,
+    Undo2,
+    History,
     Calendar as CalendarIcon
 } from 'lucide-react';
 
@@ -32,6 +37,10 @@ import { getRatingColor } from '../components/utils/getRatingColor';
 import { calculateAge } from '../components/utils/calculateAge';
 import { getFlavorTagColor } from '../utils/colorUtils';
 import { formatDate } from '../utils/formatUtils';
+import { getCigarAgeDate } from '../utils/lotUtils';
+import { getCigarFingerprint } from '../utils/aiCacheUtils';
+import { getLastSmoked, getSmokeRate, getSessionsNewestFirst } from '../utils/sessionUtils';
+import { canEditHumidor, describeActor } from '../utils/shareUtils';
 
 // Import modal components
 import GeminiModal from '../components/Modals/Content/GeminiModal';
@@ -42,22 +51,32 @@ import ExportModal from '../components/Modals/Data/ExportModal';
 // Import menu components
 import CigarActionMenu from '../components/Menus/CigarActionMenu';
 
+// Import panel components
+import PurchaseLotsPanel from '../components/Panels/PurchaseLotsPanel';
+import AiProvenancePanel from '../components/Panels/AiProvenancePanel';
+
 // Import journal components
 import JournalEntryCard from '../components/Journal/JournalEntryCard';
 
 // Import services
-import { callGeminiAPI } from '../services/geminiService';
+import { callAI, callAICached } from '../services/aiService';
+import { smokeCigar, undoSmoke } from '../services/inventoryService';
 
 // Import StarRating component
 import StarRating from '../components/UI/StarRating';
 
-const CigarDetail = ({ cigar, navigate, db, appId, userId, journalEntries }) => {
-    const [modalState, setModalState] = useState({ isOpen: false, type: null, content: '', isLoading: false });
+// How long the "Enjoy your smoke!" toast, and its undo button, stays on screen.
+const SMOKE_TOAST_DURATION_MS = 8000;
+
+const CigarDetail = ({ cigar, navigate, db, appId, userId, currentUserId = userId, role, journalEntries, smokingSessions = [] }) => {
+    const [modalState, setModalState] = useState({ isOpen: false, type: null, content: '', isLoading: false, cachedAt: null });
     const [isFlavorModalOpen, setIsFlavorModalOpen] = useState(false);
     const [isDeleteModalOpen, setIsDeleteModalOpen] = useState(false);
     const [isExportModalOpen, setIsExportModalOpen] = useState(false);
     const [isRoxyOpen, setIsRoxyOpen] = useState(false);
-    const [showSmokeConfirmation, setShowSmokeConfirmation] = useState(false);
+    const [smokedSession, setSmokedSession] = useState(null); // The session shown in the toast
+    const [isSmoking, setIsSmoking] = useState(false);
+    const canEdit = canEditHumidor(role);
 
     const journalEntriesForCigar = useMemo(() => {
         return journalEntries
@@ -65,46 +84,102 @@ const CigarDetail = ({ cigar, navigate, db, appId, userId, journalEntries }) =>
             .sort((a, b) => new Date(b.dateSmoked) - new Date(a.dateSmoked));
     }, [journalEntries, cigar.id]);
 
+    const smokingHistory = useMemo(() => {
+        const sessions = getSessionsNewestFirst(smokingSessions, cigar.id);
+        return { count: sessions.length, lastSmoked: getLastSmoked(sessions), rate: getSmokeRate(sessions) };
+    }, [smokingSessions, cigar.id]);
+
+    // Who last smoked and moved this cigar, for humidors shared with other people.
+    const lastSmokedBy = describeActor(smokingHistory.lastSmoked?.smokedBy, currentUserId);
+    const movedBy = describeActor(cigar.movedBy, currentUserId);
+
+    // Hide the smoke toast after a few seconds; the session stays logged.
+    useEffect(() => {
+        if (!smokedSession) return;
+        const timer = setTimeout(() => setSmokedSession(null), SMOKE_TOAST_DURATION_MS);
+        return () => clearTimeout(timer);
+    }, [smokedSession]);
+
     const handleSmokeCigar = async () => {
-        if (cigar.quantity > 0) {
-            const newQuantity = cigar.quantity - 1;
-            const cigarRef = doc(db, 'artifacts', appId, 'users', userId, 'cigars', cigar.id);
-            await updateDoc(cigarRef, { quantity: newQuantity });
-            // Navigate to log the experience
-            // navigate('AddEditJournalEntry', { cigarId: cigar.id });
+        if (cigar.quantity <= 0 || isSmoking) return;
+        setIsSmoking(true);
+        try {
+            // Smoked cigars come out of the oldest purchase first.
+            setSmokedSession(await smokeCigar(db, appId, userId, cigar.id));
+        } catch (error) {
+            console.error("Error logging smoking session:", error);
+            alert(`Could not log your smoke: ${error.message}`);
+        } finally {
+            setIsSmoking(false);
+        }
+    };
+
+    const handleUndoSmoke = async () => {
+        const session = smokedSession;
+        setSmokedSession(null);
+        try {
+            await undoSmoke(db, appId, userId, session);
+        } catch (error) {
+            console.error("Error undoing smoking session:", error);
+            alert(`Could not undo your smoke: ${error.message}`);
         }
     };
 
+    const handleJournalSmoke = () => {
+        const session = smokedSession;
+        setSmokedSession(null);
+        navigate('AddEditJournalEntry', { cigarId: cigar.id, sessionId: session.id });
+    };
+
     const handleDeleteCigar = async () => {
         const cigarRef = doc(db, 'artifacts', appId, 'users', userId, 'cigars', cigar.id);
-        await deleteDoc(cigarRef);
+        await settleWrite(deleteDoc(cigarRef));
         navigate('MyHumidor', { humidorId: cigar.humidorId });
     };
 
-    const handleSuggestPairings = async () => {
-        setModalState({ isOpen: true, type: 'pairings', content: '', isLoading: true });
+    // Gets Roxy's answer from the AI provider, or a friendly explanation of why there isn't one.
+    const askRoxy = async (prompt) => {
+        try {
+            return await callAI(prompt);
+        } catch (error) {
+            return `Ruff! Roxy couldn't fetch an answer. ${error.message}`;
+        }
+    };
+
+    // Like askRoxy, but reuses Roxy's recent answer to the same question about this cigar unless `refresh` is set.
+    const askRoxyCached = async (prompt, refresh) => {
+        try {
+            const { result, cachedAt } = await callAICached(prompt, { fingerprint: getCigarFingerprint(cigar), refresh });
+            return { content: result, cachedAt };
+        } catch (error) {
+            return { content: `Ruff! Roxy couldn't fetch an answer. ${error.message}`, cachedAt: null };
+        }
+    };
+
+    const handleSuggestPairings = async (refresh = false) => {
+        setModalState({ isOpen: true, type: 'pairings', content: '', isLoading: true, cachedAt: null });
         const prompt = `You are a world-class sommelier and cigar expert. Given the following cigar:\n- Brand: ${cigar.brand}\n- Name: ${cigar.name}\n- Strength: ${cigar.strength}\n- Wrapper: ${cigar.wrapper}\n\nSuggest three diverse drink pairings (e.g., a spirit, a coffee, a non-alcoholic beverage). For each, provide a one-sentence explanation for why it works well. Format the response clearly with headings for each pairing.`;
-        const result = await callGeminiAPI(prompt);
-        setModalState({ isOpen: true, type: 'pairings', content: result, isLoading: false });
+        const { content, cachedAt } = await askRoxyCached(prompt, refresh);
+        setModalState({ isOpen: true, type: 'pairings', content, isLoading: false, cachedAt });
     };
 
     const handleGenerateNote = async () => {
-        setModalState({ isOpen: true, type: 'notes', content: '', isLoading: true });
+        setModalState({ isOpen: true, type: 'notes', content: '', isLoading: true, cachedAt: null });
         const prompt = `You are a seasoned cigar aficionado with a poetic command of language. Based on this cigar's profile:\n- Brand: ${cigar.brand}\n- Name: ${cigar.name}\n- Strength: ${cigar.strength}\n- Wrapper: ${cigar.wrapper}\n\nGenerate a short, evocative tasting note (2-3 sentences) that a user could use as inspiration for their own review. Focus on potential flavors and the overall experience.`;
-        const result = await callGeminiAPI(prompt);
-        setModalState({ isOpen: true, type: 'notes', content: result, isLoading: false });
+        const result = await askRoxy(prompt);
+        setModalState({ isOpen: true, type: 'notes', content: result, isLoading: false, cachedAt: null });
     };
 
-    const handleFindSimilar = async () => {
-        setModalState({ isOpen: true, type: 'similar', content: '', isLoading: true });
+    const handleFindSimilar = async (refresh = false) => {
+        setModalState({ isOpen: true, type: 'similar', content: '', isLoading: true, cachedAt: null });
         const prompt = `You are a cigar expert. A user likes the '${cigar.brand} ${cigar.name}'. Based on its profile (Strength: ${cigar.strength}, Wrapper: ${cigar.wrapper}, Filler: ${cigar.filler}, Origin: ${cigar.country}, Flavors: ${cigar.flavorNotes.join(', ')}), suggest 3 other cigars that they might also enjoy. For each suggestion, provide the Brand and Name, and a 1-sentence reason why it's a good recommendation. Format as a list.`;
-        const result = await callGeminiAPI(prompt);
-        setModalState({ isOpen: true, type: 'similar', content: result, isLoading: false });
+        const { content, cachedAt } = await askRoxyCached(prompt, refresh);
+        setModalState({ isOpen: true, type: 'similar', content, isLoading: false, cachedAt });
     };
 
-    const handleAgingPotential = async () => {
-        setModalState({ isOpen: true, type: 'aging', content: '', isLoading: true });
-        const timeInHumidor = calculateAge(cigar.dateAdded);
+    const handleAgingPotential = async (refresh = false) => {
+        setModalState({ isOpen: true, type: 'aging', content: '', isLoading: true, cachedAt: null });
+        const timeInHumidor = calculateAge(getCigarAgeDate(cigar));
         const prompt = `You are a master tobacconist and cigar aging expert named Roxy. A user is asking about the aging potential of their cigar.
 
 Cigar Details:
@@ -114,11 +189,18 @@ Cigar Details:
 - Time already aged: ${timeInHumidor}
 
 Provide a brief, encouraging, and slightly personalized note about this cigar's aging potential. Mention when it might be at its peak for smoking. Keep it to 2-3 sentences and maintain your persona as a friendly, knowledgeable dog.`;
-        const result = await callGeminiAPI(prompt);
-        setModalState({ isOpen: true, type: 'aging', content: result, isLoading: false });
+        const { content, cachedAt } = await askRoxyCached(prompt, refresh);
+        setModalState({ isOpen: true, type: 'aging', content, isLoading: false, cachedAt });
     };
 
-    const closeModal = () => setModalState({ isOpen: false, type: null, content: '', isLoading: false });
+    const closeModal = () => setModalState({ isOpen: false, type: null, content: '', isLoading: false, cachedAt: null });
+
+    // The answers Roxy caches, and how to ask her again for a fresh one.
+    const refreshHandlers = {
+        pairings: () => handleSuggestPairings(true),
+        similar: () => handleFindSimilar(true),
+        aging: () => handleAgingPotential(true)
+    };
 
     const RatingBadge = ({ rating }) => {
         if (!rating || rating === 0) return null;
@@ -139,7 +221,7 @@ Provide a brief, encouraging, and slightly personalized note about this cigar's
 
     return (
         <div className="pb-24">
-            {modalState.isOpen && <GeminiModal title={modalState.type === 'pairings' ? "Pairing Suggestions" : modalState.type === 'notes' ? "Tasting Note Idea" : modalState.type === 'aging' ? "Aging Potential" : "Similar Smokes"} content={modalState.content} isLoading={modalState.isLoading} onClose={closeModal} />}
+            {modalState.isOpen && <GeminiModal title={modalState.type === 'pairings' ? "Pairing Suggestions" : modalState.type === 'notes' ? "Tasting Note Idea" : modalState.type === 'aging' ? "Aging Potential" : "Similar Smokes"} content={modalState.content} isLoading={modalState.isLoading} cachedAt={modalState.cachedAt} onRefresh={refreshHandlers[modalState.type]} onClose={closeModal} />}
             {isFlavorModalOpen && <FlavorNotesModal cigar={cigar} db={db} appId={appId} userId={userId} onClose={() => setIsFlavorModalOpen(false)} />}
             <DeleteCigarsModal isOpen={isDeleteModalOpen} onClose={() => setIsDeleteModalOpen(false)} onConfirm={handleDeleteCigar} count={1} />
             {isExportModalOpen && <ExportModal data={[cigar]} dataType="cigar" onClose={() => setIsExportModalOpen(false)} />}
@@ -152,9 +234,9 @@ Provide a brief, encouraging, and slightly personalized note about this cigar's
                 <div className="absolute top-4 left-4 right-4 flex justify-between items-center">
                     <button onClick={() => navigate('MyHumidor', { humidorId: cigar.humidorId })} className="p-2 bg-black/50 rounded-full text-white"><ChevronLeft className="w-7 h-7" /></button>
                     <CigarActionMenu
-                        onEdit={() => navigate('EditCigar', { cigarId: cigar.id })}
+                        onEdit={canEdit ? () => navigate('EditCigar', { cigarId: cigar.id }) : undefined}
                         onExport={() => setIsExportModalOpen(true)}
-                        onDelete={() => setIsDeleteModalOpen(true)}
+                        onDelete={canEdit ? () => setIsDeleteModalOpen(true) : undefined}
                         onAddJournal={() => navigate('AddEditJournalEntry', { cigarId: cigar.id })}
                     />
                 </div>
@@ -171,16 +253,24 @@ Provide a brief, encouraging, and slightly personalized note about this cigar's
 
             <div className="p-4 space-y-6">
                 {/* SMOKE THIS! Action Button */}
-                <button
-                    onClick={handleSmokeCigar}
-                    disabled={cigar.quantity === 0}
-                    className="w-full flex items-center justify-center gap-2 bg-amber-500 text-white font-bold py-3 rounded-lg hover:bg-amber-600 transition-colors disabled:bg-gray-600 disabled:cursor-not-allowed">
-                    <Cigarette className="w-5 h-5" /> Smoke This! ({cigar.quantity} in stock)
-                </button>
-                {showSmokeConfirmation && (
-                    <div className="fixed bottom-24 left-1/2 -translate-x-1/2 bg-green-500 text-white px-4 py-2 rounded-full shadow-lg flex items-center gap-2">
+                {canEdit && (
+                    <button
+                        onClick={handleSmokeCigar}
+                        disabled={cigar.quantity === 0 || isSmoking}
+                        className="w-full flex items-center justify-center gap-2 bg-amber-500 text-white font-bold py-3 rounded-lg hover:bg-amber-600 transition-colors disabled:bg-gray-600 disabled:cursor-not-allowed">
+                        <Cigarette className="w-5 h-5" /> Smoke This! ({cigar.quantity} in stock)
+                    </button>
+                )}
+                {smokedSession && (
+                    <div className="fixed bottom-24 left-1/2 -translate-x-1/2 z-40 bg-green-600 text-white pl-4 pr-2 py-2 rounded-full shadow-lg flex items-center gap-2 whitespace-nowrap">
                         <Check className="w-5 h-5" />
                         <span>Enjoy your smoke!</span>
+                        <button onClick={handleJournalSmoke} className="flex items-center gap-1 bg-white/20 hover:bg-white/30 text-sm font-semibold px-3 py-1 rounded-full">
+                            <BookText className="w-4 h-4" /> Journal
+                        </button>
+                        <button onClick={handleUndoSmoke} className="flex items-center gap-1 bg-white/20 hover:bg-white/30 text-sm font-semibold px-3 py-1 rounded-full">
+                            <Undo2 className="w-4 h-4" /> Undo
+                        </button>
                     </div>
                 )}
 
@@ -215,8 +305,8 @@ Provide a brief, encouraging, and slightly personalized note about this cigar's
                         </div>
                         {/* <DetailItem label="My Rating" value={cigar.userRating || 'N/A'} /> */}
                         {/* <DetailItem label="Price Paid" value={cigar.price ? `${Number(cigar.price).toFixed(2)}` : 'N/A'} /> */}
-                        <DetailItem label="Date Added" value={formatDate(cigar.dateAdded)} />
-                        <DetailItem label="Time in Humidor" value={calculateAge(cigar.dateAdded)} />
+                        <DetailItem label="Date Added" value={formatDate(getCigarAgeDate(cigar))} />
+                        <DetailItem label="Time in Humidor" value={calculateAge(getCigarAgeDate(cigar))} />
                     </div>
 
                     <div className="border-t border-gray-700 pt-4">
@@ -235,6 +325,28 @@ Provide a brief, encouraging, and slightly personalized note about this cigar's
                     </div>
                 </div>
 
+                {/* Smoking History Panel */}
+                <div className="bg-gray-800/50 p-4 rounded-xl space-y-3">
+                    <h3 className="font-bold text-amber-300 text-lg flex items-center"><History className="w-5 h-5 mr-2" /> Smoking History</h3>
+                    {smokingHistory.count > 0 ? (
+                        <div className="grid grid-cols-3 gap-x-4">
+                            <DetailItem label="Last Smoked" value={formatDate(smokingHistory.lastSmoked.timestamp)} />
+                            <DetailItem label="Smoke Rate" value={`${smokingHistory.rate.perWeek} / week`} />
+                            <DetailItem label="Times Smoked" value={String(smokingHistory.count)} />
+                            {lastSmokedBy && <p className="col-span-3 text-xs text-gray-400 mt-2">Last smoked by {lastSmokedBy}</p>}
+                        </div>
+                    ) : (
+                        <p className="text-sm text-gray-500">You haven't smoked one of these yet. Tap "Smoke This!" to start a history.</p>
+                    )}
+                    {movedBy && <p className="text-xs text-gray-400">Moved to this humidor by {movedBy} on {formatDate(cigar.movedAt)}</p>}
+                </div>
+
+                {/* Purchase Lots Panel */}
+                <PurchaseLotsPanel cigar={cigar} db={db} appId={appId} userId={userId} readOnly={!canEdit} />
+
+                {/* Filled In by Roxy Panel */}
+                {canEdit && <AiProvenancePanel cigar={cigar} db={db} appId={appId} userId={userId} />}
+
                 {/* Journal History Panel */}
                 <div className="bg-gray-800/50 p-4 rounded-xl space-y-4">
                     <h3 className="font-bold text-amber-300 text-lg flex items-center"><BookText className="w-5 h-5 mr-2" /> Journal History</h3>
@@ -248,8 +360,8 @@ Provide a brief, encouraging, and slightly personalized note about this cigar's
                                     onEdit={() => navigate('AddEditJournalEntry', { cigarId: cigar.id, entryId: entry.id })}
                                     onDelete={async (entryId) => {
                                         if (window.confirm("Delete this entry?")) {
-                                            const entryRef = doc(db, 'artifacts', appId, 'users', userId, 'journalEntries', entryId);
-                                            await deleteDoc(entryRef);
+                                            const entryRef = doc(db, 'artifacts', appId, 'users', currentUserId, 'journalEntries', entryId);
+                                            await settleWrite(deleteDoc(entryRef));
                                         }
                                     }}
                                 />
@@ -270,10 +382,10 @@ Provide a brief, encouraging, and slightly personalized note about this cigar's
                     {isRoxyOpen && (
                         <div className="px-4 pb-4 space-y-4">
                             <p className="text-amber-200 text-sm pt-2">Let Roxy help you get the most out of your smoke. What would you like to know?</p>
-                            <button onClick={handleSuggestPairings} className="w-full flex items-center justify-center bg-amber-500/20 border border-amber-500 text-amber-300 font-bold py-3 rounded-lg hover:bg-amber-500/30 transition-colors"><Sparkles className="w-5 h-5 mr-2" /> Suggest Pairings</button>
+                            <button onClick={() => handleSuggestPairings()} className="w-full flex items-center justify-center bg-amber-500/20 border border-amber-500 text-amber-300 font-bold py-3 rounded-lg hover:bg-amber-500/30 transition-colors"><Sparkles className="w-5 h-5 mr-2" /> Suggest Pairings</button>
                             <button onClick={handleGenerateNote} className="w-full flex items-center justify-center bg-sky-500/20 border border-sky-500 text-sky-300 font-bold py-3 rounded-lg hover:bg-sky-500/30 transition-colors"><Sparkles className="w-5 h-5 mr-2" /> Generate Note Idea</button>
-                            <button onClick={handleFindSimilar} className="w-full flex items-center justify-center bg-green-500/20 border border-green-500 text-green-300 font-bold py-3 rounded-lg hover:bg-green-500/30 transition-colors"><Sparkles className="w-5 h-5 mr-2" /> Find Similar Smokes</button>
-                            <button onClick={handleAgingPotential} className="w-full flex items-center justify-center bg-purple-500/20 border border-purple-500 text-purple-300 font-bold py-3 rounded-lg hover:bg-purple-500/30 transition-colors"><CalendarIcon className="w-5 h-5 mr-2" /> Aging Potential</button>
+                            <button onClick={() => handleFindSimilar()} className="w-full flex items-center justify-center bg-green-500/20 border border-green-500 text-green-300 font-bold py-3 rounded-lg hover:bg-green-500/30 transition-colors"><Sparkles className="w-5 h-5 mr-2" /> Find Similar Smokes</button>
+                            <button onClick={() => handleAgingPotential()} className="w-full flex items-center justify-center bg-purple-500/20 border border-purple-500 text-purple-300 font-bold py-3 rounded-lg hover:bg-purple-500/30 transition-colors"><CalendarIcon className="w-5 h-5 mr-2" /> Aging Potential</button>
                         </div>
                     )}
                 </div>
@@ -6,8 +6,8 @@
 // Time: 7:32 AM CDT
 
 // Description: Dashboard screen component - main overview of user's cigar collection
-// Features: Collection statistics, browse by filters, Roxy's tips, interactive panels
-// Includes: Gemini AI integration for collection summaries, dynamic panel management
+// Features: Collection statistics, browse by filters, Roxy's tips, smart collection shortcuts, interactive panels
+// Includes: AI collection summaries (through the configured AI provider), dynamic panel management
 
 // React imports
 import React, { useState, useEffect, useMemo } from 'react';
@@ -31,8 +31,11 @@ import {
 // Local constants
 import { roxysTips } from '../constants/roxysTips';
 
+// Utilities
+import { getCigarValue } from '../utils/lotUtils';
+
 // Services
-import { callGeminiAPI } from '../services/geminiService';
+import { callAI } from '../services/aiService';
 
 // Components - Modals
 import GeminiModal from '../components/Modals/Content/GeminiModal';
@@ -49,13 +52,16 @@ import {
 import {
     InventoryAnalysisPanel,
     MyCollectionStatsCards,
-    AgingWellPanel
+    AgingWellPanel,
+    SmartCollectionsPanel
 } from '../components/Panels';
 
 const Dashboard = ({
     navigate,
     cigars,
     humidors,
+    journalEntries = [],
+    smartCollections = [],
     theme,
     showWrapperPanel,
     showStrengthPanel,
@@ -79,7 +85,7 @@ const Dashboard = ({
 
     // State for Roxy's random tip display
     const [roxyTip, setRoxyTip] = useState('');
-    // State for Gemini AI modal (collection summary)
+    // State for the AI modal (collection summary)
     const [modalState, setModalState] = useState({ isOpen: false, content: '', isLoading: false });
     // State for browse by mode panel visibility
     const [isBrowseByModeOpen, setIsBrowseByModeOpen] = useState(false);
@@ -95,7 +101,7 @@ const Dashboard = ({
 
     // Memoized calculation for chart data and statistics
     const { totalValue, totalCigars } = useMemo(() => {
-        const value = cigars.reduce((acc, cigar) => acc + (cigar.price * cigar.quantity), 0);
+        const value = cigars.reduce((acc, cigar) => acc + getCigarValue(cigar), 0);
         const count = cigars.reduce((sum, c) => sum + c.quantity, 0);
 
         console.log('Collection stats calculated:', { totalValue: value, totalCigars: count });
@@ -178,24 +184,24 @@ const Dashboard = ({
     }, [cigars, browseMode]);
     // --- End of Data for Browse By Panel ---
 
-    // Function to call Gemini API for a collection summary
+    // Function to ask the AI provider for a collection summary
     const handleSummarizeCollection = async () => {
         console.log('Starting collection summary generation...');
         setModalState({ isOpen: true, content: '', isLoading: true });
 
-        // Create inventory summary for Gemini API
+        // Create inventory summary for the AI prompt
         const inventorySummary = cigars.map(c => `${c.quantity}x ${c.brand} ${c.name} (${c.strength}, from ${c.country})`).join('\n');
-        console.log('Inventory summary for Gemini:', inventorySummary);
+        console.log('Inventory summary for AI:', inventorySummary);
 
         const prompt = `You are an expert tobacconist. I am providing you with my current cigar inventory. Please provide a brief, narrative summary of my collection's character. What are the dominant trends in terms of strength, brand, and country of origin? What does my collection say about my tasting preferences? My inventory is:\n\n${inventorySummary}`;
 
         try {
-            const result = await callGeminiAPI(prompt);
-            console.log('Gemini API response received:', result);
+            const result = await callAI(prompt);
+            console.log('AI response received:', result);
             setModalState({ isOpen: true, content: result, isLoading: false });
         } catch (error) {
-            console.error('Error calling Gemini API:', error);
-            setModalState({ isOpen: true, content: 'Error generating summary. Please try again.', isLoading: false });
+            console.error('Error generating collection summary:', error);
+            setModalState({ isOpen: true, content: `Ruff! Roxy couldn't write a summary. ${error.message}`, isLoading: false });
         }
     };
 
@@ -378,6 +384,19 @@ const Dashboard = ({
                     )}
                 </div>
 
+                {hasCigars && dashboardPanelVisibility.showSmartCollectionsPanel && (
+                    <SmartCollectionsPanel
+                        smartCollections={smartCollections}
+                        cigars={cigars}
+                        humidors={humidors}
+                        journalEntries={journalEntries}
+                        navigate={navigate}
+                        theme={theme}
+                        isCollapsed={panelStates.smartCollections}
+                        onToggle={() => handlePanelToggle('smartCollections')}
+                    />
+                )}
+
                 {hasCigars && dashboardPanelVisibility.showAgingWellPanel && (
                     <AgingWellPanel
                         cigars={cigars}
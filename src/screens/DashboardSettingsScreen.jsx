@@ -64,6 +64,11 @@ const DashboardSettingsScreen = ({ navigate, theme, dashboardPanelVisibility, se
                     isChecked={dashboardPanelVisibility.showAgingWellPanel}
                     onToggle={() => setDashboardPanelVisibility(prev => ({ ...prev, showAgingWellPanel: !prev.showAgingWellPanel }))}
                 />
+                <ToggleSwitch
+                    label="Smart Collections"
+                    isChecked={dashboardPanelVisibility.showSmartCollectionsPanel}
+                    onToggle={() => setDashboardPanelVisibility(prev => ({ ...prev, showSmartCollectionsPanel: !prev.showSmartCollectionsPanel }))}
+                />
             </div>
         </div>
     );
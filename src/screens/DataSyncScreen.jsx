@@ -8,13 +8,15 @@
 // Description:
 // DataSyncScreen component provides comprehensive data import and export functionality for the Humidor Hub application.
 // Features include CSV import/export for cigars and humidors, environment data export with historical temperature
-// and humidity readings, and modal-based interfaces for data management. The component is organized into collapsible
-// panels for different data types (Cigar Collection, Humidor Management, Environment Data) and integrates with
+// and humidity readings, Govee CSV import to backfill a humidor's reading history, and modal-based interfaces for data management. The component is organized into collapsible
+// panels for different data types (Cigar Collection, Humidor Management, Environment Data, Full Backup) and integrates with
 // Firebase Firestore for data persistence. It supports bulk operations and provides user-friendly interfaces
-// for data migration and backup scenarios.
+// for data migration and backup scenarios, including a single versioned JSON backup of the whole account
+// (collection, reading history, alerts and app preferences) that can be restored by merging or replacing.
 
 import React, { useState } from 'react';
-import { ChevronLeft, Cigarette, Box, Thermometer, UploadCloud, Download } from 'lucide-react';
+import Papa from 'papaparse';
+import { ChevronLeft, Cigarette, Box, Thermometer, UploadCloud, Download, LoaderCircle, Archive } from 'lucide-react';
 
 // Import UI components
 import CollapsiblePanel from '../components/UI/CollapsiblePanel';
@@ -22,23 +24,61 @@ import CollapsiblePanel from '../components/UI/CollapsiblePanel';
 // Import modal components
 import ImportCsvModal from '../components/Modals/Data/ImportCsvModal';
 import ExportModal from '../components/Modals/Data/ExportModal';
+import RestoreBackupModal from '../components/Modals/Data/RestoreBackupModal';
 
 // Import utilities
 import { downloadFile } from '../utils/fileUtils';
 
-const DataSyncScreen = ({ navigate, db, appId, userId, cigars, humidors }) => {
+// Import services
+import { fetchReadings } from '../services/environmentService';
+import { createBackup } from '../services/backupService';
+
+const DataSyncScreen = ({ navigate, db, appId, userId, cigars, humidors, preferences, onRestorePreferences }) => {
     const [isImportModalOpen, setIsImportModalOpen] = useState(false);
     const [isExportModalOpen, setIsExportModalOpen] = useState(false);
-    const [modalDataType, setModalDataType] = useState(null); // 'cigar' or 'humidor'
-
-    const exportEnvironmentData = () => {
-        let headers = ['humidorId,name,humidity,temp'];
-        let envCsv = humidors.reduce((acc, humidor) => {
-            const { id, name, humidity, temp } = humidor;
-            acc.push([id, name, humidity, temp].join(','));
-            return acc;
-        }, []);
-        downloadFile({ data: [...headers, ...envCsv].join('\n'), fileName: 'humidor_environment_export.csv', fileType: 'text/csv' });
+    const [modalDataType, setModalDataType] = useState(null); // 'cigar', 'humidor' or 'reading'
+
+    const [isExportingEnvironment, setIsExportingEnvironment] = useState(false);
+    const [isBackingUp, setIsBackingUp] = useState(false);
+    const [isRestoreModalOpen, setIsRestoreModalOpen] = useState(false);
+
+    // Exports the full reading history of every humidor. Humidors that have no
+    // recorded history yet are exported with their current values instead.
+    const exportEnvironmentData = async () => {
+        setIsExportingEnvironment(true);
+        try {
+            const rows = [];
+            for (const humidor of humidors) {
+                const readings = await fetchReadings(db, appId, userId, humidor.id);
+                if (readings.length === 0) {
+                    rows.push({ humidorId: humidor.id, name: humidor.name, timestamp: '', temp: humidor.temp, humidity: humidor.humidity, source: 'current' });
+                }
+                readings.forEach(({ timestamp, temp, humidity, source }) => {
+                    rows.push({ humidorId: humidor.id, name: humidor.name, timestamp, temp, humidity, source });
+                });
+            }
+            const csv = Papa.unparse(rows, { columns: ['humidorId', 'name', 'timestamp', 'temp', 'humidity', 'source'] });
+            downloadFile({ data: csv, fileName: 'humidor_environment_export.csv', fileType: 'text/csv' });
+        } catch (error) {
+            console.error("Error exporting environment data:", error);
+            alert(`Export failed: ${error.message}`);
+        } finally {
+            setIsExportingEnvironment(false);
+        }
+    };
+
+    const handleBackupEverything = async () => {
+        setIsBackingUp(true);
+        try {
+            const backup = await createBackup(db, appId, userId, preferences);
+            const date = backup.exportedAt.slice(0, 10);
+            downloadFile({ data: JSON.stringify(backup, null, 2), fileName: `humidor_hub_backup_${date}.json`, fileType: 'application/json' });
+        } catch (error) {
+            console.error("Error creating backup:", error);
+            alert(`Backup failed: ${error.message}`);
+        } finally {
+            setIsBackingUp(false);
+        }
     };
 
     const handleOpenExportModal = (type) => {
@@ -53,8 +93,9 @@ const DataSyncScreen = ({ navigate, db, appId, userId, cigars, humidors }) => {
 
     return (
         <div className="p-4 pb-24">
-            {isImportModalOpen && <ImportCsvModal dataType={modalDataType} data={modalDataType === 'cigar' ? cigars : humidors} db={db} appId={appId} userId={userId} onClose={() => setIsImportModalOpen(false)} humidors={humidors} navigate={navigate} />}
+            {isImportModalOpen && <ImportCsvModal dataType={modalDataType} data={modalDataType === 'cigar' ? cigars : humidors} db={db} appId={appId} userId={userId} onClose={() => setIsImportModalOpen(false)} humidors={humidors} navigate={navigate} onSwitchType={setModalDataType} />}
             {isExportModalOpen && <ExportModal dataType={modalDataType} data={modalDataType === 'cigar' ? cigars : humidors} onClose={() => setIsExportModalOpen(false)} />}
+            {isRestoreModalOpen && <RestoreBackupModal db={db} appId={appId} userId={userId} onClose={() => setIsRestoreModalOpen(false)} onRestorePreferences={onRestorePreferences} />}
 
             <div className="flex items-center mb-6">
                 <button onClick={() => navigate('Settings')} className="p-2 -ml-2 mr-2"><ChevronLeft className="w-7 h-7 text-white" /></button>                <h1 className="text-3xl font-bold text-white">Import & Export</h1>
@@ -75,9 +116,17 @@ const DataSyncScreen = ({ navigate, db, appId, userId, cigars, humidors }) => {
                     </div>
                 </CollapsiblePanel>
 
-                <CollapsiblePanel title="Environment Data" description="Download historical temperature and humidity data for all humidors." icon={Thermometer}>
+                <CollapsiblePanel title="Environment Data" description="Download historical temperature and humidity data, or backfill it from a Govee export." icon={Thermometer}>
+                    <div className="grid grid-cols-1 gap-4">
+                        <button onClick={exportEnvironmentData} disabled={isExportingEnvironment} className="w-full flex items-center justify-center gap-2 bg-purple-600/80 text-white font-bold py-3 rounded-lg hover:bg-purple-700 transition-colors disabled:opacity-50">{isExportingEnvironment ? <LoaderCircle className="w-5 h-5 animate-spin" /> : <Download className="w-5 h-5" />}Export Environment CSV</button>
+                        <button onClick={() => handleOpenImportModal('reading')} disabled={humidors.length === 0} className="w-full flex items-center justify-center gap-2 bg-blue-600/80 text-white font-bold py-3 rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"><UploadCloud className="w-5 h-5" />Import Govee Readings CSV</button>
+                    </div>
+                </CollapsiblePanel>
+
+                <CollapsiblePanel title="Full Backup" description="Back up or restore your entire account, including reading history and preferences, as a single file." icon={Archive}>
                     <div className="grid grid-cols-1 gap-4">
-                        <button onClick={exportEnvironmentData} className="w-full flex items-center justify-center gap-2 bg-purple-600/80 text-white font-bold py-3 rounded-lg hover:bg-purple-700 transition-colors"><Download className="w-5 h-5" />Export Environment CSV</button>
+                        <button onClick={handleBackupEverything} disabled={isBackingUp} className="w-full flex items-center justify-center gap-2 bg-green-600/80 text-white font-bold py-3 rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50">{isBackingUp ? <LoaderCircle className="w-5 h-5 animate-spin" /> : <Download className="w-5 h-5" />}Backup Everything</button>
+                        <button onClick={() => setIsRestoreModalOpen(true)} className="w-full flex items-center justify-center gap-2 bg-blue-600/80 text-white font-bold py-3 rounded-lg hover:bg-blue-700 transition-colors"><UploadCloud className="w-5 h-5" />Restore from Backup</button>
                     </div>
                 </CollapsiblePanel>
             </div>
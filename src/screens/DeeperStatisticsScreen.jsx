@@ -7,18 +7,20 @@
 // Description:
 // A comprehensive statistics screen that provides detailed insights into the user's cigar collection.
 // Features collection value calculations, user rating analytics, favorite brand/country analysis,
-// oldest cigar tracking, and tasting preference visualization with strength distribution charts
+// oldest cigar tracking, smoking habits from the smoking session log, and tasting preference visualization with strength distribution charts
 // and top flavor notes. Used to give users deeper understanding of their collection patterns.
 
 import React, { useMemo } from 'react';
-import { ChevronLeft, DollarSign, Star, Box, MapPin, Calendar as CalendarIcon } from 'lucide-react';
+import { ChevronLeft, DollarSign, Star, Box, MapPin, Flame, Calendar as CalendarIcon } from 'lucide-react';
 import { getFlavorTagColor } from '../utils/colorUtils';
 import { formatDate } from '../utils/formatUtils';
 import { calculateAge } from '../components/utils/calculateAge';
+import { getCigarAgeDate, getCigarValue } from '../utils/lotUtils';
+import { getLastSmoked, getSmokeRate } from '../utils/sessionUtils';
 
-const DeeperStatisticsScreen = ({ navigate, cigars, theme }) => {
+const DeeperStatisticsScreen = ({ navigate, cigars, smokingSessions = [], theme }) => {
     // 1. Collection Value
-    const totalValue = cigars.reduce((sum, c) => sum + ((c.price || 0) * (c.quantity || 0)), 0);
+    const totalValue = cigars.reduce((sum, c) => sum + getCigarValue(c), 0);
 
     // 2. Average User Rating (only rated cigars)
     const ratedCigars = cigars.filter(c => typeof c.userRating === 'number' && c.userRating > 0);
@@ -41,8 +43,15 @@ const DeeperStatisticsScreen = ({ navigate, cigars, theme }) => {
 
     // 4. Oldest Cigar
     const oldestCigar = cigars
-        .filter(c => c.dateAdded)
-        .sort((a, b) => new Date(a.dateAdded) - new Date(b.dateAdded))[0];
+        .map(c => ({ ...c, ageDate: getCigarAgeDate(c) }))
+        .filter(c => c.ageDate)
+        .sort((a, b) => new Date(a.ageDate) - new Date(b.ageDate))[0];
+
+    // 5. Smoking Habits
+    const lastSmoked = getLastSmoked(smokingSessions);
+    const smokeRate = getSmokeRate(smokingSessions);
+    const cigarsInStock = cigars.reduce((sum, c) => sum + (c.quantity || 0), 0);
+    const weeksOfSupply = smokeRate.perWeek > 0 ? Math.round(cigarsInStock / smokeRate.perWeek) : null;
 
     // Tasting Preferences Panel logic
     const strengthOptions = ['Mild', 'Mild-Medium', 'Medium', 'Medium-Full', 'Full'];
@@ -126,13 +135,30 @@ const DeeperStatisticsScreen = ({ navigate, cigars, theme }) => {
                         {oldestCigar ? (
                             <>
                                 <p className="text-xl text-purple-300 font-bold">{oldestCigar.brand} {oldestCigar.name}</p>
-                                <p className="text-xs text-gray-400">Aging since {formatDate(oldestCigar.dateAdded)} ({calculateAge(oldestCigar.dateAdded)})</p>
+                                <p className="text-xs text-gray-400">Aging since {formatDate(oldestCigar.ageDate)} ({calculateAge(oldestCigar.ageDate)})</p>
                             </>
                         ) : (
                             <p className="text-gray-400">No cigars with a date added.</p>
                         )}
                     </div>
                 </div>
+                {/* 5. Smoking Habits */}
+                <div className={`${theme.card} p-4 rounded-xl flex items-center gap-4`}>
+                    <Flame className="w-8 h-8 text-orange-400" />
+                    <div>
+                        <p className="text-lg font-bold text-white">Smoking Habits</p>
+                        {lastSmoked ? (
+                            <>
+                                <p className="text-xl text-orange-300 font-bold">{smokeRate.perWeek} cigars / week</p>
+                                <p className="text-xs text-gray-400">{smokeRate.count} smoked in the last {smokeRate.days} days · {smokingSessions.length} all time</p>
+                                <p className="text-xs text-gray-400">Last smoked: {lastSmoked.cigarBrand} {lastSmoked.cigarName} on {formatDate(lastSmoked.timestamp)}</p>
+                                {weeksOfSupply !== null && <p className="text-xs text-gray-400">At this pace your stock lasts about {weeksOfSupply} weeks.</p>}
+                            </>
+                        ) : (
+                            <p className="text-gray-400">No smokes logged yet. Use "Smoke This!" on a cigar to track your habits.</p>
+                        )}
+                    </div>
+                </div>
                 {/* --- Tasting Preferences Panel --- */}
                 <div id="pnlTastingPreferences" className="bg-gray-800/50 p-4 rounded-xl">
                     <h3 className="font-bold text-amber-300 text-lg mb-3">Tasting Preferences</h3>
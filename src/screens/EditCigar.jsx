@@ -12,7 +12,7 @@
 // with Firebase Firestore for data persistence and includes visual feedback for user interactions.
 
 import React, { useState, useRef } from 'react';
-import { doc, updateDoc } from 'firebase/firestore';
+import { saveCigarEdits } from '../services/inventoryService';
 import { ChevronLeft, LoaderCircle, Sparkles, Tag, Edit } from 'lucide-react';
 
 // Import constants
@@ -37,13 +37,17 @@ import AutoCompleteInputField from '../components/UI/AutoCompleteInputField';
 // Import modal components
 import GeminiModal from '../components/Modals/Content/GeminiModal';
 import FlavorNotesModal from '../components/Modals/Forms/FlavorNotesModal';
+import AutofillReviewModal from '../components/Modals/Forms/AutofillReviewModal';
 import SmartImageModal from '../components/Modals/Composite/SmartImageModal';
 
 // Import utilities
 import { getFlavorTagColor } from '../utils/colorUtils';
 
 // Import services
-import { callGeminiAPI } from '../services/geminiService';
+import { callAI } from '../services/aiService';
+import { buildAutofillChanges, acceptAutofillChanges, withConfidenceSchema, CONFIDENCE_INSTRUCTIONS } from '../utils/autofillUtils';
+import { loadAiSettings } from '../utils/aiSettingsUtils';
+import { getCigarLots } from '../utils/lotUtils';
 import StarRating from '../components/UI/StarRating';
 
 const EditCigar = ({ navigate, db, appId, userId, cigar, theme }) => {
@@ -61,6 +65,11 @@ const EditCigar = ({ navigate, db, appId, userId, cigar, theme }) => {
     const [isAutofilling, setIsAutofilling] = useState(false);
     const [modalState, setModalState] = useState({ isOpen: false, content: '', isLoading: false });
     const [flashingFields, setFlashingFields] = useState({});
+    const [autofillProposal, setAutofillProposal] = useState(null); // Roxy's suggestions awaiting review
+    // The cigar as it was when editing began; quantity changes are saved relative to it.
+    const [originalCigar] = useState(cigar);
+    const cigarLots = getCigarLots(cigar);
+    const hasMultipleLots = cigarLots.length > 1;
 
     // Refs for flashing effect
     const lengthInputRef = useRef(null);
@@ -123,15 +132,23 @@ const EditCigar = ({ navigate, db, appId, userId, cigar, theme }) => {
     };
 
     const handleSave = async () => {
-        const cigarRef = doc(db, 'artifacts', appId, 'users', userId, 'cigars', cigar.id);
         const { id, ...dataToSave } = formData;
         dataToSave.flavorNotes = Array.isArray(dataToSave.flavorNotes) ? dataToSave.flavorNotes : [];
         dataToSave.dateAdded = new Date(formData.dateAdded).toISOString();
         dataToSave.length_inches = Number(formData.length_inches) || 0;
         dataToSave.ring_gauge = Number(formData.ring_gauge) || 0;
+        dataToSave.rating = Number(formData.rating) || 0;
+        dataToSave.price = Number(formData.price) || 0;
         dataToSave.userRating = validateUserRating(Number(formData.userRating) || 0); // Validate user rating
-        await updateDoc(cigarRef, dataToSave);
-        navigate('CigarDetail', { cigarId: cigar.id });
+        // The purchase lots are kept in step with the quantity, price and date edited here.
+        // Quantity is saved as a change from what was in stock when editing began.
+        try {
+            await saveCigarEdits(db, appId, userId, originalCigar, dataToSave);
+            navigate('CigarDetail', { cigarId: cigar.id });
+        } catch (error) {
+            console.error("Error saving cigar:", error);
+            alert(`Could not save your changes: ${error.message}`);
+        }
     };
 
     const handleAutofill = async () => {
@@ -160,9 +177,11 @@ Here is the existing data for the cigar:
 
 Based on the cigar name "${formData.name}", provide a complete and accurate JSON object with all available details. The schema MUST be: { "brand": "string", "shape": "string", "size": "string", "country": "string", "wrapper": "string", "binder": "string", "filler": "string", "strength": "Mild" | "Mild-Medium" | "Medium" | "Medium-Full" | "Full", "flavorNotes": ["string"], "shortDescription": "string", "description": "string", "image": "string", "rating": "number", "price": "number", "length_inches": "number", "ring_gauge": "number" }.
 
+${CONFIDENCE_INSTRUCTIONS}
+
 Do not include any text or markdown formatting outside of the JSON object.`;
 
-        const responseSchema = {
+        const fieldSchema = {
             type: "OBJECT",
             properties: {
                 brand: { type: "STRING" },
@@ -183,38 +202,24 @@ Do not include any text or markdown formatting outside of the JSON object.`;
                 ring_gauge: { type: "NUMBER" }
             },
         };
+        const responseSchema = withConfidenceSchema(fieldSchema);
 
-        const result = await callGeminiAPI(prompt, responseSchema);
-
-        if (typeof result === 'object' && result !== null) {
-            const updatedFields = {};
-            for (const key in result) {
-                const existingValue = formData[key];
-                const newValue = result[key];
-                if ((!existingValue || (Array.isArray(existingValue) && existingValue.length === 0)) && (newValue && (!Array.isArray(newValue) || newValue.length > 0))) {
-                    updatedFields[key] = newValue;
-                }
-            }
+        try {
+            const result = await callAI(prompt, responseSchema);
 
-            if (Object.keys(updatedFields).length > 0) {
-                setFormData(prevData => ({ ...prevData, ...updatedFields }));
-
-                const flashState = {};
-                Object.keys(updatedFields).forEach(key => {
-                    flashState[key] = true;
-                });
-                setFlashingFields(flashState);
-                setTimeout(() => setFlashingFields({}), 1500); // Clear flashing after 1.5 seconds
-
-                setModalState({ isOpen: true, content: 'Woof! Roxy found some details for you. Looks good!', isLoading: false });
-                setTimeout(() => setModalState({ isOpen: false, content: '', isLoading: false }), 3000); // Disappear after 3 seconds
+            // Roxy only suggests values for fields that are still empty; the user reviews them before they go into the form.
+            const changes = buildAutofillChanges(formData, result, Object.keys(fieldSchema.properties));
+            if (changes.length > 0) {
+                const { provider, model } = loadAiSettings();
+                setModalState({ isOpen: false, content: '', isLoading: false });
+                setAutofillProposal({ id: cigar.id, title: `${formData.brand} ${formData.name}`.trim(), changes, source: { provider, model } });
             } else {
                 setModalState({ isOpen: true, content: "Ruff! Roxy looked, but all your details seem to be filled in already. Good job!", isLoading: false });
                 setTimeout(() => setModalState({ isOpen: false, content: '', isLoading: false }), 3000);
             }
-        } else {
-            console.error("Gemini API response was not a valid object:", result);
-            setModalState({ isOpen: true, content: `Ruff! Roxy couldn't fetch details. Try a different name or fill manually. Error: ${result}`, isLoading: false });
+        } catch (error) {
+            console.error("AI autofill failed:", error);
+            setModalState({ isOpen: true, content: `Ruff! Roxy couldn't fetch details. Try a different name or fill manually. ${error.message}`, isLoading: false });
             setTimeout(() => setModalState({ isOpen: false, content: '', isLoading: false }), 3000); // Disappear after 3 seconds
         }
 
@@ -223,6 +228,20 @@ Do not include any text or markdown formatting outside of the JSON object.`;
 
     const closeModal = () => setModalState({ isOpen: false, content: '', isLoading: false });
 
+    // Puts the suggestions the user accepted into the form, remembering that they came from Roxy.
+    const handleApplyAutofill = (accepted) => {
+        const { values, provenance } = acceptAutofillChanges(accepted[autofillProposal.id] || [], autofillProposal.source);
+        setFormData(prevData => ({ ...prevData, ...values, aiProvenance: { ...prevData.aiProvenance, ...provenance } }));
+        setAutofillProposal(null);
+
+        const flashState = {};
+        Object.keys(values).forEach(key => {
+            flashState[key] = true;
+        });
+        setFlashingFields(flashState);
+        setTimeout(() => setFlashingFields({}), 1500); // Clear flashing after 1.5 seconds
+    };
+
     // Function to update flavor notes from modal
     const handleFlavorNotesUpdate = (newNotes) => {
         setFormData(prev => ({ ...prev, flavorNotes: newNotes }));
@@ -231,6 +250,7 @@ Do not include any text or markdown formatting outside of the JSON object.`;
     return (
         <div className="pb-24">
             {modalState.isOpen && <GeminiModal title="Auto-fill Status" content={modalState.content} isLoading={modalState.isLoading} onClose={closeModal} />}
+            {autofillProposal && <AutofillReviewModal proposals={[autofillProposal]} onApply={handleApplyAutofill} onClose={() => setAutofillProposal(null)} applyLabel="Use" />}
             {isFlavorModalOpen && <FlavorNotesModal cigar={{ flavorNotes: formData.flavorNotes }} db={db} appId={appId} userId={userId} onClose={() => setIsFlavorModalOpen(false)} setSelectedNotes={handleFlavorNotesUpdate} />}
 
             <div className="relative">
@@ -392,6 +412,9 @@ Do not include any text or markdown formatting outside of the JSON object.`;
                         theme={theme}
                     />
                 </div>
+                {hasMultipleLots && (
+                    <p className="text-xs text-gray-400 -mt-2">This cigar was bought in {cigarLots.length} purchases, so its price and date come from the Purchases panel on its page.</p>
+                )}
                 {/* User Rating */}
                 <div id="pnlUserRating" className="space-y-2">
                     <label className="text-sm font-medium text-gray-300">My Rating</label>
@@ -25,23 +25,37 @@
 // - Manual mode: Users can input temperature and humidity values directly
 // - Govee mode: Integration with Govee sensors for automated readings with device selection
 // - Real-time display of current sensor readings when Govee devices are connected
+// - Linked sensors are polled periodically by App.js and each reading is added to the humidor's history
 // - Fallback handling for missing API keys or unavailable sensors
+//
+// Sharing:
+// - HumidorMembersPanel lets the owner invite household members as editors or viewers
+// - Viewers only see the members panel; sensors are linked by the owner, whose app polls them
 
 import React, { useState } from 'react';
 import { doc, updateDoc } from 'firebase/firestore';
+import { settleWrite } from '../services/syncService';
 import { ChevronLeft, MapPin } from 'lucide-react';
 import InputField from '../components/UI/InputField';
 import TextAreaField from '../components/UI/TextAreaField';
 import SmartImageModal from '../components/Modals/Composite/SmartImageModal';
+import { DEFAULT_POLL_INTERVAL_MS } from '../services/goveeService';
+import { CAPACITY_MODES, CAPACITY_MODE_LABELS } from '../utils/capacityUtils';
+import { canEditHumidor } from '../utils/shareUtils';
+import { renameSharedHumidor } from '../services/shareService';
+import HumidorMembersPanel from '../components/Panels/HumidorMembersPanel';
 
-const EditHumidor = ({ navigate, db, appId, userId, humidor, goveeApiKey, goveeDevices, theme }) => {
+const EditHumidor = ({ navigate, db, appId, userId, humidor, share, member, goveeApiKey, goveeDevices, theme }) => {
     const humidorTypes = ["Desktop Humidor", "Cabinet Humidor", "Glass Top Humidor", "Travel Humidor", "Cigar Cooler", "Walk-In Humidor", "Personalized Humidor"];
     const [formData, setFormData] = useState({
         ...humidor,
         shortDescription: humidor.shortDescription || '',
         longDescription: humidor.longDescription || humidor.description || '', // Migrate old description
+        capacityMode: humidor.capacityMode || CAPACITY_MODES.count,
         trackingMethod: humidor.goveeDeviceId ? 'govee' : 'manual'
     });
+    const canEdit = canEditHumidor(humidor.share?.role);
+    const isSharedWithMe = Boolean(humidor.share);
 
     const handleInputChange = (e) => {
         const { name, value } = e.target;
@@ -56,15 +70,26 @@ const EditHumidor = ({ navigate, db, appId, userId, humidor, goveeApiKey, goveeD
 
     const handleSave = async () => {
         const humidorRef = doc(db, 'artifacts', appId, 'users', userId, 'humidors', humidor.id);
-        const { id, description, ...dataToSave } = formData; // Exclude id and old description field
+        const { id, description, share: shareInfo, ...dataToSave } = formData; // Exclude id, old description field and share info
         const updatedHumidor = {
             ...dataToSave,
             goveeDeviceId: formData.trackingMethod === 'manual' ? null : formData.goveeDeviceId,
             goveeDeviceModel: formData.trackingMethod === 'manual' ? null : formData.goveeDeviceModel,
+            temp: Number(formData.temp),
+            humidity: Number(formData.humidity),
             image: formData.image || `https://placehold.co/600x400/3a2d27/ffffff?font=playfair-display&text=${formData.name.replace(/\s/g, '+') || 'Humidor'}`,
         };
-        await updateDoc(humidorRef, updatedHumidor);
-        navigate('MyHumidor', { humidorId: humidor.id });
+        try {
+            await settleWrite(updateDoc(humidorRef, updatedHumidor));
+            // Only the owner can change the share, so the name invitees see follows the owner's edits.
+            if (share && !isSharedWithMe && updatedHumidor.name !== share.humidorName) {
+                await renameSharedHumidor(db, appId, humidor.id, updatedHumidor.name);
+            }
+            navigate('MyHumidor', { humidorId: humidor.id });
+        } catch (error) {
+            console.error("Error saving humidor:", error);
+            alert(`Could not save your changes: ${error.message}`);
+        }
     };
 
     return (
@@ -91,68 +116,82 @@ const EditHumidor = ({ navigate, db, appId, userId, humidor, goveeApiKey, goveeD
                     </button>
                 </div>
                 <div className="absolute bottom-0 p-4 z-10 pointer-events-none">
-                    <h1 className={`text-3xl font-bold ${theme.text}`}>Edit  Humidor</h1>
+                    <h1 className={`text-3xl font-bold ${theme.text}`}>{canEdit ? 'Edit  Humidor' : humidor.name}</h1>
                 </div>
             </div>
 
             <div className="p-4 space-y-6">
-                {/* Humidor Name */}
-                <InputField name="name" label="Humidor Name" placeholder="e.g., The Big One" value={formData.name} onChange={handleInputChange} theme={theme} />
-                {/* Short Description */}
-                <InputField name="shortDescription" label="Short Description" placeholder="e.g., Main aging unit" value={formData.shortDescription} onChange={handleInputChange} theme={theme} />
-                {/* Long Description */}
-                <TextAreaField name="longDescription" label="Long Description" placeholder="e.g., A 150-count mahogany humidor..." value={formData.longDescription} onChange={handleInputChange} theme={theme} />
+                {canEdit && (<>
+                    {/* Humidor Name */}
+                    <InputField name="name" label="Humidor Name" placeholder="e.g., The Big One" value={formData.name} onChange={handleInputChange} theme={theme} />
+                    {/* Short Description */}
+                    <InputField name="shortDescription" label="Short Description" placeholder="e.g., Main aging unit" value={formData.shortDescription} onChange={handleInputChange} theme={theme} />
+                    {/* Long Description */}
+                    <TextAreaField name="longDescription" label="Long Description" placeholder="e.g., A 150-count mahogany humidor..." value={formData.longDescription} onChange={handleInputChange} theme={theme} />
 
-                {/* Type of Humidor */}
-                <div>
-                    <label className={`text-sm font-medium ${theme.subtleText} mb-1 block`}>Type of Humidor</label>
-                    <select name="type" value={formData.type} onChange={handleInputChange} className={`w-full ${theme.inputBg} border ${theme.borderColor} rounded-lg py-2 px-3 ${theme.text} focus:outline-none focus:ring-2 ${theme.ring}`}>
-                        {humidorTypes.map(type => <option key={type} value={type}>{type}</option>)}
-                    </select>
-                </div>
-                {/* Size and location */}
-                <div id="pnlSizeAndLocation" className="grid grid-cols-2 gap-4">
-                    <InputField name="size" label="Size" placeholder="e.g., 150-count" value={formData.size} onChange={handleInputChange} theme={theme} />
-                    <InputField name="location" label="Location" placeholder="e.g., Office" value={formData.location} onChange={handleInputChange} theme={theme} />
-                </div>
-                {/* Environment Tracking */}
-                <div pnl="pnlEnvironmentTracking" className={`${theme.card} p-4 rounded-xl`}>
-                    <h3 className="font-bold text-xl text-amber-300 mb-4 flex items-center"><MapPin className="w-5 h-5 mr-2" /> Environment Tracking</h3>
-                    <div className="space-y-4">
-                        <div>
-                            <label className={`text-sm font-medium ${theme.subtleText} mb-2 block`}>Tracking Method</label>
-                            <div className="flex space-x-4">
-                                <label className="inline-flex items-center"><input type="radio" name="trackingMethod" value="manual" checked={formData.trackingMethod === 'manual'} onChange={handleInputChange} className="form-radio text-amber-500 h-4 w-4" /><span className={`ml-2 ${theme.text}`}>Manual Input</span></label>
-                                <label className="inline-flex items-center"><input type="radio" name="trackingMethod" value="govee" checked={formData.trackingMethod === 'govee'} onChange={handleInputChange} className="form-radio text-amber-500 h-4 w-4" /><span className={`ml-2 ${theme.text}`}>Govee Sensor</span></label>
-                            </div>
-                        </div>
-                        {formData.trackingMethod === 'manual' ? (
-                            <div className="grid grid-cols-2 gap-4">
-                                <InputField name="temp" label="Temperature (°F)" placeholder="e.g., 68" type="number" value={formData.temp} onChange={handleInputChange} theme={theme} />
-                                <InputField name="humidity" label="Humidity (%)" placeholder="e.g., 70" type="number" value={formData.humidity} onChange={handleInputChange} theme={theme} />
-                            </div>
-                        ) : (
+                    {/* Type of Humidor */}
+                    <div>
+                        <label className={`text-sm font-medium ${theme.subtleText} mb-1 block`}>Type of Humidor</label>
+                        <select name="type" value={formData.type} onChange={handleInputChange} className={`w-full ${theme.inputBg} border ${theme.borderColor} rounded-lg py-2 px-3 ${theme.text} focus:outline-none focus:ring-2 ${theme.ring}`}>
+                            {humidorTypes.map(type => <option key={type} value={type}>{type}</option>)}
+                        </select>
+                    </div>
+                    {/* Size and location */}
+                    <div id="pnlSizeAndLocation" className="grid grid-cols-2 gap-4">
+                        <InputField name="size" label="Size" placeholder="e.g., 150-count" value={formData.size} onChange={handleInputChange} theme={theme} />
+                        <InputField name="location" label="Location" placeholder="e.g., Office" value={formData.location} onChange={handleInputChange} theme={theme} />
+                    </div>
+                    {/* Capacity Mode */}
+                    <div>
+                        <label className={`text-sm font-medium ${theme.subtleText} mb-1 block`}>Count Capacity By</label>
+                        <select name="capacityMode" value={formData.capacityMode} onChange={handleInputChange} className={`w-full ${theme.inputBg} border ${theme.borderColor} rounded-lg py-2 px-3 ${theme.text} focus:outline-none focus:ring-2 ${theme.ring}`}>
+                            {Object.entries(CAPACITY_MODE_LABELS).map(([mode, label]) => <option key={mode} value={mode}>{label}</option>)}
+                        </select>
+                        <p className="text-xs text-gray-400 mt-1">Ring gauge weighted counts a 60-ring cigar as more space than a 42-ring one.</p>
+                    </div>
+                    {/* Environment Tracking */}
+                    <div pnl="pnlEnvironmentTracking" className={`${theme.card} p-4 rounded-xl`}>
+                        <h3 className="font-bold text-xl text-amber-300 mb-4 flex items-center"><MapPin className="w-5 h-5 mr-2" /> Environment Tracking</h3>
+                        <div className="space-y-4">
                             <div>
-                                <label className={`text-sm font-medium ${theme.subtleText} mb-1 block`}>Govee Sensor</label>
-                                <select value={formData.goveeDeviceId || ''} onChange={handleGoveeDeviceChange} disabled={!goveeApiKey || goveeDevices.length === 0} className={`w-full ${theme.inputBg} border ${theme.borderColor} rounded-lg py-2 px-3 ${theme.text} disabled:bg-gray-800 disabled:cursor-not-allowed`}>
-                                    <option value="">{!goveeApiKey ? "Connect Govee first" : (goveeDevices.length === 0 ? "No sensors found" : "Select a sensor")}</option>
-                                    {goveeDevices.map(device => (<option key={device.device} value={device.device}>{device.deviceName} ({device.model})</option>))}
-                                </select>
-                                {!goveeApiKey && (<p className="text-xs text-red-300 mt-1">Please connect your Govee API key in Integrations settings.</p>)}
-                                {goveeApiKey && goveeDevices.length === 0 && (<p className="text-xs text-yellow-300 mt-1">No Govee sensors found. Check your key and Govee app.</p>)}
-                                <div className="grid grid-cols-2 gap-4 mt-4">
-                                    <InputField name="temp" label="Current Temp (°F)" value={humidor.temp} type="number" onChange={() => { }} theme={theme} disabled={true} />
-                                    <InputField name="humidity" label="Current Humidity (%)" value={humidor.humidity} type="number" onChange={() => { }} theme={theme} disabled={true} />
+                                <label className={`text-sm font-medium ${theme.subtleText} mb-2 block`}>Tracking Method</label>
+                                <div className="flex space-x-4">
+                                    <label className="inline-flex items-center"><input type="radio" name="trackingMethod" value="manual" checked={formData.trackingMethod === 'manual'} onChange={handleInputChange} disabled={isSharedWithMe} className="form-radio text-amber-500 h-4 w-4" /><span className={`ml-2 ${theme.text}`}>Manual Input</span></label>
+                                    <label className="inline-flex items-center"><input type="radio" name="trackingMethod" value="govee" checked={formData.trackingMethod === 'govee'} onChange={handleInputChange} disabled={isSharedWithMe} className="form-radio text-amber-500 h-4 w-4" /><span className={`ml-2 ${theme.text}`}>Govee Sensor</span></label>
                                 </div>
+                                {isSharedWithMe && (<p className="text-xs text-gray-400 mt-1">{humidor.share.ownerName} chooses how this humidor's environment is tracked.</p>)}
                             </div>
-                        )}
+                            {formData.trackingMethod === 'manual' ? (
+                                <div className="grid grid-cols-2 gap-4">
+                                    <InputField name="temp" label="Temperature (°F)" placeholder="e.g., 68" type="number" value={formData.temp} onChange={handleInputChange} theme={theme} />
+                                    <InputField name="humidity" label="Humidity (%)" placeholder="e.g., 70" type="number" value={formData.humidity} onChange={handleInputChange} theme={theme} />
+                                </div>
+                            ) : (
+                                <div>
+                                    <label className={`text-sm font-medium ${theme.subtleText} mb-1 block`}>Govee Sensor</label>
+                                    <select value={formData.goveeDeviceId || ''} onChange={handleGoveeDeviceChange} disabled={isSharedWithMe || !goveeApiKey || goveeDevices.length === 0} className={`w-full ${theme.inputBg} border ${theme.borderColor} rounded-lg py-2 px-3 ${theme.text} disabled:bg-gray-800 disabled:cursor-not-allowed`}>
+                                        <option value="">{!goveeApiKey ? "Connect Govee first" : (goveeDevices.length === 0 ? "No sensors found" : "Select a sensor")}</option>
+                                        {goveeDevices.map(device => (<option key={device.device} value={device.device}>{device.deviceName} ({device.model})</option>))}
+                                    </select>
+                                    {!goveeApiKey && (<p className="text-xs text-red-300 mt-1">Please connect your Govee API key in Integrations settings.</p>)}
+                                    {goveeApiKey && goveeDevices.length === 0 && (<p className="text-xs text-yellow-300 mt-1">No Govee sensors found. Check your key and Govee app.</p>)}
+                                    {goveeApiKey && formData.goveeDeviceId && (<p className={`text-xs ${theme.subtleText} mt-1`}>Readings from this sensor are recorded automatically every {DEFAULT_POLL_INTERVAL_MS / 60000} minutes.</p>)}
+                                    <div className="grid grid-cols-2 gap-4 mt-4">
+                                        <InputField name="temp" label="Current Temp (°F)" value={humidor.temp} type="number" onChange={() => { }} theme={theme} disabled={true} />
+                                        <InputField name="humidity" label="Current Humidity (%)" value={humidor.humidity} type="number" onChange={() => { }} theme={theme} disabled={true} />
+                                    </div>
+                                </div>
+                            )}
+                        </div>
                     </div>
-                </div>
-                {/* Save and Cancel buttons */}
-                <div pnl="pnlSaveCancelButtons" className="pt-4 flex space-x-4">
-                    <button onClick={handleSave} className={`w-full ${theme.primaryBg} ${theme.text === 'text-white' ? 'text-white' : 'text-black'} font-bold py-3 rounded-lg ${theme.hoverPrimaryBg} transition-colors`}>Save Changes</button>
-                    <button onClick={() => navigate('MyHumidor', { humidorId: humidor.id })} className={`w-full ${theme.button} ${theme.text} font-bold py-3 rounded-lg transition-colors`}>Cancel</button>
-                </div>
+                    {/* Save and Cancel buttons */}
+                    <div pnl="pnlSaveCancelButtons" className="pt-4 flex space-x-4">
+                        <button onClick={handleSave} className={`w-full ${theme.primaryBg} ${theme.text === 'text-white' ? 'text-white' : 'text-black'} font-bold py-3 rounded-lg ${theme.hoverPrimaryBg} transition-colors`}>Save Changes</button>
+                        <button onClick={() => navigate('MyHumidor', { humidorId: humidor.id })} className={`w-full ${theme.button} ${theme.text} font-bold py-3 rounded-lg transition-colors`}>Cancel</button>
+                    </div>
+                </>)}
+                {/* Members */}
+                {member && <HumidorMembersPanel humidor={humidor} share={share} member={member} db={db} appId={appId} navigate={navigate} />}
             </div>
         </div>
     );
@@ -10,13 +10,18 @@
 // displays humidor cards with capacity visualization, temperature/humidity monitoring,
 // and collection statistics. Supports both humidor overview mode and filtered cigar
 // browsing with real-time search suggestions and filter management.
+// Humidors shared with the user are listed alongside their own, with invites waiting to be answered.
 
 import React, { useState, useEffect, useMemo } from 'react';
 import { Search, X, Plus, Thermometer, Droplets, ShieldPlus, MapPin, Leaf } from 'lucide-react';
 import ListCigarCard from '../components/Cigar/ListCigarCard';
-import { parseHumidorSize } from '../utils/formatUtils';
+import { getHumidorFill } from '../utils/capacityUtils';
+import CapacityGauge from '../components/UI/CapacityGauge';
+import { getCigarValue } from '../utils/lotUtils';
+import { filterCigarsByQuery } from '../utils/searchUtils';
+import ShareInvitesPanel from '../components/Panels/ShareInvitesPanel';
 
-const HumidorsScreen = ({ navigate, cigars, humidors, db, appId, userId, theme, preFilterWrapper, preFilterStrength, preFilterCountry }) => { // July 5, 2025 - 2:00:00 AM CDT: Added preFilterCountry prop
+const HumidorsScreen = ({ navigate, cigars, humidors, journalEntries, invites = [], member, db, appId, userId, theme, preFilterWrapper, preFilterStrength, preFilterCountry }) => { // July 5, 2025 - 2:00:00 AM CDT: Added preFilterCountry prop
     const [searchQuery, setSearchQuery] = useState('');
     const [suggestions, setSuggestions] = useState([]);
     const [activeWrapperFilter, setActiveWrapperFilter] = useState(preFilterWrapper || '');
@@ -99,13 +104,8 @@ const HumidorsScreen = ({ navigate, cigars, humidors, db, appId, userId, theme,
     };
 
     const filteredCigars = useMemo(() => {
-        let currentCigars = cigars;
-        if (searchQuery) {
-            currentCigars = currentCigars.filter(cigar =>
-                cigar.name.toLowerCase().includes(searchQuery.toLowerCase()) ||
-                cigar.brand.toLowerCase().includes(searchQuery.toLowerCase())
-            );
-        }
+        // Search results come back best match first; the filters below keep that order.
+        let currentCigars = filterCigarsByQuery(cigars, searchQuery, { humidors, journalEntries });
         // Apply wrapper filter
         if (activeWrapperFilter) {
             currentCigars = currentCigars.filter(cigar =>
@@ -137,7 +137,7 @@ const HumidorsScreen = ({ navigate, cigars, humidors, db, appId, userId, theme,
             }
         }
         return currentCigars;
-    }, [cigars, searchQuery, activeWrapperFilter, activeStrengthFilter, activeCountryFilter]);
+    }, [cigars, humidors, journalEntries, searchQuery, activeWrapperFilter, activeStrengthFilter, activeCountryFilter]);
 
     const totalUniqueCigars = filteredCigars.length;
     const totalQuantity = filteredCigars.reduce((sum, c) => sum + c.quantity, 0);
@@ -146,6 +146,8 @@ const HumidorsScreen = ({ navigate, cigars, humidors, db, appId, userId, theme,
         <div className="p-4 pb-24">
             <h1 className="text-3xl font-bold text-white mb-6">My Humidors</h1>
 
+            <ShareInvitesPanel invites={invites} member={member} db={db} appId={appId} />
+
             <div className="relative mb-4">
                 <Search className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-400 w-5 h-5" />
                 <input type="text" placeholder="Search all cigars..." value={searchQuery} onChange={handleSearchChange}
@@ -293,10 +295,8 @@ const HumidorsScreen = ({ navigate, cigars, humidors, db, appId, userId, theme,
                         {humidors.map(humidor => {
                             const cigarsInHumidor = cigars.filter(c => c.humidorId === humidor.id);
                             const cigarCount = cigarsInHumidor.reduce((sum, c) => sum + c.quantity, 0);
-                            const humidorValue = cigarsInHumidor.reduce((sum, c) => sum + (c.quantity * (c.price || 0)), 0);
-                            const humidorCapacity = parseHumidorSize(humidor.size);
-                            const percentageFull = humidorCapacity > 0 ? Math.min(Math.round((cigarCount / humidorCapacity) * 100), 100) : 0;
-                            const capacityColor = percentageFull > 90 ? 'bg-red-500' : theme.primaryBg;
+                            const humidorValue = cigarsInHumidor.reduce((sum, c) => sum + getCigarValue(c), 0);
+                            const fill = getHumidorFill(humidor, cigarsInHumidor);
 
                             return (
                                 <div key={humidor.id} className="bg-gray-800/50 rounded-xl overflow-hidden group cursor-pointer shadow-lg hover:shadow-amber-500/20 transition-shadow duration-300" onClick={() => navigate('MyHumidor', { humidorId: humidor.id })}>
@@ -306,6 +306,7 @@ const HumidorsScreen = ({ navigate, cigars, humidors, db, appId, userId, theme,
                                         <div className="absolute bottom-0 left-0 p-4">
                                             <h2 className="text-2xl font-bold text-white">{humidor.name}</h2>
                                             <p className="text-sm text-gray-300">{humidor.location}</p>
+                                            {humidor.share && <p className="text-xs text-amber-300">Shared by {humidor.share.ownerName}</p>}
                                         </div>
                                     </div>
                                     <div className="p-4 bg-gray-800 flex gap-4">
@@ -322,10 +323,7 @@ const HumidorsScreen = ({ navigate, cigars, humidors, db, appId, userId, theme,
                                         <div className="flex-grow flex flex-col justify-center">
                                             <div>
                                                 <label className="text-xs text-gray-400">Capacity</label>
-                                                <div className="relative w-full bg-gray-700 rounded-full h-6 mt-1">
-                                                    <div style={{ width: `${percentageFull}%` }} className={`h-full rounded-full ${capacityColor} transition-all duration-500`}></div>
-                                                    <span className="absolute inset-0 flex items-center justify-center text-sm font-bold text-white">{percentageFull}% Full</span>
-                                                </div>
+                                                <CapacityGauge fill={fill} theme={theme} />
                                             </div>
                                             <div className="flex justify-between mt-2">
                                                 <div className="text-xs text-gray-400">
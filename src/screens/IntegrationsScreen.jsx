@@ -11,7 +11,8 @@
 // Govee smart sensors. Features include API key management, connection testing, device discovery, and status
 // monitoring. The component handles authentication with the Govee service, validates API keys, fetches available
 // devices, and provides user feedback on connection status. It includes error handling for failed connections
-// and displays connected device information when successfully integrated.
+// and displays connected device information when successfully integrated. Once connected, every humidor
+// linked to a sensor in EditHumidor is polled periodically and its readings are recorded.
 
 import React, { useState } from 'react';
 import { ChevronLeft, LoaderCircle, Zap } from 'lucide-react';
@@ -47,7 +48,7 @@ const IntegrationsScreen = ({ navigate, goveeApiKey, setGoveeApiKey, goveeDevice
                 setGoveeApiKey('');
                 setGoveeDevices([]);
                 setStatus('Not Connected');
-                setMessage('No Govee devices found with this API key. Please check your key and ensure devices are online.');
+                setMessage('No supported Govee thermo-hygrometers (H5075, H5074, H5100) found with this API key. Please check your key and ensure devices are online.');
             }
         } catch (error) {
             console.error("Error connecting to Govee:", error);
@@ -72,7 +73,7 @@ const IntegrationsScreen = ({ navigate, goveeApiKey, setGoveeApiKey, goveeDevice
                     <p className={`${theme.subtleText} text-sm mb-4`}>Connect your Govee account to automatically sync temperature and humidity data.</p>
                     <div className="space-y-2">
                         <label className={`text-sm font-medium ${theme.subtleText} mb-1 block`}>Govee API Key</label>
-                        <input type="text" placeholder="Enter your Govee API Key (e.g., TEST_KEY_123)" value={key} onChange={(e) => { setKey(e.target.value); setStatus('Not Connected'); setMessage(''); }} className={`w-full ${theme.inputBg} border ${theme.borderColor} rounded-lg py-2 px-3 ${theme.text} placeholder-gray-500 focus:outline-none focus:ring-2 ${theme.ring}`} />
+                        <input type="text" placeholder="Enter your Govee API Key" value={key} onChange={(e) => { setKey(e.target.value); setStatus('Not Connected'); setMessage(''); }} className={`w-full ${theme.inputBg} border ${theme.borderColor} rounded-lg py-2 px-3 ${theme.text} placeholder-gray-500 focus:outline-none focus:ring-2 ${theme.ring}`} />
                         <p className={`${theme.subtleText} text-xs`}>Get this from the Govee Home app under "About Us {'>'} Apply for API Key".</p>
                     </div>
                     <div className="mt-4 flex justify-between items-center">
@@ -9,13 +9,27 @@
 // with cigars, environmental data, and management options. Features enhanced
 // toolbar with tooltips, attractive cigar count display, search functionality,
 // filtering and sorting capabilities, view mode switching, select mode for
-// bulk operations, and Roxy's AI-powered auto-fill for missing cigar details.
+// bulk operations, Roxy's AI-powered auto-fill for missing cigar details, and
+// a time-series chart of the humidor's temperature and humidity history.
+// Humidors shared with the user are read and written in the owner's collection (userId is the
+// owner's ID), and the member's role decides which actions are offered.
 
 import React, { useState, useEffect, useMemo } from 'react';
-import { ChevronLeft, Edit, Plus, Search, Filter, LayoutGrid, List, Thermometer, Droplets, Box, DollarSign, Star, Move, Trash2, CheckSquare, ArrowUp, ArrowDown, X } from 'lucide-react';
-import { doc, updateDoc, writeBatch, deleteDoc } from 'firebase/firestore';
+import { ChevronLeft, Edit, Plus, Search, Filter, LayoutGrid, List, Thermometer, Droplets, Box, DollarSign, Star, Move, Trash2, CheckSquare, ArrowUp, ArrowDown, X, Bookmark } from 'lucide-react';
+import { doc, writeBatch, deleteDoc } from 'firebase/firestore';
+import { settleWrite } from '../services/syncService';
 import { parseHumidorSize, formatDate } from '../utils/formatUtils';
-import { callGeminiAPI } from '../services/geminiService';
+import { getCigarValue } from '../utils/lotUtils';
+import { getHumidorFill } from '../utils/capacityUtils';
+import { filterCigarsByQuery } from '../utils/searchUtils';
+import { EMPTY_FILTERS, hasActiveFilters, applyCigarFilters, sortCigars, createSmartCollection } from '../utils/smartCollectionUtils';
+import { getMissingDetailFields } from '../utils/autofillUtils';
+import { saveAcceptedAutofill, startAutofillJob, clearAutofillJob, subscribeToAutofillJob } from '../services/autofillService';
+import { JOB_ITEM_STATUS } from '../services/jobRunner';
+import { recordHumidorReading } from '../services/environmentService';
+import { moveCigars } from '../services/inventoryService';
+import { getShareRef } from '../services/shareService';
+import { canEditHumidor, getHumidorOwnerId, SHARE_ROLE_LABELS } from '../utils/shareUtils';
 import { strengthOptions } from '../constants/cigarOptions';
 
 // Import components
@@ -23,14 +37,19 @@ import FilterSortModal from '../components/UI/FilterSortModal';
 import HumidorActionMenu from '../components/Menus/HumidorActionMenu';
 import GridCigarCard from '../components/Cigar/GridCigarCard';
 import ListCigarCard from '../components/Cigar/ListCigarCard';
+import EnvironmentHistoryPanel from '../components/Panels/EnvironmentHistoryPanel';
+import AutofillJobPanel from '../components/Panels/AutofillJobPanel';
+import CapacityGauge from '../components/UI/CapacityGauge';
 
 // Import modal components
 import ManualReadingModal from '../components/Modals/Forms/ManualReadingModal';
+import SmartCollectionModal from '../components/Modals/Forms/SmartCollectionModal';
+import AutofillReviewModal from '../components/Modals/Forms/AutofillReviewModal';
 import MoveCigarsModal from '../components/Modals/Actions/MoveCigarsModal';
 import DeleteHumidorModal from '../components/Modals/Actions/DeleteHumidorModal';
 import DeleteCigarsModal from '../components/Modals/Actions/DeleteCigarsModal';
 import ExportModal from '../components/Modals/Data/ExportModal';
-const MyHumidor = ({ humidor, navigate, cigars, humidors, db, appId, userId, theme }) => {
+const MyHumidor = ({ humidor, navigate, cigars, humidors, journalEntries, smartCollections, share, db, appId, userId, currentUserId, theme }) => {
     const [searchQuery, setSearchQuery] = useState('');
     const [suggestions, setSuggestions] = useState([]);
     const [viewMode, setViewMode] = useState('grid');
@@ -43,72 +62,48 @@ const MyHumidor = ({ humidor, navigate, cigars, humidors, db, appId, userId, the
     const [isManualReadingModalOpen, setIsManualReadingModalOpen] = useState(false);
     const [isFilterSortModalOpen, setIsFilterSortModalOpen] = useState(false);
     const [isFilterPanelOpen, setIsFilterPanelOpen] = useState(false);
-    const [filters, setFilters] = useState({ brand: '', country: '', strength: '', flavorNotes: [] });
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [smartCollectionToSave, setSmartCollectionToSave] = useState(null);
     const [sortBy, setSortBy] = useState('name');
     const [sortOrder, setSortOrder] = useState('asc');
 
+    const canEdit = canEditHumidor(humidor.share?.role);
+    const isOwner = !humidor.share;
+    // Cigars can only move between humidors in the same collection.
+    const sameOwnerHumidors = humidors.filter(h => h.id !== humidor.id && getHumidorOwnerId(h, currentUserId) === userId);
+
     // --- Auto-fill Missing Cigar Details Banner Logic ---
     const [showAutofillBanner, setShowAutofillBanner] = useState(true);
-    const [isAutofilling, setIsAutofilling] = useState(false);
     const [autofillStatus, setAutofillStatus] = useState(""); // For feedback
+    const [autofillJob, setAutofillJob] = useState(null); // Progress of the background autofill job, if any
+    const [isReviewingAutofill, setIsReviewingAutofill] = useState(false);
 
-    // Fields to auto-fill (do NOT include shape, size, length_inches, ring_gauge)
-    const FIELDS_TO_AUTOFILL = [
-        "shortDescription", "description", "wrapper", "binder", "filler", "rating", "flavorNotes", "price"
-    ];
-
-    const filteredAndSortedCigars = useMemo(() => {
-        let currentCigars = cigars.filter(c => c.humidorId === humidor.id);
-
-        if (searchQuery) {
-            currentCigars = currentCigars.filter(cigar => cigar.name.toLowerCase().includes(searchQuery.toLowerCase()) || cigar.brand.toLowerCase().includes(searchQuery.toLowerCase()));
-        }
-
-        if (filters.brand) currentCigars = currentCigars.filter(cigar => cigar.brand === filters.brand);
-        if (filters.country) currentCigars = currentCigars.filter(cigar => cigar.country === filters.country);
-        if (filters.strength) currentCigars = currentCigars.filter(cigar => cigar.strength === filters.strength);
-        if (filters.flavorNotes.length > 0) {
-            currentCigars = currentCigars.filter(cigar => filters.flavorNotes.every(note => cigar.flavorNotes.includes(note)));
-        }
+    // The autofill job runs outside this screen, so it keeps going if the user navigates away.
+    useEffect(() => subscribeToAutofillJob(humidor.id, setAutofillJob), [humidor.id]);
 
-        currentCigars.sort((a, b) => {
-            let valA, valB;
-            switch (sortBy) {
-                case 'name': valA = a.name.toLowerCase(); valB = b.name.toLowerCase(); break;
-                case 'brand': valA = a.brand.toLowerCase(); valB = b.brand.toLowerCase(); break;
-                case 'rating': valA = a.rating || 0; valB = b.rating || 0; break;
-                case 'quantity': valA = a.quantity; valB = b.quantity; break;
-                case 'price': valA = a.price || 0; valB = b.price || 0; break;
-                case 'dateAdded': valA = a.dateAdded; valB = b.dateAdded; break;
-                default: return 0;
-            }
-            if (valA < valB) return sortOrder === 'asc' ? -1 : 1;
-            if (valA > valB) return sortOrder === 'asc' ? 1 : -1;
-            return 0;
-        });
+    // Roxy's suggestions so far, one per cigar she found something new for.
+    const autofillProposals = useMemo(() => (autofillJob?.items || [])
+        .filter(item => item.status === JOB_ITEM_STATUS.done && item.result.changes.length > 0)
+        .map(item => ({ id: item.id, title: item.label, ...item.result })), [autofillJob]);
 
-        return currentCigars;
-    }, [cigars, humidor.id, searchQuery, filters, sortBy, sortOrder]);
+    const filteredAndSortedCigars = useMemo(() => {
+        const matching = filterCigarsByQuery(cigars.filter(c => c.humidorId === humidor.id), searchQuery, { humidors, journalEntries });
+        return sortCigars(applyCigarFilters(matching, filters), sortBy, sortOrder);
+    }, [cigars, humidors, journalEntries, humidor.id, searchQuery, filters, sortBy, sortOrder]);
 
     // Find cigars with missing fields (only for this humidor)
-    const cigarsWithMissingDetails = filteredAndSortedCigars.filter(cigar =>
-        FIELDS_TO_AUTOFILL.some(field =>
-            cigar[field] === undefined ||
-            cigar[field] === "" ||
-            (Array.isArray(cigar[field]) && cigar[field].length === 0)
-        )
-    );
+    const cigarsWithMissingDetails = filteredAndSortedCigars.filter(cigar => getMissingDetailFields(cigar).length > 0);
 
-    const isFilterActive = useMemo(() => {
-        return filters.brand || filters.country || filters.strength || filters.flavorNotes.length > 0;
-    }, [filters]);
+    const isFilterActive = useMemo(() => hasActiveFilters(filters), [filters]);
 
     const uniqueBrands = useMemo(() => [...new Set(cigars.filter(c => c.humidorId === humidor.id).map(c => c.brand))].sort(), [cigars, humidor.id]);
     const uniqueCountries = useMemo(() => [...new Set(cigars.filter(c => c.humidorId === humidor.id).map(c => c.country))].sort(), [cigars, humidor.id]);
     const availableFlavorNotes = useMemo(() => [...new Set(cigars.filter(c => c.humidorId === humidor.id).flatMap(c => c.flavorNotes))].sort(), [cigars, humidor.id]);
 
     const totalQuantity = filteredAndSortedCigars.reduce((sum, c) => sum + c.quantity, 0);
-    const humidorValue = filteredAndSortedCigars.reduce((sum, c) => sum + (c.quantity * (c.price || 0)), 0);
+    const humidorValue = filteredAndSortedCigars.reduce((sum, c) => sum + getCigarValue(c), 0);
+    // Capacity counts every cigar in the humidor, not just those matching the current filters.
+    const humidorFill = useMemo(() => getHumidorFill(humidor, cigars.filter(c => c.humidorId === humidor.id)), [humidor, cigars]);
 
     const handleSearchChange = (e) => {
         const query = e.target.value;
@@ -140,19 +135,8 @@ const MyHumidor = ({ humidor, navigate, cigars, humidors, db, appId, userId, the
         setSelectedCigarIds(prev => prev.includes(cigarId) ? prev.filter(id => id !== cigarId) : [...prev, cigarId]);
     };
 
-    // Function to handle the Move Cigars action
-    const handleMoveCigars = async (destinationHumidorId) => {
-        // Get a new write batch
-        const batch = writeBatch(db);
-        // Iterate over each selected cigar ID
-        selectedCigarIds.forEach(cigarId => {
-            // Correctly reference the cigar document using the cigarId from the loop
-            const cigarRef = doc(db, 'artifacts', appId, 'users', userId, 'cigars', cigarId);
-            // Update the humidorId and reset the dateAdded for the moved cigar
-            batch.update(cigarRef, { humidorId: destinationHumidorId, dateAdded: new Date().toISOString() });
-        });
-        // Commit the batch update
-        await batch.commit();
+    // Called once MoveCigarsModal has moved the selected cigars
+    const handleCigarsMoved = (destinationHumidorId) => {
         // Reset state and navigate to the destination humidor
         setIsMoveModalOpen(false);
         setIsSelectMode(false);
@@ -166,10 +150,13 @@ const MyHumidor = ({ humidor, navigate, cigars, humidors, db, appId, userId, the
 
         switch (action) {
             case 'move':
-                cigarsToDelete.forEach(cigar => {
-                    const cigarRef = doc(db, 'artifacts', appId, 'users', userId, 'cigars', cigar.id);
-                    batch.update(cigarRef, { humidorId: destinationHumidorId });
-                });
+                try {
+                    await moveCigars(db, appId, userId, cigarsToDelete.map(c => c.id), destinationHumidorId);
+                } catch (error) {
+                    console.error("Error moving cigars out of humidor:", error);
+                    alert(`Could not move the cigars, so the humidor was not deleted: ${error.message}`);
+                    return;
+                }
                 break;
             case 'export':
             case 'deleteAll':
@@ -183,70 +170,42 @@ const MyHumidor = ({ humidor, navigate, cigars, humidors, db, appId, userId, the
 
         const humidorRef = doc(db, 'artifacts', appId, 'users', userId, 'humidors', humidor.id);
         batch.delete(humidorRef);
+        if (share) batch.delete(getShareRef(db, appId, humidor.id));
 
-        await batch.commit();
+        await settleWrite(batch.commit());
         setIsDeleteHumidorModalOpen(false);
         navigate('HumidorsScreen');
     };
 
-    const handleAutofillMissingDetails = async () => {
-        setIsAutofilling(true);
-        setAutofillStatus("Auto-filling details...");
-
-        for (const cigar of cigarsWithMissingDetails) {
-            // Build prompt for Gemini
-            const missingFields = FIELDS_TO_AUTOFILL.filter(f =>
-                cigar[f] === undefined ||
-                cigar[f] === "" ||
-                (Array.isArray(cigar[f]) && cigar[f].length === 0)
-            );
-            if (!cigar.name || missingFields.length === 0) continue;
-
-            const prompt = `You are a cigar database. Fill in missing details for this cigar as a JSON object.
-Cigar: "${cigar.brand} ${cigar.name}".
-Missing fields: ${missingFields.join(", ")}.
-Schema: { "shortDescription": "string", "description": "string", "wrapper": "string", "binder": "string", "filler": "string", "rating": "number", "flavorNotes": ["string"], "price": "number" }.
-If you cannot determine a value, use "" or [] or 0. Only return the JSON object.`;
-
-            const responseSchema = {
-                type: "OBJECT",
-                properties: {
-                    shortDescription: { type: "STRING" },
-                    description: { type: "STRING" },
-                    wrapper: { type: "STRING" },
-                    binder: { type: "STRING" },
-                    filler: { type: "STRING" },
-                    rating: { type: "NUMBER" },
-                    flavorNotes: { type: "ARRAY", items: { type: "STRING" } },
-                    price: { type: "NUMBER" }
-                }
-            };
-
-            const result = await callGeminiAPI(prompt, responseSchema);
-
-            if (typeof result === "object" && result !== null) {
-                // Only update missing fields
-                const updateData = {};
-                FIELDS_TO_AUTOFILL.forEach(field => {
-                    if (
-                        (!cigar[field] || (Array.isArray(cigar[field]) && cigar[field].length === 0)) &&
-                        result[field] !== undefined
-                    ) {
-                        updateData[field] = result[field];
-                    }
-                });
-                console.log("Fields to update for", cigar.name, updateData);
-                if (Object.keys(updateData).length > 0) {
-                    const cigarRef = doc(db, 'artifacts', appId, 'users', userId, 'cigars', cigar.id);
-                    await updateDoc(cigarRef, updateData);
-                }
-            } else {
-                setAutofillStatus(`Roxy couldn't find any details for "${cigar.name}".`);
-                console.warn("No data returned from Gemini for", cigar.name, result);
-            }
+    // Starts looking up the missing details in the background. Nothing is saved until the user
+    // has reviewed Roxy's suggestions in the AutofillReviewModal.
+    const handleAutofillMissingDetails = () => {
+        setAutofillStatus("");
+        startAutofillJob(humidor.id, cigarsWithMissingDetails);
+    };
+
+    // Saves the suggestions the user accepted, tagging each value as coming from Roxy.
+    const handleApplyAutofill = async (accepted) => {
+        // Use the cigars as they are now, and skip any deleted while Roxy was working.
+        const toSave = autofillProposals
+            .filter(proposal => accepted[proposal.id])
+            .map(proposal => ({ cigar: cigars.find(c => c.id === proposal.id), changes: accepted[proposal.id], source: proposal.source }))
+            .filter(({ cigar }) => cigar);
+        try {
+            const saved = await saveAcceptedAutofill(db, appId, userId, toSave);
+            setIsReviewingAutofill(false);
+            clearAutofillJob(humidor.id);
+            setAutofillStatus(`Woof! Saved ${saved} detail${saved !== 1 ? 's' : ''} from Roxy.`);
+            setShowAutofillBanner(false);
+        } catch (error) {
+            console.error("Error saving autofill suggestions:", error);
+            alert(`Could not save Roxy's suggestions: ${error.message}`);
         }
-        setAutofillStatus("Auto-fill complete!");
-        setIsAutofilling(false);
+    };
+
+    const handleCloseAutofillBanner = () => {
+        if (autofillJob && autofillProposals.length > 0 && !window.confirm("Throw away Roxy's suggestions without reviewing them?")) return;
+        clearAutofillJob(humidor.id);
         setShowAutofillBanner(false);
     };
 
@@ -262,7 +221,7 @@ If you cannot determine a value, use "" or [] or 0. Only return the JSON object.
             batch.delete(cigarRef);
         });
         // Commit the batch deletion
-        await batch.commit();
+        await settleWrite(batch.commit());
         // Reset the state
         setIsDeleteCigarsModalOpen(false);
         setIsSelectMode(false);
@@ -270,8 +229,8 @@ If you cannot determine a value, use "" or [] or 0. Only return the JSON object.
     };
 
     const handleSaveManualReading = async (newTemp, newHumidity) => {
-        const humidorRef = doc(db, 'artifacts', appId, 'users', userId, 'humidors', humidor.id);
-        await updateDoc(humidorRef, { temp: newTemp, humidity: newHumidity });
+        // Saving through the environment service also checks the humidor's alert thresholds.
+        await recordHumidorReading(db, appId, userId, humidor, { temp: newTemp, humidity: newHumidity }, 'manual');
         setIsManualReadingModalOpen(false);
     };
 
@@ -291,14 +250,21 @@ If you cannot determine a value, use "" or [] or 0. Only return the JSON object.
     };
 
     const handleClearFilters = () => {
-        setFilters({ brand: '', country: '', strength: '', flavorNotes: [] });
+        setFilters(EMPTY_FILTERS);
+    };
+
+    // Saves the current search, filters and sort so they can be reopened from the dashboard.
+    const handleSaveSmartCollection = () => {
+        setSmartCollectionToSave(createSmartCollection({ name: '', query: searchQuery, filters, sortBy, sortOrder, humidorId: humidor.id }));
     };
 
     return (
         <div className="bg-gray-900 min-h-screen pb-24">
-            {isManualReadingModalOpen && <ManualReadingModal humidor={humidor} onClose={() => setIsManualReadingModalOpen(false)} onSave={handleSaveManualReading} theme={theme} />}
-            {isMoveModalOpen && <MoveCigarsModal onClose={() => setIsMoveModalOpen(false)} onMove={handleMoveCigars} destinationHumidors={humidors.filter(h => h.id !== humidor.id)} theme={theme} />}
-            <DeleteHumidorModal isOpen={isDeleteHumidorModalOpen} onClose={() => setIsDeleteHumidorModalOpen(false)} onConfirm={handleConfirmDeleteHumidor} humidor={humidor} cigarsInHumidor={filteredAndSortedCigars} otherHumidors={humidors.filter(h => h.id !== humidor.id)} />
+            {isManualReadingModalOpen && <ManualReadingModal isOpen={isManualReadingModalOpen} initialTemp={humidor.temp} initialHumidity={humidor.humidity} onClose={() => setIsManualReadingModalOpen(false)} onSave={handleSaveManualReading} theme={theme} />}
+            {isReviewingAutofill && autofillProposals.length > 0 && <AutofillReviewModal proposals={autofillProposals} onApply={handleApplyAutofill} onClose={() => setIsReviewingAutofill(false)} closeLabel="Later" />}
+            {smartCollectionToSave && <SmartCollectionModal onClose={() => setSmartCollectionToSave(null)} onSaved={() => setSmartCollectionToSave(null)} smartCollection={smartCollectionToSave} smartCollections={smartCollections} humidor={humidor} humidors={humidors} db={db} appId={appId} userId={currentUserId} />}
+            {isMoveModalOpen && <MoveCigarsModal onClose={() => setIsMoveModalOpen(false)} onMoved={handleCigarsMoved} cigars={cigars.filter(c => selectedCigarIds.includes(c.id))} allCigars={cigars} destinationHumidors={sameOwnerHumidors} db={db} appId={appId} userId={userId} theme={theme} />}
+            <DeleteHumidorModal isOpen={isDeleteHumidorModalOpen} onClose={() => setIsDeleteHumidorModalOpen(false)} onConfirm={handleConfirmDeleteHumidor} humidor={humidor} cigarsInHumidor={filteredAndSortedCigars} otherHumidors={sameOwnerHumidors} />
             <DeleteCigarsModal isOpen={isDeleteCigarsModalOpen} onClose={() => setIsDeleteCigarsModalOpen(false)} onConfirm={handleConfirmDeleteCigars} count={selectedCigarIds.length} />
             {isExportModalOpen && <ExportModal data={filteredAndSortedCigars} dataType="cigar" onClose={() => setIsExportModalOpen(false)} />}
 
@@ -311,12 +277,13 @@ If you cannot determine a value, use "" or [] or 0. Only return the JSON object.
                         <ChevronLeft className="w-7 h-7 text-white" />
                     </button>
                     <HumidorActionMenu
-                        onAddCigar={() => navigate('AddCigar', { humidorId: humidor.id })}
-                        onEdit={() => navigate('EditHumidor', { humidorId: humidor.id })}
-                        onTakeReading={() => setIsManualReadingModalOpen(true)}
+                        onAddCigar={canEdit ? () => navigate('AddCigar', { humidorId: humidor.id }) : undefined}
+                        onEdit={canEdit ? () => navigate('EditHumidor', { humidorId: humidor.id }) : undefined}
+                        onTakeReading={canEdit ? () => setIsManualReadingModalOpen(true) : undefined}
+                        onMembers={() => navigate('EditHumidor', { humidorId: humidor.id })}
                         onExport={() => setIsExportModalOpen(true)}
-                        onDelete={() => setIsDeleteHumidorModalOpen(true)}
-                        onImport={() => navigate('DataSync')} // Navigate to DataSync for import options
+                        onDelete={isOwner ? () => setIsDeleteHumidorModalOpen(true) : undefined}
+                        onImport={isOwner ? () => navigate('DataSync') : undefined} // Navigate to DataSync for import options
                     />
 
                 </div>
@@ -325,6 +292,7 @@ If you cannot determine a value, use "" or [] or 0. Only return the JSON object.
                         <h1 className="text-3xl font-bold text-white">{humidor.name}</h1>
                     </div>
                     <p className="text-sm text-gray-300">{humidor.shortDescription || humidor.description}</p>
+                    {humidor.share && <p className="text-xs text-amber-300 mt-1">Shared by {humidor.share.ownerName} · {SHARE_ROLE_LABELS[humidor.share.role]}</p>}
                 </div>
             </div>
 
@@ -337,6 +305,16 @@ If you cannot determine a value, use "" or [] or 0. Only return the JSON object.
                     <div className="flex flex-col items-center"><svg className="w-5 h-5 text-green-400 mb-1" xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round"><line x1="12" y1="1" x2="12" y2="23" /><path d="M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6" /></svg><p className="text-sm text-gray-400">Est. Value</p><p className="font-bold text-white text-base">${humidorValue.toFixed(2)}</p></div>
                 </div>
 
+                <div id="pnlHumidorCapacity" className="bg-gray-800/50 p-3 rounded-xl mb-6">
+                    <label className="text-xs text-gray-400">Capacity</label>
+                    <CapacityGauge fill={humidorFill} theme={theme} showDetails />
+                    {humidorFill.status === 'over' && (
+                        <p className="text-xs text-red-400 mt-1">Woof! This humidor is over capacity. Consider moving some cigars to another humidor.</p>
+                    )}
+                </div>
+
+                <EnvironmentHistoryPanel humidor={humidor} db={db} appId={appId} userId={userId} theme={theme} />
+
                 {/* Search Bar */}
                 <div id="pnlSearchBar" className="relative mb-4">
                     <Search className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-400 w-5 h-5" />
@@ -427,39 +405,43 @@ If you cannot determine a value, use "" or [] or 0. Only return the JSON object.
                             </div>
                         </div>
 
-                        <div className="relative group">
-                            <button
-                                onClick={handleToggleSelectMode}
-                                className={`p-3 bg-gray-800/50 border border-gray-700 rounded-full transition-colors ${isSelectMode ? 'bg-amber-500 text-white border-amber-400' : `${theme.primary} hover:bg-gray-700`}`}
-                            >
-                                <CheckSquare className="w-5 h-5" />
-                            </button>
-                            <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-2 py-1 bg-gray-800 text-white text-xs rounded shadow-lg opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none whitespace-nowrap z-30">
-                                Select Mode
-                                <div className="absolute top-full left-1/2 transform -translate-x-1/2 w-0 h-0 border-l-2 border-r-2 border-t-2 border-transparent border-t-gray-800"></div>
-                            </div>
-                        </div>
+                        {canEdit && (
+                            <>
+                                <div className="relative group">
+                                    <button
+                                        onClick={handleToggleSelectMode}
+                                        className={`p-3 bg-gray-800/50 border border-gray-700 rounded-full transition-colors ${isSelectMode ? 'bg-amber-500 text-white border-amber-400' : `${theme.primary} hover:bg-gray-700`}`}
+                                    >
+                                        <CheckSquare className="w-5 h-5" />
+                                    </button>
+                                    <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-2 py-1 bg-gray-800 text-white text-xs rounded shadow-lg opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none whitespace-nowrap z-30">
+                                        Select Mode
+                                        <div className="absolute top-full left-1/2 transform -translate-x-1/2 w-0 h-0 border-l-2 border-r-2 border-t-2 border-transparent border-t-gray-800"></div>
+                                    </div>
+                                </div>
 
-                        <div className="relative group">
-                            <button
-                                id="btnAddCigar"
-                                onClick={() => navigate('AddCigar', { humidorId: humidor.id })}
-                                className="p-3 bg-amber-500 border border-amber-400 rounded-full text-white hover:bg-amber-600 transition-colors"
-                                aria-label="Add Cigar"
-                            >
-                                <Plus className="w-5 h-5" />
-                            </button>
-                            <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-2 py-1 bg-gray-800 text-white text-xs rounded shadow-lg opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none whitespace-nowrap z-30">
-                                Add Cigar
-                                <div className="absolute top-full left-1/2 transform -translate-x-1/2 w-0 h-0 border-l-2 border-r-2 border-t-2 border-transparent border-t-gray-800"></div>
-                            </div>
-                        </div>
+                                <div className="relative group">
+                                    <button
+                                        id="btnAddCigar"
+                                        onClick={() => navigate('AddCigar', { humidorId: humidor.id })}
+                                        className="p-3 bg-amber-500 border border-amber-400 rounded-full text-white hover:bg-amber-600 transition-colors"
+                                        aria-label="Add Cigar"
+                                    >
+                                        <Plus className="w-5 h-5" />
+                                    </button>
+                                    <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 px-2 py-1 bg-gray-800 text-white text-xs rounded shadow-lg opacity-0 group-hover:opacity-100 transition-opacity duration-200 pointer-events-none whitespace-nowrap z-30">
+                                        Add Cigar
+                                        <div className="absolute top-full left-1/2 transform -translate-x-1/2 w-0 h-0 border-l-2 border-r-2 border-t-2 border-transparent border-t-gray-800"></div>
+                                    </div>
+                                </div>
+                            </>
+                        )}
                     </div>
                 </div>
 
                 {/* Show the autofill banner if enabled and there are cigars with missing 
                 details */}
-                {showAutofillBanner && cigarsWithMissingDetails.length > 0 && (
+                {canEdit && ((showAutofillBanner && cigarsWithMissingDetails.length > 0) || autofillJob) && (
                     <div
                         id="pnlAutofillBanner"
                         className="relative bg-amber-900/20 border border-amber-800 rounded-xl p-4 mb-4 flex flex-col shadow-lg overflow-hidden"
@@ -467,7 +449,7 @@ If you cannot determine a value, use "" or [] or 0. Only return the JSON object.
                     >
                         {/* Close button in top right */}
                         <button
-                            onClick={() => setShowAutofillBanner(false)}
+                            onClick={handleCloseAutofillBanner}
                             className="absolute top-2 right-2 text-yellow-300 hover:text-white text-2xl font-bold z-10"
                             aria-label="Close"
                         >
@@ -483,32 +465,41 @@ If you cannot determine a value, use "" or [] or 0. Only return the JSON object.
                             </span>
                             <h3 className="font-bold text-amber-200 text-lg flex items-center">Roxy's Corner</h3>
                         </div>
-                        <span className="text-amber-100 text-sm mb-3">
-                            Some imported cigars are missing details. Let Roxy auto-fill them for you!
-                        </span>
-                        <button
-                            onClick={handleAutofillMissingDetails}
-                            disabled={isAutofilling}
-                            className="bg-amber-500 text-white font-bold px-4 py-2 rounded-lg hover:bg-amber-600 transition-colors w-full sm:w-auto"
-                        >
-                            {isAutofilling ? "Auto-filling..." : "Auto-fill Details"}
-                        </button>
+                        {autofillJob ? (
+                            <AutofillJobPanel jobKey={humidor.id} job={autofillJob} onReview={() => setIsReviewingAutofill(true)} />
+                        ) : (
+                            <>
+                                <span className="text-amber-100 text-sm mb-3">
+                                    Some imported cigars are missing details. Let Roxy auto-fill them for you!
+                                </span>
+                                <button
+                                    onClick={handleAutofillMissingDetails}
+                                    className="bg-amber-500 text-white font-bold px-4 py-2 rounded-lg hover:bg-amber-600 transition-colors w-full sm:w-auto"
+                                >
+                                    Auto-fill Details
+                                </button>
+                            </>
+                        )}
                         {autofillStatus && (
                             <div className="mt-2 text-amber-200 text-xs">{autofillStatus}</div>
                         )}
                     </div>
                 )}
 
-                {isFilterActive && (
+                {(isFilterActive || searchQuery.trim()) && (
                     <div className="flex justify-between items-center mb-4 bg-gray-800 p-3 rounded-lg">
                         <div className="flex items-center gap-2 flex-wrap">
                             <span className="text-sm text-gray-300">Filtering by:</span>
+                            {searchQuery.trim() && <span className="text-xs font-semibold px-2 py-1 rounded-full bg-amber-500/20 text-amber-300 border border-amber-500/50">"{searchQuery.trim()}"</span>}
                             {filters.brand && <span className="text-xs font-semibold px-2 py-1 rounded-full bg-amber-500/20 text-amber-300 border border-amber-500/50">{filters.brand}</span>}
                             {filters.country && <span className="text-xs font-semibold px-2 py-1 rounded-full bg-amber-500/20 text-amber-300 border border-amber-500/50">{filters.country}</span>}
                             {filters.strength && <span className="text-xs font-semibold px-2 py-1 rounded-full bg-amber-500/20 text-amber-300 border border-amber-500/50">{filters.strength}</span>}
                             {filters.flavorNotes.map(note => <span key={note} className="text-xs font-semibold px-2 py-1 rounded-full bg-amber-500/20 text-amber-300 border border-amber-500/50">{note}</span>)}
                         </div>
-                        <button onClick={handleClearFilters} className="p-1 rounded-full hover:bg-amber-800 transition-colors text-amber-400"><X className="w-4 h-4" /></button>
+                        <div className="flex items-center gap-1 flex-shrink-0">
+                            <button onClick={handleSaveSmartCollection} title="Save as a smart collection" className="p-1 rounded-full hover:bg-amber-800 transition-colors text-amber-400"><Bookmark className="w-4 h-4" /></button>
+                            <button onClick={() => { handleClearFilters(); handleClearSearch(); }} className="p-1 rounded-full hover:bg-amber-800 transition-colors text-amber-400"><X className="w-4 h-4" /></button>
+                        </div>
                     </div>
                 )}
 
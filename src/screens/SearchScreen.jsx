@@ -0,0 +1,108 @@
+// File: SearchScreen.jsx
+// Path: src/screens/SearchScreen.jsx
+// Project: Humidor Hub
+// Author: Shawn Miller (hereiamnow@gmail.com)
+// Date: October 19, 2026
+
+// Description:
+// Global search across every cigar in every humidor, reached from the bottom navigation.
+// Searches names, brands, lines, wrapper/binder/filler, country, flavor notes, descriptions
+// and journal notes, and understands fielded queries such as `wrapper:maduro rating:>90`
+// (see utils/searchUtils). Results are ranked, show which humidor each cigar is in and
+// what matched, and open the cigar's detail screen. A search can be saved as a smart collection.
+
+import React, { useState, useMemo } from 'react';
+import { Search, X, HelpCircle, Bookmark } from 'lucide-react';
+import ListCigarCard from '../components/Cigar/ListCigarCard';
+import SmartCollectionModal from '../components/Modals/Forms/SmartCollectionModal';
+import { buildSearchIndex, searchCigars, SEARCH_FIELDS } from '../utils/searchUtils';
+import { createSmartCollection } from '../utils/smartCollectionUtils';
+
+const EXAMPLE_QUERIES = [
+    'wrapper:maduro strength:full',
+    'rating:>90 country:nicaragua',
+    'price:10..20 humidor:travel',
+    'age:>1y strength:medium-full',
+    'cocoa -brand:"arturo fuente"'
+];
+
+const SearchScreen = ({ navigate, cigars, humidors, journalEntries, smartCollections, db, appId, userId, theme, query: initialQuery = '' }) => {
+    const [query, setQuery] = useState(initialQuery);
+    const [showHelp, setShowHelp] = useState(false);
+    const [isSavingCollection, setIsSavingCollection] = useState(false);
+
+    // Rebuild the index only when the data changes, not on every keystroke.
+    const index = useMemo(() => buildSearchIndex(cigars, { humidors, journalEntries }), [cigars, humidors, journalEntries]);
+    const results = useMemo(() => (query.trim() ? searchCigars(index, query) : []), [index, query]);
+    const humidorNames = useMemo(() => new Map(humidors.map(h => [h.id, h.name])), [humidors]);
+
+    return (
+        <div className="p-4 pb-24">
+            {isSavingCollection && <SmartCollectionModal onClose={() => setIsSavingCollection(false)} onSaved={() => setIsSavingCollection(false)} smartCollection={createSmartCollection({ query })} smartCollections={smartCollections} humidors={humidors} db={db} appId={appId} userId={userId} />}
+            <h1 className="text-3xl font-bold text-white mb-6">Search</h1>
+
+            <div className="relative mb-2">
+                <Search className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-400 w-5 h-5" />
+                <input type="text" autoFocus placeholder="Search every humidor..." value={query} onChange={(e) => setQuery(e.target.value)}
+                    className="w-full bg-gray-800 border border-gray-700 rounded-md py-3 pl-12 pr-12 text-white placeholder-gray-500 focus:outline-none focus:ring-2 focus:ring-amber-500" />
+                {query && (
+                    <button onClick={() => setQuery('')} className="absolute right-4 top-1/2 -translate-y-1/2 text-gray-400 hover:text-white">
+                        <X className="w-5 h-5" />
+                    </button>
+                )}
+            </div>
+
+            <button onClick={() => setShowHelp(prev => !prev)} className={`flex items-center gap-1 text-xs ${theme.primary} mb-4`}>
+                <HelpCircle className="w-4 h-4" /> {showHelp ? 'Hide search tips' : 'Search tips'}
+            </button>
+
+            {showHelp && (
+                <div className="bg-gray-800/50 p-4 rounded-xl mb-4 text-sm text-gray-300 space-y-2">
+                    <p>Type words to search everything, or narrow down with <span className="font-mono text-amber-300">field:value</span>.</p>
+                    <p>Numbers take <span className="font-mono text-amber-300">&gt; &gt;= &lt; &lt;=</span> or a range like <span className="font-mono text-amber-300">price:10..20</span>; age takes days or a unit, as in <span className="font-mono text-amber-300">age:&gt;1y</span>. Put <span className="font-mono text-amber-300">-</span> in front to exclude, and "quotes" around phrases.</p>
+                    <p className="text-xs text-gray-400">Fields: {SEARCH_FIELDS.map(field => field.aliases[0]).join(', ')}</p>
+                </div>
+            )}
+
+            {!query.trim() ? (
+                <div className="space-y-2">
+                    <p className="text-sm text-gray-400">Try one of these:</p>
+                    <div className="flex flex-wrap gap-2">
+                        {EXAMPLE_QUERIES.map(example => (
+                            <button key={example} onClick={() => setQuery(example)} className="text-xs font-mono bg-gray-800 border border-gray-700 rounded-full px-3 py-1 text-amber-200 hover:bg-gray-700">
+                                {example}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            ) : results.length === 0 ? (
+                <div className="text-center py-10 text-gray-400">
+                    <p className="font-semibold text-white">Woof! No cigars match that search.</p>
+                    <p className="text-sm mt-1">Roxy sniffed through every humidor. Try fewer words or a different field.</p>
+                </div>
+            ) : (
+                <>
+                    <div className="flex justify-between items-center mb-3">
+                        <p className="text-sm text-gray-400">{results.length} cigar{results.length !== 1 ? 's' : ''} found</p>
+                        <button onClick={() => setIsSavingCollection(true)} className={`flex items-center gap-1 text-xs ${theme.primary}`}>
+                            <Bookmark className="w-4 h-4" /> Save as Collection
+                        </button>
+                    </div>
+                    <div className="space-y-4">
+                        {results.map(({ cigar, matchedFields }) => (
+                            <div key={cigar.id}>
+                                <ListCigarCard cigar={cigar} navigate={navigate} />
+                                <p className="text-xs text-gray-500 mt-1 px-1">
+                                    In {humidorNames.get(cigar.humidorId) || 'an unknown humidor'}
+                                    {matchedFields.length > 0 && ` · matched ${matchedFields.join(', ').toLowerCase()}`}
+                                </p>
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default SearchScreen;
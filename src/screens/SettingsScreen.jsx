@@ -8,7 +8,7 @@
 // Description:
 // SettingsScreen component provides the main settings navigation interface for the Humidor Hub application.
 // Features include organized setting categories with icons, titles, and descriptions for easy navigation.
-// The component includes settings for Profile management, Data & Sync operations, Dashboard Components
+// The component includes settings for Profile management, Data & Sync operations, Roxy's AI provider, Dashboard Components
 // customization, Theme selection with modal interface, Font preferences, Deeper Statistics access,
 // and About information with version display. Each setting item is presented as a clickable card with
 // consistent styling and hover effects. The component integrates with the theme system and provides
@@ -22,11 +22,14 @@ import {
     Palette, 
     Info, 
     BarChart2, 
+    Sparkles, 
     Settings as SettingsIcon 
 } from 'lucide-react';
 
 // Import modal components
 import ThemeModal from '../components/Modals/Content/ThemeModal';
+import { AI_PROVIDERS } from '../constants/aiProviders';
+import { loadAiSettings } from '../utils/aiSettingsUtils';
 
 const SettingsScreen = ({ navigate, theme, setTheme, dashboardPanelVisibility, setDashboardPanelVisibility, selectedFont, setSelectedFont }) => {
     const [isThemeModalOpen, setIsThemeModalOpen] = useState(false);
@@ -52,6 +55,7 @@ const SettingsScreen = ({ navigate, theme, setTheme, dashboardPanelVisibility, s
             <div className="space-y-4">
                 <SettingItem icon={User} title="Profile" subtitle="Manage your account details" onClick={() => navigate('Profile')} />
                 <SettingItem icon={Database} title="Data & Sync" subtitle="Export or import your collection" onClick={() => navigate('DataSync')} />
+                <SettingItem icon={Sparkles} title="Roxy's AI" subtitle={`Provider: ${AI_PROVIDERS[loadAiSettings().provider].label}`} onClick={() => navigate('AiSettings')} />
                 <SettingItem icon={LayoutGrid} title="Dashboard Components" subtitle="Customize what appears on your dashboard" onClick={() => navigate('DashboardSettings')} />
                 {/* <SettingItem icon={Bell} title="Notifications" subtitle="Set up alerts for humidity and temp" onClick={() => navigate('Notifications')} /> */}
                 {/* <SettingItem icon={Zap} title="Integrations" subtitle="Connect to Govee and other services" onClick={() => navigate('Integrations')} /> */}
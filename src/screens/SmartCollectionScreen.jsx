@@ -0,0 +1,72 @@
+// File: SmartCollectionScreen.jsx
+// Path: src/screens/SmartCollectionScreen.jsx
+// Project: Humidor Hub
+// Author: Shawn Miller (hereiamnow@gmail.com)
+// Date: October 19, 2026
+
+// Description:
+// Shows the cigars in one smart collection — a saved search, filter and sort — opened from the
+// dashboard shortcuts. The collection is evaluated live against the cigars snapshot, so it always
+// reflects what is in the humidors right now. The collection can be renamed or deleted here.
+
+import React, { useState, useMemo } from 'react';
+import { ChevronLeft, Bookmark, Edit, Trash2 } from 'lucide-react';
+import ListCigarCard from '../components/Cigar/ListCigarCard';
+import SmartCollectionModal from '../components/Modals/Forms/SmartCollectionModal';
+import { deleteSmartCollection } from '../services/smartCollectionService';
+import { evaluateSmartCollection, describeSmartCollection } from '../utils/smartCollectionUtils';
+
+const SmartCollectionScreen = ({ smartCollection, smartCollections, navigate, cigars, humidors, journalEntries, db, appId, userId, theme }) => {
+    const [isRenaming, setIsRenaming] = useState(false);
+
+    const matchingCigars = useMemo(
+        () => evaluateSmartCollection(smartCollection, cigars, { humidors, journalEntries }),
+        [smartCollection, cigars, humidors, journalEntries]
+    );
+    const totalQuantity = matchingCigars.reduce((sum, c) => sum + (c.quantity || 0), 0);
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete the "${smartCollection.name}" collection? Your cigars won't be touched.`)) return;
+        try {
+            await deleteSmartCollection(db, appId, userId, smartCollection.id);
+            navigate('Dashboard');
+        } catch (error) {
+            console.error("Error deleting smart collection:", error);
+            alert(`Woof! The collection couldn't be deleted: ${error.message}`);
+        }
+    };
+
+    return (
+        <div className="p-4 pb-24">
+            {isRenaming && <SmartCollectionModal onClose={() => setIsRenaming(false)} onSaved={() => setIsRenaming(false)} smartCollection={smartCollection} smartCollections={smartCollections} humidors={humidors} db={db} appId={appId} userId={userId} />}
+
+            <div className="flex items-center mb-2">
+                <button onClick={() => navigate('Dashboard')} className="p-2 -ml-2 mr-2">
+                    <ChevronLeft className={`w-7 h-7 ${theme.text}`} />
+                </button>
+                <Bookmark className={`w-6 h-6 mr-2 ${theme.primary}`} />
+                <h1 className="text-3xl font-bold text-white truncate flex-1">{smartCollection.name}</h1>
+                <button onClick={() => setIsRenaming(true)} className="p-2 text-gray-400 hover:text-white" aria-label="Rename collection">
+                    <Edit className="w-5 h-5" />
+                </button>
+                <button onClick={handleDelete} className="p-2 text-gray-400 hover:text-red-400" aria-label="Delete collection">
+                    <Trash2 className="w-5 h-5" />
+                </button>
+            </div>
+            <p className="text-sm text-amber-200 mb-1 break-words">{describeSmartCollection(smartCollection, humidors)}</p>
+            <p className={`${theme.subtleText} text-sm mb-6`}>{matchingCigars.length} unique cigars · {totalQuantity} total</p>
+
+            <div className="space-y-4">
+                {matchingCigars.map(cigar => <ListCigarCard key={cigar.id} cigar={cigar} navigate={navigate} />)}
+                {matchingCigars.length === 0 && (
+                    <div className="text-center py-10 text-gray-400">
+                        <p className="font-semibold text-white">Woof! Nothing in this collection right now.</p>
+                        <p className="text-sm mt-1">Cigars will show up here as soon as they match.</p>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SmartCollectionScreen;
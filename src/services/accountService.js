@@ -0,0 +1,353 @@
+import { Capacitor } from '@capacitor/core';
+import { FirebaseError } from 'firebase/app';
+import {
+    EmailAuthProvider, GoogleAuthProvider, getRedirectResult, linkWithCredential, linkWithPopup, linkWithRedirect,
+    signInWithCredential, signInWithPopup, signInWithRedirect, sendEmailVerification, reauthenticateWithCredential,
+    reauthenticateWithPopup, deleteUser, signOut
+} from 'firebase/auth';
+import { collection, doc, getDocs, onSnapshot, setDoc } from 'firebase/firestore';
+import { createBackup, restoreBackup } from './backupService';
+import { createBatchWriter } from './batchWriter';
+import { getReadingsCollectionRef } from './environmentService';
+import { getHumidorShares, getShareRef, removeMember } from './shareService';
+import { isOnline, settleWrite } from './syncService';
+import { migrateBackup, remapBackupIds, validateBackup, BACKUP_COLLECTIONS } from '../utils/backupUtils';
+import { downloadFile } from '../utils/fileUtils';
+
+// Anonymous users keep their data under their own uid, so signing in to another account would
+// leave it behind. Upgrading links a permanent sign-in method to the anonymous user instead,
+// which keeps the uid (and the data) as they are. If the sign-in method already belongs to
+// another account, the data is copied over to that account with new IDs.
+
+export const ACCOUNT_LINK_STATUS = {
+    linked: 'linked', // The anonymous user is now a permanent account
+    exists: 'exists'  // The email or Google account is already in use; offer a merge
+};
+
+// Errors Firebase raises when the sign-in method belongs to another account.
+const ACCOUNT_IN_USE_ERRORS = ['auth/email-already-in-use', 'auth/credential-already-in-use'];
+
+// Every collection stored under a user, which deleting the account removes. Readings are nested per humidor.
+export const ACCOUNT_COLLECTIONS = [...BACKUP_COLLECTIONS, 'aiUsage', 'account'];
+
+// Set while the native app is away at Google adding it to a guest account, so the result is known to be a link.
+const GOOGLE_LINK_KEY = 'humidor-hub-linking-google';
+
+// A guest collection on its way to another account, kept on the device until it has all been copied.
+const PENDING_MERGE_KEY = 'humidor-hub-pending-merge';
+
+// Firebase only allows deleting an account this soon after signing in.
+const RECENT_SIGN_IN_MS = 5 * 60 * 1000;
+
+const getSessionsRef = (db, appId, userId) => doc(db, 'artifacts', appId, 'users', userId, 'account', 'sessions');
+
+const requireOnline = () => {
+    if (!isOnline()) throw new FirebaseError('auth/network-request-failed', 'This needs an internet connection.');
+};
+
+/**
+ * Returns whether Google sign-in has to use a redirect. Popups don't work inside the
+ * Android app's webview, so the native app leaves for Google and comes back instead.
+ * @returns {boolean} True when running as the native app
+ */
+export const usesRedirectSignIn = () => Capacitor.isNativePlatform();
+
+let redirectResult = null;
+
+/**
+ * Returns the result of the Google sign-in or link that reloaded the native app. Firebase hands the
+ * result over only once, so the first read is kept for everyone who asks after it.
+ * @param {Object} auth - Firebase auth instance
+ * @returns {Promise<Object|null>} The user credential, or null if the app didn't start from a redirect
+ */
+export const getGoogleRedirectResult = (auth) => {
+    if (!redirectResult) redirectResult = getRedirectResult(auth);
+    return redirectResult;
+};
+
+/**
+ * Signs in with Google, by popup in the browser or by redirect in the native app.
+ * After a redirect the app reloads, and the result is picked up with getGoogleRedirectResult.
+ * @param {Object} auth - Firebase auth instance
+ * @returns {Promise<Object|null>} The user credential, or null when redirecting
+ */
+export async function signInWithGoogle(auth) {
+    const provider = new GoogleAuthProvider();
+    if (usesRedirectSignIn()) {
+        await signInWithRedirect(auth, provider);
+        return null;
+    }
+    return signInWithPopup(auth, provider);
+}
+
+/**
+ * Links an email and password to the signed-in anonymous user, and sends a verification email.
+ * @param {Object} auth - Firebase auth instance
+ * @param {string} email - The email to sign in with from now on
+ * @param {string} password - The password to sign in with from now on
+ * @returns {Promise<Object>} { status, user } once linked, or { status, credential, email } if the
+ * email already has an account
+ */
+export async function linkAnonymousWithEmail(auth, email, password) {
+    const credential = EmailAuthProvider.credential(email, password);
+    try {
+        const { user } = await linkWithCredential(auth.currentUser, credential);
+        await sendEmailVerification(user);
+        return { status: ACCOUNT_LINK_STATUS.linked, user };
+    } catch (error) {
+        if (!ACCOUNT_IN_USE_ERRORS.includes(error.code)) throw error;
+        return { status: ACCOUNT_LINK_STATUS.exists, credential, email };
+    }
+}
+
+/**
+ * Waits for Google to be linked to the anonymous user, and reports the Google account being in use as a result.
+ * @param {Promise<Object|null>} linking - The user credential from linkWithPopup or getRedirectResult
+ * @returns {Promise<Object|null>} As linkAnonymousWithGoogle, or null if there was no credential
+ */
+const getGoogleLinkStatus = async (linking) => {
+    try {
+        const result = await linking;
+        return result && { status: ACCOUNT_LINK_STATUS.linked, user: result.user };
+    } catch (error) {
+        const credential = ACCOUNT_IN_USE_ERRORS.includes(error.code) && GoogleAuthProvider.credentialFromError(error);
+        if (!credential) throw error;
+        return { status: ACCOUNT_LINK_STATUS.exists, credential, email: error.customData?.email || null };
+    }
+};
+
+/**
+ * Links a Google account to the signed-in anonymous user. Google hands over its credential
+ * through a popup, which linkWithPopup links the same way linkWithCredential does. In the native
+ * app it uses a redirect instead, and the result is picked up after the reload with getGoogleLinkResult.
+ * @param {Object} auth - Firebase auth instance
+ * @returns {Promise<Object|null>} { status, user } once linked, { status, credential, email } if the
+ * Google account is already in use, or null when redirecting
+ */
+export async function linkAnonymousWithGoogle(auth) {
+    const provider = new GoogleAuthProvider();
+    if (usesRedirectSignIn()) {
+        localStorage.setItem(GOOGLE_LINK_KEY, 'true');
+        try {
+            await linkWithRedirect(auth.currentUser, provider);
+        } catch (error) {
+            localStorage.removeItem(GOOGLE_LINK_KEY);
+            throw error;
+        }
+        return null;
+    }
+    return getGoogleLinkStatus(linkWithPopup(auth.currentUser, provider));
+}
+
+/**
+ * Picks up the result of linkAnonymousWithGoogle once its redirect has brought the native app back.
+ * @param {Object} auth - Firebase auth instance
+ * @returns {Promise<Object|null>} As linkAnonymousWithGoogle, or null if no link was under way
+ */
+export async function getGoogleLinkResult(auth) {
+    if (!localStorage.getItem(GOOGLE_LINK_KEY)) return null;
+    localStorage.removeItem(GOOGLE_LINK_KEY);
+    return getGoogleLinkStatus(getGoogleRedirectResult(auth));
+}
+
+/**
+ * Reads the anonymous user's data so it can be copied to an existing account. This has to happen
+ * before switching accounts, since afterwards the anonymous data can no longer be read.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - The anonymous user's ID
+ * @returns {Promise<Object>} { archive, counts } with the data as a backup archive and the number of items per collection
+ */
+export async function prepareAccountMerge(db, appId, userId) {
+    const archive = await createBackup(db, appId, userId, null);
+    return { archive, counts: validateBackup(archive).counts };
+}
+
+/**
+ * Keeps a guest collection waiting to be copied on this device.
+ * @returns {boolean} False if the device has no room for it
+ */
+const keepPendingMerge = (userId, archive) => {
+    try {
+        localStorage.setItem(PENDING_MERGE_KEY, JSON.stringify({ userId, archive }));
+        return true;
+    } catch (error) {
+        console.error('Error keeping the guest collection on this device:', error);
+        return false;
+    }
+};
+
+/**
+ * Signs in to the existing account that a guest's new sign-in belongs to, ready to copy the guest's data
+ * there with finishAccountMerge. The data can't be read again once the guest is signed out, so it is kept
+ * on this device first, until the copy has finished; if there's no room, it is downloaded as a backup file
+ * instead, which can be restored from Data & Sync. If signing in fails, the anonymous user stays signed in
+ * and nothing is kept.
+ * @param {Object} db - Firestore database instance
+ * @param {Object} auth - Firebase auth instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {Object} credential - The credential from a link attempt that returned `exists`
+ * @param {Object} archive - The anonymous user's data, from prepareAccountMerge
+ * @returns {Promise<Object>} { userId, archive } with the account signed in to and the data to copy to it
+ */
+export async function signInForAccountMerge(db, auth, appId, credential, archive) {
+    // Every document gets its new ID now, so copying again after a failure overwrites what was copied
+    // rather than adding it twice, and nothing in the existing account is overwritten.
+    const { data } = migrateBackup(archive);
+    const guestId = auth.currentUser.uid;
+    const pending = { ...archive, data: remapBackupIds(data, (name) => doc(collection(db, 'artifacts', appId, 'users', guestId, name)).id) };
+    const kept = keepPendingMerge(null, pending);
+    if (!kept) {
+        downloadFile({ data: JSON.stringify(pending, null, 2), fileName: 'humidor_hub_guest_collection.json', fileType: 'application/json' });
+    }
+    try {
+        const { user } = await signInWithCredential(auth, credential);
+        if (kept) keepPendingMerge(user.uid, pending);
+        return { userId: user.uid, archive: pending };
+    } catch (error) {
+        localStorage.removeItem(PENDING_MERGE_KEY);
+        throw error;
+    }
+}
+
+/**
+ * Returns the guest collection still waiting to be copied to this account, if any.
+ * @param {string} userId - The signed-in user's ID
+ * @returns {Object|null} The data to pass to finishAccountMerge
+ */
+export const getPendingAccountMerge = (userId) => {
+    try {
+        const pending = JSON.parse(localStorage.getItem(PENDING_MERGE_KEY));
+        return pending?.userId === userId ? pending.archive : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Stops keeping a guest collection that was never copied.
+ */
+export const discardPendingAccountMerge = () => localStorage.removeItem(PENDING_MERGE_KEY);
+
+/**
+ * Copies a guest's data into the account signed in to by signInForAccountMerge, then stops keeping it
+ * on the device. The guest's own copy is left where it was.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - The account signed in to
+ * @param {Object} archive - The data from signInForAccountMerge or getPendingAccountMerge
+ * @param {Function} [onProgress] - Called with the number of committed write operations
+ * @returns {Promise<Object>} Resolves to the number of copied items per collection
+ */
+export async function finishAccountMerge(db, appId, userId, archive, onProgress) {
+    const counts = await restoreBackup(db, appId, userId, archive, { mode: 'merge', idStrategy: 'preserve', onProgress });
+    discardPendingAccountMerge();
+    return counts;
+}
+
+/**
+ * Signs the user out on every device. Firebase can only revoke sessions from a server, so this
+ * records the time instead, and every signed-in copy of the app signs itself out when it sees a
+ * sign-out time later than its own sign-in (see subscribeToSessionRevocation).
+ * @param {Object} db - Firestore database instance
+ * @param {Object} auth - Firebase auth instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @returns {Promise<void>} Resolves once signed out here
+ */
+export async function signOutEverywhere(db, auth, appId) {
+    // Offline, the write would wait in this user's queue until they next sign in, so no other device would see it.
+    requireOnline();
+    await settleWrite(setDoc(getSessionsRef(db, appId, auth.currentUser.uid), { revokedAt: new Date().toISOString() }, { merge: true }));
+    await signOut(auth);
+}
+
+/**
+ * Listens for "sign out everywhere" and calls back if this device signed in before it.
+ * @param {Object} db - Firestore database instance
+ * @param {Object} auth - Firebase auth instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {Function} onRevoked - Called when this device should sign out
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToSessionRevocation(db, auth, appId, userId, onRevoked) {
+    return onSnapshot(getSessionsRef(db, appId, userId), async (snapshot) => {
+        const revokedAt = snapshot.data()?.revokedAt;
+        const user = auth.currentUser;
+        if (!revokedAt || !user || user.uid !== userId) return;
+        const { authTime } = await user.getIdTokenResult();
+        if (new Date(authTime) < new Date(revokedAt)) onRevoked();
+    }, (error) => console.error('Error listening for sign-out:', error));
+}
+
+/**
+ * Confirms the user's identity again, which Firebase requires before deleting an account.
+ * Email accounts need their password; Google accounts sign in again in a popup. Guests can't sign in
+ * again, and a redirect would reload the app part-way through, so those rely on a recent sign-in.
+ * @param {Object} auth - Firebase auth instance
+ * @param {string} [password] - The current password, for email accounts
+ * @returns {Promise<void>} Rejects with auth/requires-recent-login if the user has to sign in again first
+ */
+export async function reauthenticate(auth, password) {
+    const user = auth.currentUser;
+    const providers = user.providerData.map(provider => provider.providerId);
+    if (providers.includes('password')) {
+        await reauthenticateWithCredential(user, EmailAuthProvider.credential(user.email, password));
+    } else if (providers.includes('google.com') && !usesRedirectSignIn()) {
+        await reauthenticateWithPopup(user, new GoogleAuthProvider());
+    } else if (!user.isAnonymous && Date.now() - new Date(user.metadata.lastSignInTime).getTime() > RECENT_SIGN_IN_MS) {
+        throw new FirebaseError('auth/requires-recent-login', 'Sign in again before deleting your account.');
+    }
+}
+
+/**
+ * Deletes everything stored under a user: every collection in ACCOUNT_COLLECTIONS, every humidor's readings,
+ * and the user's place in shared humidors.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - The user whose data to delete
+ * @param {Function} [onProgress] - Called with the number of committed delete operations
+ * @returns {Promise<void>} Resolves once everything has been deleted
+ */
+export async function deleteUserData(db, appId, userId, onProgress) {
+    const writer = createBatchWriter(db, onProgress);
+    // Humidors the user shared stop being shared; those shared with them just lose a member.
+    for (const share of await getHumidorShares(db, appId, userId)) {
+        if (share.ownerId === userId) await writer.delete(getShareRef(db, appId, share.humidorId));
+        else await removeMember(db, appId, share.humidorId, userId);
+    }
+    const humidors = await getDocs(collection(db, 'artifacts', appId, 'users', userId, 'humidors'));
+    for (const humidor of humidors.docs) {
+        const readings = await getDocs(getReadingsCollectionRef(db, appId, userId, humidor.id));
+        for (const reading of readings.docs) await writer.delete(reading.ref);
+    }
+    for (const name of ACCOUNT_COLLECTIONS) {
+        const snapshot = await getDocs(collection(db, 'artifacts', appId, 'users', userId, name));
+        for (const item of snapshot.docs) await writer.delete(item.ref);
+    }
+    await writer.commit();
+}
+
+/**
+ * Permanently deletes the signed-in user's account and all of their data. The user signs in again
+ * first, so a failed sign-in stops before anything is deleted.
+ * @param {Object} db - Firestore database instance
+ * @param {Object} auth - Firebase auth instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {Object} [options] - { password: the current password for email accounts, onProgress: see deleteUserData }
+ * @returns {Promise<void>} Resolves once the account is gone
+ */
+export async function deleteAccount(db, auth, appId, { password, onProgress } = {}) {
+    // The deletes have to reach the server while the user can still sign the requests.
+    requireOnline();
+    const user = auth.currentUser;
+    await reauthenticate(auth, password);
+    await deleteUserData(db, appId, user.uid, onProgress);
+    try {
+        await deleteUser(user);
+    } catch (error) {
+        // A guest's sign-in can be too old to delete, but with the data gone, signing out leaves nothing behind.
+        if (!user.isAnonymous || error.code !== 'auth/requires-recent-login') throw error;
+        await signOut(auth);
+    }
+}
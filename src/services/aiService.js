@@ -0,0 +1,366 @@
+import { AI_PROVIDERS } from '../constants/aiProviders';
+import { loadAiSettings, getAiApiKey } from '../utils/aiSettingsUtils';
+import { isOnline, runWhenOnline } from './syncService';
+import { claimAiLookup, releaseAiLookup } from './aiUsageService';
+import { buildAiCacheKey, readAiCache, writeAiCache } from '../utils/aiCacheUtils';
+
+/**
+ * Provider-independent access to the language models behind Roxy's features (autofill,
+ * pairings, tasting notes, collection summaries). The provider and model are chosen in
+ * Settings; see constants/aiProviders for the supported providers.
+ *
+ * Like the Govee client, all network access goes through a fetch-compatible `transport`,
+ * so the client can be pointed at a local fake server (or a stub) in tests.
+ *
+ * Once App has told us who is signed in (setAiUsageAccount), every request through callAI is
+ * counted in that user's monthly usage ledger and refused once the plan's limit is reached.
+ */
+
+export const DEFAULT_TIMEOUT_MS = 30 * 1000;
+export const DEFAULT_MAX_RETRIES = 2;
+export const DEFAULT_RETRY_DELAY_MS = 1000;
+
+export const AI_ERROR_CODES = {
+    missingKey: 'missingKey',
+    auth: 'auth',
+    rateLimit: 'rateLimit',
+    timeout: 'timeout',
+    network: 'network',
+    server: 'server',
+    badRequest: 'badRequest',
+    badResponse: 'badResponse',
+    quotaExceeded: 'quotaExceeded'
+};
+
+// Failures that may well succeed if the same request is sent again a little later.
+const RETRYABLE_CODES = [AI_ERROR_CODES.rateLimit, AI_ERROR_CODES.timeout, AI_ERROR_CODES.network, AI_ERROR_CODES.server];
+
+/**
+ * Error thrown for any failed AI request. The message is written to be shown to the user.
+ * `code` is one of AI_ERROR_CODES, `status` is the HTTP status (0 when there was no response),
+ * `retryable` says whether trying again later may help, and `retryAfterMs` is set when the
+ * provider said how long to wait.
+ */
+export class AiError extends Error {
+    constructor(message, { code = AI_ERROR_CODES.badResponse, provider = null, status = 0, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'AiError';
+        this.code = code;
+        this.provider = provider;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+        this.retryable = RETRYABLE_CODES.includes(code);
+    }
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Providers without a native schema option are asked for JSON in the prompt instead.
+const withSchemaInstructions = (prompt, schema) =>
+    `${prompt}\n\nRespond with only a JSON object matching this schema, with no other text: ${JSON.stringify(schema)}`;
+
+// Each adapter builds the HTTP request for a prompt and reads the generated text back out of the response.
+const ADAPTERS = {
+    gemini: {
+        buildRequest: ({ prompt, schema, model, apiKey, baseUrl }) => ({
+            url: `${baseUrl}/models/${encodeURIComponent(model)}:generateContent?key=${encodeURIComponent(apiKey)}`,
+            headers: {},
+            body: {
+                contents: [{ role: 'user', parts: [{ text: prompt }] }],
+                ...(schema && { generationConfig: { responseMimeType: 'application/json', responseSchema: schema } })
+            }
+        }),
+        readText: (result) => result.candidates?.[0]?.content?.parts?.[0]?.text
+    },
+    openai: {
+        buildRequest: ({ prompt, schema, model, apiKey, baseUrl }) => ({
+            url: `${baseUrl}/chat/completions`,
+            headers: { Authorization: `Bearer ${apiKey}` },
+            body: {
+                model,
+                messages: [{ role: 'user', content: schema ? withSchemaInstructions(prompt, schema) : prompt }],
+                ...(schema && { response_format: { type: 'json_object' } })
+            }
+        }),
+        readText: (result) => result.choices?.[0]?.message?.content
+    },
+    ollama: {
+        buildRequest: ({ prompt, schema, model, baseUrl }) => ({
+            url: `${baseUrl}/api/generate`,
+            headers: {},
+            body: {
+                model,
+                prompt: schema ? withSchemaInstructions(prompt, schema) : prompt,
+                stream: false,
+                ...(schema && { format: 'json' })
+            }
+        }),
+        readText: (result) => result.response
+    }
+};
+
+/**
+ * Parses a structured response, which models sometimes wrap in a markdown code block.
+ * @param {string} text - The generated text
+ * @param {string} [provider] - The provider the text came from, for the error
+ * @returns {Object} The parsed JSON
+ * @throws {AiError} If no JSON object can be read from the text
+ */
+export const parseJsonText = (text, provider = null) => {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+    for (const candidate of [text, fenced?.[1]]) {
+        if (!candidate) continue;
+        try {
+            const parsed = JSON.parse(candidate);
+            if (parsed && typeof parsed === 'object') return parsed;
+        } catch (error) {
+            // Try the next candidate.
+        }
+    }
+    throw new AiError(`Roxy got an answer she couldn't read: ${text.substring(0, 100)}...`, { code: AI_ERROR_CODES.badResponse, provider });
+};
+
+/**
+ * Turns an unsuccessful HTTP response into an AiError.
+ * @param {Object} response - The fetch response
+ * @param {Object} result - The parsed response body (empty if it wasn't JSON)
+ * @param {string} provider - The provider key
+ * @returns {AiError} The error to throw
+ */
+const errorForResponse = (response, result, provider) => {
+    const { label } = AI_PROVIDERS[provider];
+    const detail = result.error?.message || (typeof result.error === 'string' ? result.error : '') || response.statusText || '';
+    const status = response.status;
+    if (status === 401 || status === 403) {
+        return new AiError(`${label} rejected the API key. Please check it in Settings.`, { code: AI_ERROR_CODES.auth, provider, status });
+    }
+    if (status === 429) {
+        const retryAfter = Number(response.headers?.get?.('Retry-After'));
+        return new AiError(`${label} is busy right now. Please try again in a moment.`, {
+            code: AI_ERROR_CODES.rateLimit, provider, status, retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null
+        });
+    }
+    if (status === 408 || status >= 500) {
+        return new AiError(`${label} had a problem answering (${status}). Please try again.`, { code: AI_ERROR_CODES.server, provider, status });
+    }
+    return new AiError(`${label} couldn't handle the request (${status})${detail ? `: ${detail}` : '.'}`, { code: AI_ERROR_CODES.badRequest, provider, status });
+};
+
+/**
+ * Creates a client for one AI provider and model.
+ * @param {Object} options - Client options
+ * @param {string} options.provider - A key of AI_PROVIDERS
+ * @param {string} [options.model] - The model to use (defaults to the provider's default model)
+ * @param {string} [options.apiKey] - The API key, for providers that need one
+ * @param {string} [options.baseUrl] - API base URL (defaults to the provider's; override for a proxy or fake server)
+ * @param {Function} [options.transport=fetch] - fetch-compatible function used for requests
+ * @param {number} [options.timeoutMs=DEFAULT_TIMEOUT_MS] - How long to wait for each attempt
+ * @param {number} [options.maxRetries=DEFAULT_MAX_RETRIES] - How many times to retry a retryable failure
+ * @param {number} [options.retryDelayMs=DEFAULT_RETRY_DELAY_MS] - Delay before the first retry; doubles each time
+ * @param {Function} [options.sleep] - Waits the given number of milliseconds (override in tests)
+ * @returns {Object} { provider, model, generate(prompt, { schema }) }
+ * @throws {AiError} If the provider is unknown
+ */
+export function createAiClient({
+    provider,
+    model,
+    apiKey = '',
+    baseUrl,
+    transport = (...args) => fetch(...args),
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+    sleep = wait
+}) {
+    const config = AI_PROVIDERS[provider];
+    if (!config) {
+        throw new AiError(`Unknown AI provider "${provider}".`, { code: AI_ERROR_CODES.badRequest, provider });
+    }
+    const adapter = ADAPTERS[provider];
+    const resolvedModel = model || config.defaultModel;
+    const resolvedBaseUrl = baseUrl || config.defaultBaseUrl;
+
+    const requestOnce = async (prompt, schema) => {
+        if (config.needsKey && !apiKey) {
+            throw new AiError(`Add your ${config.label} API key in Settings to use Roxy's AI features.`, { code: AI_ERROR_CODES.missingKey, provider });
+        }
+        const { url, headers, body } = adapter.buildRequest({ prompt, schema, model: resolvedModel, apiKey, baseUrl: resolvedBaseUrl });
+
+        // Abort the request if it takes too long, so a stalled connection doesn't hang the UI.
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                if (controller) controller.abort();
+                reject(new AiError(`${config.label} took too long to answer.`, { code: AI_ERROR_CODES.timeout, provider }));
+            }, timeoutMs);
+        });
+
+        try {
+            let response;
+            try {
+                response = await Promise.race([
+                    transport(url, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json', ...headers },
+                        body: JSON.stringify(body),
+                        signal: controller ? controller.signal : undefined
+                    }),
+                    timeout
+                ]);
+            } catch (error) {
+                if (error instanceof AiError) throw error;
+                throw new AiError(`Could not reach ${config.label}: ${error.message}`, { code: AI_ERROR_CODES.network, provider });
+            }
+
+            const result = await Promise.race([response.json().catch(() => ({})), timeout]);
+            if (!response.ok) throw errorForResponse(response, result, provider);
+
+            const text = adapter.readText(result);
+            if (!text) {
+                throw new AiError(`${config.label} returned an empty response.`, { code: AI_ERROR_CODES.badResponse, provider });
+            }
+            return schema ? parseJsonText(text, provider) : text;
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+
+    /**
+     * Sends a prompt, retrying rate limits, timeouts, network and server errors with exponential backoff.
+     * @param {string} prompt - The prompt
+     * @param {Object} [options] - { schema } to ask for a JSON object with this (Gemini-style) schema
+     * @returns {Promise<string|Object>} The generated text, or the parsed object when a schema was given
+     * @throws {AiError} When the request fails and retrying won't help (or the retries run out)
+     */
+    const generate = async (prompt, { schema = null } = {}) => {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await requestOnce(prompt, schema);
+            } catch (error) {
+                if (!error.retryable || attempt >= maxRetries) throw error;
+                await sleep(error.retryAfterMs || retryDelayMs * 2 ** attempt);
+            }
+        }
+    };
+
+    return { provider, model: resolvedModel, generate };
+}
+
+// The signed-in user whose usage ledger AI requests are counted in: { db, appId, userId, plan }.
+let usageAccount = null;
+
+/**
+ * Sets (or, with null, clears) the account whose monthly AI lookups are counted and limited.
+ * Called by App when the user signs in or out.
+ * @param {Object|null} account - { db, appId, userId, plan }
+ */
+export function setAiUsageAccount(account) {
+    usageAccount = account;
+}
+
+/**
+ * Counts a lookup against the signed-in user's monthly AI lookups before it is made.
+ * @param {Object} account - { db, appId, userId, plan }
+ * @returns {Promise<string>} The month the lookup was counted in
+ * @throws {AiError} With code quotaExceeded when the limit has been reached, or network when the
+ * ledger can't be reached; a lookup that can't be counted isn't made
+ */
+async function claimAiQuota({ db, appId, userId, plan }) {
+    let claim;
+    try {
+        claim = await claimAiLookup(db, appId, userId, plan);
+    } catch (error) {
+        console.error("Error counting AI usage:", error);
+        throw new AiError("Roxy couldn't check how many AI lookups you have left this month. Check your connection and try again.", { code: AI_ERROR_CODES.network });
+    }
+    const { claimed, usage } = claim;
+    if (!claimed) {
+        throw new AiError(`Roxy has used all ${usage.limit} AI lookups for this month. They reset on ${usage.resetsOn.toLocaleDateString('en-US', { month: 'long', day: 'numeric' })}.`, { code: AI_ERROR_CODES.quotaExceeded });
+    }
+    return usage.month;
+}
+
+/**
+ * Sends a single request through the provider chosen in Settings. See callAI.
+ * @param {string} prompt - The prompt
+ * @param {Object|null} responseSchema - An optional schema for a structured JSON response
+ * @returns {Promise<string|Object>} The text response, or a parsed object if a schema was provided
+ */
+async function requestAI(prompt, responseSchema) {
+    const settings = loadAiSettings();
+    const client = createAiClient({ ...settings, apiKey: getAiApiKey(settings) });
+    const account = usageAccount;
+    try {
+        const month = account ? await claimAiQuota(account) : null;
+        try {
+            return await client.generate(prompt, { schema: responseSchema });
+        } catch (error) {
+            // Only answers the user actually got count as lookups.
+            if (account) {
+                await releaseAiLookup(account.db, account.appId, account.userId, month)
+                    .catch(releaseError => console.error("Error giving back an AI lookup:", releaseError));
+            }
+            throw error;
+        }
+    } catch (error) {
+        // If the connection dropped during the request, queue it to be retried once we're back online.
+        if (error.code === AI_ERROR_CODES.network && !isOnline()) {
+            return runWhenOnline(() => requestAI(prompt, responseSchema));
+        }
+        console.error("AI request failed:", error);
+        throw error;
+    }
+}
+
+/**
+ * Asks the AI provider chosen in Settings to answer a prompt. Every Roxy feature goes through here.
+ * While the device is offline the call is queued and sent once the connection returns,
+ * so the returned promise stays pending until then.
+ * @param {string} prompt - The text prompt
+ * @param {Object|null} [responseSchema=null] - An optional schema to get a structured JSON object back
+ * @returns {Promise<string|Object>} The text response, or a parsed JSON object if a schema was provided
+ * @throws {AiError} If the request fails; the message can be shown to the user
+ */
+export function callAI(prompt, responseSchema = null) {
+    return runWhenOnline(() => requestAI(prompt, responseSchema));
+}
+
+/**
+ * Like callAI, but answers from Roxy's cache when the same prompt about the same thing was asked
+ * recently with the same provider and model. Cached answers work offline and don't count as lookups.
+ * @param {string} prompt - The text prompt
+ * @param {Object} options - Cache options
+ * @param {string} options.fingerprint - What the prompt is about, e.g. from getCigarFingerprint
+ * @param {boolean} [options.refresh=false] - Skip the cache and ask again, replacing the cached answer
+ * @param {Object|null} [options.responseSchema=null] - An optional schema to get a structured JSON object back
+ * @returns {Promise<Object>} { result, cachedAt, fromCache }, where cachedAt is when the answer was generated (ms)
+ * @throws {AiError} If there is no cached answer and the request fails
+ */
+export async function callAICached(prompt, { fingerprint, refresh = false, responseSchema = null }) {
+    const { provider, model } = loadAiSettings();
+    const key = buildAiCacheKey({ prompt, fingerprint, provider, model });
+    const cached = refresh ? null : readAiCache(key);
+    if (cached) {
+        return { result: cached.value, cachedAt: cached.cachedAt, fromCache: true };
+    }
+    const result = await callAI(prompt, responseSchema);
+    const { cachedAt } = writeAiCache(key, result);
+    return { result, cachedAt, fromCache: false };
+}
+
+/**
+ * Checks that a provider, model and key work by sending a tiny prompt without retrying.
+ * @param {Object} settings - Normalized AI settings
+ * @param {string} apiKey - The key to test
+ * @returns {Promise<Object>} { success, message }
+ */
+export async function testAiConnection(settings, apiKey) {
+    try {
+        const client = createAiClient({ ...settings, apiKey, maxRetries: 0 });
+        await client.generate("Reply with the single word: ready");
+        return { success: true, message: `Woof! ${AI_PROVIDERS[settings.provider].label} (${client.model}) is working.` };
+    } catch (error) {
+        return { success: false, message: error.message };
+    }
+}
@@ -0,0 +1,116 @@
+import { createAiClient, parseJsonText, callAI, callAICached, setAiUsageAccount, AiError, AI_ERROR_CODES } from './aiService';
+import { claimAiLookup, releaseAiLookup } from './aiUsageService';
+import { saveAiSettings } from '../utils/aiSettingsUtils';
+import { clearAiCache } from '../utils/aiCacheUtils';
+
+jest.mock('./aiUsageService');
+
+// A fake transport standing in for the providers' HTTP APIs.
+const fakeResponse = (status, body, headers = {}) => ({
+    status,
+    ok: status >= 200 && status < 300,
+    statusText: '',
+    headers: { get: (name) => (name in headers ? headers[name] : null) },
+    json: async () => body
+});
+const noSleep = jest.fn(async () => { });
+
+test('sends Gemini requests to the chosen model and parses structured responses', async () => {
+    const transport = jest.fn(async () => fakeResponse(200, { candidates: [{ content: { parts: [{ text: '```json\n{"wrapper":"Maduro"}\n```' }] } }] }));
+    const client = createAiClient({ provider: 'gemini', model: 'gemini-1.5-pro', apiKey: 'key', transport, baseUrl: 'http://localhost:9000' });
+
+    await expect(client.generate('Describe', { schema: { type: 'OBJECT' } })).resolves.toEqual({ wrapper: 'Maduro' });
+    const [url, options] = transport.mock.calls[0];
+    expect(url).toBe('http://localhost:9000/models/gemini-1.5-pro:generateContent?key=key');
+    expect(JSON.parse(options.body).generationConfig).toEqual({ responseMimeType: 'application/json', responseSchema: { type: 'OBJECT' } });
+});
+
+test('speaks the OpenAI-compatible and Ollama formats', async () => {
+    const openaiTransport = jest.fn(async () => fakeResponse(200, { choices: [{ message: { content: 'Try a port.' } }] }));
+    const openai = createAiClient({ provider: 'openai', apiKey: 'sk-test', transport: openaiTransport });
+    await expect(openai.generate('Pairing?')).resolves.toBe('Try a port.');
+    expect(openaiTransport).toHaveBeenCalledWith('https://api.openai.com/v1/chat/completions', expect.objectContaining({
+        headers: expect.objectContaining({ Authorization: 'Bearer sk-test' })
+    }));
+
+    const ollamaTransport = jest.fn(async () => fakeResponse(200, { response: '{"rating":90}' }));
+    const ollama = createAiClient({ provider: 'ollama', model: 'mistral', transport: ollamaTransport });
+    await expect(ollama.generate('Rate it', { schema: { type: 'OBJECT' } })).resolves.toEqual({ rating: 90 });
+    expect(JSON.parse(ollamaTransport.mock.calls[0][1].body)).toEqual(expect.objectContaining({ model: 'mistral', format: 'json', stream: false }));
+});
+
+test('retries rate limits and server errors with backoff, but not bad keys', async () => {
+    const transport = jest.fn()
+        .mockResolvedValueOnce(fakeResponse(429, {}, { 'Retry-After': '2' }))
+        .mockResolvedValueOnce(fakeResponse(503, {}))
+        .mockResolvedValueOnce(fakeResponse(200, { response: 'ready' }));
+    const sleep = jest.fn(async () => { });
+    const client = createAiClient({ provider: 'ollama', transport, sleep, retryDelayMs: 100 });
+
+    await expect(client.generate('Ping')).resolves.toBe('ready');
+    expect(sleep.mock.calls).toEqual([[2000], [200]]);
+
+    const rejected = createAiClient({ provider: 'openai', apiKey: 'bad', transport: async () => fakeResponse(401, {}), sleep: noSleep });
+    await expect(rejected.generate('Ping')).rejects.toEqual(expect.objectContaining({ code: AI_ERROR_CODES.auth, retryable: false }));
+});
+
+test('fails fast without a key and times out stalled requests', async () => {
+    const transport = jest.fn(() => new Promise(() => { }));
+    await expect(createAiClient({ provider: 'gemini', transport }).generate('Ping')).rejects.toEqual(expect.objectContaining({ code: AI_ERROR_CODES.missingKey }));
+    expect(transport).not.toHaveBeenCalled();
+
+    const stalled = createAiClient({ provider: 'ollama', transport, timeoutMs: 10, maxRetries: 1, sleep: noSleep });
+    await expect(stalled.generate('Ping')).rejects.toEqual(expect.objectContaining({ code: AI_ERROR_CODES.timeout }));
+    expect(transport).toHaveBeenCalledTimes(2);
+});
+
+test('rejects responses that are not JSON when JSON was asked for', () => {
+    expect(() => parseJsonText('Sorry, I cannot help with that.')).toThrow(AiError);
+});
+
+test('answers repeated questions from the cache until asked to refresh', async () => {
+    saveAiSettings({ provider: 'ollama' });
+    clearAiCache();
+    const originalFetch = global.fetch;
+    global.fetch = jest.fn()
+        .mockResolvedValueOnce(fakeResponse(200, { response: 'Try a port.' }))
+        .mockResolvedValueOnce(fakeResponse(200, { response: 'Try a rum.' }));
+    try {
+        const first = await callAICached('Pairing?', { fingerprint: 'padron-1964' });
+        expect(first).toEqual(expect.objectContaining({ result: 'Try a port.', fromCache: false }));
+        await expect(callAICached('Pairing?', { fingerprint: 'padron-1964' })).resolves.toEqual({ result: 'Try a port.', cachedAt: first.cachedAt, fromCache: true });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+
+        await expect(callAICached('Pairing?', { fingerprint: 'padron-1964', refresh: true })).resolves.toEqual(expect.objectContaining({ result: 'Try a rum.', fromCache: false }));
+        await expect(callAICached('Pairing?', { fingerprint: 'padron-1964' })).resolves.toEqual(expect.objectContaining({ result: 'Try a rum.', fromCache: true }));
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    } finally {
+        global.fetch = originalFetch;
+        localStorage.clear();
+    }
+});
+
+test('counts a lookup before asking, refuses it when the ledger is full or unreadable, and gives it back if the request fails', async () => {
+    saveAiSettings({ provider: 'ollama' });
+    setAiUsageAccount({ db: {}, appId: 'app', userId: 'u1', plan: 'free' });
+    const originalFetch = global.fetch;
+    global.fetch = jest.fn(async () => fakeResponse(500, {}));
+    try {
+        claimAiLookup.mockRejectedValue(new Error('unavailable'));
+        await expect(callAI('Pairing?')).rejects.toMatchObject({ code: AI_ERROR_CODES.network });
+
+        claimAiLookup.mockResolvedValue({ claimed: false, usage: { month: '2026-10', limit: 20, resetsOn: new Date(2026, 10, 1) } });
+        await expect(callAI('Pairing?')).rejects.toThrow('Roxy has used all 20 AI lookups for this month. They reset on November 1.');
+        expect(global.fetch).not.toHaveBeenCalled();
+
+        claimAiLookup.mockResolvedValue({ claimed: true, usage: { month: '2026-10', limit: 20 } });
+        releaseAiLookup.mockResolvedValue();
+        global.fetch = jest.fn(async () => fakeResponse(400, {}));
+        await expect(callAI('Pairing?')).rejects.toBeInstanceOf(AiError);
+        expect(releaseAiLookup).toHaveBeenCalledWith({}, 'app', 'u1', '2026-10');
+    } finally {
+        global.fetch = originalFetch;
+        setAiUsageAccount(null);
+        localStorage.clear();
+    }
+});
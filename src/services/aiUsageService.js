@@ -0,0 +1,58 @@
+import { doc, increment, runTransaction, updateDoc } from 'firebase/firestore';
+import { settleWrite } from './syncService';
+import { getUsageMonth, summarizeAiUsage } from '../utils/aiUsageUtils';
+import { DEFAULT_SUBSCRIPTION_PLAN } from '../constants/subscriptionPlans';
+
+/**
+ * Returns the usage ledger document for one month. Each month's AI lookups are counted in
+ * their own document, so a new month starts from zero without any reset job.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {string} [month] - The month as YYYY-MM (defaults to the current month)
+ * @returns {Object} The document reference
+ */
+export function getAiUsageRef(db, appId, userId, month = getUsageMonth()) {
+    return doc(db, 'artifacts', appId, 'users', userId, 'aiUsage', month);
+}
+
+/**
+ * Counts one AI lookup in this month's usage ledger, unless the plan's limit has been reached.
+ * The ledger is read and written in one transaction, so lookups made at the same time (on this
+ * device or another) can't all slip in under the limit.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {string} [plan=DEFAULT_SUBSCRIPTION_PLAN] - The user's subscription plan, recorded with its limit
+ * @returns {Promise<Object>} { claimed, usage } where claimed is false, with nothing counted, if the limit
+ * had been reached, and usage summarizes the ledger as it was (see summarizeAiUsage)
+ */
+export async function claimAiLookup(db, appId, userId, plan = DEFAULT_SUBSCRIPTION_PLAN) {
+    const now = new Date();
+    const ref = getAiUsageRef(db, appId, userId, getUsageMonth(now));
+    return runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(ref);
+        const usage = summarizeAiUsage(snapshot.exists() ? snapshot.data() : null, plan, now);
+        if (usage.isAtLimit) return { claimed: false, usage };
+        transaction.set(ref, {
+            month: usage.month,
+            count: usage.used + 1,
+            plan,
+            limit: usage.limit,
+            updatedAt: now.toISOString()
+        }, { merge: true });
+        return { claimed: true, usage };
+    });
+}
+
+/**
+ * Gives back a lookup counted by claimAiLookup that the user got no answer for.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {string} month - The month the lookup was counted in, from the usage claimAiLookup returned
+ * @returns {Promise<void>} Resolves once the write has settled
+ */
+export async function releaseAiLookup(db, appId, userId, month) {
+    await settleWrite(updateDoc(getAiUsageRef(db, appId, userId, month), { count: increment(-1) }));
+}
@@ -0,0 +1,201 @@
+import { doc, updateDoc, deleteField } from 'firebase/firestore';
+import { settleWrite } from './syncService';
+import { createBatchWriter } from './batchWriter';
+import { callAI, AI_ERROR_CODES } from './aiService';
+import { createJobRunner } from './jobRunner';
+import { updateCigarLots } from './inventoryService';
+import { acceptAutofillChanges, buildAutofillChanges, getMissingDetailFields, getRevertValue, withConfidenceSchema, CONFIDENCE_INSTRUCTIONS } from '../utils/autofillUtils';
+import { loadAiSettings } from '../utils/aiSettingsUtils';
+import { applyCigarEditsToLots } from '../utils/lotUtils';
+
+const DETAIL_SCHEMA = withConfidenceSchema({
+    type: "OBJECT",
+    properties: {
+        shortDescription: { type: "STRING" },
+        description: { type: "STRING" },
+        wrapper: { type: "STRING" },
+        binder: { type: "STRING" },
+        filler: { type: "STRING" },
+        rating: { type: "NUMBER" },
+        flavorNotes: { type: "ARRAY", items: { type: "STRING" } },
+        price: { type: "NUMBER" }
+    }
+});
+
+// Errors that would fail every other cigar in a batch the same way.
+const FATAL_AUTOFILL_ERRORS = [AI_ERROR_CODES.missingKey, AI_ERROR_CODES.auth, AI_ERROR_CODES.quotaExceeded];
+
+// Batch autofill jobs, one per humidor, kept here so they carry on when the user leaves MyHumidor.
+const autofillJobs = new Map();
+const autofillJobListeners = new Map();
+
+const getCigarRef = (db, appId, userId, cigarId) => doc(db, 'artifacts', appId, 'users', userId, 'cigars', cigarId);
+
+// A cigar's price comes from its purchase lots, so a price change goes through the inventory
+// service, which applies it to the lots as stored now rather than to the copy on screen.
+const savePrice = (db, appId, userId, cigarId, update, price) =>
+    updateCigarLots(db, appId, userId, cigarId, (lots, current) => applyCigarEditsToLots(current, { price }), update);
+
+/**
+ * Builds the Firestore update for the changes a user accepted: the new values, plus a
+ * provenance record per field under `aiProvenance`.
+ * @param {Array<Object>} changes - The accepted changes from buildAutofillChanges
+ * @param {Object} source - Where the values came from, { provider, model }
+ * @returns {Object} The update data
+ */
+const buildAcceptedUpdate = (changes, source) => {
+    const { values, provenance } = acceptAutofillChanges(changes, source);
+    const update = { ...values };
+    Object.entries(provenance).forEach(([field, record]) => {
+        update[`aiProvenance.${field}`] = record;
+    });
+    return update;
+};
+
+/**
+ * Saves the autofill changes a user accepted for several cigars at once. Descriptive fields are
+ * written in batches; cigars with a new price are saved one at a time, along with their lots.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {Array<Object>} accepted - One entry per cigar: { cigar, changes, source }
+ * @returns {Promise<number>} How many field values were saved
+ */
+export async function saveAcceptedAutofill(db, appId, userId, accepted) {
+    const writer = createBatchWriter(db);
+    const priced = [];
+    let saved = 0;
+    for (const { cigar, changes, source } of accepted) {
+        if (changes.length === 0) continue;
+        const update = buildAcceptedUpdate(changes, source);
+        if ('price' in update) {
+            priced.push({ cigarId: cigar.id, update });
+        } else {
+            await writer.update(getCigarRef(db, appId, userId, cigar.id), update);
+        }
+        saved += changes.length;
+    }
+    await writer.commit();
+    for (const { cigarId, update } of priced) {
+        await savePrice(db, appId, userId, cigarId, update, update.price);
+    }
+    return saved;
+}
+
+/**
+ * Puts back the value a field had before a suggestion from Roxy was accepted, and forgets
+ * the provenance record.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {Object} cigar - The cigar
+ * @param {string} field - The field to revert
+ * @returns {Promise<void>} Resolves once the write has settled
+ */
+export async function revertAiValue(db, appId, userId, cigar, field) {
+    const record = cigar.aiProvenance?.[field];
+    if (!record) return;
+    const previous = getRevertValue(record);
+    const update = { [field]: previous, [`aiProvenance.${field}`]: deleteField() };
+    if (field === 'price') {
+        await savePrice(db, appId, userId, cigar.id, update, previous);
+    } else {
+        await settleWrite(updateDoc(getCigarRef(db, appId, userId, cigar.id), update));
+    }
+}
+
+/**
+ * Forgets that a field's value came from Roxy, keeping the value. Used once the user has
+ * checked it, or changed it by hand.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {string} cigarId - The cigar
+ * @param {string} field - The field
+ * @returns {Promise<void>} Resolves once the write has settled
+ */
+export async function clearAiProvenance(db, appId, userId, cigarId, field) {
+    await settleWrite(updateDoc(getCigarRef(db, appId, userId, cigarId), { [`aiProvenance.${field}`]: deleteField() }));
+}
+
+/**
+ * Asks Roxy for a cigar's missing details. Nothing is saved; the changes are for the user to review.
+ * @param {Object} cigar - The cigar
+ * @returns {Promise<Object>} { cigar, changes, source }, where source is { provider, model }
+ * @throws {AiError} If the request fails
+ */
+export async function fetchMissingDetails(cigar) {
+    const missingFields = getMissingDetailFields(cigar);
+    const { provider, model } = loadAiSettings();
+    const prompt = `You are a cigar database. Fill in missing details for this cigar as a JSON object.
+Cigar: "${cigar.brand} ${cigar.name}".
+Missing fields: ${missingFields.join(", ")}.
+Schema: { "shortDescription": "string", "description": "string", "wrapper": "string", "binder": "string", "filler": "string", "rating": "number", "flavorNotes": ["string"], "price": "number" }.
+If you cannot determine a value, use "" or [] or 0. ${CONFIDENCE_INSTRUCTIONS} Only return the JSON object.`;
+
+    const result = await callAI(prompt, DETAIL_SCHEMA);
+    return { cigar, changes: buildAutofillChanges(cigar, result, missingFields), source: { provider, model } };
+}
+
+const notifyAutofillJobListeners = (key) => {
+    const state = autofillJobs.get(key)?.getState() || null;
+    (autofillJobListeners.get(key) || new Set()).forEach(listener => listener(state));
+};
+
+/**
+ * Starts looking up the missing details of several cigars, a few at a time. Replaces any
+ * earlier job for the same key. A missing or rejected API key, or a used-up monthly quota,
+ * pauses the job.
+ * @param {string} key - What the job is for, e.g. the humidor ID
+ * @param {Array<Object>} cigars - The cigars to look up
+ * @returns {Object} The job runner (see createJobRunner); each item's result is from fetchMissingDetails
+ */
+export function startAutofillJob(key, cigars) {
+    autofillJobs.get(key)?.cancel();
+    const job = createJobRunner({
+        items: cigars
+            .filter(cigar => cigar.name && getMissingDetailFields(cigar).length > 0)
+            .map(cigar => ({ id: cigar.id, label: `${cigar.brand} ${cigar.name}`.trim(), data: cigar })),
+        runItem: fetchMissingDetails,
+        isFatal: (error) => FATAL_AUTOFILL_ERRORS.includes(error.code)
+    });
+    autofillJobs.set(key, job);
+    job.subscribe(() => notifyAutofillJobListeners(key));
+    job.start();
+    return job;
+}
+
+/**
+ * Returns the batch autofill job for a key, if there is one.
+ * @param {string} key - What the job is for, e.g. the humidor ID
+ * @returns {Object|null} The job runner
+ */
+export function getAutofillJob(key) {
+    return autofillJobs.get(key) || null;
+}
+
+/**
+ * Forgets a batch autofill job once its suggestions have been reviewed. A job still running
+ * is cancelled first.
+ * @param {string} key - What the job is for, e.g. the humidor ID
+ */
+export function clearAutofillJob(key) {
+    const job = autofillJobs.get(key);
+    if (!job) return;
+    job.cancel();
+    autofillJobs.delete(key);
+    notifyAutofillJobListeners(key);
+}
+
+/**
+ * Subscribes to the progress of the batch autofill job for a key, including jobs started later.
+ * @param {string} key - What the job is for, e.g. the humidor ID
+ * @param {Function} listener - Called with the job's state (or null when there is no job) whenever it changes
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToAutofillJob(key, listener) {
+    if (!autofillJobListeners.has(key)) autofillJobListeners.set(key, new Set());
+    autofillJobListeners.get(key).add(listener);
+    listener(autofillJobs.get(key)?.getState() || null);
+    return () => autofillJobListeners.get(key).delete(listener);
+}
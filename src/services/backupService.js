@@ -0,0 +1,114 @@
+import { collection, doc, getDocs } from 'firebase/firestore';
+import { createBatchWriter } from './batchWriter';
+import { fetchReadings, getReadingsCollectionRef } from './environmentService';
+import { buildBackup, migrateBackup, remapBackupIds, validateBackup, BACKUP_COLLECTIONS } from '../utils/backupUtils';
+
+const getUserCollectionRef = (db, appId, userId, name) => collection(db, 'artifacts', appId, 'users', userId, name);
+
+const fetchCollection = async (db, appId, userId, name) => {
+    const snapshot = await getDocs(getUserCollectionRef(db, appId, userId, name));
+    return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+};
+
+/**
+ * Reads everything in the user's account into a single versioned backup archive:
+ * humidors (including their alert settings), cigars, journal entries, alerts, smoking sessions,
+ * smart collections, every humidor's reading history, and the app preferences passed in.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {Object} preferences - App preferences to include (theme, font, dashboard panels)
+ * @returns {Promise<Object>} Resolves to the backup archive
+ */
+export async function createBackup(db, appId, userId, preferences) {
+    const [humidors, cigars, journalEntries, alerts, smokingSessions, smartCollections] = await Promise.all(
+        BACKUP_COLLECTIONS.map(name => fetchCollection(db, appId, userId, name))
+    );
+    const readings = {};
+    for (const humidor of humidors) {
+        readings[humidor.id] = await fetchReadings(db, appId, userId, humidor.id);
+    }
+    return buildBackup({ humidors, cigars, journalEntries, alerts, smokingSessions, smartCollections, readings }, preferences);
+}
+
+/**
+ * Lists the IDs of everything in the user's account that a backup covers.
+ * @returns {Promise<Object>} { collections: { name: [id] }, readings: { humidorId: [id] } }
+ */
+const fetchExistingIds = async (db, appId, userId) => {
+    const collections = {};
+    for (const name of BACKUP_COLLECTIONS) {
+        collections[name] = (await fetchCollection(db, appId, userId, name)).map(item => item.id);
+    }
+    const readings = {};
+    for (const humidorId of collections.humidors) {
+        readings[humidorId] = (await fetchReadings(db, appId, userId, humidorId)).map(reading => reading.id);
+    }
+    return { collections, readings };
+};
+
+/**
+ * Restores a backup archive into the user's account.
+ * Replacing writes the backup first and only then deletes what it doesn't include, so a restore
+ * that fails part way leaves the existing data in place (alongside some of the backup) rather
+ * than an empty account.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {Object} archive - The parsed backup file
+ * @param {Object} options - Restore options
+ * @param {string} options.mode - 'merge' keeps existing data; 'replace' removes everything the backup doesn't restore
+ * @param {string} options.idStrategy - 'preserve' restores the original IDs (overwriting documents
+ * with the same ID); 'remap' gives every restored document a new ID so it sits alongside existing data
+ * @param {Function} [options.onProgress] - Called with the number of committed write operations
+ * @returns {Promise<Object>} Resolves to the number of restored items per collection
+ */
+export async function restoreBackup(db, appId, userId, archive, { mode, idStrategy, onProgress }) {
+    const { valid, error, counts } = validateBackup(archive);
+    if (!valid) throw new Error(error);
+
+    const { data: archiveData } = migrateBackup(archive);
+    const data = idStrategy === 'remap'
+        ? remapBackupIds(archiveData, (name) => doc(getUserCollectionRef(db, appId, userId, name)).id)
+        : archiveData;
+
+    const existing = mode === 'replace' ? await fetchExistingIds(db, appId, userId) : null;
+    const writer = createBatchWriter(db, onProgress);
+
+    const restoredIds = {};
+    for (const name of BACKUP_COLLECTIONS) {
+        restoredIds[name] = new Set();
+        for (const { id, ...item } of data[name] || []) {
+            await writer.set(doc(getUserCollectionRef(db, appId, userId, name), id), item);
+            restoredIds[name].add(id);
+        }
+    }
+    const restoredReadingIds = {};
+    for (const [humidorId, readings] of Object.entries(data.readings || {})) {
+        const readingsRef = getReadingsCollectionRef(db, appId, userId, humidorId);
+        restoredReadingIds[humidorId] = new Set();
+        for (const { id, ...reading } of readings) {
+            const readingRef = idStrategy === 'remap' || !id ? doc(readingsRef) : doc(readingsRef, id);
+            await writer.set(readingRef, reading);
+            restoredReadingIds[humidorId].add(readingRef.id);
+        }
+    }
+
+    // The writer commits its batches in order, so these deletes only start once the backup is written.
+    if (existing) {
+        for (const [humidorId, readingIds] of Object.entries(existing.readings)) {
+            const readingsRef = getReadingsCollectionRef(db, appId, userId, humidorId);
+            for (const readingId of readingIds) {
+                if (!restoredReadingIds[humidorId]?.has(readingId)) await writer.delete(doc(readingsRef, readingId));
+            }
+        }
+        for (const name of BACKUP_COLLECTIONS) {
+            for (const id of existing.collections[name]) {
+                if (!restoredIds[name].has(id)) await writer.delete(doc(getUserCollectionRef(db, appId, userId, name), id));
+            }
+        }
+    }
+
+    await writer.commit();
+    return counts;
+}
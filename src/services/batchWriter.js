@@ -0,0 +1,44 @@
+import { writeBatch } from 'firebase/firestore';
+import { settleWrite } from './syncService';
+
+// Firestore rejects write batches with more than 500 operations.
+export const MAX_BATCH_SIZE = 500;
+
+/**
+ * Creates a writer that queues set/update/delete operations and commits them in
+ * as many Firestore batches as needed to stay under the per-batch operation limit.
+ * Each full batch is committed as soon as it fills up, so memory use stays bounded
+ * for large imports and restores.
+ * @param {Object} db - Firestore database instance
+ * @param {Function} [onProgress] - Called with the total number of committed operations after each batch
+ * @returns {Object} { set, update, delete, commit }
+ */
+export function createBatchWriter(db, onProgress) {
+    let batch = writeBatch(db);
+    let pending = 0;
+    let committed = 0;
+
+    const flush = async () => {
+        if (pending === 0) return;
+        const current = batch;
+        const size = pending;
+        batch = writeBatch(db);
+        pending = 0;
+        await settleWrite(current.commit());
+        committed += size;
+        if (onProgress) onProgress(committed);
+    };
+
+    const queue = async (operation) => {
+        operation(batch);
+        pending++;
+        if (pending >= MAX_BATCH_SIZE) await flush();
+    };
+
+    return {
+        set: (ref, data, options) => queue(b => (options ? b.set(ref, data, options) : b.set(ref, data))),
+        update: (ref, data) => queue(b => b.update(ref, data)),
+        delete: (ref) => queue(b => b.delete(ref)),
+        commit: flush
+    };
+}
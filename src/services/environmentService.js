@@ -0,0 +1,197 @@
+import { collection, doc, writeBatch, updateDoc, onSnapshot, query, orderBy, limit, where, getDocs } from 'firebase/firestore';
+import { settleWrite } from './syncService';
+import { createBatchWriter } from './batchWriter';
+import { evaluateReading, normalizeAlertSettings, validateAlertSettings } from '../utils/alertUtils';
+
+/**
+ * Saves the alert thresholds for a humidor after validating them.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {string} humidorId - The humidor to update
+ * @param {Object} settings - The alert settings to save
+ * @returns {Promise<Object>} Resolves to the validation errors; empty if the settings were saved.
+ */
+export async function saveAlertSettings(db, appId, userId, humidorId, settings) {
+    const errors = validateAlertSettings(settings);
+    if (Object.keys(errors).length > 0) return errors;
+
+    const humidorRef = doc(db, 'artifacts', appId, 'users', userId, 'humidors', humidorId);
+    await settleWrite(updateDoc(humidorRef, { alertSettings: normalizeAlertSettings(settings) }));
+    return {};
+}
+
+/**
+ * Adds an alert document to a write batch for every threshold a reading breaches.
+ * Used by callers that are already writing a batch (e.g., CSV import) so the alerts
+ * are committed together with the reading that caused them.
+ * @param {Object} batch - The Firestore write batch
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {Object} humidor - The humidor the reading belongs to (must include an id)
+ * @param {Object} reading - The reading ({ temp, humidity })
+ * @param {string} source - Where the reading came from ('manual', 'govee' or 'import')
+ * @returns {Array<Object>} The alert records that were queued
+ */
+export function queueReadingAlerts(batch, db, appId, userId, humidor, reading, source) {
+    const alerts = evaluateReading(humidor, reading, source);
+    const alertsCollectionRef = collection(db, 'artifacts', appId, 'users', userId, 'alerts');
+    alerts.forEach(alert => batch.set(doc(alertsCollectionRef), alert));
+    return alerts;
+}
+
+/**
+ * Returns a reference to a humidor's `readings` subcollection.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {string} humidorId - The humidor whose readings to reference
+ * @returns {Object} Firestore collection reference
+ */
+export function getReadingsCollectionRef(db, appId, userId, humidorId) {
+    return collection(db, 'artifacts', appId, 'users', userId, 'humidors', humidorId, 'readings');
+}
+
+/**
+ * Records a new temperature/humidity reading on a humidor and evaluates its alert thresholds.
+ * The humidor document keeps the latest values for quick display, and the reading is
+ * appended to the humidor's `readings` subcollection to build up its history.
+ * This is the single entry point for every reading source: the manual reading modal,
+ * Govee sync and CSV imports.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {Object} humidor - The humidor the reading belongs to
+ * @param {Object} reading - The reading ({ temp, humidity })
+ * @param {string} [source='manual'] - Where the reading came from
+ * @returns {Promise<Array<Object>>} Resolves to any alerts that were raised
+ */
+export async function recordHumidorReading(db, appId, userId, humidor, reading, source = 'manual') {
+    const batch = writeBatch(db);
+    const humidorRef = doc(db, 'artifacts', appId, 'users', userId, 'humidors', humidor.id);
+    const temp = Number(reading.temp);
+    const humidity = Number(reading.humidity);
+    batch.update(humidorRef, { temp, humidity });
+    batch.set(doc(getReadingsCollectionRef(db, appId, userId, humidor.id)), {
+        timestamp: reading.timestamp || new Date().toISOString(),
+        temp,
+        humidity,
+        source
+    });
+    const alerts = queueReadingAlerts(batch, db, appId, userId, humidor, reading, source);
+    await settleWrite(batch.commit());
+    return alerts;
+}
+
+/**
+ * Subscribes to the most recent alerts for the current user.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {Function} onChange - Called with the array of alerts whenever they change
+ * @param {number} [max=20] - Maximum number of alerts to return
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToRecentAlerts(db, appId, userId, onChange, max = 20) {
+    const alertsQuery = query(
+        collection(db, 'artifacts', appId, 'users', userId, 'alerts'),
+        orderBy('timestamp', 'desc'),
+        limit(max)
+    );
+    return onSnapshot(alertsQuery, (snapshot) => {
+        onChange(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+        console.error("Error fetching alerts:", error);
+    });
+}
+
+/**
+ * Subscribes to a humidor's reading history, oldest first.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {string} humidorId - The humidor whose readings to watch
+ * @param {string|null} since - ISO timestamp to start from, or null for the full history
+ * @param {Function} onChange - Called with the array of readings whenever they change
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToReadings(db, appId, userId, humidorId, since, onChange) {
+    const readingsRef = getReadingsCollectionRef(db, appId, userId, humidorId);
+    const readingsQuery = since
+        ? query(readingsRef, where('timestamp', '>=', since), orderBy('timestamp', 'asc'))
+        : query(readingsRef, orderBy('timestamp', 'asc'));
+    return onSnapshot(readingsQuery, (snapshot) => {
+        onChange(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    }, (error) => {
+        console.error("Error fetching readings:", error);
+    });
+}
+
+/**
+ * Fetches the full reading history of a humidor once, oldest first.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {string} humidorId - The humidor whose readings to fetch
+ * @returns {Promise<Array<Object>>} Resolves to the readings
+ */
+export async function fetchReadings(db, appId, userId, humidorId) {
+    const readingsQuery = query(getReadingsCollectionRef(db, appId, userId, humidorId), orderBy('timestamp', 'asc'));
+    const snapshot = await getDocs(readingsQuery);
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Returns the readings that are not already in a humidor's history (matched by timestamp),
+ * also dropping repeated timestamps within the list itself.
+ * @param {Array<Object>} readings - Candidate readings
+ * @param {Array<Object>} existingReadings - Readings already stored for the humidor
+ * @returns {Array<Object>} The new readings
+ */
+export function filterNewReadings(readings, existingReadings) {
+    const seen = new Set(existingReadings.map(r => r.timestamp));
+    return readings.filter(reading => {
+        if (seen.has(reading.timestamp)) return false;
+        seen.add(reading.timestamp);
+        return true;
+    });
+}
+
+/**
+ * Imports a batch of historical readings (e.g., from a Govee CSV export) into a humidor.
+ * Readings that were already imported are skipped, and writes are split across as many
+ * batches as needed to stay under Firestore's per-batch operation limit. If the import
+ * contains the humidor's most recent reading, the humidor's current values are updated
+ * and that reading is checked against its alert thresholds.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {Object} humidor - The humidor to import into
+ * @param {Array<Object>} readings - Readings ({ timestamp, temp, humidity }) sorted by timestamp
+ * @param {Function} [onProgress] - Called with the number of readings written so far
+ * @returns {Promise<Object>} Resolves to { imported, duplicates }
+ */
+export async function importReadings(db, appId, userId, humidor, readings, onProgress) {
+    const existingReadings = await fetchReadings(db, appId, userId, humidor.id);
+    const newReadings = filterNewReadings(readings, existingReadings);
+    const readingsRef = getReadingsCollectionRef(db, appId, userId, humidor.id);
+
+    const writer = createBatchWriter(db, onProgress);
+    for (const { timestamp, temp, humidity } of newReadings) {
+        await writer.set(doc(readingsRef), { timestamp, temp, humidity, source: 'import' });
+    }
+    await writer.commit();
+
+    const latestImported = newReadings[newReadings.length - 1];
+    const latestExisting = existingReadings[existingReadings.length - 1];
+    if (latestImported && (!latestExisting || latestImported.timestamp > latestExisting.timestamp)) {
+        const batch = writeBatch(db);
+        const humidorRef = doc(db, 'artifacts', appId, 'users', userId, 'humidors', humidor.id);
+        batch.update(humidorRef, { temp: latestImported.temp, humidity: latestImported.humidity });
+        queueReadingAlerts(batch, db, appId, userId, humidor, latestImported, 'import');
+        await settleWrite(batch.commit());
+    }
+
+    return { imported: newReadings.length, duplicates: readings.length - newReadings.length };
+}
@@ -35,9 +35,10 @@
 
 import React, { useState, useEffect } from 'react';
 import { Eye, EyeOff } from 'lucide-react';
+import { GEMINI_KEY_STORAGE } from '../utils/aiSettingsUtils';
 
-// Constants for localStorage key and API key validation
-const API_KEY_STORAGE = 'userGeminiApiKey';
+// Constants for localStorage key and API key validation (the AI service reads the key from the same place)
+const API_KEY_STORAGE = GEMINI_KEY_STORAGE;
 const API_KEY_PATTERN = /^[A-Za-z0-9_-]{20,}$/; // Regex pattern for Gemini API key format validation
 
 export default function GeminiKeySection() {
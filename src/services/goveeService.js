@@ -1,21 +1,181 @@
 /**
- * Simulates fetching a list of Govee devices.
+ * Client for the Govee OpenAPI, used to discover thermo-hygrometers and read their
+ * current temperature and humidity.
+ *
+ * All network access goes through a `transport` function with the same signature as
+ * `window.fetch`, so the client can be pointed at a local fake server (or a stub) in tests.
+ */
+
+export const GOVEE_API_BASE_URL = 'https://openapi.api.govee.com/router/api/v1';
+
+// Thermo-hygrometer models we know how to read temperature and humidity from.
+export const SUPPORTED_GOVEE_MODELS = ['H5075', 'H5074', 'H5100'];
+
+// Govee allows 10,000 requests a day per account; polling every 10 minutes stays far below that.
+export const DEFAULT_POLL_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Error thrown for any failed Govee API request.
+ * `status` is the HTTP status (0 for network failures) and `retryAt` is set when the
+ * request was rejected because of rate limiting.
+ */
+export class GoveeApiError extends Error {
+    constructor(message, { status = 0, retryAt = null } = {}) {
+        super(message);
+        this.name = 'GoveeApiError';
+        this.status = status;
+        this.retryAt = retryAt;
+    }
+}
+
+/**
+ * Works out when a rate-limited request may be retried from the response headers.
+ * Govee sends `Retry-After` (seconds) on 429 responses and `API-RateLimit-Reset`
+ * (epoch seconds) on every response.
+ * @param {Object} headers - The response headers
+ * @returns {number|null} Epoch milliseconds, or null if the headers don't say
+ */
+const getRetryAt = (headers) => {
+    const retryAfter = Number(headers.get('Retry-After'));
+    if (retryAfter > 0) return Date.now() + retryAfter * 1000;
+    const reset = Number(headers.get('API-RateLimit-Reset'));
+    return reset > 0 ? reset * 1000 : null;
+};
+
+/**
+ * Creates a Govee OpenAPI client.
+ * @param {Object} options - Client options
+ * @param {string} options.apiKey - The user's Govee API key
+ * @param {Function} [options.transport=fetch] - fetch-compatible function used for requests
+ * @param {string} [options.baseUrl=GOVEE_API_BASE_URL] - API base URL (override for a fake server)
+ * @returns {Object} { listDevices, getDeviceState, getRateLimit }
+ */
+export function createGoveeClient({ apiKey, transport = (...args) => fetch(...args), baseUrl = GOVEE_API_BASE_URL }) {
+    // Remaining request budget as last reported by Govee, and when it resets.
+    const rateLimit = { remaining: null, retryAt: null };
+
+    const request = async (path, { method = 'GET', body } = {}) => {
+        if (rateLimit.retryAt && Date.now() < rateLimit.retryAt) {
+            throw new GoveeApiError('Govee rate limit reached. Please try again later.', { status: 429, retryAt: rateLimit.retryAt });
+        }
+
+        let response;
+        try {
+            response = await transport(`${baseUrl}${path}`, {
+                method,
+                headers: { 'Content-Type': 'application/json', 'Govee-API-Key': apiKey },
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            throw new GoveeApiError(`Could not reach Govee: ${error.message}`);
+        }
+
+        const remaining = response.headers.get('API-RateLimit-Remaining');
+        if (remaining !== null) rateLimit.remaining = Number(remaining);
+
+        if (response.status === 429 || rateLimit.remaining === 0) {
+            rateLimit.retryAt = getRetryAt(response.headers) || Date.now() + DEFAULT_POLL_INTERVAL_MS;
+        } else {
+            rateLimit.retryAt = null;
+        }
+
+        if (response.status === 429) {
+            throw new GoveeApiError('Govee rate limit reached. Please try again later.', { status: 429, retryAt: rateLimit.retryAt });
+        }
+        if (response.status === 401 || response.status === 403) {
+            throw new GoveeApiError('Govee rejected the API key. Please check it and try again.', { status: response.status });
+        }
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || (result.code !== undefined && result.code !== 200)) {
+            throw new GoveeApiError(`Govee API error (${result.code || response.status}): ${result.message || response.statusText}`, { status: response.status });
+        }
+        return result;
+    };
+
+    /**
+     * Lists the account's supported thermo-hygrometers.
+     * @returns {Promise<Array<Object>>} Devices as { device, model, deviceName }
+     */
+    const listDevices = async () => {
+        const result = await request('/user/devices');
+        return (result.data || [])
+            .filter(d => SUPPORTED_GOVEE_MODELS.includes(d.sku))
+            .map(d => ({ device: d.device, model: d.sku, deviceName: d.deviceName || d.sku }));
+    };
+
+    /**
+     * Reads the current temperature and humidity of a device.
+     * @param {Object} device - { device, model } as returned by listDevices
+     * @returns {Promise<Object>} { temp, humidity, timestamp }
+     */
+    const getDeviceState = async ({ device, model }) => {
+        const result = await request('/device/state', {
+            method: 'POST',
+            body: { requestId: `${Date.now()}`, payload: { sku: model, device } }
+        });
+        const capabilities = result.payload?.capabilities || [];
+        const readValue = (instance) => {
+            const value = capabilities.find(c => c.instance === instance)?.state?.value;
+            // Some models nest the humidity as { currentHumidity }.
+            return typeof value === 'object' && value !== null ? value.currentHumidity : value;
+        };
+        const temp = Number(readValue('sensorTemperature'));
+        const humidity = Number(readValue('sensorHumidity'));
+        if (Number.isNaN(temp) || Number.isNaN(humidity)) {
+            throw new GoveeApiError(`Govee did not return a reading for ${model} ${device}.`);
+        }
+        return { temp, humidity, timestamp: new Date().toISOString() };
+    };
+
+    return { listDevices, getDeviceState, getRateLimit: () => ({ ...rateLimit }) };
+}
+
+/**
+ * Fetches the list of supported Govee thermo-hygrometers for an API key.
  * @param {string} apiKey - The API key for Govee service
+ * @param {Function} [transport] - Optional fetch-compatible transport
  * @returns {Promise<Array>} A promise that resolves to an array of device objects
  */
-export async function fetchGoveeDevices(apiKey) {
-    console.log(`Simulating Govee device fetch with API Key: ${apiKey}`);
-    return new Promise(resolve => {
-        setTimeout(() => {
-            if (apiKey && apiKey.startsWith('TEST_KEY')) {
-                resolve([
-                    { device: 'AA:BB:CC:DD:EE:F1', model: 'H5075', deviceName: 'Office Humidor Sensor' },
-                    { device: 'AA:BB:CC:DD:EE:F2', model: 'H5074', deviceName: 'Travel Case Sensor' },
-                    { device: 'AA:BB:CC:DD:EE:F3', model: 'H5100', deviceName: 'Living Room Sensor' },
-                ]);
-            } else {
-                resolve([]);
+export async function fetchGoveeDevices(apiKey, transport) {
+    return createGoveeClient({ apiKey, transport }).listDevices();
+}
+
+/**
+ * Periodically reads every Govee-linked humidor and reports the readings.
+ * Devices are polled one after another so a single failing sensor doesn't stop the rest,
+ * and polling pauses automatically while the client is rate limited.
+ * @param {Object} options - Polling options
+ * @param {Object} options.client - A client created by createGoveeClient
+ * @param {Function} options.getHumidors - Returns the current list of humidors
+ * @param {Function} options.onReading - Called with (humidor, reading) for each successful read
+ * @param {Function} [options.onError] - Called with (humidor, error) for each failed read
+ * @param {number} [options.intervalMs=DEFAULT_POLL_INTERVAL_MS] - Time between polls
+ * @returns {Function} Stops polling
+ */
+export function startGoveePolling({ client, getHumidors, onReading, onError = () => { }, intervalMs = DEFAULT_POLL_INTERVAL_MS }) {
+    let stopped = false;
+    let timer = null;
+
+    const poll = async () => {
+        const linkedHumidors = getHumidors().filter(h => h.goveeDeviceId && h.goveeDeviceModel);
+        for (const humidor of linkedHumidors) {
+            if (stopped) return;
+            const { retryAt } = client.getRateLimit();
+            if (retryAt && Date.now() < retryAt) break;
+            try {
+                const reading = await client.getDeviceState({ device: humidor.goveeDeviceId, model: humidor.goveeDeviceModel });
+                if (!stopped) await onReading(humidor, reading);
+            } catch (error) {
+                onError(humidor, error);
             }
-        }, 1500);
-    });
-}
\ No newline at end of file
+        }
+        if (!stopped) timer = setTimeout(poll, intervalMs);
+    };
+
+    poll();
+    return () => {
+        stopped = true;
+        clearTimeout(timer);
+    };
+}
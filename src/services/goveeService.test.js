@@ -0,0 +1,55 @@
+import { createGoveeClient, GoveeApiError } from './goveeService';
+
+// A fake transport standing in for the Govee OpenAPI server.
+const fakeResponse = (status, body, headers = {}) => ({
+    status,
+    ok: status >= 200 && status < 300,
+    statusText: '',
+    headers: { get: (name) => (name in headers ? headers[name] : null) },
+    json: async () => body
+});
+
+test('lists only supported thermo-hygrometers', async () => {
+    const transport = jest.fn(async () => fakeResponse(200, {
+        code: 200,
+        data: [
+            { sku: 'H5075', device: 'AA:BB:CC:DD:EE:F1', deviceName: 'Office Humidor Sensor' },
+            { sku: 'H6008', device: 'AA:BB:CC:DD:EE:F9', deviceName: 'Desk Lamp' }
+        ]
+    }));
+    const client = createGoveeClient({ apiKey: 'key', transport, baseUrl: 'http://localhost:9000' });
+
+    const devices = await client.listDevices();
+
+    expect(devices).toEqual([{ device: 'AA:BB:CC:DD:EE:F1', model: 'H5075', deviceName: 'Office Humidor Sensor' }]);
+    expect(transport).toHaveBeenCalledWith('http://localhost:9000/user/devices', expect.objectContaining({
+        headers: expect.objectContaining({ 'Govee-API-Key': 'key' })
+    }));
+});
+
+test('reads temperature and humidity from the device state', async () => {
+    const transport = async () => fakeResponse(200, {
+        code: 200,
+        payload: {
+            capabilities: [
+                { instance: 'sensorTemperature', state: { value: 68.5 } },
+                { instance: 'sensorHumidity', state: { value: { currentHumidity: 69 } } }
+            ]
+        }
+    });
+    const client = createGoveeClient({ apiKey: 'key', transport });
+
+    const reading = await client.getDeviceState({ device: 'AA:BB:CC:DD:EE:F1', model: 'H5075' });
+
+    expect(reading).toMatchObject({ temp: 68.5, humidity: 69 });
+});
+
+test('stops sending requests while rate limited', async () => {
+    const transport = jest.fn(async () => fakeResponse(429, {}, { 'Retry-After': '60' }));
+    const client = createGoveeClient({ apiKey: 'key', transport });
+
+    await expect(client.listDevices()).rejects.toBeInstanceOf(GoveeApiError);
+    await expect(client.listDevices()).rejects.toMatchObject({ status: 429 });
+    expect(transport).toHaveBeenCalledTimes(1);
+    expect(client.getRateLimit().retryAt).toBeGreaterThan(Date.now());
+});
@@ -0,0 +1,366 @@
+/**
+ * Every change to how many cigars are in stock, or where they are, goes through here.
+ *
+ * Each operation reads the cigars it changes inside a Firestore transaction and works
+ * from that fresh copy rather than from the (possibly stale) cigars on screen, so two
+ * devices smoking from the same box can't overwrite each other's changes. Quantity
+ * edits are applied as a change (+/- n) to the stored stock, not as an absolute value,
+ * and the stored quantity is always written as an increment.
+ *
+ * Transactions need the server, so stock can't be changed offline: a batch built from
+ * the local cache would overwrite the purchase lots with whatever was cached, losing
+ * changes made on another device in the meantime.
+ */
+import { collection, doc, getDocs, increment, query, runTransaction, where } from 'firebase/firestore';
+import { isOnline } from './syncService';
+import { MAX_BATCH_SIZE } from './batchWriter';
+import {
+    adjustLotsToQuantity, applyCigarEditsToLots, findNegativeStock, getCigarLots,
+    getLotTotals, returnOneToLot, splitLots, takeOneFromLots, withLots
+} from '../utils/lotUtils';
+import { getHumidorFill } from '../utils/capacityUtils';
+
+/**
+ * Error thrown when an inventory change can't be made, such as smoking a cigar
+ * that has none left or moving a cigar that has been deleted on another device.
+ */
+export class InventoryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InventoryError';
+    }
+}
+
+// Who is making changes: { uid, name }, set by App.js. Smoking sessions and moves record it, so the
+// members of a shared humidor can see who did what.
+let activityActor = null;
+
+/**
+ * Sets who inventory changes are recorded as made by.
+ * @param {Object|null} actor - { uid, name }, from getActivityActor, or null when signed out
+ */
+export const setActivityActor = (actor) => {
+    activityActor = actor;
+};
+
+// The fields recorded on a cigar when it changes humidor.
+const movedFields = () => ({ movedBy: activityActor, movedAt: new Date().toISOString() });
+
+const getCigarsRef = (db, appId, userId) => collection(db, 'artifacts', appId, 'users', userId, 'cigars');
+const getCigarRef = (db, appId, userId, cigarId) => doc(getCigarsRef(db, appId, userId), cigarId);
+const getSessionsRef = (db, appId, userId) => collection(db, 'artifacts', appId, 'users', userId, 'smokingSessions');
+
+/**
+ * Runs an inventory update as a transaction.
+ * @param {Object} db - Firestore database instance
+ * @param {Function} update - async (transaction) => result; uses transaction.get/set/update/delete
+ * @returns {Promise<*>} The update's result
+ * @throws {InventoryError} If offline
+ */
+const runInventoryUpdate = async (db, update) => {
+    if (!isOnline()) throw new InventoryError("You're offline. Stock changes need a connection, so they can't overwrite changes made on another device.");
+    return runTransaction(db, update);
+};
+
+/**
+ * Reads a cigar inside a transaction.
+ * @returns {Promise<Object>} The cigar, including its ID
+ * @throws {InventoryError} If the cigar no longer exists
+ */
+const readCigar = async (transaction, cigarRef) => {
+    const snapshot = await transaction.get(cigarRef);
+    if (!snapshot.exists()) throw new InventoryError('This cigar has been removed, perhaps on another device.');
+    return { id: snapshot.id, ...snapshot.data() };
+};
+
+/**
+ * Returns the fields to write for a cigar's new lots, refusing any that leave stock negative.
+ * Given the stored cigar, its quantity is written as an increment from the stored value.
+ * @param {Array<Object>} lots - The new lots
+ * @param {Object} [cigar] - The cigar as read in the transaction; omit for a new cigar record
+ * @throws {InventoryError} If a lot would have fewer than zero cigars
+ */
+const checkedLots = (lots, cigar) => {
+    const problem = findNegativeStock(lots);
+    if (problem) throw new InventoryError(problem);
+    const fields = withLots(lots);
+    // Older records may hold the quantity as text, which can't be incremented.
+    if (cigar && Number.isInteger(cigar.quantity)) fields.quantity = increment(fields.quantity - cigar.quantity);
+    return fields;
+};
+
+/**
+ * Changes a cigar's purchase lots, starting from the lots currently stored.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {string} cigarId - The cigar's ID
+ * @param {Function} change - (lots, cigar) => the new lots
+ * @param {Object} [fields={}] - Other fields to update along with the lots
+ * @returns {Promise<void>}
+ */
+export async function updateCigarLots(db, appId, userId, cigarId, change, fields = {}) {
+    const cigarRef = getCigarRef(db, appId, userId, cigarId);
+    await runInventoryUpdate(db, async (transaction) => {
+        const cigar = await readCigar(transaction, cigarRef);
+        transaction.update(cigarRef, { ...fields, ...checkedLots(change(getCigarLots(cigar), cigar), cigar) });
+    });
+}
+
+/**
+ * Adds or removes cigars from stock. Cigars are removed from the oldest lots first and
+ * added to the newest.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {string} cigarId - The cigar's ID
+ * @param {number} change - How many cigars to add (positive) or remove (negative)
+ * @returns {Promise<void>}
+ * @throws {InventoryError} If that would leave fewer than zero in stock
+ */
+export async function changeCigarQuantity(db, appId, userId, cigarId, change) {
+    await updateCigarLots(db, appId, userId, cigarId, (lots) => {
+        const quantity = getLotTotals(lots).quantity + change;
+        if (quantity < 0) throw new InventoryError(`Only ${quantity - change} of this cigar left in stock.`);
+        return adjustLotsToQuantity(lots, quantity);
+    });
+}
+
+// Fields the edit form holds but doesn't save directly: the lots and the fields kept in step
+// with them, where the cigar is and who moved it, and the AI provenance (saved per field).
+const UNEDITABLE_FIELDS = ['lots', 'quantity', 'price', 'dateAdded', 'humidorId', 'aiProvenance', 'movedBy', 'movedAt'];
+
+const isChanged = (value, before) => JSON.stringify(value) !== JSON.stringify(before);
+
+/**
+ * Saves edits to a cigar. Only the fields that differ from `original` are written, so
+ * fields changed elsewhere while the edit screen was open are kept. A change in quantity
+ * is applied to the stock as stored now, so cigars smoked elsewhere aren't added back.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {Object} original - The cigar as it was when editing began
+ * @param {Object} fields - The edited fields, including quantity, price, dateAdded and aiProvenance
+ * @returns {Promise<void>}
+ * @throws {InventoryError} If the cigar was removed or the quantity would go below zero
+ */
+export async function saveCigarEdits(db, appId, userId, original, fields) {
+    const cigarRef = getCigarRef(db, appId, userId, original.id);
+    const changes = Object.fromEntries(Object.entries(fields)
+        .filter(([field, value]) => !UNEDITABLE_FIELDS.includes(field) && isChanged(value, original[field])));
+    // Suggestions accepted from Roxy are recorded one field at a time, as autofillService does.
+    Object.entries(fields.aiProvenance || {}).forEach(([field, record]) => {
+        if (isChanged(record, original.aiProvenance?.[field])) changes[`aiProvenance.${field}`] = record;
+    });
+    const priceChanged = fields.price !== undefined && Number(fields.price) !== Number(original.price);
+    const dateChanged = fields.dateAdded !== undefined && fields.dateAdded.split('T')[0] !== (original.dateAdded || '').split('T')[0];
+
+    await runInventoryUpdate(db, async (transaction) => {
+        const current = await readCigar(transaction, cigarRef);
+        const stored = getLotTotals(getCigarLots(current)).quantity;
+        const quantity = stored + (Number(fields.quantity) || 0) - (Number(original.quantity) || 0);
+        if (quantity < 0) throw new InventoryError(`Only ${stored} of this cigar left in stock.`);
+        const lots = applyCigarEditsToLots(current, {
+            quantity,
+            price: priceChanged ? fields.price : undefined,
+            dateAdded: dateChanged ? fields.dateAdded : undefined
+        });
+        transaction.update(cigarRef, { ...changes, ...checkedLots(lots, current) });
+    });
+}
+
+/**
+ * Records that one of a cigar was smoked: takes it from the oldest lot still in stock
+ * and adds a smoking session, together.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {string} cigarId - The cigar being smoked
+ * @returns {Promise<Object>} The session that was saved, including its ID
+ * @throws {InventoryError} If there are none left
+ */
+export async function smokeCigar(db, appId, userId, cigarId) {
+    const cigarRef = getCigarRef(db, appId, userId, cigarId);
+    const sessionRef = doc(getSessionsRef(db, appId, userId));
+    return runInventoryUpdate(db, async (transaction) => {
+        const cigar = await readCigar(transaction, cigarRef);
+        const { lots, lotId } = takeOneFromLots(getCigarLots(cigar));
+        if (!lotId) throw new InventoryError('There are none of this cigar left to smoke.');
+
+        const session = {
+            cigarId,
+            cigarName: cigar.name,
+            cigarBrand: cigar.brand,
+            humidorId: cigar.humidorId,
+            lotId,
+            timestamp: new Date().toISOString(),
+            journalEntryId: null,
+            smokedBy: activityActor
+        };
+        transaction.set(sessionRef, session);
+        transaction.update(cigarRef, checkedLots(lots, cigar));
+        return { id: sessionRef.id, ...session };
+    });
+}
+
+/**
+ * Undoes a smoking session: deletes it and puts the cigar back into the lot it came from.
+ * If the cigar has since been deleted, only the session is removed.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {Object} session - The session to undo
+ * @returns {Promise<void>}
+ */
+export async function undoSmoke(db, appId, userId, session) {
+    const cigarRef = getCigarRef(db, appId, userId, session.cigarId);
+    await runInventoryUpdate(db, async (transaction) => {
+        const snapshot = await transaction.get(cigarRef);
+        if (snapshot.exists()) {
+            const cigar = snapshot.data();
+            transaction.update(cigarRef, checkedLots(returnOneToLot(getCigarLots(cigar), session.lotId), cigar));
+        }
+        transaction.delete(doc(getSessionsRef(db, appId, userId), session.id));
+    });
+}
+
+/**
+ * Moves whole cigars to another humidor. Their purchase lots, and so their age, go with them.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {Array<string>} cigarIds - The cigars to move
+ * @param {string} destinationHumidorId - The humidor to move them to
+ * @returns {Promise<void>}
+ * @throws {InventoryError} If one of the cigars no longer exists; none in its group are moved
+ */
+export async function moveCigars(db, appId, userId, cigarIds, destinationHumidorId) {
+    // A transaction can write at most MAX_BATCH_SIZE documents.
+    for (let start = 0; start < cigarIds.length; start += MAX_BATCH_SIZE) {
+        const refs = cigarIds.slice(start, start + MAX_BATCH_SIZE).map(id => getCigarRef(db, appId, userId, id));
+        await runInventoryUpdate(db, async (transaction) => {
+            // All reads must happen before any writes in a transaction.
+            for (const ref of refs) await readCigar(transaction, ref);
+            const moved = movedFields();
+            refs.forEach(ref => transaction.update(ref, { humidorId: destinationHumidorId, ...moved }));
+        });
+    }
+}
+
+/**
+ * Finds the journal entries and smoking sessions that belong to a cigar, so they can
+ * follow it when it is merged into another cigar record. Members of a shared humidor can't
+ * search the owner's journal or smoking history, so merges they make leave those where they are.
+ * @returns {Promise<Array<Object>>} Document references
+ */
+const getLinkedDocRefs = async (db, appId, userId, cigarId) => {
+    if (activityActor && activityActor.uid !== userId) return [];
+    const snapshots = await Promise.all(['journalEntries', 'smokingSessions'].map(name =>
+        getDocs(query(collection(db, 'artifacts', appId, 'users', userId, name), where('cigarId', '==', cigarId)))
+    ));
+    return snapshots.flatMap(snapshot => snapshot.docs.map(d => d.ref));
+};
+
+/**
+ * Moves some or all of a cigar to another humidor. The cigars moved come from the oldest
+ * lots first and keep their purchase dates. They are added to `mergeIntoId`, an identical
+ * cigar already in the destination, if given; otherwise a separate cigar record is created
+ * there (or, when moving all of them, the cigar itself simply moves). A cigar merged away
+ * entirely is deleted and its journal entries and smoking sessions move to the merged record.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {string} cigarId - The cigar to move from
+ * @param {number} quantity - How many to move
+ * @param {string} destinationHumidorId - The humidor to move them to
+ * @param {string|null} [mergeIntoId=null] - An identical cigar in the destination to add them to
+ * @returns {Promise<string>} The ID of the cigar record in the destination humidor
+ * @throws {InventoryError} If there aren't that many in stock, a cigar has been removed, or they don't fit
+ */
+export async function moveCigarQuantity(db, appId, userId, cigarId, quantity, destinationHumidorId, mergeIntoId = null) {
+    const [movedId] = await moveCigarQuantities(db, appId, userId, [{ cigarId, quantity, mergeIntoId }], destinationHumidorId);
+    return movedId;
+}
+
+/**
+ * Moves some or all of several cigars to another humidor in one transaction, so either every
+ * move is made or none is. Each move works as described for moveCigarQuantity. The destination's
+ * capacity is checked once, for all the moves together, against the cigars stored in it now.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {Array<Object>} moves - [{ cigarId, quantity, mergeIntoId }], with mergeIntoId null for none
+ * @param {string} destinationHumidorId - The humidor to move them to
+ * @returns {Promise<Array<string>>} The ID of each move's cigar record in the destination humidor
+ * @throws {InventoryError} If any move can't be made, or together they don't fit in the destination
+ */
+export async function moveCigarQuantities(db, appId, userId, moves, destinationHumidorId) {
+    const destinationRef = doc(db, 'artifacts', appId, 'users', userId, 'humidors', destinationHumidorId);
+    const refs = moves.map(move => ({
+        cigarRef: getCigarRef(db, appId, userId, move.cigarId),
+        targetRef: move.mergeIntoId ? getCigarRef(db, appId, userId, move.mergeIntoId) : doc(getCigarsRef(db, appId, userId))
+    }));
+    // Queries can't run inside a transaction, so find the destination's cigars and the documents
+    // linked to each cigar that may be merged away first.
+    const destinationCigars = await getDocs(query(getCigarsRef(db, appId, userId), where('humidorId', '==', destinationHumidorId)));
+    const linkedRefs = await Promise.all(moves.map(move => (move.mergeIntoId ? getLinkedDocRefs(db, appId, userId, move.cigarId) : [])));
+
+    return runInventoryUpdate(db, async (transaction) => {
+        // All reads must happen before any writes in a transaction.
+        const destination = (await transaction.get(destinationRef)).data();
+        const inDestination = [];
+        for (const { ref } of destinationCigars.docs) {
+            const snapshot = await transaction.get(ref);
+            if (snapshot.exists() && snapshot.data().humidorId === destinationHumidorId) inDestination.push(snapshot.data());
+        }
+        const sources = [];
+        const targets = new Map();
+        for (const [index, move] of moves.entries()) {
+            sources.push(await readCigar(transaction, refs[index].cigarRef));
+            if (move.mergeIntoId && !targets.has(move.mergeIntoId)) {
+                const target = await readCigar(transaction, refs[index].targetRef);
+                if (target.humidorId !== destinationHumidorId) throw new InventoryError(`${target.name} is no longer in that humidor.`);
+                targets.set(move.mergeIntoId, { cigar: target, lots: getCigarLots(target) });
+            }
+        }
+
+        const fill = getHumidorFill(destination, inDestination, sources.map((cigar, index) => ({ cigar, quantity: moves[index].quantity })));
+        if (fill.status === 'over') throw new InventoryError(`${destination.name} only has room for ${fill.free} more.`);
+
+        const moved = movedFields();
+        const movedIds = moves.map((move, index) => {
+            const { id, ...cigar } = sources[index];
+            const { cigarRef, targetRef } = refs[index];
+            const lots = getCigarLots(cigar);
+            const inStock = getLotTotals(lots).quantity;
+            if (!(move.quantity > 0) || move.quantity > inStock) {
+                throw new InventoryError(`Choose between 1 and ${inStock} of ${cigar.name} to move.`);
+            }
+            const movingAll = move.quantity === inStock;
+            if (movingAll && !move.mergeIntoId) {
+                transaction.update(cigarRef, { humidorId: destinationHumidorId, ...moved });
+                return id;
+            }
+
+            const { kept, split } = splitLots(lots, move.quantity);
+            if (move.mergeIntoId) {
+                const target = targets.get(move.mergeIntoId);
+                target.lots = [...target.lots, ...split];
+            } else {
+                transaction.set(targetRef, { ...cigar, humidorId: destinationHumidorId, ...checkedLots(split), ...moved });
+            }
+            if (movingAll) {
+                linkedRefs[index].forEach(ref => transaction.update(ref, { cigarId: targetRef.id }));
+                transaction.delete(cigarRef);
+            } else {
+                transaction.update(cigarRef, checkedLots(kept, cigar));
+            }
+            return targetRef.id;
+        });
+        // Several cigars can merge into the same one, so each is written once with all of its new lots.
+        targets.forEach(({ cigar, lots }, targetId) => {
+            transaction.update(getCigarRef(db, appId, userId, targetId), { ...checkedLots(lots, cigar), ...moved });
+        });
+        return movedIds;
+    });
+}
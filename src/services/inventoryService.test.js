@@ -0,0 +1,209 @@
+import { __store as store, __calls as calls } from 'firebase/firestore';
+import {
+    InventoryError, changeCigarQuantity, moveCigarQuantities, moveCigarQuantity, saveCigarEdits, setActivityActor, smokeCigar, undoSmoke
+} from './inventoryService';
+
+// A fake Firestore holding documents in a Map keyed by path. Transactions and batches only apply
+// their writes once the whole update has succeeded, as the real ones do.
+jest.mock('firebase/firestore', () => {
+    const store = new Map();
+    // Kept by hand rather than with jest.fn, which the test setup resets before every test, along
+    // with the writes of the latest transaction.
+    const calls = { runTransaction: 0, writeBatch: 0 };
+    let nextId = 0;
+    const ref = (path) => ({ path, id: path.split('/').pop() });
+    const snapshot = (r) => ({ id: r.id, ref: r, exists: () => store.has(r.path), data: () => store.get(r.path) });
+    // Applies increment() sentinels to the values stored now, as the server does.
+    const resolve = (data, stored = {}) => Object.fromEntries(Object.entries(data).map(([key, value]) => [
+        key, value && value.increment !== undefined ? (Number.isInteger(stored[key]) ? stored[key] : 0) + value.increment : value
+    ]));
+    const apply = ({ type, ref: r, data }) => {
+        if (type === 'set') store.set(r.path, resolve(data));
+        if (type === 'update') store.set(r.path, { ...store.get(r.path), ...resolve(data, store.get(r.path)) });
+        if (type === 'delete') store.delete(r.path);
+    };
+    const writer = (writes) => {
+        const w = {
+            set: (r, data) => { writes.push({ type: 'set', ref: r, data }); return w; },
+            update: (r, data) => { writes.push({ type: 'update', ref: r, data }); return w; },
+            delete: (r) => { writes.push({ type: 'delete', ref: r }); return w; }
+        };
+        return w;
+    };
+    return {
+        __store: store,
+        __calls: calls,
+        collection: (db, ...segments) => ({ path: segments.join('/') }),
+        doc: (parent, ...segments) => ref(segments.length ? [parent.path, ...segments].filter(Boolean).join('/') : `${parent.path}/new${++nextId}`),
+        where: (field, op, value) => ({ field, value }),
+        increment: (n) => ({ increment: n }),
+        query: (collectionRef, filter) => ({ ...collectionRef, filter }),
+        getDoc: async (r) => snapshot(r),
+        getDocs: async ({ path, filter }) => ({
+            docs: [...store.keys()]
+                .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+                .map(key => snapshot(ref(key)))
+                .filter(s => s.data()[filter.field] === filter.value)
+        }),
+        runTransaction: async (db, update) => {
+            calls.runTransaction++;
+            const writes = [];
+            calls.lastWrites = writes;
+            const transaction = { get: async (r) => snapshot(r), ...writer(writes) };
+            const result = await update(transaction);
+            writes.forEach(apply);
+            return result;
+        },
+        writeBatch: () => {
+            calls.writeBatch++;
+            const writes = [];
+            return { ...writer(writes), commit: async () => writes.forEach(apply) };
+        }
+    };
+});
+
+const cigarPath = (id) => `artifacts/app/users/u1/cigars/${id}`;
+const OLD_LOT = { id: 'old', purchaseDate: '2024-01-01T00:00:00.000Z', vendor: '', unitPrice: 10, count: 3, boxCode: '', remaining: 2 };
+const NEW_LOT = { id: 'new', purchaseDate: '2025-01-01T00:00:00.000Z', vendor: '', unitPrice: 12, count: 5, boxCode: '', remaining: 5 };
+const CIGAR = { name: 'Hemingway', brand: 'Arturo Fuente', humidorId: 'desk', lots: [OLD_LOT, NEW_LOT], quantity: 7 };
+
+const remaining = (id) => store.get(cigarPath(id)).lots.map(lot => lot.remaining);
+
+beforeEach(() => {
+    store.clear();
+    store.set(cigarPath('c1'), CIGAR);
+    setActivityActor({ uid: 'u1', name: 'Alice' });
+    calls.runTransaction = 0;
+    calls.writeBatch = 0;
+    delete calls.lastWrites;
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+test('smoking takes a cigar from the oldest lot and records who smoked it, and undoing puts it back', async () => {
+    const session = await smokeCigar({}, 'app', 'u1', 'c1');
+
+    expect(session).toMatchObject({ cigarId: 'c1', humidorId: 'desk', lotId: 'old', smokedBy: { uid: 'u1', name: 'Alice' } });
+    expect(store.get(`artifacts/app/users/u1/smokingSessions/${session.id}`)).toMatchObject({ lotId: 'old' });
+    expect(remaining('c1')).toEqual([1, 5]);
+    expect(store.get(cigarPath('c1')).quantity).toBe(6);
+
+    await undoSmoke({}, 'app', 'u1', session);
+
+    expect(remaining('c1')).toEqual([2, 5]);
+    expect(store.has(`artifacts/app/users/u1/smokingSessions/${session.id}`)).toBe(false);
+});
+
+test('refuses to smoke or remove cigars that are not in stock, writing nothing', async () => {
+    store.set(cigarPath('c2'), { ...CIGAR, lots: [{ ...OLD_LOT, remaining: 0 }], quantity: 0 });
+
+    await expect(smokeCigar({}, 'app', 'u1', 'c2')).rejects.toBeInstanceOf(InventoryError);
+    await expect(changeCigarQuantity({}, 'app', 'u1', 'c1', -8)).rejects.toThrow('Only 7 of this cigar left in stock.');
+    expect(remaining('c1')).toEqual([2, 5]);
+    expect([...store.keys()].some(key => key.includes('smokingSessions'))).toBe(false);
+});
+
+test('applies a quantity edit as a change to the stock stored now', async () => {
+    const original = { id: 'c1', ...CIGAR };
+    // Two were smoked on another device while the edit screen was open.
+    store.set(cigarPath('c1'), { ...CIGAR, lots: [{ ...OLD_LOT, remaining: 0 }, NEW_LOT], quantity: 5 });
+
+    await saveCigarEdits({}, 'app', 'u1', original, { name: 'Hemingway Classic', quantity: 8 });
+
+    expect(store.get(cigarPath('c1'))).toMatchObject({ name: 'Hemingway Classic', quantity: 6 });
+    expect(remaining('c1')).toEqual([0, 6]);
+    await expect(saveCigarEdits({}, 'app', 'u1', original, { quantity: 0 })).rejects.toBeInstanceOf(InventoryError);
+    expect(store.get(cigarPath('c1')).quantity).toBe(6);
+});
+
+test('saves only the fields that were edited, leaving where the cigar is and its lots to the stock changes', async () => {
+    const original = { id: 'c1', ...CIGAR, price: 12, dateAdded: '2025-01-01T00:00:00.000Z' };
+    const provenance = { provider: 'gemini', model: 'm', value: 'Medium' };
+    // Moved on another device while the edit screen was open.
+    store.set(cigarPath('c1'), { ...CIGAR, humidorId: 'travel', origin: 'Dominican Republic' });
+
+    await saveCigarEdits({}, 'app', 'u1', original, {
+        ...original, strength: 'Medium', movedBy: null, aiProvenance: { strength: provenance }
+    });
+
+    const written = calls.lastWrites[0].data;
+    expect(Object.keys(written).sort()).toEqual(['aiProvenance.strength', 'dateAdded', 'lots', 'price', 'quantity', 'strength']);
+    expect(written['aiProvenance.strength']).toEqual(provenance);
+    expect(store.get(cigarPath('c1'))).toMatchObject({ humidorId: 'travel', origin: 'Dominican Republic', strength: 'Medium', quantity: 7 });
+});
+
+test('moving part of a cigar splits off its oldest cigars into a new record', async () => {
+    const newId = await moveCigarQuantity({}, 'app', 'u1', 'c1', 3, 'travel');
+
+    const moved = store.get(cigarPath(newId));
+    expect(moved).toMatchObject({ name: 'Hemingway', humidorId: 'travel', quantity: 3, movedBy: { uid: 'u1', name: 'Alice' } });
+    expect(moved.lots.map(lot => [lot.purchaseDate, lot.remaining])).toEqual([[OLD_LOT.purchaseDate, 2], [NEW_LOT.purchaseDate, 1]]);
+    expect(store.get(cigarPath('c1'))).toMatchObject({ humidorId: 'desk', quantity: 4 });
+    await expect(moveCigarQuantity({}, 'app', 'u1', 'c1', 5, 'travel')).rejects.toThrow('Choose between 1 and 4');
+});
+
+test('moving all of a cigar into an identical one merges them and moves its journal entries along', async () => {
+    store.set(cigarPath('t1'), { ...CIGAR, humidorId: 'travel', lots: [{ ...NEW_LOT, id: 'travel-lot', remaining: 1 }], quantity: 1 });
+    store.set('artifacts/app/users/u1/journalEntries/j1', { cigarId: 'c1' });
+
+    await moveCigarQuantity({}, 'app', 'u1', 'c1', 7, 'travel', 't1');
+
+    expect(store.has(cigarPath('c1'))).toBe(false);
+    expect(store.get(cigarPath('t1')).quantity).toBe(8);
+    expect(store.get('artifacts/app/users/u1/journalEntries/j1').cigarId).toBe('t1');
+});
+
+test('moves several cigars together, merging those that match the same cigar into it once', async () => {
+    store.set('artifacts/app/users/u1/humidors/travel', { name: 'Travel Case', size: '10' });
+    store.set(cigarPath('c2'), { ...CIGAR, humidorId: 'office', lots: [{ ...NEW_LOT, id: 'office-lot', remaining: 2 }], quantity: 2 });
+    store.set(cigarPath('t1'), { ...CIGAR, humidorId: 'travel', lots: [{ ...NEW_LOT, id: 'travel-lot', remaining: 1 }], quantity: 1 });
+
+    const movedIds = await moveCigarQuantities({}, 'app', 'u1', [
+        { cigarId: 'c1', quantity: 3, mergeIntoId: 't1' },
+        { cigarId: 'c2', quantity: 2, mergeIntoId: 't1' }
+    ], 'travel');
+
+    expect(movedIds).toEqual(['t1', 't1']);
+    expect(calls.runTransaction).toBe(1);
+    expect(remaining('t1')).toEqual([1, 2, 1, 2]);
+    expect(store.get(cigarPath('t1')).quantity).toBe(6);
+    expect(store.get(cigarPath('c1')).quantity).toBe(4);
+    expect(store.has(cigarPath('c2'))).toBe(false);
+});
+
+test('refuses the whole move, writing nothing, when together the cigars would not fit', async () => {
+    store.set('artifacts/app/users/u1/humidors/travel', { name: 'Travel Case', size: '8' });
+    store.set(cigarPath('t1'), { ...CIGAR, humidorId: 'travel', lots: [{ ...NEW_LOT, id: 'travel-lot', remaining: 3 }], quantity: 3 });
+    store.set(cigarPath('c2'), { ...CIGAR, name: 'Short Story', humidorId: 'office', quantity: 7 });
+    const before = new Map(store);
+
+    await expect(moveCigarQuantities({}, 'app', 'u1', [
+        { cigarId: 'c1', quantity: 3, mergeIntoId: null },
+        { cigarId: 'c2', quantity: 3, mergeIntoId: null }
+    ], 'travel')).rejects.toThrow('Travel Case only has room for 5 more.');
+
+    expect(store).toEqual(before);
+});
+
+test('writes the quantity as an increment, so a change made elsewhere meanwhile is kept', async () => {
+    await changeCigarQuantity({}, 'app', 'u1', 'c1', -2);
+
+    expect(calls.lastWrites[0].data.quantity).toEqual({ increment: -2 });
+});
+
+test('writes the whole quantity when the stored one is text', async () => {
+    store.set(cigarPath('c1'), { ...CIGAR, quantity: '7' });
+
+    await changeCigarQuantity({}, 'app', 'u1', 'c1', 1);
+
+    expect(store.get(cigarPath('c1')).quantity).toBe(8);
+});
+
+test('refuses to change stock offline rather than overwrite it from the cache', async () => {
+    jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+
+    await expect(changeCigarQuantity({}, 'app', 'u1', 'c1', 2)).rejects.toThrow(/offline/);
+
+    expect(calls).toEqual({ runTransaction: 0, writeBatch: 0 });
+    expect(store.get(cigarPath('c1'))).toEqual(CIGAR);
+});
@@ -0,0 +1,152 @@
+/**
+ * Runs a list of async tasks a few at a time, keeping per-item progress that a screen can
+ * subscribe to. A job can be cancelled and resumed, and failed items can be retried.
+ * Used for Roxy's batch autofill, where each item is one AI request.
+ */
+
+export const JOB_STATUS = {
+    running: 'running',
+    cancelled: 'cancelled', // Stopped by the user; can be resumed
+    paused: 'paused',       // Stopped by an error every remaining item would hit too; can be resumed
+    done: 'done'
+};
+
+export const JOB_ITEM_STATUS = {
+    pending: 'pending',
+    running: 'running',
+    done: 'done',
+    failed: 'failed'
+};
+
+export const DEFAULT_JOB_CONCURRENCY = 3;
+
+/**
+ * Creates a job runner. The job doesn't start until start() is called.
+ * @param {Object} options - Runner options
+ * @param {Array<Object>} options.items - The work to do, each { id, label, data }
+ * @param {Function} options.runItem - Async function called with an item's data; its result is kept on the item
+ * @param {number} [options.concurrency=DEFAULT_JOB_CONCURRENCY] - How many items may run at once
+ * @param {Function} [options.isFatal] - Returns true for errors that would fail every other item too,
+ *   which pause the job instead of carrying on
+ * @returns {Object} { start, cancel, resume, retry, retryFailed, getState, subscribe }
+ */
+export function createJobRunner({ items, runItem, concurrency = DEFAULT_JOB_CONCURRENCY, isFatal = () => false }) {
+    let status = null; // Not started
+    let error = null;
+    let activeWorkers = 0;
+    const jobItems = items.map(({ id, label, data }) => ({ id, label, data, status: JOB_ITEM_STATUS.pending, result: null, error: null, attempts: 0 }));
+    const listeners = new Set();
+
+    const getState = () => ({
+        status,
+        error,
+        items: jobItems.map(item => ({ ...item })),
+        counts: Object.values(JOB_ITEM_STATUS).reduce((counts, itemStatus) => ({
+            ...counts,
+            [itemStatus]: jobItems.filter(item => item.status === itemStatus).length
+        }), { total: jobItems.length })
+    });
+
+    const notify = () => {
+        const state = getState();
+        listeners.forEach(listener => listener(state));
+    };
+
+    const worker = async () => {
+        while (status === JOB_STATUS.running) {
+            const item = jobItems.find(candidate => candidate.status === JOB_ITEM_STATUS.pending);
+            if (!item) break;
+            Object.assign(item, { status: JOB_ITEM_STATUS.running, error: null, attempts: item.attempts + 1 });
+            notify();
+            try {
+                item.result = await runItem(item.data);
+                item.status = JOB_ITEM_STATUS.done;
+            } catch (itemError) {
+                console.warn(`Job item "${item.label}" failed:`, itemError);
+                Object.assign(item, { status: JOB_ITEM_STATUS.failed, error: itemError.message });
+                if (status === JOB_STATUS.running && isFatal(itemError)) {
+                    status = JOB_STATUS.paused;
+                    error = itemError.message;
+                }
+            }
+            notify();
+        }
+        activeWorkers--;
+        if (activeWorkers === 0 && status === JOB_STATUS.running) {
+            status = JOB_STATUS.done;
+            notify();
+        }
+    };
+
+    // Starts as many workers as the concurrency allows, given any still finishing from before a cancel.
+    const run = () => {
+        status = JOB_STATUS.running;
+        error = null;
+        const pending = jobItems.filter(item => item.status === JOB_ITEM_STATUS.pending).length;
+        const toStart = Math.min(concurrency - activeWorkers, pending);
+        for (let i = 0; i < toStart; i++) {
+            activeWorkers++;
+            worker();
+        }
+        if (activeWorkers === 0) status = JOB_STATUS.done;
+        notify();
+    };
+
+    return {
+        getState,
+
+        /**
+         * Starts the job. Does nothing if it has already been started.
+         */
+        start: () => {
+            if (status === null) run();
+        },
+
+        /**
+         * Stops starting new items. Items already running finish and keep their results.
+         */
+        cancel: () => {
+            if (status !== JOB_STATUS.running) return;
+            status = JOB_STATUS.cancelled;
+            notify();
+        },
+
+        /**
+         * Carries on with the items that haven't run yet after a cancel or pause.
+         */
+        resume: () => {
+            if (status === JOB_STATUS.cancelled || status === JOB_STATUS.paused) run();
+        },
+
+        /**
+         * Queues one failed item to run again, restarting the job if it had stopped.
+         * @param {string} id - The item's ID
+         */
+        retry: (id) => {
+            const item = jobItems.find(candidate => candidate.id === id);
+            if (!item || item.status !== JOB_ITEM_STATUS.failed) return;
+            item.status = JOB_ITEM_STATUS.pending;
+            run();
+        },
+
+        /**
+         * Queues every failed item to run again, restarting the job if it had stopped.
+         */
+        retryFailed: () => {
+            const failed = jobItems.filter(item => item.status === JOB_ITEM_STATUS.failed);
+            if (failed.length === 0) return;
+            failed.forEach(item => { item.status = JOB_ITEM_STATUS.pending; });
+            run();
+        },
+
+        /**
+         * Subscribes to the job's progress.
+         * @param {Function} listener - Called with the state from getState() whenever it changes
+         * @returns {Function} Unsubscribe function
+         */
+        subscribe: (listener) => {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+}
@@ -0,0 +1,74 @@
+import { createJobRunner, JOB_STATUS, JOB_ITEM_STATUS } from './jobRunner';
+
+const items = (count) => Array.from({ length: count }, (_, i) => ({ id: `c${i}`, label: `Cigar ${i}`, data: i }));
+
+// Lets a test decide when each item's task finishes.
+const deferredTasks = () => {
+    const calls = [];
+    const runItem = (data) => new Promise((resolve, reject) => calls.push({ data, resolve, reject }));
+    return { calls, runItem };
+};
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('runs a bounded number of items at once and keeps each result', async () => {
+    const { calls, runItem } = deferredTasks();
+    const job = createJobRunner({ items: items(5), runItem, concurrency: 2 });
+    const states = [];
+    job.subscribe(state => states.push(state.status));
+    job.start();
+
+    expect(calls.map(call => call.data)).toEqual([0, 1]);
+    calls[0].resolve('first');
+    await flush();
+    expect(calls.map(call => call.data)).toEqual([0, 1, 2]);
+
+    calls.slice(1).forEach(call => call.resolve('ok'));
+    await flush();
+    calls.slice(3).forEach(call => call.resolve('ok'));
+    await flush();
+
+    const state = job.getState();
+    expect(state.status).toBe(JOB_STATUS.done);
+    expect(state.counts).toEqual(expect.objectContaining({ total: 5, done: 5, pending: 0 }));
+    expect(state.items[0].result).toBe('first');
+    expect(states[states.length - 1]).toBe(JOB_STATUS.done);
+});
+
+test('can be cancelled, resumed and retried', async () => {
+    const { calls, runItem } = deferredTasks();
+    const job = createJobRunner({ items: items(3), runItem, concurrency: 1 });
+    job.start();
+    job.cancel();
+    calls[0].reject(new Error('Network down'));
+    await flush();
+
+    // The running item finished, but nothing new was started.
+    expect(calls).toHaveLength(1);
+    expect(job.getState().status).toBe(JOB_STATUS.cancelled);
+    expect(job.getState().items[0]).toEqual(expect.objectContaining({ status: JOB_ITEM_STATUS.failed, error: 'Network down' }));
+
+    job.resume();
+    calls[1].resolve('ok');
+    await flush();
+    calls[2].resolve('ok');
+    await flush();
+    expect(job.getState().status).toBe(JOB_STATUS.done);
+
+    job.retry('c0');
+    expect(job.getState().items[0]).toEqual(expect.objectContaining({ status: JOB_ITEM_STATUS.running, attempts: 2 }));
+    calls[3].resolve('second try');
+    await flush();
+    expect(job.getState()).toEqual(expect.objectContaining({ status: JOB_STATUS.done, counts: expect.objectContaining({ done: 3, failed: 0 }) }));
+});
+
+test('pauses on errors that would fail every item', async () => {
+    const fatal = Object.assign(new Error('Add your API key'), { code: 'missingKey' });
+    const runItem = jest.fn(async () => { throw fatal; });
+    const job = createJobRunner({ items: items(4), runItem, concurrency: 1, isFatal: error => error.code === 'missingKey' });
+    job.start();
+    await flush();
+
+    expect(runItem).toHaveBeenCalledTimes(1);
+    expect(job.getState()).toEqual(expect.objectContaining({ status: JOB_STATUS.paused, error: 'Add your API key' }));
+    expect(job.getState().counts).toEqual(expect.objectContaining({ failed: 1, pending: 3 }));
+});
@@ -0,0 +1,42 @@
+import { updateCigarLots } from './inventoryService';
+import { createLot } from '../utils/lotUtils';
+
+/**
+ * Records a new purchase of a cigar that is already in the collection.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {Object} cigar - The cigar
+ * @param {Object} details - { purchaseDate, vendor, unitPrice, count, boxCode }
+ * @returns {Promise<void>}
+ */
+export async function addCigarLot(db, appId, userId, cigar, details) {
+    await updateCigarLots(db, appId, userId, cigar.id, lots => [...lots, createLot(details)]);
+}
+
+/**
+ * Updates the details of one of a cigar's purchase lots.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {Object} cigar - The cigar
+ * @param {string} lotId - The lot to update
+ * @param {Object} changes - The lot fields to change
+ * @returns {Promise<void>}
+ */
+export async function updateCigarLot(db, appId, userId, cigar, lotId, changes) {
+    await updateCigarLots(db, appId, userId, cigar.id, lots => lots.map(lot => (lot.id === lotId ? { ...lot, ...changes } : lot)));
+}
+
+/**
+ * Removes one of a cigar's purchase lots, and the cigars remaining in it.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {Object} cigar - The cigar
+ * @param {string} lotId - The lot to remove
+ * @returns {Promise<void>}
+ */
+export async function removeCigarLot(db, appId, userId, cigar, lotId) {
+    await updateCigarLots(db, appId, userId, cigar.id, lots => lots.filter(lot => lot.id !== lotId));
+}
@@ -0,0 +1,66 @@
+/**
+ * Keeps the current screen in the URL's hash, so the browser's back and forward buttons, refreshes
+ * and bookmarks all work, and wires up the Android back button and deep links in the native app.
+ * See utils/routeUtils.js for the paths each screen uses.
+ */
+import { Capacitor } from '@capacitor/core';
+import { App as CapacitorApp } from '@capacitor/app';
+import { DEFAULT_ROUTE, getRoutePath, parseDeepLink, parseRoutePath } from '../utils/routeUtils';
+
+/**
+ * Gets the screen the URL is showing. Unknown paths show the Dashboard.
+ * @returns {Object} { screen, params }
+ */
+export const getCurrentRoute = () => parseRoutePath(window.location.hash) || DEFAULT_ROUTE;
+
+/**
+ * Goes to a screen by adding it to the browser's history. Listeners added with subscribeToRoute
+ * are told once the URL has changed.
+ * @param {string} screen - The screen's name
+ * @param {Object} [params={}] - The screen's params
+ */
+export function navigateTo(screen, params = {}) {
+    window.location.hash = getRoutePath(screen, params);
+}
+
+/**
+ * Listens for the URL changing, whether by navigateTo, the back and forward buttons or a typed-in address.
+ * @param {Function} onChange - Called with the new { screen, params }
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToRoute(onChange) {
+    const handleHashChange = () => onChange(getCurrentRoute());
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+}
+
+const openDeepLink = (url) => {
+    const route = parseDeepLink(url);
+    if (route) navigateTo(route.screen, route.params);
+};
+
+/**
+ * In the native app, makes the hardware back button go back a screen (closing the app from the first
+ * one) and opens the screen for deep links such as humidorhub://cigar/<id>, including the one the app
+ * was launched with. Does nothing on the web, where the browser handles both.
+ * @returns {Function} Function that removes the listeners
+ */
+export function listenForNativeNavigation() {
+    if (!Capacitor.isNativePlatform()) return () => { };
+
+    const listeners = [
+        CapacitorApp.addListener('backButton', ({ canGoBack }) => {
+            if (canGoBack) {
+                window.history.back();
+            } else {
+                CapacitorApp.exitApp();
+            }
+        }),
+        CapacitorApp.addListener('appUrlOpen', ({ url }) => openDeepLink(url))
+    ];
+    CapacitorApp.getLaunchUrl()
+        .then(launch => openDeepLink(launch?.url))
+        .catch(error => console.warn('Could not read the launch URL:', error));
+
+    return () => listeners.forEach(listener => listener.then(handle => handle.remove()));
+}
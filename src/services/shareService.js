@@ -0,0 +1,244 @@
+/**
+ * Sharing a humidor with other people: inviting them by email, giving them a role, and reading the
+ * humidors others have shared with the current user. See utils/shareUtils.js for the share document.
+ *
+ * Invites and members are stored in maps keyed by email and user ID. Emails contain dots, which
+ * updateDoc would read as nested fields, so map entries are always addressed with a FieldPath.
+ */
+import {
+    arrayRemove, arrayUnion, collection, deleteDoc, deleteField, doc, FieldPath, getDocs, onSnapshot, query, setDoc, updateDoc, where
+} from 'firebase/firestore';
+import { settleWrite } from './syncService';
+import { INVITABLE_ROLES, SHARE_ROLES, normalizeEmail } from '../utils/shareUtils';
+
+/**
+ * Error thrown when a sharing change can't be made, such as inviting someone who is already a member.
+ */
+export class ShareError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ShareError';
+    }
+}
+
+const getSharesRef = (db, appId) => collection(db, 'artifacts', appId, 'humidorShares');
+
+/**
+ * Gets the share document for a humidor.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} humidorId - The humidor's ID
+ * @returns {Object} Firestore document reference
+ */
+export const getShareRef = (db, appId, humidorId) => doc(getSharesRef(db, appId), humidorId);
+
+const now = () => new Date().toISOString();
+
+/**
+ * Starts sharing one of the user's humidors. The user becomes its owner and only member.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {Object} humidor - The humidor to share
+ * @param {Object} owner - The current user, { uid, name, email }
+ * @returns {Promise<void>}
+ */
+export async function shareHumidor(db, appId, humidor, owner) {
+    const sharedAt = now();
+    await settleWrite(setDoc(getShareRef(db, appId, humidor.id), {
+        humidorId: humidor.id,
+        humidorName: humidor.name,
+        ownerId: owner.uid,
+        members: { [owner.uid]: { role: SHARE_ROLES.owner, name: owner.name, email: owner.email || null, joinedAt: sharedAt } },
+        memberIds: [owner.uid],
+        invites: {},
+        inviteEmails: [],
+        updatedAt: sharedAt
+    }));
+}
+
+/**
+ * Invites someone to a shared humidor. They join when they accept, signed in with that email.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {Object} share - The share document
+ * @param {string} email - The invitee's email
+ * @param {string} role - One of INVITABLE_ROLES
+ * @returns {Promise<void>}
+ * @throws {ShareError} If the email or role isn't valid, or the person is already a member
+ */
+export async function inviteToHumidor(db, appId, share, email, role) {
+    const address = normalizeEmail(email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) throw new ShareError("That doesn't look like a valid email address.");
+    if (!INVITABLE_ROLES.includes(role)) throw new ShareError('Choose whether they can edit or only view.');
+    if (Object.values(share.members).some(member => normalizeEmail(member.email) === address)) {
+        throw new ShareError(`${address} already shares this humidor.`);
+    }
+    await settleWrite(updateDoc(getShareRef(db, appId, share.humidorId),
+        new FieldPath('invites', address), role,
+        'inviteEmails', arrayUnion(address),
+        'updatedAt', now()
+    ));
+}
+
+/**
+ * Withdraws an invite that hasn't been accepted, or declines one sent to the current user.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} humidorId - The shared humidor's ID
+ * @param {string} email - The invitee's email
+ * @returns {Promise<void>}
+ */
+export async function cancelInvite(db, appId, humidorId, email) {
+    const address = normalizeEmail(email);
+    await settleWrite(updateDoc(getShareRef(db, appId, humidorId),
+        new FieldPath('invites', address), deleteField(),
+        'inviteEmails', arrayRemove(address)
+    ));
+}
+
+/**
+ * Accepts an invite sent to the current user's email, making them a member with the invited role.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {Object} share - The share document the invite is in
+ * @param {Object} member - The current user, { uid, name, email }
+ * @returns {Promise<void>}
+ * @throws {ShareError} If the invite has been withdrawn
+ */
+export async function acceptInvite(db, appId, share, member) {
+    const address = normalizeEmail(member.email);
+    const role = share.invites?.[address];
+    if (!role) throw new ShareError('This invite has been withdrawn.');
+    await settleWrite(updateDoc(getShareRef(db, appId, share.humidorId),
+        new FieldPath('members', member.uid), { role, name: member.name, email: address, joinedAt: now() },
+        'memberIds', arrayUnion(member.uid),
+        new FieldPath('invites', address), deleteField(),
+        'inviteEmails', arrayRemove(address)
+    ));
+}
+
+/**
+ * Changes a member's role.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} humidorId - The shared humidor's ID
+ * @param {string} memberId - The member's user ID
+ * @param {string} role - One of INVITABLE_ROLES
+ * @returns {Promise<void>}
+ */
+export async function setMemberRole(db, appId, humidorId, memberId, role) {
+    if (!INVITABLE_ROLES.includes(role)) throw new ShareError('Choose whether they can edit or only view.');
+    await settleWrite(updateDoc(getShareRef(db, appId, humidorId),
+        new FieldPath('members', memberId, 'role'), role,
+        'updatedAt', now()
+    ));
+}
+
+/**
+ * Removes a member from a shared humidor. Members can also remove themselves to leave it.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} humidorId - The shared humidor's ID
+ * @param {string} memberId - The member's user ID
+ * @returns {Promise<void>}
+ */
+export async function removeMember(db, appId, humidorId, memberId) {
+    await settleWrite(updateDoc(getShareRef(db, appId, humidorId),
+        new FieldPath('members', memberId), deleteField(),
+        'memberIds', arrayRemove(memberId)
+    ));
+}
+
+/**
+ * Stops sharing a humidor. Every member loses access and pending invites are withdrawn.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} humidorId - The shared humidor's ID
+ * @returns {Promise<void>}
+ */
+export async function stopSharingHumidor(db, appId, humidorId) {
+    await settleWrite(deleteDoc(getShareRef(db, appId, humidorId)));
+}
+
+/**
+ * Keeps the share's copy of the humidor's name up to date, for invitees who can't read the humidor yet.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} humidorId - The shared humidor's ID
+ * @param {string} humidorName - The humidor's new name
+ * @returns {Promise<void>}
+ */
+export async function renameSharedHumidor(db, appId, humidorId, humidorName) {
+    await settleWrite(updateDoc(getShareRef(db, appId, humidorId), { humidorName, updatedAt: now() }));
+}
+
+/**
+ * Gets the shares the user is a member of, including humidors they own and have shared.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @returns {Promise<Array<Object>>} The share documents
+ */
+export async function getHumidorShares(db, appId, userId) {
+    const snapshot = await getDocs(query(getSharesRef(db, appId), where('memberIds', 'array-contains', userId)));
+    return snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+}
+
+/**
+ * Listens to the shares the user is a member of, including humidors they own and have shared.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {Function} onChange - Called with the list of share documents
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToHumidorShares(db, appId, userId, onChange) {
+    return onSnapshot(query(getSharesRef(db, appId), where('memberIds', 'array-contains', userId)), (snapshot) => {
+        onChange(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (error) => console.error('Error fetching shared humidors:', error));
+}
+
+/**
+ * Listens to the invites waiting for an email address.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} email - The current user's email
+ * @param {Function} onChange - Called with the list of share documents holding an invite
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToShareInvites(db, appId, email, onChange) {
+    return onSnapshot(query(getSharesRef(db, appId), where('inviteEmails', 'array-contains', normalizeEmail(email))), (snapshot) => {
+        onChange(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+    }, (error) => console.error('Error fetching humidor invites:', error));
+}
+
+/**
+ * Listens to a humidor someone else has shared with the user: the humidor itself, its cigars and their
+ * smoking sessions, all read from the owner's collection.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {Object} share - The share document
+ * @param {Function} onChange - Called with { humidor, cigars, smokingSessions } whenever any of them changes;
+ *   humidor is null until it has loaded, or if it has been deleted
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToSharedHumidor(db, appId, share, onChange) {
+    const ownerPath = ['artifacts', appId, 'users', share.ownerId];
+    const data = { humidor: null, cigars: [], smokingSessions: [] };
+    const update = (changes) => {
+        Object.assign(data, changes);
+        onChange({ ...data });
+    };
+    const inHumidor = (name) => query(collection(db, ...ownerPath, name), where('humidorId', '==', share.humidorId));
+    const toList = (snapshot) => snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+    const onError = (error) => console.error(`Error fetching shared humidor ${share.humidorId}:`, error);
+
+    const unsubscribers = [
+        onSnapshot(doc(db, ...ownerPath, 'humidors', share.humidorId), (snapshot) => {
+            update({ humidor: snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null });
+        }, onError),
+        onSnapshot(inHumidor('cigars'), (snapshot) => update({ cigars: toList(snapshot) }), onError),
+        onSnapshot(inHumidor('smokingSessions'), (snapshot) => update({ smokingSessions: toList(snapshot) }), onError)
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
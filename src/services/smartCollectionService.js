@@ -0,0 +1,32 @@
+import { collection, doc, addDoc, setDoc, deleteDoc } from 'firebase/firestore';
+import { settleWrite } from './syncService';
+
+/**
+ * Saves a smart collection, creating it if it has no id yet.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {Object} smartCollection - The record from createSmartCollection, with an id when updating
+ * @returns {Promise<void>} Resolves once the write has settled
+ */
+export async function saveSmartCollection(db, appId, userId, smartCollection) {
+    const { id, ...data } = smartCollection;
+    const collectionRef = collection(db, 'artifacts', appId, 'users', userId, 'smartCollections');
+    if (id) {
+        await settleWrite(setDoc(doc(collectionRef, id), { ...data, updatedAt: new Date().toISOString() }, { merge: true }));
+    } else {
+        await settleWrite(addDoc(collectionRef, { ...data, createdAt: new Date().toISOString() }));
+    }
+}
+
+/**
+ * Deletes a smart collection. The cigars in it are not touched.
+ * @param {Object} db - Firestore database instance
+ * @param {string} appId - Application ID for Firestore paths
+ * @param {string} userId - Current user ID
+ * @param {string} smartCollectionId - The collection to delete
+ * @returns {Promise<void>} Resolves once the write has settled
+ */
+export async function deleteSmartCollection(db, appId, userId, smartCollectionId) {
+    await settleWrite(deleteDoc(doc(db, 'artifacts', appId, 'users', userId, 'smartCollections', smartCollectionId)));
+}
@@ -0,0 +1,77 @@
+/**
+ * Helpers for working offline.
+ *
+ * Firestore keeps a persistent local cache (see firebase.js), so writes are applied locally
+ * straight away and synced when the connection comes back. The promise a write returns,
+ * however, only resolves once the server has acknowledged it, so awaiting it directly
+ * leaves the UI stuck while offline. Network-only work such as AI calls can't be served
+ * from the cache at all, so it is queued and retried when the device is back online.
+ */
+
+const queuedTasks = [];
+const queueListeners = new Set();
+
+const notifyQueueListeners = () => {
+    queueListeners.forEach(listener => listener(queuedTasks.length));
+};
+
+/**
+ * Returns whether the browser currently reports a network connection.
+ * @returns {boolean} True when online
+ */
+export const isOnline = () => typeof navigator === 'undefined' || navigator.onLine !== false;
+
+/**
+ * Waits for a Firestore write only while online. Offline, the write has already been
+ * applied to the local cache, so the caller can carry on and the write syncs later.
+ * Failures are always logged, even when the caller didn't wait for them.
+ * @param {Promise} writePromise - The promise returned by updateDoc, addDoc, batch.commit(), etc.
+ * @returns {Promise} Resolves with the write's result online, or immediately (undefined) offline
+ */
+export const settleWrite = (writePromise) => {
+    writePromise.catch(error => console.error("Firestore write failed:", error));
+    return isOnline() ? writePromise : Promise.resolve();
+};
+
+/**
+ * Runs a network-only task now if online, otherwise queues it until the connection returns.
+ * @param {Function} task - Async function to run
+ * @returns {Promise} Resolves or rejects with the task's result once it has run
+ */
+export const runWhenOnline = (task) => {
+    if (isOnline()) return task();
+    return new Promise((resolve, reject) => {
+        queuedTasks.push({ task, resolve, reject });
+        notifyQueueListeners();
+    });
+};
+
+/**
+ * Runs every queued task. Called automatically when the browser comes back online.
+ */
+export const flushQueuedTasks = async () => {
+    while (queuedTasks.length > 0 && isOnline()) {
+        const { task, resolve, reject } = queuedTasks.shift();
+        notifyQueueListeners();
+        try {
+            resolve(await task());
+        } catch (error) {
+            reject(error);
+        }
+    }
+};
+
+/**
+ * Subscribes to the number of tasks waiting for a connection.
+ * @param {Function} listener - Called with the queue length whenever it changes
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToQueuedTasks = (listener) => {
+    queueListeners.add(listener);
+    listener(queuedTasks.length);
+    return () => queueListeners.delete(listener);
+};
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('online', flushQueuedTasks);
+}
@@ -0,0 +1,94 @@
+// Roxy's answer cache. Answers are kept in localStorage, keyed by the provider, model, prompt and a
+// fingerprint of the cigar they are about, so asking the same question again is instant, works
+// offline and doesn't use up an AI lookup. Editing the cigar changes its fingerprint, which
+// naturally retires the old answers.
+export const AI_CACHE_STORAGE = 'humidor-hub-ai-cache';
+export const AI_CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+export const MAX_AI_CACHE_ENTRIES = 100;
+
+// The cigar fields Roxy's prompts are built from.
+const FINGERPRINT_FIELDS = ['brand', 'name', 'shape', 'length_inches', 'ring_gauge', 'strength', 'wrapper', 'binder', 'filler', 'country', 'flavorNotes'];
+
+/**
+ * Hashes a string into a short, stable key (32-bit FNV-1a). Not cryptographic.
+ * @param {string} text - The text to hash
+ * @returns {string} The hash in base 36
+ */
+export const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+};
+
+/**
+ * Fingerprints the parts of a cigar that Roxy's answers depend on.
+ * @param {Object} cigar - The cigar
+ * @returns {string} A hash that changes whenever one of those fields changes
+ */
+export const getCigarFingerprint = (cigar) =>
+    hashString(JSON.stringify(FINGERPRINT_FIELDS.map(field => cigar?.[field] ?? null)));
+
+/**
+ * Builds the cache key for a prompt.
+ * @param {Object} options - Key parts
+ * @param {string} options.prompt - The prompt sent to the AI provider
+ * @param {string} options.fingerprint - What the prompt is about, e.g. from getCigarFingerprint
+ * @param {string} options.provider - The AI provider key
+ * @param {string} options.model - The model name
+ * @returns {string} The cache key
+ */
+export const buildAiCacheKey = ({ prompt, fingerprint, provider, model }) =>
+    `${provider}:${model}:${fingerprint}:${hashString(prompt)}`;
+
+const loadCache = () => {
+    try {
+        return JSON.parse(localStorage.getItem(AI_CACHE_STORAGE) || '{}');
+    } catch (error) {
+        console.error("Error reading Roxy's answer cache:", error);
+        return {};
+    }
+};
+
+/**
+ * Looks up a cached answer that hasn't expired.
+ * @param {string} key - The cache key from buildAiCacheKey
+ * @param {Object} [options] - { now, ttlMs }
+ * @returns {Object|null} { value, cachedAt } or null if there is no fresh answer
+ */
+export const readAiCache = (key, { now = Date.now(), ttlMs = AI_CACHE_TTL_MS } = {}) => {
+    const entry = loadCache()[key];
+    if (!entry || now - entry.cachedAt > ttlMs) return null;
+    return entry;
+};
+
+/**
+ * Saves an answer, dropping expired entries and the oldest ones once the cache is full.
+ * @param {string} key - The cache key from buildAiCacheKey
+ * @param {string|Object} value - The answer
+ * @param {Object} [options] - { now, ttlMs }
+ * @returns {Object} The saved entry, { value, cachedAt }
+ */
+export const writeAiCache = (key, value, { now = Date.now(), ttlMs = AI_CACHE_TTL_MS } = {}) => {
+    const entry = { value, cachedAt: now };
+    const entries = Object.entries({ ...loadCache(), [key]: entry })
+        .filter(([, cached]) => now - cached.cachedAt <= ttlMs)
+        .sort(([, a], [, b]) => b.cachedAt - a.cachedAt)
+        .slice(0, MAX_AI_CACHE_ENTRIES);
+    try {
+        localStorage.setItem(AI_CACHE_STORAGE, JSON.stringify(Object.fromEntries(entries)));
+    } catch (error) {
+        // A full localStorage only costs us the cache; the answer itself is still returned.
+        console.error("Error saving Roxy's answer cache:", error);
+    }
+    return entry;
+};
+
+/**
+ * Forgets every cached answer.
+ */
+export const clearAiCache = () => {
+    localStorage.removeItem(AI_CACHE_STORAGE);
+};
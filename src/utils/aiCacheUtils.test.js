@@ -0,0 +1,38 @@
+import { getCigarFingerprint, buildAiCacheKey, readAiCache, writeAiCache, clearAiCache, AI_CACHE_TTL_MS, MAX_AI_CACHE_ENTRIES } from './aiCacheUtils';
+
+const cigar = { id: 'c1', brand: 'Padron', name: '1964', strength: 'Medium-Full', wrapper: 'Maduro', flavorNotes: ['Cocoa'], quantity: 5 };
+
+beforeEach(() => clearAiCache());
+
+test('fingerprints only the cigar details Roxy is asked about', () => {
+    expect(getCigarFingerprint({ ...cigar, id: 'c2', quantity: 1 })).toBe(getCigarFingerprint(cigar));
+    expect(getCigarFingerprint({ ...cigar, wrapper: 'Connecticut' })).not.toBe(getCigarFingerprint(cigar));
+    expect(getCigarFingerprint({ ...cigar, flavorNotes: ['Cocoa', 'Earth'] })).not.toBe(getCigarFingerprint(cigar));
+});
+
+test('keys answers by provider, model, prompt and fingerprint', () => {
+    const base = { prompt: 'Suggest pairings', fingerprint: getCigarFingerprint(cigar), provider: 'gemini', model: 'gemini-1.5-flash' };
+    const keys = [
+        buildAiCacheKey(base),
+        buildAiCacheKey({ ...base, prompt: 'Suggest similar cigars' }),
+        buildAiCacheKey({ ...base, model: 'gemini-1.5-pro' }),
+        buildAiCacheKey({ ...base, provider: 'ollama' })
+    ];
+    expect(new Set(keys).size).toBe(4);
+    expect(buildAiCacheKey({ ...base })).toBe(keys[0]);
+});
+
+test('serves answers until they expire', () => {
+    writeAiCache('k', 'Try a port.', { now: 1000 });
+    expect(readAiCache('k', { now: 2000 })).toEqual({ value: 'Try a port.', cachedAt: 1000 });
+    expect(readAiCache('k', { now: 1000 + AI_CACHE_TTL_MS + 1 })).toBeNull();
+    expect(readAiCache('missing')).toBeNull();
+});
+
+test('keeps only the newest answers once the cache is full', () => {
+    for (let i = 0; i <= MAX_AI_CACHE_ENTRIES; i++) {
+        writeAiCache(`k${i}`, `answer ${i}`, { now: 1000 + i });
+    }
+    expect(readAiCache('k0', { now: 2000 })).toBeNull();
+    expect(readAiCache(`k${MAX_AI_CACHE_ENTRIES}`, { now: 2000 })).toEqual(expect.objectContaining({ value: `answer ${MAX_AI_CACHE_ENTRIES}` }));
+});
@@ -0,0 +1,60 @@
+import { AI_PROVIDERS, DEFAULT_AI_PROVIDER } from '../constants/aiProviders';
+
+// localStorage keys. The Gemini key is the one saved by GeminiKeySection in the Profile screen.
+export const GEMINI_KEY_STORAGE = 'userGeminiApiKey';
+export const AI_SETTINGS_STORAGE = 'humidor-hub-ai-settings';
+
+/**
+ * Fills in defaults for anything missing or unknown in saved AI settings.
+ * @param {Object} [settings={}] - { provider, model, baseUrl, openaiApiKey }
+ * @returns {Object} Complete settings for a known provider
+ */
+export const normalizeAiSettings = (settings = {}) => {
+    const provider = AI_PROVIDERS[settings.provider] ? settings.provider : DEFAULT_AI_PROVIDER;
+    const config = AI_PROVIDERS[provider];
+    return {
+        provider,
+        model: String(settings.model || '').trim() || config.defaultModel,
+        baseUrl: String(settings.baseUrl || '').trim().replace(/\/+$/, '') || config.defaultBaseUrl,
+        openaiApiKey: settings.openaiApiKey || ''
+    };
+};
+
+/**
+ * Reads the user's AI settings from localStorage.
+ * @returns {Object} The normalized settings
+ */
+export const loadAiSettings = () => {
+    try {
+        return normalizeAiSettings(JSON.parse(localStorage.getItem(AI_SETTINGS_STORAGE) || '{}'));
+    } catch (error) {
+        console.error("Error reading AI settings:", error);
+        return normalizeAiSettings();
+    }
+};
+
+/**
+ * Saves the user's AI settings to localStorage.
+ * @param {Object} settings - { provider, model, baseUrl, openaiApiKey }
+ * @returns {Object} The normalized settings that were saved
+ */
+export const saveAiSettings = (settings) => {
+    const normalized = normalizeAiSettings(settings);
+    localStorage.setItem(AI_SETTINGS_STORAGE, JSON.stringify(normalized));
+    return normalized;
+};
+
+/**
+ * Returns the API key to use for the chosen provider: the Gemini key saved in the Profile
+ * screen (or the build's REACT_APP_GEMINI_API_KEY), or the OpenAI-compatible key saved with
+ * the AI settings. Local providers don't use a key.
+ * @param {Object} settings - Normalized AI settings
+ * @returns {string} The API key, or '' if there isn't one
+ */
+export const getAiApiKey = (settings) => {
+    switch (settings.provider) {
+        case 'gemini': return localStorage.getItem(GEMINI_KEY_STORAGE) || process.env.REACT_APP_GEMINI_API_KEY || '';
+        case 'openai': return settings.openaiApiKey || '';
+        default: return '';
+    }
+};
@@ -0,0 +1,46 @@
+import { SUBSCRIPTION_PLANS, DEFAULT_SUBSCRIPTION_PLAN } from '../constants/subscriptionPlans';
+
+/**
+ * Returns the month an AI lookup counts towards, which is also the id of that month's usage ledger.
+ * @param {Date} [date=new Date()] - When the lookup happened
+ * @returns {string} The month as YYYY-MM, in local time
+ */
+export const getUsageMonth = (date = new Date()) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+/**
+ * Returns when the monthly lookup count starts over.
+ * @param {Date} [date=new Date()] - The current date
+ * @returns {Date} Midnight on the first day of the next month
+ */
+export const getUsageResetDate = (date = new Date()) => new Date(date.getFullYear(), date.getMonth() + 1, 1);
+
+/**
+ * Returns how many AI lookups a plan allows per month. Unknown plans get the default plan's limit.
+ * @param {string} [plan=DEFAULT_SUBSCRIPTION_PLAN] - A key of SUBSCRIPTION_PLANS
+ * @returns {number} The monthly limit
+ */
+export const getAiLookupsLimit = (plan = DEFAULT_SUBSCRIPTION_PLAN) =>
+    (SUBSCRIPTION_PLANS[plan] || SUBSCRIPTION_PLANS[DEFAULT_SUBSCRIPTION_PLAN]).aiLookupsLimit;
+
+/**
+ * Summarizes a usage ledger document against the plan's limit. A ledger from an earlier month
+ * (or no ledger at all) counts as no lookups used yet.
+ * @param {Object|null} usage - The ledger document, { month, count }
+ * @param {string} [plan] - A key of SUBSCRIPTION_PLANS
+ * @param {Date} [now=new Date()] - The current date
+ * @returns {Object} { month, used, limit, remaining, isAtLimit, resetsOn }
+ */
+export const summarizeAiUsage = (usage, plan, now = new Date()) => {
+    const month = getUsageMonth(now);
+    const limit = getAiLookupsLimit(plan);
+    const used = usage && usage.month === month ? Number(usage.count) || 0 : 0;
+    return {
+        month,
+        used,
+        limit,
+        remaining: Math.max(limit - used, 0),
+        isAtLimit: used >= limit,
+        resetsOn: getUsageResetDate(now)
+    };
+};
@@ -0,0 +1,19 @@
+import { getUsageMonth, getUsageResetDate, summarizeAiUsage } from './aiUsageUtils';
+
+const now = new Date(2026, 9, 19);
+
+test('counts lookups per calendar month', () => {
+    expect(getUsageMonth(now)).toBe('2026-10');
+    expect(getUsageMonth(new Date(2026, 11, 31))).toBe('2026-12');
+    expect(getUsageResetDate(new Date(2026, 11, 31))).toEqual(new Date(2027, 0, 1));
+});
+
+test("summarizes this month's ledger against the plan's limit", () => {
+    expect(summarizeAiUsage({ month: '2026-10', count: 27 }, 'premium', now)).toEqual({
+        month: '2026-10', used: 27, limit: 100, remaining: 73, isAtLimit: false, resetsOn: new Date(2026, 10, 1)
+    });
+    expect(summarizeAiUsage({ month: '2026-10', count: 12 }, 'free', now)).toEqual(expect.objectContaining({ remaining: 0, isAtLimit: true }));
+    // Last month's ledger and no ledger both mean nothing has been used yet.
+    expect(summarizeAiUsage({ month: '2026-09', count: 100 }, 'premium', now)).toEqual(expect.objectContaining({ used: 0, isAtLimit: false }));
+    expect(summarizeAiUsage(null, 'unknown', now)).toEqual(expect.objectContaining({ used: 0, limit: 100 }));
+});
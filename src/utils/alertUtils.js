@@ -0,0 +1,131 @@
+/**
+ * Default alert thresholds applied to a humidor that has never had its alerts configured.
+ * Alerts start disabled so a new humidor doesn't immediately flood the notification list.
+ */
+export const DEFAULT_ALERT_SETTINGS = {
+    humidityAlert: false,
+    minHumidity: 68,
+    maxHumidity: 72,
+    tempAlert: false,
+    minTemp: 65,
+    maxTemp: 70
+};
+
+/**
+ * The range of values a threshold may be set to. Anything outside of these is either
+ * physically impossible or far outside of what a humidor could ever be set up for.
+ */
+export const ALERT_LIMITS = {
+    humidity: { min: 0, max: 100, unit: '%' },
+    temp: { min: 32, max: 110, unit: '°F' }
+};
+
+/**
+ * Returns the alert settings stored on a humidor, filled in with defaults for any missing values.
+ * @param {Object} humidor - The humidor document
+ * @returns {Object} A complete alert settings object
+ */
+export const getAlertSettings = (humidor) => ({
+    ...DEFAULT_ALERT_SETTINGS,
+    ...(humidor?.alertSettings || {})
+});
+
+/**
+ * Converts the raw (possibly string) values coming from form inputs into numbers and booleans.
+ * @param {Object} settings - Alert settings as edited in the UI
+ * @returns {Object} Alert settings with numeric thresholds
+ */
+export const normalizeAlertSettings = (settings) => ({
+    humidityAlert: !!settings.humidityAlert,
+    minHumidity: Number(settings.minHumidity),
+    maxHumidity: Number(settings.maxHumidity),
+    tempAlert: !!settings.tempAlert,
+    minTemp: Number(settings.minTemp),
+    maxTemp: Number(settings.maxTemp)
+});
+
+/**
+ * Validates a set of alert thresholds.
+ * Thresholds are always checked, even when the alert is switched off, so that a
+ * user can't save a broken range and then enable it later.
+ * @param {Object} settings - Alert settings to validate
+ * @returns {Object} A map of field name to error message. Empty when the settings are valid.
+ */
+export const validateAlertSettings = (settings) => {
+    const errors = {};
+    const normalized = normalizeAlertSettings(settings);
+
+    const checkRange = (type, minKey, maxKey, label) => {
+        const { min, max, unit } = ALERT_LIMITS[type];
+        [minKey, maxKey].forEach(key => {
+            const value = normalized[key];
+            if (settings[key] === '' || settings[key] === null || settings[key] === undefined || Number.isNaN(value)) {
+                errors[key] = `${label} must be a number.`;
+            } else if (value < min || value > max) {
+                errors[key] = `${label} must be between ${min}${unit} and ${max}${unit}.`;
+            }
+        });
+        if (!errors[minKey] && !errors[maxKey] && normalized[minKey] >= normalized[maxKey]) {
+            errors[minKey] = `Minimum ${label.toLowerCase()} must be lower than the maximum.`;
+        }
+    };
+
+    checkRange('humidity', 'minHumidity', 'maxHumidity', 'Humidity');
+    checkRange('temp', 'minTemp', 'maxTemp', 'Temperature');
+
+    return errors;
+};
+
+/**
+ * Checks a temperature/humidity reading against a humidor's alert thresholds.
+ * Only alerts that are switched on are evaluated, and readings that are missing a value are ignored.
+ * @param {Object} humidor - The humidor document (with optional alertSettings)
+ * @param {Object} reading - The new reading
+ * @param {number} reading.temp - Temperature in °F
+ * @param {number} reading.humidity - Relative humidity in %
+ * @param {string} [source='manual'] - Where the reading came from ('manual', 'govee' or 'import')
+ * @returns {Array<Object>} Alert records for every threshold that was breached
+ */
+export const evaluateReading = (humidor, reading, source = 'manual') => {
+    const settings = normalizeAlertSettings(getAlertSettings(humidor));
+    const timestamp = reading.timestamp || new Date().toISOString();
+    const alerts = [];
+
+    const check = (enabled, type, value, min, max) => {
+        if (!enabled || value === undefined || value === null || value === '' || Number.isNaN(Number(value))) return;
+        const numericValue = Number(value);
+        const level = numericValue < min ? 'low' : numericValue > max ? 'high' : null;
+        if (!level) return;
+        alerts.push({
+            humidorId: humidor.id,
+            humidorName: humidor.name,
+            type,
+            level,
+            value: numericValue,
+            min,
+            max,
+            source,
+            timestamp,
+            read: false
+        });
+    };
+
+    check(settings.humidityAlert, 'humidity', reading.humidity, settings.minHumidity, settings.maxHumidity);
+    check(settings.tempAlert, 'temp', reading.temp, settings.minTemp, settings.maxTemp);
+
+    return alerts;
+};
+
+/**
+ * Builds a short, human readable message for an alert record.
+ * e.g., 'Humidity dropped to 64% in "Office Humidor" (min 68%)'
+ * @param {Object} alert - An alert record produced by evaluateReading
+ * @returns {string} The alert message
+ */
+export const formatAlertMessage = (alert) => {
+    const { unit } = ALERT_LIMITS[alert.type];
+    const label = alert.type === 'humidity' ? 'Humidity' : 'Temperature';
+    const direction = alert.level === 'low' ? 'dropped to' : 'rose to';
+    const limit = alert.level === 'low' ? `min ${alert.min}${unit}` : `max ${alert.max}${unit}`;
+    return `${label} ${direction} ${alert.value}${unit} in "${alert.humidorName}" (${limit})`;
+};
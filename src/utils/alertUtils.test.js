@@ -0,0 +1,45 @@
+import { DEFAULT_ALERT_SETTINGS, evaluateReading, formatAlertMessage, normalizeAlertSettings, validateAlertSettings } from './alertUtils';
+
+const humidor = (alertSettings) => ({ id: 'h1', name: 'Office Humidor', alertSettings });
+const bothOn = { ...DEFAULT_ALERT_SETTINGS, humidityAlert: true, tempAlert: true };
+
+test('fires only when a reading goes past a threshold, not when it sits on one', () => {
+    const office = humidor(bothOn);
+    expect(evaluateReading(office, { humidity: 68, temp: 70 })).toEqual([]);
+    expect(evaluateReading(office, { humidity: 72, temp: 65 })).toEqual([]);
+
+    const [low] = evaluateReading(office, { humidity: 67.9, temp: 68, timestamp: '2025-07-01T12:00:00.000Z' }, 'govee');
+    expect(low).toEqual({
+        humidorId: 'h1', humidorName: 'Office Humidor', type: 'humidity', level: 'low', value: 67.9,
+        min: 68, max: 72, source: 'govee', timestamp: '2025-07-01T12:00:00.000Z', read: false
+    });
+    expect(evaluateReading(office, { humidity: 73, temp: 71 }).map(a => [a.type, a.level])).toEqual([['humidity', 'high'], ['temp', 'high']]);
+    expect(formatAlertMessage(low)).toBe('Humidity dropped to 67.9% in "Office Humidor" (min 68%)');
+});
+
+test('ignores alerts that are switched off and readings missing a value', () => {
+    expect(evaluateReading(humidor(), { humidity: 40, temp: 90 })).toEqual([]);
+    expect(evaluateReading(humidor({ humidityAlert: true }), { humidity: 40, temp: 90 }).map(a => a.type)).toEqual(['humidity']);
+    expect(evaluateReading(humidor(bothOn), { humidity: '', temp: null })).toEqual([]);
+    expect(evaluateReading(humidor(bothOn), { humidity: 'n/a' })).toEqual([]);
+});
+
+test('reads thresholds typed into the form as numbers', () => {
+    expect(normalizeAlertSettings({ humidityAlert: 1, minHumidity: '65', maxHumidity: '70.5', minTemp: '60', maxTemp: '72' }))
+        .toEqual({ humidityAlert: true, minHumidity: 65, maxHumidity: 70.5, tempAlert: false, minTemp: 60, maxTemp: 72 });
+});
+
+test('accepts the defaults and rejects ranges that are backwards, out of limits or blank', () => {
+    expect(validateAlertSettings(DEFAULT_ALERT_SETTINGS)).toEqual({});
+    expect(validateAlertSettings({ ...DEFAULT_ALERT_SETTINGS, minHumidity: 72 }))
+        .toEqual({ minHumidity: 'Minimum humidity must be lower than the maximum.' });
+    expect(validateAlertSettings({ ...DEFAULT_ALERT_SETTINGS, minTemp: 31, maxTemp: '111' })).toEqual({
+        minTemp: 'Temperature must be between 32°F and 110°F.',
+        maxTemp: 'Temperature must be between 32°F and 110°F.'
+    });
+    expect(validateAlertSettings({ ...DEFAULT_ALERT_SETTINGS, maxHumidity: '' }))
+        .toEqual({ maxHumidity: 'Humidity must be a number.' });
+    // Switched-off alerts are still checked, so they can't be enabled later with a broken range.
+    expect(validateAlertSettings({ ...DEFAULT_ALERT_SETTINGS, tempAlert: false, minTemp: 'abc' }))
+        .toEqual({ minTemp: 'Temperature must be a number.' });
+});
@@ -0,0 +1,45 @@
+// Friendly messages for the Firebase auth error codes users are likely to run into.
+// Anything not listed falls back to a general message rather than Firebase's raw text.
+export const AUTH_ERROR_MESSAGES = {
+    'auth/invalid-email': "That doesn't look like a valid email address.",
+    'auth/missing-email': 'Enter your email address first.',
+    'auth/missing-password': 'Enter your password.',
+    'auth/user-not-found': 'No account uses that email. Check it, or create an account.',
+    'auth/wrong-password': "That password isn't right. Try again, or reset it.",
+    'auth/invalid-credential': "That email and password don't match. Try again, or reset your password.",
+    'auth/invalid-login-credentials': "That email and password don't match. Try again, or reset your password.",
+    'auth/email-already-in-use': 'An account already uses that email. Sign in instead.',
+    'auth/credential-already-in-use': 'That account is already in use by another Humidor Hub account.',
+    'auth/weak-password': 'Choose a password with at least 6 characters.',
+    'auth/too-many-requests': 'Too many attempts. Wait a few minutes and try again.',
+    'auth/user-disabled': 'This account has been disabled.',
+    'auth/network-request-failed': "Couldn't reach the sign-in service. Check your connection and try again.",
+    'auth/popup-blocked': 'Your browser blocked the sign-in window. Allow pop-ups and try again.',
+    'auth/popup-closed-by-user': 'The sign-in window was closed before signing in finished.',
+    'auth/cancelled-popup-request': 'The sign-in window was closed before signing in finished.',
+    'auth/operation-not-supported-in-this-environment': "This sign-in method isn't supported here.",
+    'auth/requires-recent-login': 'For your security, sign out and sign in again, then try once more.',
+    'auth/account-exists-with-different-credential': 'An account already uses that email with a different sign-in method.',
+    'auth/expired-action-code': 'That link has expired. Request a new one.',
+    'auth/invalid-action-code': 'That link has already been used or is invalid. Request a new one.'
+};
+
+/**
+ * Turns a Firebase auth error into a message to show the user.
+ * @param {Object} error - The error Firebase threw
+ * @returns {string} A friendly message
+ */
+export const getAuthErrorMessage = (error) =>
+    AUTH_ERROR_MESSAGES[error?.code] || 'Ruff! Something went wrong signing in. Please try again.';
+
+/**
+ * Returns whether a user has to verify their email before using the app. Only email and password
+ * accounts need to; Google has already verified the address and guest accounts don't have one.
+ * @param {Object|null} user - The Firebase user
+ * @returns {boolean} True if the user signed up with a password and hasn't verified their email yet
+ */
+export const requiresEmailVerification = (user) =>
+    Boolean(user) &&
+    !user.isAnonymous &&
+    !user.emailVerified &&
+    (user.providerData || []).some(provider => provider.providerId === 'password');
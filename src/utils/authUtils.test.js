@@ -0,0 +1,16 @@
+import { getAuthErrorMessage, requiresEmailVerification } from './authUtils';
+
+test('maps Firebase auth codes to friendly messages', () => {
+    expect(getAuthErrorMessage({ code: 'auth/wrong-password', message: 'Firebase: Error (auth/wrong-password).' })).toMatch(/password isn't right/);
+    expect(getAuthErrorMessage({ code: 'auth/some-new-code', message: 'Firebase: Error.' })).toMatch(/Something went wrong/);
+    expect(getAuthErrorMessage(null)).toMatch(/Something went wrong/);
+});
+
+test('only unverified password accounts have to verify their email', () => {
+    const passwordUser = { isAnonymous: false, emailVerified: false, providerData: [{ providerId: 'password' }] };
+    expect(requiresEmailVerification(passwordUser)).toBe(true);
+    expect(requiresEmailVerification({ ...passwordUser, emailVerified: true })).toBe(false);
+    expect(requiresEmailVerification({ ...passwordUser, providerData: [{ providerId: 'google.com' }] })).toBe(false);
+    expect(requiresEmailVerification({ isAnonymous: true, emailVerified: false, providerData: [] })).toBe(false);
+    expect(requiresEmailVerification(null)).toBe(false);
+});
@@ -0,0 +1,183 @@
+// Roxy's autofill suggestions are reviewed before they are saved. Each suggestion is a change to
+// one field, shown next to the current value with how confident Roxy is. Accepted values are
+// recorded in the cigar's `aiProvenance` map, field by field, so they can be audited or reverted:
+//   aiProvenance: { price: { value, previous, confidence, provider, model, acceptedAt } }
+
+// Labels for every field Roxy can fill in.
+export const AUTOFILL_FIELD_LABELS = {
+    brand: 'Brand',
+    shape: 'Shape',
+    size: 'Size',
+    country: 'Country',
+    wrapper: 'Wrapper',
+    binder: 'Binder',
+    filler: 'Filler',
+    strength: 'Strength',
+    flavorNotes: 'Flavor Notes',
+    shortDescription: 'Short Description',
+    description: 'Description',
+    image: 'Image',
+    rating: 'Rating',
+    price: 'Price',
+    length_inches: 'Length (in)',
+    ring_gauge: 'Ring Gauge'
+};
+
+// The details Roxy fills in for cigars already in a humidor. Shape and size aren't included,
+// since they are usually known and a wrong guess is hard to spot.
+export const AUTOFILL_DETAIL_FIELDS = ['shortDescription', 'description', 'wrapper', 'binder', 'filler', 'rating', 'flavorNotes', 'price'];
+
+// Suggestions at least this confident are selected for the user to start with.
+export const HIGH_CONFIDENCE = 0.7;
+
+// Appended to autofill prompts so the model says how sure it is of each value.
+export const CONFIDENCE_INSTRUCTIONS = 'Also include a "confidence" object giving, for each field you filled in, how sure you are of the value from 0 (a guess) to 1 (certain).';
+
+/**
+ * Returns whether a field has no real value yet. Zero counts as empty, since that is what
+ * imports and Roxy use for unknown ratings and prices.
+ * @param {*} value - The field value
+ * @returns {boolean} True if the field is empty
+ */
+export const isEmptyValue = (value) =>
+    value === undefined || value === null || value === '' || value === 0 || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Lists the details a cigar is missing. Unlike isEmptyValue, a rating or price of 0 counts as set here,
+ * so cigars imported with those values aren't flagged.
+ * @param {Object} cigar - The cigar
+ * @returns {Array<string>} The missing fields from AUTOFILL_DETAIL_FIELDS
+ */
+export const getMissingDetailFields = (cigar) =>
+    AUTOFILL_DETAIL_FIELDS.filter(field =>
+        cigar[field] === undefined ||
+        cigar[field] === '' ||
+        (Array.isArray(cigar[field]) && cigar[field].length === 0)
+    );
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Adds the per-field confidence object to an autofill response schema.
+ * @param {Object} schema - The response schema for the cigar fields
+ * @returns {Object} The schema with a `confidence` property
+ */
+export const withConfidenceSchema = (schema) => ({
+    ...schema,
+    properties: {
+        ...schema.properties,
+        confidence: {
+            type: 'OBJECT',
+            properties: Object.fromEntries(Object.keys(schema.properties).map(field => [field, { type: 'NUMBER' }]))
+        }
+    }
+});
+
+/**
+ * Reads a confidence score as a number from 0 to 1. Models sometimes answer in percent.
+ * @param {*} value - The confidence the model gave
+ * @returns {number|null} The confidence, or null if it gave none
+ */
+export const normalizeConfidence = (value) => {
+    const number = Number(value);
+    if (value === undefined || value === null || value === '' || Number.isNaN(number)) return null;
+    const fraction = number > 1 ? number / 100 : number;
+    return Math.min(Math.max(fraction, 0), 1);
+};
+
+/**
+ * Compares Roxy's answer with the current values and lists what she proposes to change.
+ * @param {Object} current - The cigar (or form) as it is now
+ * @param {Object} suggestion - Roxy's answer, with an optional `confidence` object
+ * @param {Array<string>} fields - The fields Roxy was asked about
+ * @param {Object} [options] - { onlyMissing: only propose values for fields that are empty now (default true) }
+ * @returns {Array<Object>} Changes, each { field, label, current, suggested, confidence }
+ */
+export const buildAutofillChanges = (current, suggestion, fields, { onlyMissing = true } = {}) => {
+    const confidence = suggestion?.confidence || {};
+    return fields
+        .filter(field => !isEmptyValue(suggestion?.[field]))
+        .filter(field => (onlyMissing ? isEmptyValue(current[field]) : !isSameValue(current[field], suggestion[field])))
+        .map(field => ({
+            field,
+            label: AUTOFILL_FIELD_LABELS[field] || field,
+            current: current[field],
+            suggested: suggestion[field],
+            confidence: normalizeConfidence(confidence[field])
+        }));
+};
+
+/**
+ * Returns whether a change should start out selected in the review.
+ * Changes without a confidence score are left for the user to decide.
+ * @param {Object} change - A change from buildAutofillChanges
+ * @returns {boolean} True if Roxy is confident enough
+ */
+export const isConfidentChange = (change) => change.confidence !== null && change.confidence >= HIGH_CONFIDENCE;
+
+/**
+ * Turns accepted changes into the values to save and their provenance records.
+ * @param {Array<Object>} changes - The accepted changes from buildAutofillChanges
+ * @param {Object} source - Where the values came from, { provider, model }
+ * @param {Date} [now=new Date()] - When they were accepted
+ * @returns {Object} { values: { field: value }, provenance: { field: record } }
+ */
+export const acceptAutofillChanges = (changes, source, now = new Date()) => {
+    const acceptedAt = now.toISOString();
+    const values = {};
+    const provenance = {};
+    changes.forEach(({ field, current, suggested, confidence }) => {
+        values[field] = suggested;
+        provenance[field] = {
+            value: suggested,
+            previous: current === undefined ? null : current,
+            confidence,
+            provider: source?.provider || null,
+            model: source?.model || null,
+            acceptedAt
+        };
+    });
+    return { values, provenance };
+};
+
+/**
+ * Lists the fields of a cigar that hold values accepted from Roxy, newest first.
+ * `isCurrent` is false when the field has been changed by hand since, in which case
+ * reverting it would throw away the user's edit.
+ * @param {Object} cigar - The cigar
+ * @returns {Array<Object>} { field, label, value, previous, confidence, provider, model, acceptedAt, isCurrent }
+ */
+export const getAiProvenance = (cigar) =>
+    Object.entries(cigar?.aiProvenance || {})
+        .map(([field, record]) => ({
+            field,
+            label: AUTOFILL_FIELD_LABELS[field] || field,
+            ...record,
+            isCurrent: isSameValue(cigar[field], record.value)
+        }))
+        .sort((a, b) => String(b.acceptedAt).localeCompare(String(a.acceptedAt)));
+
+/**
+ * Returns the value a field goes back to when an accepted suggestion is reverted: what it held
+ * before, or an empty value of the same type if it had never been set.
+ * @param {Object} record - The field's provenance record
+ * @returns {*} The value to restore
+ */
+export const getRevertValue = (record) => {
+    if (record.previous !== null && record.previous !== undefined) return record.previous;
+    if (Array.isArray(record.value)) return [];
+    return typeof record.value === 'number' ? 0 : '';
+};
+
+/**
+ * Formats a field value for the review and audit lists.
+ * @param {string} field - The field name
+ * @param {*} value - The value
+ * @returns {string} The value as text ('' when empty)
+ */
+export const formatAutofillValue = (field, value) => {
+    if (isEmptyValue(value)) return '';
+    if (Array.isArray(value)) return value.join(', ');
+    if (field === 'price') return `$${Number(value).toFixed(2)}`;
+    return String(value);
+};
@@ -0,0 +1,46 @@
+import { buildAutofillChanges, acceptAutofillChanges, getAiProvenance, getRevertValue, isConfidentChange, normalizeConfidence, withConfidenceSchema } from './autofillUtils';
+
+const cigar = { id: 'c1', brand: 'Padron', name: '1964', wrapper: 'Maduro', binder: '', price: 0, flavorNotes: [], rating: 92 };
+const suggestion = {
+    wrapper: 'Natural',
+    binder: 'Nicaraguan',
+    price: 14.5,
+    flavorNotes: ['Cocoa', 'Coffee'],
+    rating: 0,
+    confidence: { binder: 0.9, price: 35, flavorNotes: 'high' }
+};
+const fields = ['wrapper', 'binder', 'price', 'flavorNotes', 'rating'];
+
+test('proposes only non-empty values, with confidence from 0 to 1', () => {
+    const changes = buildAutofillChanges(cigar, suggestion, fields);
+    expect(changes).toEqual([
+        { field: 'binder', label: 'Binder', current: '', suggested: 'Nicaraguan', confidence: 0.9 },
+        { field: 'price', label: 'Price', current: 0, suggested: 14.5, confidence: 0.35 },
+        { field: 'flavorNotes', label: 'Flavor Notes', current: [], suggested: ['Cocoa', 'Coffee'], confidence: null }
+    ]);
+    expect(changes.map(isConfidentChange)).toEqual([true, false, false]);
+
+    // Asked to, Roxy can also propose replacing values the cigar already has.
+    expect(buildAutofillChanges(cigar, suggestion, ['wrapper'], { onlyMissing: false })).toEqual([
+        expect.objectContaining({ field: 'wrapper', current: 'Maduro', suggested: 'Natural' })
+    ]);
+    expect(normalizeConfidence(undefined)).toBeNull();
+    expect(withConfidenceSchema({ type: 'OBJECT', properties: { price: { type: 'NUMBER' } } }).properties.confidence).toEqual({ type: 'OBJECT', properties: { price: { type: 'NUMBER' } } });
+});
+
+test('records provenance for accepted values so they can be audited and reverted', () => {
+    const changes = buildAutofillChanges(cigar, suggestion, ['binder', 'price']);
+    const { values, provenance } = acceptAutofillChanges(changes, { provider: 'gemini', model: 'gemini-1.5-flash' }, new Date('2026-10-19T12:00:00Z'));
+    expect(values).toEqual({ binder: 'Nicaraguan', price: 14.5 });
+    expect(provenance.price).toEqual({ value: 14.5, previous: 0, confidence: 0.35, provider: 'gemini', model: 'gemini-1.5-flash', acceptedAt: '2026-10-19T12:00:00.000Z' });
+
+    // The binder has since been changed by hand, so only the price still holds Roxy's value.
+    const saved = { ...cigar, ...values, binder: 'Ecuadorian', aiProvenance: provenance };
+    expect(getAiProvenance(saved).map(({ field, isCurrent }) => ({ field, isCurrent }))).toEqual([
+        { field: 'binder', isCurrent: false },
+        { field: 'price', isCurrent: true }
+    ]);
+    expect(getRevertValue(provenance.binder)).toBe('');
+    expect(getRevertValue(provenance.price)).toBe(0);
+    expect(getRevertValue({ value: ['Cocoa'], previous: null })).toEqual([]);
+});
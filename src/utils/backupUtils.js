@@ -0,0 +1,129 @@
+/**
+ * Identifies a Humidor Hub backup file, and the archive layout version this build writes.
+ * Bump BACKUP_VERSION whenever the layout of `data` changes, and teach migrateBackup
+ * how to upgrade the older layout.
+ */
+export const BACKUP_FORMAT = 'humidor-hub-backup';
+export const BACKUP_VERSION = 1;
+
+// The top-level collections stored in a backup. Readings are nested per humidor.
+export const BACKUP_COLLECTIONS = ['humidors', 'cigars', 'journalEntries', 'alerts', 'smokingSessions', 'smartCollections'];
+
+/**
+ * Builds a versioned backup archive from the user's data.
+ * @param {Object} data - { humidors, cigars, journalEntries, alerts, smokingSessions, smartCollections, readings }, where readings
+ * is an object of humidorId -> array of readings
+ * @param {Object} preferences - App preferences (theme, font, dashboard panels)
+ * @returns {Object} The backup archive
+ */
+export const buildBackup = (data, preferences) => ({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    appVersion: process.env.REACT_APP_VERSION || 'dev',
+    preferences,
+    data: {
+        humidors: data.humidors || [],
+        cigars: data.cigars || [],
+        journalEntries: data.journalEntries || [],
+        alerts: data.alerts || [],
+        smokingSessions: data.smokingSessions || [],
+        smartCollections: data.smartCollections || [],
+        readings: data.readings || {}
+    }
+});
+
+/**
+ * Upgrades an archive written by an older version of the app to the current layout.
+ * @param {Object} archive - A validated backup archive
+ * @returns {Object} The archive in the current layout
+ */
+export const migrateBackup = (archive) => {
+    // Version 1 is the first and current layout, so there is nothing to migrate yet.
+    // (Backups made before smoking sessions or smart collections existed simply have none.)
+    return archive;
+};
+
+/**
+ * Checks that a parsed JSON file is a backup this version of the app can restore.
+ * @param {Object} archive - The parsed backup file
+ * @returns {Object} { valid, error, counts } where counts gives the number of items per collection
+ */
+export const validateBackup = (archive) => {
+    const invalid = (error) => ({ valid: false, error, counts: null });
+
+    if (!archive || typeof archive !== 'object' || archive.format !== BACKUP_FORMAT) {
+        return invalid('This file is not a Humidor Hub backup.');
+    }
+    if (!Number.isInteger(archive.version) || archive.version < 1) {
+        return invalid('The backup is missing its version number.');
+    }
+    if (archive.version > BACKUP_VERSION) {
+        return invalid(`This backup was made by a newer version of Humidor Hub (format v${archive.version}). Please update the app to restore it.`);
+    }
+    if (!archive.data || typeof archive.data !== 'object') {
+        return invalid('The backup does not contain any data.');
+    }
+
+    for (const name of BACKUP_COLLECTIONS) {
+        const items = archive.data[name] || [];
+        if (!Array.isArray(items)) return invalid(`The backup's ${name} are not a list.`);
+        if (items.some(item => !item || typeof item.id !== 'string' || !item.id)) {
+            return invalid(`Some ${name} in the backup are missing their IDs.`);
+        }
+    }
+    const readings = archive.data.readings || {};
+    if (typeof readings !== 'object' || Array.isArray(readings) || Object.values(readings).some(list => !Array.isArray(list))) {
+        return invalid("The backup's environment readings are not in the expected format.");
+    }
+
+    return {
+        valid: true,
+        error: null,
+        counts: {
+            humidors: (archive.data.humidors || []).length,
+            cigars: (archive.data.cigars || []).length,
+            journalEntries: (archive.data.journalEntries || []).length,
+            alerts: (archive.data.alerts || []).length,
+            smokingSessions: (archive.data.smokingSessions || []).length,
+            smartCollections: (archive.data.smartCollections || []).length,
+            readings: Object.values(readings).reduce((sum, list) => sum + list.length, 0)
+        }
+    };
+};
+
+/**
+ * Rewrites every ID in a backup using the given ID generator, updating the references
+ * between documents (cigar -> humidor, journal entry -> cigar and session, smoking session ->
+ * cigar, humidor and journal entry, alert/readings/smart collection -> humidor)
+ * so the relationships survive. Used when restoring as a copy alongside existing data.
+ * @param {Object} data - The archive's `data` object
+ * @param {Function} generateId - Returns a new ID for a given collection name
+ * @returns {Object} A new `data` object with remapped IDs
+ */
+export const remapBackupIds = (data, generateId) => {
+    const idMaps = {};
+    const remap = (name, items) => {
+        idMaps[name] = {};
+        items.forEach(item => { idMaps[name][item.id] = generateId(name); });
+    };
+    BACKUP_COLLECTIONS.forEach(name => remap(name, data[name] || []));
+
+    const mapId = (name, id) => (id && idMaps[name][id]) || id;
+
+    return {
+        humidors: (data.humidors || []).map(h => ({ ...h, id: mapId('humidors', h.id) })),
+        cigars: (data.cigars || []).map(c => ({ ...c, id: mapId('cigars', c.id), humidorId: mapId('humidors', c.humidorId) })),
+        journalEntries: (data.journalEntries || []).map(e => ({ ...e, id: mapId('journalEntries', e.id), cigarId: mapId('cigars', e.cigarId), sessionId: mapId('smokingSessions', e.sessionId) })),
+        alerts: (data.alerts || []).map(a => ({ ...a, id: mapId('alerts', a.id), humidorId: mapId('humidors', a.humidorId) })),
+        smokingSessions: (data.smokingSessions || []).map(s => ({
+            ...s,
+            id: mapId('smokingSessions', s.id),
+            cigarId: mapId('cigars', s.cigarId),
+            humidorId: mapId('humidors', s.humidorId),
+            journalEntryId: mapId('journalEntries', s.journalEntryId)
+        })),
+        smartCollections: (data.smartCollections || []).map(c => ({ ...c, id: mapId('smartCollections', c.id), humidorId: mapId('humidors', c.humidorId) })),
+        readings: Object.fromEntries(Object.entries(data.readings || {}).map(([humidorId, list]) => [mapId('humidors', humidorId), list]))
+    };
+};
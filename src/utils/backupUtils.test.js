@@ -0,0 +1,44 @@
+import { buildBackup, validateBackup, remapBackupIds, BACKUP_VERSION } from './backupUtils';
+
+const sampleData = {
+    humidors: [{ id: 'h1', name: 'Desktop' }],
+    cigars: [{ id: 'c1', name: 'Robusto', humidorId: 'h1' }],
+    journalEntries: [{ id: 'j1', cigarId: 'c1', sessionId: 's1' }],
+    alerts: [{ id: 'a1', humidorId: 'h1' }],
+    smokingSessions: [{ id: 's1', cigarId: 'c1', humidorId: 'h1', lotId: 'original', journalEntryId: 'j1' }],
+    smartCollections: [{ id: 'sc1', name: 'Ready to Smoke', query: 'age:>1y', humidorId: 'h1' }],
+    readings: { h1: [{ id: 'r1', timestamp: '2025-07-01T12:00:00.000Z', temp: 68, humidity: 70 }] }
+};
+
+test('validates a freshly built backup and counts its contents', () => {
+    const backup = JSON.parse(JSON.stringify(buildBackup(sampleData, { themeName: 'Humidor Hub' })));
+    expect(validateBackup(backup)).toEqual({
+        valid: true,
+        error: null,
+        counts: { humidors: 1, cigars: 1, journalEntries: 1, alerts: 1, smokingSessions: 1, smartCollections: 1, readings: 1 }
+    });
+});
+
+test('rejects files that are not backups or come from a newer version', () => {
+    expect(validateBackup({ humidors: [] }).valid).toBe(false);
+    const backup = buildBackup(sampleData, {});
+    expect(validateBackup({ ...backup, version: BACKUP_VERSION + 1 }).valid).toBe(false);
+    expect(validateBackup({ ...backup, data: { ...backup.data, cigars: [{ name: 'No ID' }] } }).valid).toBe(false);
+});
+
+test('remaps ids while keeping the links between documents', () => {
+    let next = 0;
+    const data = remapBackupIds(sampleData, (name) => `${name}-${++next}`);
+    const [humidor] = data.humidors;
+    const [cigar] = data.cigars;
+
+    expect(humidor.id).not.toBe('h1');
+    expect(cigar.humidorId).toBe(humidor.id);
+    expect(data.journalEntries[0].cigarId).toBe(cigar.id);
+    expect(data.alerts[0].humidorId).toBe(humidor.id);
+    const [session] = data.smokingSessions;
+    expect([session.cigarId, session.humidorId, session.journalEntryId]).toEqual([cigar.id, humidor.id, data.journalEntries[0].id]);
+    expect(data.journalEntries[0].sessionId).toBe(session.id);
+    expect(data.smartCollections[0].humidorId).toBe(humidor.id);
+    expect(Object.keys(data.readings)).toEqual([humidor.id]);
+});
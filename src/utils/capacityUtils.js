@@ -0,0 +1,63 @@
+import { parseHumidorSize } from './formatUtils';
+
+/**
+ * How a humidor's capacity is counted, set per humidor as `capacityMode`:
+ * - count: every cigar takes one space, whatever its size.
+ * - ringGauge: cigars take space in proportion to their ring gauge, measured against a
+ *   REFERENCE_RING_GAUGE cigar, since a 60-ring cigar takes more room than a 42.
+ */
+export const CAPACITY_MODES = {
+    count: 'count',
+    ringGauge: 'ringGauge'
+};
+
+export const CAPACITY_MODE_LABELS = {
+    [CAPACITY_MODES.count]: 'Cigar Count',
+    [CAPACITY_MODES.ringGauge]: 'Ring Gauge Weighted'
+};
+
+// Humidor counts are usually quoted in robustos, so a 50-ring cigar takes exactly one space.
+export const REFERENCE_RING_GAUGE = 50;
+
+// Above this percentage full a humidor is shown as nearly full.
+export const NEARLY_FULL_PERCENT = 90;
+
+const roundSpace = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Returns how many spaces one of a cigar takes up.
+ * @param {Object} cigar - The cigar
+ * @param {string} [mode=CAPACITY_MODES.count] - The humidor's capacity mode
+ * @returns {number} The spaces taken by a single stick
+ */
+export const getCigarSpace = (cigar, mode = CAPACITY_MODES.count) => {
+    const ringGauge = Number(cigar?.ring_gauge) || 0;
+    if (mode !== CAPACITY_MODES.ringGauge || ringGauge <= 0) return 1;
+    return ringGauge / REFERENCE_RING_GAUGE;
+};
+
+/**
+ * Works out how full a humidor is, and how full it would be after adding some cigars.
+ * @param {Object} humidor - The humidor, with its `size` and optional `capacityMode`
+ * @param {Array<Object>} cigarsInHumidor - The cigars currently in the humidor
+ * @param {Array<Object>} [additions=[]] - Cigars being added: [{ cigar, quantity }]
+ * @returns {Object} { mode, capacity, used, added, total, free, percent, status } where capacity
+ * and free are null, and status 'unknown', when the humidor's size isn't known. Otherwise status
+ * is 'ok', 'nearlyFull' or 'over', judged on the total after the additions.
+ */
+export const getHumidorFill = (humidor, cigarsInHumidor, additions = []) => {
+    const mode = humidor?.capacityMode === CAPACITY_MODES.ringGauge ? CAPACITY_MODES.ringGauge : CAPACITY_MODES.count;
+    const spaceFor = (cigar, quantity) => Math.max(Number(quantity) || 0, 0) * getCigarSpace(cigar, mode);
+
+    const used = roundSpace(cigarsInHumidor.reduce((sum, cigar) => sum + spaceFor(cigar, cigar.quantity), 0));
+    const added = roundSpace(additions.reduce((sum, { cigar, quantity }) => sum + spaceFor(cigar, quantity), 0));
+    const total = roundSpace(used + added);
+    const capacity = parseHumidorSize(humidor?.size) || null;
+
+    if (capacity === null) {
+        return { mode, capacity, used, added, total, free: null, percent: 0, status: 'unknown' };
+    }
+    const percent = Math.round((total / capacity) * 100);
+    const status = total > capacity ? 'over' : percent > NEARLY_FULL_PERCENT ? 'nearlyFull' : 'ok';
+    return { mode, capacity, used, added, total, free: roundSpace(Math.max(capacity - used, 0)), percent, status };
+};
@@ -0,0 +1,42 @@
+import { CAPACITY_MODES, NEARLY_FULL_PERCENT, getCigarSpace, getHumidorFill } from './capacityUtils';
+
+const robusto = { id: 'c1', ring_gauge: 50, quantity: 10 };
+const lancero = { id: 'c2', ring_gauge: 38, quantity: 5 };
+
+test('counts a cigar as one space, or by ring gauge when the humidor is weighted', () => {
+    expect(getCigarSpace({ ring_gauge: 60 })).toBe(1);
+    expect(getCigarSpace({ ring_gauge: 60 }, CAPACITY_MODES.ringGauge)).toBe(1.2);
+    expect(getCigarSpace({ ring_gauge: '38' }, CAPACITY_MODES.ringGauge)).toBe(0.76);
+    // Without a usable ring gauge a cigar takes a single space.
+    expect(getCigarSpace({}, CAPACITY_MODES.ringGauge)).toBe(1);
+    expect(getCigarSpace({ ring_gauge: 'n/a' }, CAPACITY_MODES.ringGauge)).toBe(1);
+    expect(getCigarSpace(null, CAPACITY_MODES.ringGauge)).toBe(1);
+});
+
+test('reports how full a humidor is and how full it would be after additions', () => {
+    const fill = getHumidorFill({ size: '50 count' }, [robusto, lancero], [{ cigar: robusto, quantity: 5 }]);
+    expect(fill).toEqual({ mode: 'count', capacity: 50, used: 15, added: 5, total: 20, free: 35, percent: 40, status: 'ok' });
+
+    const weighted = getHumidorFill({ size: '50', capacityMode: CAPACITY_MODES.ringGauge }, [robusto, lancero, { quantity: 2 }]);
+    expect(weighted).toEqual(expect.objectContaining({ mode: 'ringGauge', used: 15.8, total: 15.8, free: 34.2 }));
+});
+
+test('leaves capacity unknown when the size is missing or has no number in it', () => {
+    ['', undefined, 'Large', 'about twenty'].forEach(size => {
+        expect(getHumidorFill({ size }, [robusto])).toEqual({
+            mode: 'count', capacity: null, used: 10, added: 0, total: 10, free: null, percent: 0, status: 'unknown'
+        });
+    });
+    expect(getHumidorFill(undefined, []).status).toBe('unknown');
+});
+
+test(`warns once a humidor is over ${NEARLY_FULL_PERCENT}% full, and when it overflows`, () => {
+    const humidor = { size: '100 count' };
+    const withQuantity = (quantity) => [{ ...robusto, quantity }];
+    expect(getHumidorFill(humidor, withQuantity(NEARLY_FULL_PERCENT)).status).toBe('ok');
+    expect(getHumidorFill(humidor, withQuantity(NEARLY_FULL_PERCENT + 1)).status).toBe('nearlyFull');
+    expect(getHumidorFill(humidor, withQuantity(100)).status).toBe('nearlyFull');
+    expect(getHumidorFill(humidor, withQuantity(95), [{ cigar: robusto, quantity: 6 }])).toEqual(expect.objectContaining({ status: 'over', free: 5, percent: 101 }));
+    // Negative quantities don't free up space.
+    expect(getHumidorFill(humidor, withQuantity(95), [{ cigar: robusto, quantity: -10 }]).total).toBe(95);
+});
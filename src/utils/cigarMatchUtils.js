@@ -0,0 +1,100 @@
+import { APP_CIGAR_FIELDS } from '../constants/fieldDefinitions';
+
+/**
+ * What to do with an imported cigar that matches one already in the humidor.
+ * - skip: leave the existing cigar untouched
+ * - addQuantity: add the imported quantity to the existing cigar
+ * - overwrite: replace the selected fields of the existing cigar with the imported values
+ */
+export const DUPLICATE_ACTIONS = {
+    skip: 'skip',
+    addQuantity: 'addQuantity',
+    overwrite: 'overwrite'
+};
+
+/**
+ * Normalizes text for fuzzy matching: lowercase, accents removed, punctuation
+ * dropped and whitespace collapsed, so "Padrón 1964 Anniversary" matches "padron 1964 anniversary".
+ * @param {string} text - The text to normalize
+ * @returns {string} The normalized text
+ */
+export const normalizeMatchText = (text) => String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9.]+/g, ' ')
+    .trim();
+
+/**
+ * Normalizes a cigar's size to "<length>x<ring>", falling back to its length and ring
+ * gauge fields when no size string is stored. "5 1/2 x 50", "5.50 X 50" and "5.5x50" all match.
+ * @param {Object} cigar - The cigar
+ * @returns {string} The normalized size, or an empty string when unknown
+ */
+export const normalizeCigarSize = (cigar) => {
+    const size = String(cigar.size ?? '').toLowerCase().replace(/\s*1\/2/, '.5').replace(/\s+/g, '');
+    const match = size.match(/^(\d+(?:\.\d+)?)(?:"|in)?[x×](\d+)$/);
+    if (match) return `${parseFloat(match[1])}x${parseInt(match[2], 10)}`;
+    const length = parseFloat(cigar.length_inches);
+    const ring = parseInt(cigar.ring_gauge, 10);
+    if (length > 0 && ring > 0) return `${length}x${ring}`;
+    return size;
+};
+
+/**
+ * Builds the key used to decide whether two cigars are the same: brand, name and size,
+ * each fuzzy-normalized. A name that repeats the brand ("Oliva Serie V" by "Oliva") is
+ * matched without the brand prefix.
+ * @param {Object} cigar - The cigar
+ * @returns {string} The match key
+ */
+export const getCigarMatchKey = (cigar) => {
+    const brand = normalizeMatchText(cigar.brand);
+    let name = normalizeMatchText(cigar.name);
+    if (brand && name.startsWith(`${brand} `)) name = name.slice(brand.length + 1);
+    return [brand, name, normalizeCigarSize(cigar)].join('|');
+};
+
+/**
+ * Pairs each imported cigar with the existing cigar it duplicates, if any.
+ * @param {Array<Object>} items - The imported cigars
+ * @param {Array<Object>} existingCigars - The cigars already in the target humidor
+ * @returns {Array<Object|null>} The matching existing cigar for each imported cigar, or null
+ */
+export const findCigarMatches = (items, existingCigars) => {
+    const existingByKey = new Map();
+    existingCigars.forEach(cigar => {
+        const key = getCigarMatchKey(cigar);
+        if (!existingByKey.has(key)) existingByKey.set(key, cigar);
+    });
+    return items.map(item => existingByKey.get(getCigarMatchKey(item)) || null);
+};
+
+/**
+ * Lists the fields where an imported cigar has a value that differs from the existing cigar.
+ * @param {Object} existing - The existing cigar
+ * @param {Object} item - The imported cigar
+ * @returns {Array<Object>} The differing field definitions
+ */
+export const getChangedFields = (existing, item) => APP_CIGAR_FIELDS.filter(field =>
+    item[field.key] !== undefined && JSON.stringify(item[field.key]) !== JSON.stringify(existing[field.key])
+);
+
+/**
+ * Summarizes what an import will do once duplicates have been resolved.
+ * @param {Array<Object>} plan - Import plan entries: { item, match, action, overwriteFields }
+ * @returns {Object} { added, skipped, quantityAdded, overwritten }, where quantityAdded lists
+ * { cigar, quantity } and overwritten lists { cigar, fields }
+ */
+export const summarizeImportPlan = (plan) => plan.reduce((summary, entry) => {
+    if (!entry.match) {
+        summary.added++;
+    } else if (entry.action === DUPLICATE_ACTIONS.addQuantity) {
+        summary.quantityAdded.push({ cigar: entry.match, quantity: entry.item.quantity || 1 });
+    } else if (entry.action === DUPLICATE_ACTIONS.overwrite && entry.overwriteFields.length > 0) {
+        summary.overwritten.push({ cigar: entry.match, fields: entry.overwriteFields });
+    } else {
+        summary.skipped++;
+    }
+    return summary;
+}, { added: 0, skipped: 0, quantityAdded: [], overwritten: [] });
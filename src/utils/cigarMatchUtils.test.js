@@ -0,0 +1,36 @@
+import { findCigarMatches, getChangedFields, getCigarMatchKey, summarizeImportPlan, DUPLICATE_ACTIONS } from './cigarMatchUtils';
+
+const existing = [
+    { id: 'c1', brand: 'Padrón', name: '1964 Anniversary Exclusivo', size: '5.5x50', quantity: 3, flavorNotes: ['Cocoa'] },
+    { id: 'c2', brand: 'Oliva', name: 'Serie V Melanio', length_inches: 5, ring_gauge: 50, quantity: 1 }
+];
+
+test('matches on brand, name and size regardless of accents, case, punctuation and size notation', () => {
+    const items = [
+        { brand: 'padron', name: 'Padron 1964 Anniversary - Exclusivo', size: '5 1/2 x 50' },
+        { brand: 'OLIVA', name: 'Serie V Melanio', size: '5x50' },
+        { brand: 'Oliva', name: 'Serie V Melanio', size: '6x52' }
+    ];
+    expect(findCigarMatches(items, existing)).toEqual([existing[0], existing[1], null]);
+    expect(getCigarMatchKey(items[0])).toBe(getCigarMatchKey(existing[0]));
+});
+
+test('lists only the fields the imported row changes', () => {
+    const changed = getChangedFields(existing[0], { brand: 'Padrón', quantity: 5, flavorNotes: ['Cocoa'], price: 14 });
+    expect(changed.map(field => field.key)).toEqual(['price', 'quantity']);
+});
+
+test('summarizes the resolved import plan', () => {
+    const summary = summarizeImportPlan([
+        { item: { quantity: 2 }, match: null },
+        { item: { quantity: 2 }, match: existing[0], action: DUPLICATE_ACTIONS.addQuantity, overwriteFields: [] },
+        { item: {}, match: existing[1], action: DUPLICATE_ACTIONS.overwrite, overwriteFields: ['price'] },
+        { item: {}, match: existing[1], action: DUPLICATE_ACTIONS.skip, overwriteFields: [] }
+    ]);
+    expect(summary).toEqual({
+        added: 1,
+        skipped: 1,
+        quantityAdded: [{ cigar: existing[0], quantity: 2 }],
+        overwritten: [{ cigar: existing[1], fields: ['price'] }]
+    });
+});
@@ -0,0 +1,221 @@
+import Papa from 'papaparse';
+import { APP_CIGAR_FIELDS, APP_HUMIDOR_FIELDS } from '../constants/fieldDefinitions';
+
+/**
+ * The CSV schema for each exportable data type. Exports use each field's key as the
+ * column header, and imports recognise a column by either the field's key or its label,
+ * so anything exported from the app maps straight back in.
+ */
+export const CSV_FIELDS = {
+    cigar: APP_CIGAR_FIELDS,
+    humidor: APP_HUMIDOR_FIELDS
+};
+
+// Flavor notes and other list fields are stored in a single cell, separated by semicolons.
+const ARRAY_SEPARATOR = ';';
+
+// Matches dates that are already stored as ISO strings (e.g. "2025-07-01" or "2025-07-01T12:00:00.000Z").
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Returns the CSV schema for a data type.
+ * @param {string} dataType - 'cigar' or 'humidor'
+ * @returns {Array<Object>} The field definitions used for the CSV columns
+ */
+export const getCsvFields = (dataType) => CSV_FIELDS[dataType] || [];
+
+/**
+ * Converts a stored value into the text written to a CSV cell.
+ * @param {*} value - The value stored on the document
+ * @param {Object} field - The field definition
+ * @returns {string} The cell text
+ */
+export const formatCsvValue = (value, field) => {
+    if (value === undefined || value === null) return '';
+    switch (field.type) {
+        case 'boolean':
+            return value ? 'TRUE' : 'FALSE';
+        case 'array':
+            return Array.isArray(value) ? value.join(`${ARRAY_SEPARATOR} `) : String(value);
+        default:
+            return String(value);
+    }
+};
+
+/**
+ * Converts the text of a CSV cell into the value stored on the document.
+ * Empty or unreadable cells return undefined so the caller's defaults apply.
+ * @param {string} raw - The cell text
+ * @param {Object} field - The field definition
+ * @returns {*} The parsed value, or undefined
+ */
+export const parseCsvValue = (raw, field) => {
+    if (raw === undefined || raw === null) return undefined;
+    const text = String(raw);
+    const trimmed = text.trim();
+    if (trimmed === '') return undefined;
+
+    switch (field.type) {
+        case 'number': {
+            // Currency symbols and thousands separators are allowed; anything else ("94-rated") is not a number.
+            const number = Number(trimmed.replace(/[$,]/g, ''));
+            return Number.isNaN(number) ? undefined : number;
+        }
+        case 'boolean':
+            return ['true', '1', 'yes', 'y'].includes(trimmed.toLowerCase());
+        case 'array':
+            return trimmed.split(ARRAY_SEPARATOR).map(s => s.trim()).filter(Boolean);
+        case 'date': {
+            const date = new Date(trimmed);
+            if (Number.isNaN(date.getTime())) return undefined;
+            // Keep dates that are already ISO strings exactly as written so exports round-trip unchanged.
+            return ISO_DATE_PATTERN.test(trimmed) ? trimmed : date.toISOString();
+        }
+        default: {
+            // Use the canonical spelling of a known option ("medium-full" -> "Medium-Full").
+            const option = field.options && field.options.find(o => o.toLowerCase() === trimmed.toLowerCase());
+            return option || text;
+        }
+    }
+};
+
+/**
+ * Serializes documents to CSV using the data type's schema. The document ID is
+ * written as the first column for reference; imports always create new documents.
+ * @param {Array<Object>} items - The documents to export
+ * @param {string} dataType - 'cigar' or 'humidor'
+ * @returns {string} The CSV text
+ */
+export const serializeCsv = (items, dataType) => {
+    const fields = getCsvFields(dataType);
+    return Papa.unparse({
+        fields: ['id', ...fields.map(f => f.key)],
+        data: items.map(item => [item.id ?? '', ...fields.map(f => formatCsvValue(item[f.key], f))])
+    });
+};
+
+/**
+ * Suggests which CSV column feeds each app field, matching a column header
+ * against the field's key or label while ignoring case, spaces and punctuation.
+ * @param {Array<string>} headers - The CSV column headers
+ * @param {string} dataType - 'cigar' or 'humidor'
+ * @returns {Object} Map of field key -> CSV header, or 'none' when no column matches
+ */
+export const autoMapFields = (headers, dataType) => {
+    const mapping = {};
+    getCsvFields(dataType).forEach(field => {
+        const candidates = [normalizeHeader(field.key), normalizeHeader(field.label)];
+        const match = headers.find(header => candidates.includes(normalizeHeader(header)));
+        mapping[field.key] = match || 'none';
+    });
+    return mapping;
+};
+
+/**
+ * Builds a document from a parsed CSV row using a field mapping.
+ * Fields whose column is unmapped, empty or unreadable are left out.
+ * @param {Object} row - The CSV row, keyed by column header
+ * @param {Object} mapping - Map of field key -> CSV header (see autoMapFields)
+ * @param {string} dataType - 'cigar' or 'humidor'
+ * @returns {Object} The document fields read from the row
+ */
+export const rowToItem = (row, mapping, dataType) => {
+    const item = {};
+    getCsvFields(dataType).forEach(field => {
+        const header = mapping[field.key];
+        if (!header || header === 'none') return;
+        const value = parseCsvValue(row[header], field);
+        if (value !== undefined) item[field.key] = value;
+    });
+    return item;
+};
+
+/**
+ * Checks one CSV row against the schema before it is imported.
+ * Errors (a missing required value, a number or date that can't be read, or a count that
+ * isn't a whole number of zero or more) keep the row
+ * from being imported; warnings (a strength or shape the app doesn't know) do not.
+ * @param {Object} row - The CSV row, keyed by column header
+ * @param {Object} mapping - Map of field key -> CSV header (see autoMapFields)
+ * @param {string} dataType - 'cigar' or 'humidor'
+ * @param {Object} [defaults={}] - Values the import fills in for empty cells; required fields with a default are never missing
+ * @returns {Array<Object>} Issues found: { field, header, severity: 'error'|'warning', message }
+ */
+export const validateCsvRow = (row, mapping, dataType, defaults = {}) => {
+    const issues = [];
+    getCsvFields(dataType).forEach(field => {
+        const header = mapping[field.key] && mapping[field.key] !== 'none' ? mapping[field.key] : null;
+        const raw = header ? String(row[header] ?? '').trim() : '';
+        const issue = (severity, message) => issues.push({ field, header, severity, message });
+
+        if (raw === '') {
+            if (field.required && defaults[field.key] === undefined) issue('error', `${field.label} is required.`);
+            return;
+        }
+        const value = parseCsvValue(raw, field);
+        if (value === undefined) {
+            issue('error', `"${raw}" is not a valid ${field.type === 'date' ? 'date' : 'number'}.`);
+        } else if (field.wholeNumber && !(Number.isInteger(value) && value >= 0)) {
+            issue('error', `"${raw}" is not a whole number of zero or more.`);
+        } else if (field.options && !field.options.includes(value)) {
+            issue('warning', `"${raw}" is not a known ${field.label.toLowerCase()}.`);
+        }
+    });
+    return issues;
+};
+
+/**
+ * Validates every CSV row and returns a report of the rows that have issues.
+ * @param {Array<Object>} rows - The CSV rows, keyed by column header
+ * @param {Object} mapping - Map of field key -> CSV header
+ * @param {string} dataType - 'cigar' or 'humidor'
+ * @param {Object} [defaults={}] - Values the import fills in for empty cells
+ * @returns {Array<Object>} { index, issues, hasErrors } for each row with at least one issue
+ */
+export const validateCsvRows = (rows, mapping, dataType, defaults = {}) => rows.reduce((report, row, index) => {
+    const issues = validateCsvRow(row, mapping, dataType, defaults);
+    if (issues.length > 0) report.push({ index, issues, hasErrors: issues.some(issue => issue.severity === 'error') });
+    return report;
+}, []);
+
+/**
+ * Serializes the rows from a validation report back to CSV in their original columns,
+ * with an extra column describing the issues, so they can be fixed and imported again.
+ * @param {Array<Object>} rows - The CSV rows, keyed by column header
+ * @param {Array<string>} headers - The original column headers
+ * @param {Array<Object>} report - The report from validateCsvRows
+ * @returns {string} The CSV text
+ */
+export const serializeErrorRows = (rows, headers, report) => Papa.unparse({
+    fields: [...headers, 'Import Issues'],
+    data: report.map(({ index, issues }) => [
+        ...headers.map(header => rows[index][header] ?? ''),
+        issues.map(issue => `${issue.field.label}: ${issue.message}`).join(' | ')
+    ])
+});
+
+/**
+ * Lists the required fields that are missing from a document.
+ * @param {Object} item - The document fields
+ * @param {string} dataType - 'cigar' or 'humidor'
+ * @returns {Array<Object>} The missing field definitions
+ */
+export const getMissingRequiredFields = (item, dataType) =>
+    getCsvFields(dataType).filter(field =>
+        field.required && (item[field.key] === undefined || item[field.key] === null || item[field.key] === '')
+    );
+
+/**
+ * Parses CSV text into documents, mapping columns automatically.
+ * @param {string} text - The CSV text
+ * @param {string} dataType - 'cigar' or 'humidor'
+ * @returns {Object} { headers, mapping, items }
+ */
+export const parseCsv = (text, dataType) => {
+    const { data, meta } = Papa.parse(text, { header: true, skipEmptyLines: true });
+    const headers = meta.fields || [];
+    const mapping = autoMapFields(headers, dataType);
+    return { headers, mapping, items: data.map(row => rowToItem(row, mapping, dataType)) };
+};
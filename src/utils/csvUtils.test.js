@@ -0,0 +1,81 @@
+import fs from 'fs';
+import path from 'path';
+import Papa from 'papaparse';
+import { parseCsv, serializeCsv, autoMapFields, getCsvFields, validateCsvRows, serializeErrorRows } from './csvUtils';
+
+const readSample = (fileName) => fs.readFileSync(path.join(__dirname, '../../data', fileName), 'utf8');
+
+describe.each([
+    ['cigar', 'CigarInventory.csv'],
+    ['humidor', 'Humidors.csv']
+])('%s CSV', (dataType, fileName) => {
+    test('maps every column of the sample file that the app knows about', () => {
+        const { headers, mapping } = parseCsv(readSample(fileName), dataType);
+        getCsvFields(dataType)
+            .filter(field => headers.includes(field.key))
+            .forEach(field => expect(mapping[field.key]).toBe(field.key));
+    });
+
+    test('round-trips the sample file through export and import without loss', () => {
+        const { items } = parseCsv(readSample(fileName), dataType);
+        expect(items.length).toBeGreaterThan(0);
+
+        const exported = serializeCsv(items.map((item, i) => ({ id: `doc-${i}`, ...item })), dataType);
+        const reimported = parseCsv(exported, dataType);
+
+        expect(Object.values(reimported.mapping)).not.toContain('none');
+        expect(reimported.items).toEqual(items);
+        expect(serializeCsv(reimported.items, dataType)).toBe(serializeCsv(items, dataType));
+    });
+});
+
+test('round-trips app documents with quotes, commas, booleans, lists and dates', () => {
+    const cigar = {
+        name: 'Serie "V" Melanio, Maduro',
+        brand: 'Oliva',
+        isBoxPress: true,
+        isPuro: false,
+        length_inches: 6.5,
+        ring_gauge: 52,
+        flavorNotes: ['Cocoa', 'Espresso', 'Black Pepper'],
+        quantity: 0,
+        description: 'Line one\nLine two',
+        dateAdded: '2025-07-24T20:00:00.000Z'
+    };
+    const { items } = parseCsv(serializeCsv([{ id: 'abc', ...cigar }], 'cigar'), 'cigar');
+    expect(items).toEqual([cigar]);
+});
+
+test('maps columns by field label as well as key', () => {
+    const mapping = autoMapFields(['Cigar Name', 'Brand', 'Flavor Notes (semicolon-separated)', 'Qty'], 'cigar');
+    expect(mapping.name).toBe('Cigar Name');
+    expect(mapping.brand).toBe('Brand');
+    expect(mapping.flavorNotes).toBe('Flavor Notes (semicolon-separated)');
+    expect(mapping.quantity).toBe('none');
+});
+
+test('reports unreadable numbers, partial or negative quantities, missing required values and unknown options per row', () => {
+    const text = readSample('CigarInventory.csv');
+    const { data, meta } = Papa.parse(text, { header: true, skipEmptyLines: true });
+    const mapping = autoMapFields(meta.fields, 'cigar');
+    const rows = [
+        ...data,
+        { ...data[1], brand: '', strength: 'Medio', price: 'eight' },
+        { ...data[1], quantity: '2.5' },
+        { ...data[1], quantity: '-3' }
+    ];
+
+    const report = validateCsvRows(rows, mapping, 'cigar', { quantity: 1 });
+    const issuesFor = (index) => report.find(row => row.index === index).issues.map(i => [i.field.key, i.severity]);
+
+    expect(issuesFor(0)).toEqual([['rating', 'error']]);
+    expect(issuesFor(rows.length - 3)).toEqual([['brand', 'error'], ['strength', 'warning'], ['price', 'error']]);
+    expect(issuesFor(rows.length - 2)).toEqual([['quantity', 'error']]);
+    expect(issuesFor(rows.length - 1)).toEqual([['quantity', 'error']]);
+    expect(report.find(row => row.index === 1)).toBeUndefined();
+
+    const errorCsv = serializeErrorRows(rows, meta.fields, report);
+    const reparsed = Papa.parse(errorCsv, { header: true }).data;
+    expect(reparsed[0]['Import Issues']).toBe('Rating (Official): "94-rated" is not a valid number.');
+    expect(reparsed[0].name).toBe(data[0].name);
+});
@@ -0,0 +1,211 @@
+/**
+ * Purchase lots record each box or buy of a cigar separately:
+ * { id, purchaseDate, vendor, unitPrice, count, boxCode, remaining }.
+ * They are stored as a `lots` array on the cigar document. The cigar's own `quantity`,
+ * `price` and `dateAdded` are kept in sync with its lots (see withLots), so sorting,
+ * filtering and older code that reads those fields keep working.
+ * Cigars saved before lots existed have no `lots` array and are treated as a single lot.
+ */
+
+// ID given to the lot derived from a cigar that was saved before lots existed.
+export const ORIGINAL_LOT_ID = 'original';
+
+const generateLotId = () => `lot-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const toNumber = (value) => Number(value) || 0;
+
+const byPurchaseDate = (a, b) => new Date(a.purchaseDate || 0) - new Date(b.purchaseDate || 0);
+
+/**
+ * Creates a new purchase lot. All of its cigars are remaining unless stated otherwise.
+ * @param {Object} details - { purchaseDate, vendor, unitPrice, count, boxCode, remaining }
+ * @returns {Object} The lot
+ */
+export const createLot = ({ purchaseDate, vendor = '', unitPrice = 0, count = 1, boxCode = '', remaining }) => ({
+    id: generateLotId(),
+    purchaseDate: purchaseDate || new Date().toISOString(),
+    vendor,
+    unitPrice: toNumber(unitPrice),
+    count: toNumber(count),
+    boxCode,
+    remaining: remaining === undefined ? toNumber(count) : toNumber(remaining)
+});
+
+/**
+ * Builds the first lot for a cigar from its single price, quantity and date fields.
+ * @param {Object} cigar - The cigar, or the cigar being created
+ * @param {Object} [details={}] - Extra lot details such as vendor and boxCode
+ * @returns {Object} The lot
+ */
+export const createLotFromCigar = (cigar, details = {}) => createLot({
+    purchaseDate: cigar.dateAdded,
+    unitPrice: cigar.price,
+    count: cigar.quantity,
+    ...details
+});
+
+/**
+ * Returns a cigar's purchase lots, oldest first. A cigar without lots is
+ * returned as a single lot built from its price, quantity and date added.
+ * @param {Object} cigar - The cigar
+ * @returns {Array<Object>} The lots
+ */
+export const getCigarLots = (cigar) => {
+    if (Array.isArray(cigar.lots) && cigar.lots.length > 0) return [...cigar.lots].sort(byPurchaseDate);
+    return [{
+        id: ORIGINAL_LOT_ID,
+        purchaseDate: cigar.dateAdded || null,
+        vendor: '',
+        unitPrice: toNumber(cigar.price),
+        count: toNumber(cigar.quantity),
+        boxCode: '',
+        remaining: toNumber(cigar.quantity)
+    }];
+};
+
+/**
+ * Works out the cigar-level fields that summarize a set of lots: the number of cigars
+ * remaining, their average unit price, and the purchase date of the oldest lot still in stock.
+ * @param {Array<Object>} lots - The lots
+ * @returns {Object} { quantity, price, dateAdded }
+ */
+export const getLotTotals = (lots) => {
+    const sorted = [...lots].sort(byPurchaseDate);
+    const inStock = sorted.filter(lot => lot.remaining > 0);
+    const quantity = inStock.reduce((sum, lot) => sum + lot.remaining, 0);
+    const value = inStock.reduce((sum, lot) => sum + lot.remaining * lot.unitPrice, 0);
+    const oldest = inStock[0] || sorted[0];
+    return {
+        quantity,
+        price: quantity > 0 ? Math.round((value / quantity) * 100) / 100 : (sorted[sorted.length - 1]?.unitPrice || 0),
+        dateAdded: oldest?.purchaseDate || null
+    };
+};
+
+/**
+ * Returns the fields to write to a cigar document when its lots change.
+ * @param {Array<Object>} lots - The cigar's new lots
+ * @returns {Object} { lots, quantity, price, dateAdded }
+ */
+export const withLots = (lots) => ({ lots, ...getLotTotals(lots) });
+
+/**
+ * The date a cigar's age is counted from: the purchase date of its oldest lot still in stock.
+ * @param {Object} cigar - The cigar
+ * @returns {string|null} ISO date string
+ */
+export const getCigarAgeDate = (cigar) => getLotTotals(getCigarLots(cigar)).dateAdded || cigar.dateAdded || null;
+
+/**
+ * The value of the cigars remaining, priced at what was paid for each lot.
+ * @param {Object} cigar - The cigar
+ * @returns {number} The value
+ */
+export const getCigarValue = (cigar) =>
+    getCigarLots(cigar).reduce((sum, lot) => sum + Math.max(lot.remaining, 0) * lot.unitPrice, 0);
+
+/**
+ * Applies edits to a cigar's quantity, price or date added to its lots. The quantity is
+ * spread across the lots (see adjustLotsToQuantity); the price and date only apply when
+ * the cigar was bought in a single lot, since otherwise they come from the lots themselves.
+ * @param {Object} cigar - The cigar before the edit
+ * @param {Object} edits - Any of { quantity, price, dateAdded }
+ * @returns {Array<Object>} The updated lots
+ */
+export const applyCigarEditsToLots = (cigar, { quantity, price, dateAdded }) => {
+    const lots = quantity === undefined ? getCigarLots(cigar) : adjustLotsToQuantity(getCigarLots(cigar), toNumber(quantity));
+    if (lots.length === 1) {
+        if (price !== undefined) lots[0] = { ...lots[0], unitPrice: toNumber(price) };
+        if (dateAdded !== undefined) lots[0] = { ...lots[0], purchaseDate: dateAdded };
+    }
+    return lots;
+};
+
+/**
+ * Changes the number of cigars remaining across a cigar's lots. Cigars are taken
+ * from the oldest lots first; cigars added go to the newest lot.
+ * @param {Array<Object>} lots - The cigar's lots
+ * @param {number} quantity - The new total quantity
+ * @returns {Array<Object>} The updated lots
+ */
+export const adjustLotsToQuantity = (lots, quantity) => {
+    const sorted = [...lots].sort(byPurchaseDate).map(lot => ({ ...lot }));
+    if (sorted.length === 0) return sorted;
+    let difference = Math.max(quantity, 0) - sorted.reduce((sum, lot) => sum + lot.remaining, 0);
+
+    if (difference > 0) {
+        const newest = sorted[sorted.length - 1];
+        newest.remaining += difference;
+        newest.count = Math.max(newest.count, newest.remaining);
+        return sorted;
+    }
+    for (const lot of sorted) {
+        if (difference === 0) break;
+        const taken = Math.min(lot.remaining, -difference);
+        lot.remaining -= taken;
+        difference += taken;
+    }
+    return sorted;
+};
+
+/**
+ * Takes one cigar from the oldest lot that still has any left.
+ * @param {Array<Object>} lots - The cigar's lots
+ * @returns {Object} { lots, lotId } where lotId is the lot the cigar came from, or null if none were left
+ */
+export const takeOneFromLots = (lots) => {
+    const sorted = [...lots].sort(byPurchaseDate).map(lot => ({ ...lot }));
+    const lot = sorted.find(l => l.remaining > 0);
+    if (!lot) return { lots: sorted, lotId: null };
+    lot.remaining -= 1;
+    return { lots: sorted, lotId: lot.id };
+};
+
+/**
+ * Puts one cigar back into the lot it was taken from. If that lot no longer exists,
+ * the cigar goes back into the newest lot instead.
+ * @param {Array<Object>} lots - The cigar's lots
+ * @param {string} lotId - The lot the cigar was taken from
+ * @returns {Array<Object>} The updated lots
+ */
+export const returnOneToLot = (lots, lotId) => {
+    const sorted = [...lots].sort(byPurchaseDate).map(lot => ({ ...lot }));
+    const lot = sorted.find(l => l.id === lotId) || sorted[sorted.length - 1];
+    if (!lot) return sorted;
+    lot.remaining += 1;
+    lot.count = Math.max(lot.count, lot.remaining);
+    return sorted;
+};
+
+/**
+ * Splits some cigars off a cigar's lots, taking them from the oldest lots first. The cigars
+ * split off keep the purchase date, vendor and price of the lot they came from.
+ * @param {Array<Object>} lots - The cigar's lots
+ * @param {number} quantity - How many cigars to split off
+ * @returns {Object} { kept, split } - the lots left behind and the lots split off
+ */
+export const splitLots = (lots, quantity) => {
+    const kept = [...lots].sort(byPurchaseDate).map(lot => ({ ...lot }));
+    const split = [];
+    let toSplit = Math.max(quantity, 0);
+    for (const lot of kept) {
+        if (toSplit === 0) break;
+        const taken = Math.min(lot.remaining, toSplit);
+        if (taken === 0) continue;
+        lot.remaining -= taken;
+        lot.count = Math.max(lot.count - taken, lot.remaining);
+        split.push({ ...lot, id: generateLotId(), count: taken, remaining: taken });
+        toSplit -= taken;
+    }
+    return { kept, split };
+};
+
+/**
+ * Returns the first problem with a set of lots that would leave stock negative, or null if there is none.
+ * @param {Array<Object>} lots - The lots to check
+ * @returns {string|null} A message describing the problem
+ */
+export const findNegativeStock = (lots) => {
+    const lot = lots.find(l => !(l.remaining >= 0) || !(l.count >= 0));
+    return lot ? `The purchase from ${lot.purchaseDate ? lot.purchaseDate.split('T')[0] : 'an unknown date'} would have fewer than zero cigars left.` : null;
+};
@@ -0,0 +1,45 @@
+import { adjustLotsToQuantity, findNegativeStock, getCigarAgeDate, getCigarLots, getCigarValue, returnOneToLot, splitLots, takeOneFromLots, withLots } from './lotUtils';
+
+const lots = [
+    { id: 'b', purchaseDate: '2024-06-01T00:00:00.000Z', vendor: 'Shop', unitPrice: 12, count: 10, boxCode: '', remaining: 10 },
+    { id: 'a', purchaseDate: '2021-03-01T00:00:00.000Z', vendor: 'Online', unitPrice: 8, count: 5, boxCode: 'TAA JUN 20', remaining: 2 }
+];
+
+test('treats a cigar saved before lots existed as a single lot', () => {
+    const cigar = { price: 10, quantity: 4, dateAdded: '2023-01-01T00:00:00.000Z' };
+    expect(getCigarLots(cigar)).toEqual([expect.objectContaining({ unitPrice: 10, count: 4, remaining: 4, purchaseDate: cigar.dateAdded })]);
+    expect(getCigarValue(cigar)).toBe(40);
+});
+
+test('derives quantity, average price and age from the lots in stock', () => {
+    const cigar = withLots(lots);
+    expect(cigar.quantity).toBe(12);
+    expect(cigar.price).toBe(11.33);
+    expect(cigar.dateAdded).toBe('2021-03-01T00:00:00.000Z');
+    expect(getCigarValue(cigar)).toBe(136);
+});
+
+test('smokes the oldest lot first and ages from the oldest lot still in stock', () => {
+    const smoked = adjustLotsToQuantity(lots, 9);
+    expect(smoked.map(lot => [lot.id, lot.remaining])).toEqual([['a', 0], ['b', 9]]);
+    expect(getCigarAgeDate({ lots: smoked })).toBe('2024-06-01T00:00:00.000Z');
+});
+
+test('puts an undone smoke back into the lot it came from', () => {
+    const { lots: smoked, lotId } = takeOneFromLots(lots);
+    expect(lotId).toBe('a');
+    expect(withLots(smoked).quantity).toBe(11);
+    expect(returnOneToLot(smoked, lotId)).toEqual(adjustLotsToQuantity(lots, 12));
+});
+
+test('splits cigars off the oldest lots, keeping their purchase details', () => {
+    const { kept, split } = splitLots(lots, 3);
+    expect(kept.map(lot => [lot.id, lot.remaining])).toEqual([['a', 0], ['b', 9]]);
+    expect(split.map(lot => [lot.purchaseDate, lot.unitPrice, lot.remaining])).toEqual([
+        ['2021-03-01T00:00:00.000Z', 8, 2],
+        ['2024-06-01T00:00:00.000Z', 12, 1]
+    ]);
+    expect(withLots(kept).quantity + withLots(split).quantity).toBe(withLots(lots).quantity);
+    expect(findNegativeStock(kept)).toBeNull();
+    expect(findNegativeStock([{ ...lots[0], remaining: -1 }])).toMatch(/fewer than zero/);
+});
@@ -0,0 +1,30 @@
+import { getCigarMatchKey } from './cigarMatchUtils';
+import { getHumidorFill } from './capacityUtils';
+
+/**
+ * Works out what moving some cigars into another humidor would do: how many of each
+ * would move, which cigar already in the destination each would merge into, and
+ * whether everything would fit (see getHumidorFill for how capacity is counted).
+ * @param {Array<Object>} cigars - The cigars chosen to move
+ * @param {Object} quantities - cigarId -> how many of that cigar to move
+ * @param {Object} destination - The destination humidor
+ * @param {Array<Object>} destinationCigars - The cigars already in the destination humidor
+ * @returns {Object} { moves: [{ cigar, quantity, mergeInto }], total, fill, fits } where total is the
+ * number of cigars moving and fill is the destination's fill after the move
+ */
+export const planCigarMove = (cigars, quantities, destination, destinationCigars) => {
+    const destinationByKey = new Map(destinationCigars.map(cigar => [getCigarMatchKey(cigar), cigar]));
+
+    const moves = cigars
+        .map(cigar => ({
+            cigar,
+            quantity: Math.min(Math.max(parseInt(quantities[cigar.id], 10) || 0, 0), cigar.quantity || 0),
+            mergeInto: destinationByKey.get(getCigarMatchKey(cigar)) || null
+        }))
+        .filter(move => move.quantity > 0);
+
+    const total = moves.reduce((sum, move) => sum + move.quantity, 0);
+    const fill = getHumidorFill(destination, destinationCigars, moves);
+
+    return { moves, total, fill, fits: fill.status !== 'over' };
+};
@@ -0,0 +1,27 @@
+import { planCigarMove } from './moveUtils';
+
+const robusto = { id: 'c1', brand: 'Padron', name: '1964 Anniversary Exclusivo', length_inches: 5.5, ring_gauge: 50, quantity: 20, humidorId: 'desk' };
+const toro = { id: 'c2', brand: 'Oliva', name: 'Serie V', length_inches: 6, ring_gauge: 50, quantity: 4, humidorId: 'desk' };
+const travelRobusto = { ...robusto, id: 't1', name: 'Padron 1964 Anniversary Exclusivo', quantity: 2, humidorId: 'travel' };
+
+test('moves part of a box and merges it into the identical cigar in the destination', () => {
+    const plan = planCigarMove([robusto, toro], { c1: 3, c2: 0 }, { id: 'travel', size: '10 count' }, [travelRobusto]);
+    expect(plan.moves).toEqual([{ cigar: robusto, quantity: 3, mergeInto: travelRobusto }]);
+    expect(plan).toEqual(expect.objectContaining({ total: 3, fits: true }));
+    expect(plan.fill).toEqual(expect.objectContaining({ capacity: 10, used: 2, added: 3, free: 8 }));
+});
+
+test('refuses a move that would overfill the destination, but not one of unknown size', () => {
+    expect(planCigarMove([robusto], { c1: 9 }, { id: 'travel', size: '10 count' }, [travelRobusto]).fits).toBe(false);
+    expect(planCigarMove([robusto], { c1: 50 }, { id: 'cabinet', size: '' }, []))
+        .toEqual(expect.objectContaining({ total: 20, fits: true }));
+});
+
+test('counts fat cigars as more space in a ring-gauge weighted humidor', () => {
+    const gordo = { ...toro, id: 'c3', name: 'Serie V Double Toro', ring_gauge: 60, quantity: 5 };
+    const destination = { id: 'travel', size: '10', capacityMode: 'ringGauge' };
+    expect(planCigarMove([gordo], { c3: 5 }, { ...destination, capacityMode: 'count' }, [travelRobusto]).fits).toBe(true);
+    const plan = planCigarMove([gordo], { c3: 5 }, destination, [travelRobusto]);
+    expect(plan.fill).toEqual(expect.objectContaining({ used: 2, added: 6, total: 8 }));
+    expect(planCigarMove([gordo], { c3: 5 }, destination, [{ ...travelRobusto, quantity: 5 }]).fits).toBe(false);
+});
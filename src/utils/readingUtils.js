@@ -0,0 +1,117 @@
+/**
+ * Time ranges offered on the environment history chart, in milliseconds.
+ * A null duration means "all readings".
+ */
+export const READING_RANGES = {
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000,
+    'all': null
+};
+
+/**
+ * Returns the ISO timestamp at which a range starts, or null for "all".
+ * @param {string} range - One of the READING_RANGES keys
+ * @param {Date} [now=new Date()] - The reference time
+ * @returns {string|null} ISO timestamp of the start of the range
+ */
+export const getRangeStart = (range, now = new Date()) => {
+    const duration = READING_RANGES[range];
+    return duration ? new Date(now.getTime() - duration).toISOString() : null;
+};
+
+/**
+ * Calculates the min, max and average of a metric across a list of readings.
+ * @param {Array<Object>} readings - Reading documents ({ timestamp, temp, humidity })
+ * @param {string} metric - 'temp' or 'humidity'
+ * @returns {Object|null} { min, max, avg } rounded to one decimal, or null when there are no values
+ */
+export const summarizeReadings = (readings, metric) => {
+    // Number(null) and Number('') are 0, so readings missing the metric are dropped before converting.
+    const values = readings
+        .filter(r => r[metric] != null && r[metric] !== '')
+        .map(r => Number(r[metric]))
+        .filter(v => !Number.isNaN(v));
+    if (values.length === 0) return null;
+    const round = (n) => Math.round(n * 10) / 10;
+    return {
+        min: round(Math.min(...values)),
+        max: round(Math.max(...values)),
+        avg: round(values.reduce((sum, v) => sum + v, 0) / values.length)
+    };
+};
+
+/**
+ * Reduces a long list of readings to at most `maxPoints` by averaging consecutive buckets.
+ * Keeps the chart responsive when a humidor has months of sensor history.
+ * @param {Array<Object>} readings - Reading documents sorted by timestamp
+ * @param {number} [maxPoints=300] - Maximum number of points to return
+ * @returns {Array<Object>} The downsampled readings
+ */
+export const downsampleReadings = (readings, maxPoints = 300) => {
+    if (readings.length <= maxPoints) return readings;
+    const bucketSize = Math.ceil(readings.length / maxPoints);
+    const result = [];
+    for (let i = 0; i < readings.length; i += bucketSize) {
+        const bucket = readings.slice(i, i + bucketSize);
+        const temp = summarizeReadings(bucket, 'temp');
+        const humidity = summarizeReadings(bucket, 'humidity');
+        result.push({
+            timestamp: bucket[Math.floor(bucket.length / 2)].timestamp,
+            temp: temp ? temp.avg : null,
+            humidity: humidity ? humidity.avg : null
+        });
+    }
+    return result;
+};
+
+/**
+ * Parses a timestamp from a Govee hygrometer CSV export.
+ * Govee writes local times as "YYYY-MM-DD HH:mm:ss" (or "HH:mm" without seconds).
+ * @param {string} value - The timestamp string
+ * @returns {string|null} ISO timestamp, or null if the value can't be parsed
+ */
+export const parseGoveeTimestamp = (value) => {
+    const match = String(value || '').trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    if (!match) return null;
+    const [, year, month, day, hour, minute, second] = match.map(part => Number(part || 0));
+    const date = new Date(year, month - 1, day, hour, minute, second);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Converts the rows of a parsed Govee CSV export into reading objects.
+ * Accepts either a Fahrenheit or a Celsius temperature column; Celsius is converted to °F.
+ * @param {Array<Object>} rows - Rows from Papa.parse with `header: true`
+ * @param {Array<string>} fields - The CSV header names
+ * @returns {Object} { readings, skipped, error } where `skipped` counts unparseable rows and
+ * `error` is set when the file isn't a Govee export at all
+ */
+export const parseGoveeRows = (rows, fields) => {
+    const findField = (pattern) => fields.find(f => pattern.test(f));
+    const timestampField = findField(/^timestamp/i);
+    const fahrenheitField = findField(/temperature.*fahrenheit/i);
+    const celsiusField = findField(/temperature.*celsius/i);
+    const humidityField = findField(/humidity/i);
+
+    if (!timestampField || !(fahrenheitField || celsiusField) || !humidityField) {
+        return { readings: [], skipped: 0, error: 'This does not look like a Govee export. Expected Timestamp, Temperature and Relative_Humidity columns.' };
+    }
+
+    const readings = [];
+    let skipped = 0;
+    rows.forEach(row => {
+        const timestamp = parseGoveeTimestamp(row[timestampField]);
+        const rawTemp = parseFloat(row[fahrenheitField || celsiusField]);
+        const humidity = parseFloat(row[humidityField]);
+        if (!timestamp || Number.isNaN(rawTemp) || Number.isNaN(humidity)) {
+            skipped++;
+            return;
+        }
+        const temp = fahrenheitField ? rawTemp : Math.round((rawTemp * 9 / 5 + 32) * 100) / 100;
+        readings.push({ timestamp, temp, humidity });
+    });
+
+    readings.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    return { readings, skipped, error: null };
+};
@@ -0,0 +1,70 @@
+import fs from 'fs';
+import path from 'path';
+import Papa from 'papaparse';
+import { downsampleReadings, parseGoveeRows, parseGoveeTimestamp, summarizeReadings } from './readingUtils';
+
+// Parsed the way ImportCsvModal parses an uploaded file.
+const parse = (csv) => {
+    const { data, meta } = Papa.parse(csv, { header: true, skipEmptyLines: true });
+    return parseGoveeRows(data, meta.fields || []);
+};
+
+test('reads every row of the sample Govee export, oldest first', () => {
+    const { readings, skipped, error } = parse(fs.readFileSync(path.join(__dirname, '../../data/govee.csv'), 'utf8'));
+
+    expect(error).toBeNull();
+    expect(skipped).toBe(0);
+    expect(readings).toHaveLength(670);
+    expect(readings[0]).toEqual({ timestamp: new Date(2025, 5, 26, 13, 18).toISOString(), temp: 84.38, humidity: 91.6 });
+    expect(readings[readings.length - 1]).toEqual({ timestamp: new Date(2025, 6, 3, 12, 33).toISOString(), temp: 82.4, humidity: 78.7 });
+    expect(readings.every((r, i) => i === 0 || readings[i - 1].timestamp <= r.timestamp)).toBe(true);
+});
+
+test('reads Govee timestamps as local time, with or without seconds', () => {
+    expect(parseGoveeTimestamp('2025-06-26 13:18:45')).toBe(new Date(2025, 5, 26, 13, 18, 45).toISOString());
+    expect(parseGoveeTimestamp(' 2025-6-2T08:05 ')).toBe(new Date(2025, 5, 2, 8, 5).toISOString());
+    expect(parseGoveeTimestamp('06/26/2025 13:18')).toBeNull();
+    expect(parseGoveeTimestamp('')).toBeNull();
+    expect(parseGoveeTimestamp(undefined)).toBeNull();
+});
+
+test('skips blank or unreadable rows and counts them', () => {
+    const { readings, skipped } = parse([
+        'Timestamp,Temperature_Fahrenheit,Relative_Humidity',
+        '2025-06-26 14:03:00,77.54,76.7',
+        '2025-06-26 13:48:00,78.44,',
+        'yesterday,78.44,76.7',
+        ',,',
+        '2025-06-26 13:33:00,80.06,76.9'
+    ].join('\n'));
+
+    expect(readings.map(r => r.temp)).toEqual([80.06, 77.54]);
+    expect(skipped).toBe(3);
+});
+
+test('converts a Celsius export to Fahrenheit', () => {
+    const { readings } = parse('Timestamp for sensor,Temperature_Celsius,Relative_Humidity\n2025-06-26 13:18:00,21.5,69\n2025-06-26 13:33:00,-3.1,70');
+    expect(readings.map(r => r.temp)).toEqual([70.7, 26.42]);
+});
+
+test('refuses a file that is not a Govee export', () => {
+    const { readings, error } = parse('Date,Temp,Notes\n2025-06-26,70,ok');
+    expect(readings).toEqual([]);
+    expect(error).toMatch(/does not look like a Govee export/);
+});
+
+test('leaves readings missing a metric out of its summary instead of counting them as zero', () => {
+    const readings = [
+        { timestamp: '2025-06-26T13:00:00.000Z', temp: 70, humidity: 68 },
+        { timestamp: '2025-06-26T13:15:00.000Z', temp: null, humidity: '70' },
+        { timestamp: '2025-06-26T13:30:00.000Z', temp: 72, humidity: '' },
+        { timestamp: '2025-06-26T13:45:00.000Z', humidity: 'n/a' }
+    ];
+    expect(summarizeReadings(readings, 'temp')).toEqual({ min: 70, max: 72, avg: 71 });
+    expect(summarizeReadings(readings, 'humidity')).toEqual({ min: 68, max: 70, avg: 69 });
+    expect(summarizeReadings(readings.slice(3), 'temp')).toBeNull();
+    expect(downsampleReadings(readings, 2)).toEqual([
+        { timestamp: '2025-06-26T13:15:00.000Z', temp: 70, humidity: 69 },
+        { timestamp: '2025-06-26T13:45:00.000Z', temp: 72, humidity: null }
+    ]);
+});
@@ -0,0 +1,126 @@
+/**
+ * Maps screens to URL paths and back, so the current screen lives in the address bar's hash
+ * (`#/cigars/abc`) and can be bookmarked, refreshed and reached with the back button.
+ * Screens are still navigated to by name with navigate(screen, params); params a route's path
+ * doesn't use go in the query string.
+ */
+
+export const DEFAULT_ROUTE = { screen: 'Dashboard', params: {} };
+
+// The app's custom URL scheme, used by links in shared QR codes such as humidorhub://cigar/<id>.
+export const DEEP_LINK_SCHEME = 'humidorhub';
+
+// Checked in order: a screen with more than one path uses the first whose params are all given,
+// and more specific paths come before the ones they'd otherwise match (humidors/new before humidors/:id).
+export const ROUTES = [
+    { screen: 'Dashboard', path: '/' },
+    { screen: 'HumidorsScreen', path: '/humidors' },
+    { screen: 'AddHumidor', path: '/humidors/new' },
+    { screen: 'MyHumidor', path: '/humidors/:humidorId' },
+    { screen: 'EditHumidor', path: '/humidors/:humidorId/edit' },
+    { screen: 'AddCigar', path: '/humidors/:humidorId/cigars/new' },
+    { screen: 'CigarDetail', path: '/cigars/:cigarId' },
+    { screen: 'EditCigar', path: '/cigars/:cigarId/edit' },
+    { screen: 'AddEditJournalEntry', path: '/journal/:entryId/edit' },
+    { screen: 'AddEditJournalEntry', path: '/cigars/:cigarId/journal/new' },
+    { screen: 'CigarJournal', path: '/journal' },
+    { screen: 'Search', path: '/search' },
+    { screen: 'SmartCollection', path: '/collections/:smartCollectionId' },
+    { screen: 'DeeperStatistics', path: '/statistics' },
+    { screen: 'Alerts', path: '/alerts' },
+    { screen: 'Notifications', path: '/notifications' },
+    { screen: 'Profile', path: '/profile' },
+    { screen: 'Settings', path: '/settings' },
+    { screen: 'Fonts', path: '/settings/fonts' },
+    { screen: 'DashboardSettings', path: '/settings/dashboard' },
+    { screen: 'AiSettings', path: '/settings/ai' },
+    { screen: 'Integrations', path: '/settings/integrations' },
+    { screen: 'DataSync', path: '/settings/data' },
+    { screen: 'About', path: '/settings/about' }
+];
+
+// Deep links name a single thing (humidorhub://cigar/<id>); these are the paths they stand for.
+const DEEP_LINK_ALIASES = { cigar: 'cigars', humidor: 'humidors', collection: 'collections' };
+
+const splitPath = (path) => path.split('/').filter(Boolean);
+
+const getPathParamNames = (path) => splitPath(path).filter(part => part.startsWith(':')).map(part => part.slice(1));
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Builds the path for a screen, e.g. ('CigarDetail', { cigarId: 'abc' }) -> '/cigars/abc'.
+ * @param {string} screen - The screen's name, as passed to navigate()
+ * @param {Object} [params={}] - The screen's params
+ * @returns {string} The path, including a query string for params the path doesn't use,
+ * or '/' if the screen has no route
+ */
+export const getRoutePath = (screen, params = {}) => {
+    const route = ROUTES.find(r => r.screen === screen && getPathParamNames(r.path).every(name => hasValue(params[name])));
+    if (!route) return '/';
+
+    const pathParams = getPathParamNames(route.path);
+    const path = '/' + splitPath(route.path)
+        .map(part => part.startsWith(':') ? encodeURIComponent(params[part.slice(1)]) : part)
+        .join('/');
+
+    const query = new URLSearchParams();
+    Object.entries(params)
+        .filter(([name, value]) => !pathParams.includes(name) && hasValue(value))
+        .forEach(([name, value]) => query.append(name, value));
+    const queryString = query.toString();
+
+    return queryString ? `${path}?${queryString}` : path;
+};
+
+/**
+ * Works out which screen a path is for. Accepts a location hash ('#/cigars/abc') as well as a bare path.
+ * @param {string} path - The path, optionally with a leading '#' and a query string
+ * @returns {Object|null} { screen, params }, or null if no route matches
+ */
+export const parseRoutePath = (path) => {
+    const [pathname, queryString = ''] = (path || '').replace(/^#/, '').split('?');
+    const parts = splitPath(pathname);
+
+    for (const route of ROUTES) {
+        const routeParts = splitPath(route.path);
+        if (routeParts.length !== parts.length) continue;
+
+        const params = {};
+        const matches = routeParts.every((routePart, i) => {
+            if (routePart.startsWith(':')) {
+                params[routePart.slice(1)] = decodeURIComponent(parts[i]);
+                return true;
+            }
+            return routePart === parts[i];
+        });
+
+        if (matches) {
+            new URLSearchParams(queryString).forEach((value, name) => {
+                if (!(name in params)) params[name] = value;
+            });
+            return { screen: route.screen, params };
+        }
+    }
+    return null;
+};
+
+/**
+ * Works out which screen a deep link opens. Handles the app's own scheme (humidorhub://cigar/abc,
+ * humidorhub://humidors/abc/edit) and web links with the route in their hash (https://…/#/cigars/abc).
+ * @param {string} url - The link the app was opened with
+ * @returns {Object|null} { screen, params }, or null if the link isn't one of ours
+ */
+export const parseDeepLink = (url) => {
+    if (!url) return null;
+
+    const hashIndex = url.indexOf('#');
+    if (hashIndex !== -1) return parseRoutePath(url.slice(hashIndex));
+
+    const schemePrefix = `${DEEP_LINK_SCHEME}://`;
+    if (!url.toLowerCase().startsWith(schemePrefix)) return null;
+
+    const [first, ...rest] = splitPath(url.slice(schemePrefix.length));
+    if (!first) return DEFAULT_ROUTE;
+    return parseRoutePath('/' + [DEEP_LINK_ALIASES[first] || first, ...rest].join('/'));
+};
@@ -0,0 +1,38 @@
+import { ROUTES, getRoutePath, parseRoutePath, parseDeepLink } from './routeUtils';
+
+test('builds paths for screens, putting params the path does not use in the query string', () => {
+    expect(getRoutePath('Dashboard')).toBe('/');
+    expect(getRoutePath('CigarDetail', { cigarId: 'abc' })).toBe('/cigars/abc');
+    expect(getRoutePath('AddHumidor')).toBe('/humidors/new');
+    expect(getRoutePath('HumidorsScreen', { preFilterWrapper: 'Connecticut Shade' })).toBe('/humidors?preFilterWrapper=Connecticut+Shade');
+    expect(getRoutePath('AddEditJournalEntry', { cigarId: 'c1', entryId: 'e1' })).toBe('/journal/e1/edit?cigarId=c1');
+    expect(getRoutePath('AddEditJournalEntry', { cigarId: 'c1', sessionId: 's1' })).toBe('/cigars/c1/journal/new?sessionId=s1');
+    expect(getRoutePath('NoSuchScreen', { cigarId: 'abc' })).toBe('/');
+});
+
+test('reads the screen and params back from a location hash', () => {
+    expect(parseRoutePath('')).toEqual({ screen: 'Dashboard', params: {} });
+    expect(parseRoutePath('#/humidors/new')).toEqual({ screen: 'AddHumidor', params: {} });
+    expect(parseRoutePath('#/humidors/h1/edit')).toEqual({ screen: 'EditHumidor', params: { humidorId: 'h1' } });
+    expect(parseRoutePath('#/journal/e1/edit?cigarId=c1')).toEqual({ screen: 'AddEditJournalEntry', params: { entryId: 'e1', cigarId: 'c1' } });
+    expect(parseRoutePath('#/cigars')).toBeNull();
+    expect(parseRoutePath('#/cigars/c1/smoke')).toBeNull();
+});
+
+test('round-trips every route, including ids that need escaping', () => {
+    ROUTES.forEach(({ screen, path }) => {
+        const params = Object.fromEntries(path.split('/').filter(part => part.startsWith(':')).map(part => [part.slice(1), 'id/with space']));
+        expect(parseRoutePath(getRoutePath(screen, params))).toEqual({ screen, params });
+    });
+});
+
+test('opens deep links from QR codes and web links', () => {
+    expect(parseDeepLink('humidorhub://cigar/abc')).toEqual({ screen: 'CigarDetail', params: { cigarId: 'abc' } });
+    expect(parseDeepLink('humidorhub://humidor/h1/')).toEqual({ screen: 'MyHumidor', params: { humidorId: 'h1' } });
+    expect(parseDeepLink('humidorhub://humidors/h1/edit')).toEqual({ screen: 'EditHumidor', params: { humidorId: 'h1' } });
+    expect(parseDeepLink('humidorhub://')).toEqual({ screen: 'Dashboard', params: {} });
+    expect(parseDeepLink('https://humidorhub.app/#/cigars/abc')).toEqual({ screen: 'CigarDetail', params: { cigarId: 'abc' } });
+    expect(parseDeepLink('humidorhub://cigar')).toBeNull();
+    expect(parseDeepLink('otherapp://cigar/abc')).toBeNull();
+    expect(parseDeepLink('')).toBeNull();
+});
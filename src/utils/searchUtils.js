@@ -0,0 +1,210 @@
+import { normalizeMatchText } from './cigarMatchUtils';
+import { getCigarAgeDate } from './lotUtils';
+
+/**
+ * Cigar search, used by the global search screen and by the search boxes on
+ * HumidorsScreen and MyHumidor.
+ *
+ * A query is a mix of free words and fielded terms, e.g.
+ *   `maduro robusto wrapper:"san andres" strength:full rating:>90 -country:cuba`
+ * Free words must each appear somewhere in the cigar (or its journal notes); fielded terms
+ * must match that field. Text fields match on a contained word, option fields such as
+ * strength match exactly, and number fields accept >, >=, <, <=, a range (`price:10..20`)
+ * or an exact value; age is in days, or add a unit (`age:>1y`, `age:<6m`). A leading `-` excludes matches. Results are ranked so a match in the
+ * name or brand scores above one buried in a description or journal entry.
+ */
+
+/**
+ * The searchable fields. `aliases` are the names that can be used before a colon;
+ * `weight` is how much a free-word match in the field counts towards a result's rank.
+ */
+export const SEARCH_FIELDS = [
+    { key: 'name', label: 'Name', aliases: ['name'], weight: 10 },
+    { key: 'brand', label: 'Brand', aliases: ['brand', 'maker'], weight: 8 },
+    { key: 'line', label: 'Line', aliases: ['line'], weight: 6 },
+    { key: 'shape', label: 'Shape', aliases: ['shape', 'vitola'], weight: 4 },
+    { key: 'wrapper', label: 'Wrapper', aliases: ['wrapper'], weight: 4 },
+    { key: 'binder', label: 'Binder', aliases: ['binder'], weight: 3 },
+    { key: 'filler', label: 'Filler', aliases: ['filler'], weight: 3 },
+    { key: 'country', label: 'Country', aliases: ['country', 'origin'], weight: 4 },
+    { key: 'strength', label: 'Strength', aliases: ['strength'], weight: 4, exact: true },
+    { key: 'flavorNotes', label: 'Flavor Notes', aliases: ['flavor', 'flavors', 'notes', 'flavornotes'], weight: 3 },
+    { key: 'description', label: 'Description', aliases: ['description', 'desc'], weight: 1 },
+    { key: 'humidor', label: 'Humidor', aliases: ['humidor', 'in'], weight: 0 },
+    { key: 'journal', label: 'Journal', aliases: ['journal'], weight: 1 },
+    { key: 'rating', label: 'Rating', aliases: ['rating', 'score'], numeric: true },
+    { key: 'userRating', label: 'My Rating', aliases: ['myrating', 'stars'], numeric: true },
+    { key: 'price', label: 'Price', aliases: ['price', 'cost'], numeric: true },
+    { key: 'quantity', label: 'Quantity', aliases: ['quantity', 'qty', 'count'], numeric: true },
+    { key: 'length_inches', label: 'Length', aliases: ['length'], numeric: true },
+    { key: 'ring_gauge', label: 'Ring Gauge', aliases: ['ring', 'gauge', 'rg'], numeric: true },
+    { key: 'age', label: 'Age', aliases: ['age', 'aged'], numeric: true, duration: true }
+];
+
+// Days per unit for duration fields such as age (`age:>1y`).
+const DURATION_UNITS = { d: 1, w: 7, m: 30, y: 365 };
+
+const FIELDS_BY_ALIAS = new Map(SEARCH_FIELDS.flatMap(field => field.aliases.map(alias => [alias, field])));
+
+// Splits a query into tokens, keeping "quoted phrases" (optionally after a field name) together.
+const TOKEN_PATTERN = /(-?)(?:([a-z_]+):)?(?:"([^"]*)"|(\S+))/gi;
+
+const parseNumericCondition = (value, field) => {
+    const units = field.duration ? '([dwmy]?)' : '()';
+    const toNumber = (number, unit) => Number(number) * (DURATION_UNITS[unit] || 1);
+    const range = value.match(new RegExp(`^(-?[\\d.]+)${units}\\.\\.(-?[\\d.]+)${units}$`, 'i'));
+    if (range) return { op: 'range', min: toNumber(range[1], range[2].toLowerCase()), max: toNumber(range[3], range[4].toLowerCase()) };
+    const comparison = value.match(new RegExp(`^(>=|<=|>|<|=)?\\$?(-?[\\d.]+)${units}$`, 'i'));
+    if (!comparison || Number.isNaN(Number(comparison[2]))) return null;
+    return { op: comparison[1] || '=', value: toNumber(comparison[2], comparison[3].toLowerCase()) };
+};
+
+/**
+ * Parses a search query into free words and fielded conditions. Unknown field names, and
+ * number conditions that can't be read, are treated as free words.
+ * @param {string} text - The query as typed
+ * @returns {Object} { words: [{ text, negate }], conditions: [{ field, negate, text } | { field, negate, op, value, min, max }] }
+ */
+export const parseSearchQuery = (text) => {
+    const words = [];
+    const conditions = [];
+    for (const [raw, minus, fieldName, quoted, bare] of String(text || '').matchAll(TOKEN_PATTERN)) {
+        const negate = minus === '-';
+        const value = quoted ?? bare;
+        const field = fieldName ? FIELDS_BY_ALIAS.get(fieldName.toLowerCase()) : null;
+        const numeric = field?.numeric ? parseNumericCondition(value, field) : null;
+
+        if (field && field.numeric && numeric) {
+            conditions.push({ field, negate, ...numeric });
+        } else if (field && !field.numeric && normalizeMatchText(value)) {
+            conditions.push({ field, negate, text: normalizeMatchText(value) });
+        } else {
+            const wordText = normalizeMatchText(fieldName && !field ? raw.replace(/^-/, '') : value);
+            if (wordText) words.push({ text: wordText, negate });
+        }
+    }
+    return { words, conditions };
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const journalText = (entry) => [entry.firstThirdNotes, entry.secondThirdNotes, entry.finalThirdNotes, entry.pairing, entry.location]
+    .filter(Boolean)
+    .join(' ');
+
+/**
+ * Prepares cigars for searching by normalizing the text of every searchable field once.
+ * @param {Array<Object>} cigars - The cigars to search
+ * @param {Object} [related={}] - { humidors, journalEntries } so humidor names and journal notes can be searched,
+ * and optionally `now`, the date ages are counted to
+ * @returns {Array<Object>} The index: [{ cigar, text: { fieldKey: normalized text }, numbers: { age } }]
+ */
+export const buildSearchIndex = (cigars, { humidors = [], journalEntries = [], now = new Date() } = {}) => {
+    const humidorNames = new Map(humidors.map(h => [h.id, h.name]));
+    const journalByCigar = journalEntries.reduce((map, entry) => {
+        map.set(entry.cigarId, [...(map.get(entry.cigarId) || []), journalText(entry)]);
+        return map;
+    }, new Map());
+
+    return cigars.map(cigar => {
+        const ageDate = getCigarAgeDate(cigar);
+        return {
+            cigar,
+            text: {
+                name: normalizeMatchText(cigar.name),
+                brand: normalizeMatchText(cigar.brand),
+                line: normalizeMatchText(cigar.line),
+                shape: normalizeMatchText(cigar.shape),
+                wrapper: normalizeMatchText(cigar.wrapper),
+                binder: normalizeMatchText(cigar.binder),
+                filler: normalizeMatchText(cigar.filler),
+                country: normalizeMatchText(cigar.country),
+                strength: normalizeMatchText(cigar.strength),
+                flavorNotes: normalizeMatchText((cigar.flavorNotes || []).join(' ')),
+                description: normalizeMatchText([cigar.shortDescription, cigar.description].filter(Boolean).join(' ')),
+                humidor: normalizeMatchText(humidorNames.get(cigar.humidorId)),
+                journal: normalizeMatchText((journalByCigar.get(cigar.id) || []).join(' '))
+            },
+            numbers: {
+                age: ageDate ? Math.floor((now - new Date(ageDate)) / DAY_MS) : null
+            }
+        };
+    });
+};
+
+const matchesNumber = (value, condition) => {
+    if (value === undefined || value === null || value === '' || Number.isNaN(Number(value))) return false;
+    const number = Number(value);
+    switch (condition.op) {
+        case '>': return number > condition.value;
+        case '>=': return number >= condition.value;
+        case '<': return number < condition.value;
+        case '<=': return number <= condition.value;
+        case 'range': return number >= condition.min && number <= condition.max;
+        default: return number === condition.value;
+    }
+};
+
+const matchesCondition = (entry, condition) => {
+    const { field } = condition;
+    if (field.numeric) return matchesNumber(field.key in entry.numbers ? entry.numbers[field.key] : entry.cigar[field.key], condition);
+    const text = entry.text[field.key];
+    return field.exact ? text === condition.text : text.includes(condition.text);
+};
+
+// Scores a free word against one field: whole words beat word starts, which beat substrings.
+const scoreWord = (text, word) => {
+    if (!text) return 0;
+    if (text === word) return 3;
+    if (` ${text} `.includes(` ${word} `)) return 2;
+    if (` ${text}`.includes(` ${word}`)) return 1.5;
+    return text.includes(word) ? 1 : 0;
+};
+
+/**
+ * Searches an index built with buildSearchIndex.
+ * @param {Array<Object>} index - The search index
+ * @param {string|Object} query - The query text, or a query already parsed with parseSearchQuery
+ * @returns {Array<Object>} Matching results, best first: [{ cigar, score, matchedFields }] where
+ * matchedFields are the labels of the fields the query matched in
+ */
+export const searchCigars = (index, query) => {
+    const { words, conditions } = typeof query === 'string' ? parseSearchQuery(query) : query;
+    const textFields = SEARCH_FIELDS.filter(field => !field.numeric);
+    const results = [];
+
+    for (const entry of index) {
+        if (!conditions.every(condition => matchesCondition(entry, condition) !== condition.negate)) continue;
+
+        let score = 0;
+        const matchedFields = new Set(conditions.filter(c => !c.negate).map(c => c.field.label));
+        const allWordsMatch = words.every(word => {
+            const fieldScores = textFields.map(field => ({ field, score: scoreWord(entry.text[field.key], word.text) }));
+            const found = fieldScores.filter(f => f.score > 0);
+            if (word.negate) return found.length === 0;
+            found.forEach(f => {
+                score += f.score * Math.max(f.field.weight, 0.5);
+                matchedFields.add(f.field.label);
+            });
+            return found.length > 0;
+        });
+        if (!allWordsMatch) continue;
+
+        results.push({ cigar: entry.cigar, score, matchedFields: [...matchedFields] });
+    }
+
+    return results.sort((a, b) => b.score - a.score || String(a.cigar.name).localeCompare(String(b.cigar.name)));
+};
+
+/**
+ * Convenience wrapper that indexes and searches in one go, returning just the matching cigars.
+ * An empty query returns every cigar in its original order.
+ * @param {Array<Object>} cigars - The cigars to search
+ * @param {string} query - The query text
+ * @param {Object} [related={}] - { humidors, journalEntries }
+ * @returns {Array<Object>} The matching cigars, best first
+ */
+export const filterCigarsByQuery = (cigars, query, related = {}) => {
+    if (!String(query || '').trim()) return cigars;
+    return searchCigars(buildSearchIndex(cigars, related), query).map(result => result.cigar);
+};
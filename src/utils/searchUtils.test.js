@@ -0,0 +1,51 @@
+import { parseSearchQuery, buildSearchIndex, searchCigars } from './searchUtils';
+
+const humidors = [{ id: 'h1', name: 'Desktop' }, { id: 'h2', name: 'Travel Case' }];
+const cigars = [
+    { id: 'c1', humidorId: 'h1', brand: 'Liga Privada', name: 'No. 9', wrapper: 'Connecticut Broadleaf Maduro', country: 'Nicaragua', strength: 'Full', rating: 93, price: 16, flavorNotes: ['Cocoa', 'Espresso'] },
+    { id: 'c2', humidorId: 'h1', brand: 'Oliva', name: 'Serie V Maduro', wrapper: 'San Andrés', country: 'Nicaragua', strength: 'Medium-Full', rating: 91, price: 11, flavorNotes: ['Dark Chocolate'] },
+    { id: 'c3', humidorId: 'h2', brand: 'Padrón', name: '1964 Anniversary', wrapper: 'Maduro', country: 'Nicaragua', strength: 'Full', rating: 89, price: 19, flavorNotes: ['Cocoa', 'Earth'] },
+    { id: 'c4', humidorId: 'h2', brand: 'Arturo Fuente', name: 'Hemingway', wrapper: 'Cameroon', country: 'Dominican Republic', strength: 'Medium', rating: 90, price: 12, flavorNotes: ['Cedar'] }
+];
+const journalEntries = [{ cigarId: 'c4', firstThirdNotes: 'Lovely toasted almond on the light' }];
+const index = buildSearchIndex(cigars, { humidors, journalEntries });
+const ids = (query) => searchCigars(index, query).map(result => result.cigar.id);
+
+test('parses free words, quoted phrases, comparisons, ranges and exclusions', () => {
+    const { words, conditions } = parseSearchQuery('maduro wrapper:"San Andrés" rating:>90 price:10..15 -country:cuba foo:bar');
+    expect(words.map(w => w.text)).toEqual(['maduro', 'foo bar']);
+    expect(conditions.map(({ field, ...rest }) => [field.key, rest])).toEqual([
+        ['wrapper', { negate: false, text: 'san andres' }],
+        ['rating', { negate: false, op: '>', value: 90 }],
+        ['price', { negate: false, op: 'range', min: 10, max: 15 }],
+        ['country', { negate: true, text: 'cuba' }]
+    ]);
+});
+
+test('combines fielded conditions, matching option fields such as strength exactly', () => {
+    expect(ids('wrapper:maduro strength:full rating:>90 country:nicaragua')).toEqual(['c1']);
+    expect(ids('strength:full')).toEqual(['c3', 'c1']);
+    expect(ids('wrapper:maduro -brand:padron')).toEqual(['c1']);
+    expect(ids('humidor:travel price:<=15')).toEqual(['c4']);
+});
+
+test('ranks name and brand matches above flavor notes, and searches journal notes', () => {
+    expect(ids('maduro')).toEqual(['c2', 'c3', 'c1']);
+    expect(ids('padron cocoa')).toEqual(['c3']);
+    expect(ids('almond')).toEqual(['c4']);
+    expect(searchCigars(index, 'almond')[0].matchedFields).toEqual(['Journal']);
+});
+
+test('searches by age, in days or with a unit', () => {
+    const now = new Date('2026-01-01T00:00:00Z');
+    const aged = [
+        { id: 'old', name: 'Old', dateAdded: '2024-06-01T00:00:00Z' },
+        { id: 'new', name: 'New', dateAdded: '2025-11-01T00:00:00Z' },
+        { id: 'undated', name: 'Undated' }
+    ];
+    const agedIndex = buildSearchIndex(aged, { now });
+    const agedIds = (query) => searchCigars(agedIndex, query).map(result => result.cigar.id);
+    expect(agedIds('age:>1y')).toEqual(['old']);
+    expect(agedIds('aged:<90')).toEqual(['new']);
+    expect(agedIds('age:1m..2y')).toEqual(['new', 'old']);
+});
@@ -0,0 +1,50 @@
+/**
+ * Smoking sessions record each time a cigar was smoked:
+ * { cigarId, cigarName, cigarBrand, humidorId, lotId, timestamp, journalEntryId, smokedBy }, where smokedBy
+ * is { uid, name } of whoever smoked it, so members of a shared humidor can tell their smokes apart.
+ * These helpers turn them into the consumption figures shown on CigarDetail and the statistics screen.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Returns the sessions for one cigar, or all sessions, newest first.
+ * @param {Array<Object>} sessions - Smoking sessions
+ * @param {string} [cigarId] - Only include sessions for this cigar
+ * @returns {Array<Object>} The sessions
+ */
+export const getSessionsNewestFirst = (sessions, cigarId) => sessions
+    .filter(session => !cigarId || session.cigarId === cigarId)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+/**
+ * Returns the most recent smoking session.
+ * @param {Array<Object>} sessions - Smoking sessions
+ * @param {string} [cigarId] - Only consider sessions for this cigar
+ * @returns {Object|null} The latest session, or null if there are none
+ */
+export const getLastSmoked = (sessions, cigarId) => getSessionsNewestFirst(sessions, cigarId)[0] || null;
+
+/**
+ * Works out how many cigars are smoked per week over a recent window. The window is
+ * shortened to the time since the first session (but never below a week), so a new
+ * smoking history isn't diluted by the days before it began.
+ * @param {Array<Object>} sessions - Smoking sessions
+ * @param {Object} [options={}] - { days: window length in days (default 90), now: Date to measure back from }
+ * @returns {Object} { perWeek, count, days } where count is the number of sessions in the window
+ */
+export const getSmokeRate = (sessions, { days = 90, now = new Date() } = {}) => {
+    const windowStart = now.getTime() - days * DAY_MS;
+    const allTimes = sessions
+        .map(session => new Date(session.timestamp).getTime())
+        .filter(time => !Number.isNaN(time) && time <= now.getTime());
+    const times = allTimes.filter(time => time >= windowStart);
+    if (times.length === 0) return { perWeek: 0, count: 0, days };
+
+    const spanDays = Math.min(days, Math.max(7, (now.getTime() - Math.min(...allTimes)) / DAY_MS));
+    return {
+        perWeek: Math.round((times.length / (spanDays / 7)) * 10) / 10,
+        count: times.length,
+        days: Math.round(spanDays)
+    };
+};
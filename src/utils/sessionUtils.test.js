@@ -0,0 +1,24 @@
+import { getLastSmoked, getSmokeRate } from './sessionUtils';
+
+const now = new Date('2025-08-01T12:00:00.000Z');
+const daysAgo = (days) => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const sessions = [
+    { id: 's1', cigarId: 'c1', timestamp: daysAgo(200) },
+    { id: 's2', cigarId: 'c1', timestamp: daysAgo(28) },
+    { id: 's3', cigarId: 'c2', timestamp: daysAgo(14) },
+    { id: 's4', cigarId: 'c1', timestamp: daysAgo(1) }
+];
+
+test('finds the most recent smoke overall and per cigar', () => {
+    expect(getLastSmoked(sessions).id).toBe('s4');
+    expect(getLastSmoked(sessions, 'c2').id).toBe('s3');
+    expect(getLastSmoked(sessions, 'c3')).toBeNull();
+});
+
+test('measures the smoke rate over the window, or since the first smoke if that is shorter', () => {
+    expect(getSmokeRate(sessions, { now })).toEqual({ perWeek: 0.2, count: 3, days: 90 });
+    expect(getSmokeRate(sessions.slice(1), { now, days: 365 })).toEqual({ perWeek: 0.8, count: 3, days: 28 });
+    expect(getSmokeRate([{ timestamp: daysAgo(1) }], { now })).toEqual({ perWeek: 1, count: 1, days: 7 });
+    expect(getSmokeRate([], { now })).toEqual({ perWeek: 0, count: 0, days: 90 });
+});
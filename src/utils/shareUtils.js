@@ -0,0 +1,105 @@
+// A humidor can be shared with other people, each with a role. The humidor, its cigars, readings and
+// smoking sessions stay in the owner's collection; who else may use them is kept in a share document at
+// artifacts/{appId}/humidorShares/{humidorId}, which firestore.rules checks:
+//   { humidorId, humidorName, ownerId,
+//     members: { uid: { role, name, email, joinedAt } }, memberIds: [uid],
+//     invites: { email: role }, inviteEmails: [email], updatedAt }
+// Humidors shared with the current user carry a `share` field ({ ownerId, ownerName, role }) on screen,
+// which is never saved.
+
+export const SHARE_ROLES = {
+    owner: 'owner',
+    editor: 'editor',
+    viewer: 'viewer'
+};
+
+export const SHARE_ROLE_LABELS = {
+    owner: 'Owner',
+    editor: 'Editor',
+    viewer: 'Viewer'
+};
+
+export const SHARE_ROLE_DESCRIPTIONS = {
+    owner: 'Manages members and can delete the humidor.',
+    editor: 'Adds, smokes, moves and edits cigars.',
+    viewer: 'Sees the humidor and its cigars, but changes nothing.'
+};
+
+// The roles an owner can give someone. There is only ever one owner.
+export const INVITABLE_ROLES = [SHARE_ROLES.editor, SHARE_ROLES.viewer];
+
+/**
+ * Normalizes an email for invites, which are matched against the address the invitee signs in with.
+ * @param {string} email - The email as typed
+ * @returns {string} The trimmed, lowercased email
+ */
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Returns whether a role may change the humidor and its cigars.
+ * @param {string|undefined} role - The member's role; undefined for the user's own humidors
+ * @returns {boolean} True for owners and editors, and for humidors that aren't shared with the user
+ */
+export const canEditHumidor = (role) => role === undefined || role === SHARE_ROLES.owner || role === SHARE_ROLES.editor;
+
+/**
+ * Returns the ID of the user whose collection holds a humidor, which is where its cigars are read and written.
+ * @param {Object|undefined} humidor - The humidor
+ * @param {string} userId - The current user's ID
+ * @returns {string} The owner's ID
+ */
+export const getHumidorOwnerId = (humidor, userId) => humidor?.share?.ownerId || userId;
+
+/**
+ * Describes a signed-in user for recording who did something in a shared humidor.
+ * @param {Object|null} user - The Firebase user
+ * @returns {Object|null} { uid, name }
+ */
+export const getActivityActor = (user) => (user ? { uid: user.uid, name: user.displayName || user.email || 'Guest' } : null);
+
+/**
+ * Names who did something, for showing next to it.
+ * @param {Object|null|undefined} actor - The recorded actor, from getActivityActor
+ * @param {string} userId - The current user's ID
+ * @returns {string|null} 'You', the member's name, or null if nobody was recorded
+ */
+export const describeActor = (actor, userId) => {
+    if (!actor) return null;
+    return actor.uid === userId ? 'You' : actor.name;
+};
+
+/**
+ * Lists a share's members, the owner first and then by name.
+ * @param {Object} share - The share document
+ * @returns {Array<Object>} { uid, role, name, email, joinedAt }
+ */
+export const listShareMembers = (share) =>
+    Object.entries(share?.members || {})
+        .map(([uid, member]) => ({ uid, ...member }))
+        .sort((a, b) => (a.role === SHARE_ROLES.owner ? -1 : b.role === SHARE_ROLES.owner ? 1 : String(a.name).localeCompare(String(b.name))));
+
+/**
+ * Lists a share's pending invites by email.
+ * @param {Object} share - The share document
+ * @returns {Array<Object>} { email, role }
+ */
+export const listShareInvites = (share) =>
+    Object.entries(share?.invites || {})
+        .map(([email, role]) => ({ email, role }))
+        .sort((a, b) => a.email.localeCompare(b.email));
+
+/**
+ * Marks a humidor shared with the current user with who owns it and the user's role.
+ * @param {Object} humidor - The humidor from the owner's collection
+ * @param {Object} share - Its share document
+ * @param {string} userId - The current user's ID
+ * @returns {Object} The humidor with a `share` field
+ */
+export const withShareInfo = (humidor, share, userId) => ({
+    ...humidor,
+    share: {
+        ownerId: share.ownerId,
+        ownerName: share.members?.[share.ownerId]?.name || 'Someone',
+        role: share.members?.[userId]?.role || SHARE_ROLES.viewer
+    }
+});
@@ -0,0 +1,40 @@
+import {
+    canEditHumidor, describeActor, getHumidorOwnerId, listShareInvites, listShareMembers, normalizeEmail, withShareInfo
+} from './shareUtils';
+
+const share = {
+    humidorId: 'h1',
+    ownerId: 'alice',
+    members: {
+        carol: { role: 'viewer', name: 'Carol' },
+        alice: { role: 'owner', name: 'Alice' },
+        bob: { role: 'editor', name: 'Bob' }
+    },
+    invites: { 'dan@example.com': 'editor', 'ann@example.com': 'viewer' }
+};
+
+test('marks shared humidors with their owner and the member role, and reads and writes through the owner', () => {
+    const humidor = withShareInfo({ id: 'h1', name: 'Cabinet' }, share, 'bob');
+    expect(humidor.share).toEqual({ ownerId: 'alice', ownerName: 'Alice', role: 'editor' });
+    expect(getHumidorOwnerId(humidor, 'bob')).toBe('alice');
+    expect(getHumidorOwnerId({ id: 'h2' }, 'bob')).toBe('bob');
+});
+
+test('only owners and editors can change a shared humidor', () => {
+    expect(canEditHumidor(undefined)).toBe(true);
+    expect(canEditHumidor('owner')).toBe(true);
+    expect(canEditHumidor('editor')).toBe(true);
+    expect(canEditHumidor('viewer')).toBe(false);
+});
+
+test('lists members owner first, and invites by email', () => {
+    expect(listShareMembers(share).map(member => member.uid)).toEqual(['alice', 'bob', 'carol']);
+    expect(listShareInvites(share)).toEqual([{ email: 'ann@example.com', role: 'viewer' }, { email: 'dan@example.com', role: 'editor' }]);
+    expect(normalizeEmail('  Dan@Example.COM ')).toBe('dan@example.com');
+});
+
+test('names who did something', () => {
+    expect(describeActor({ uid: 'bob', name: 'Bob' }, 'bob')).toBe('You');
+    expect(describeActor({ uid: 'bob', name: 'Bob' }, 'alice')).toBe('Bob');
+    expect(describeActor(undefined, 'alice')).toBeNull();
+});
@@ -0,0 +1,134 @@
+import { filterCigarsByQuery } from './searchUtils';
+
+/**
+ * Smart collections are saved filter + sort combinations, e.g. "Ready to smoke" for
+ * `age:>1y strength:medium-full`. Only the criteria are stored; the matching cigars are
+ * worked out live from the cigars snapshot, so a collection is always up to date.
+ */
+
+export const EMPTY_FILTERS = { brand: '', country: '', strength: '', flavorNotes: [] };
+
+export const SORT_LABELS = {
+    name: 'Name',
+    brand: 'Brand',
+    rating: 'Rating',
+    quantity: 'Quantity',
+    price: 'Price',
+    dateAdded: 'Date Added'
+};
+
+/**
+ * Returns whether any of the brand/country/strength/flavor note filters are set.
+ * @param {Object} filters - The filters
+ * @returns {boolean} True if at least one filter is set
+ */
+export const hasActiveFilters = (filters = EMPTY_FILTERS) =>
+    Boolean(filters.brand || filters.country || filters.strength || (filters.flavorNotes || []).length > 0);
+
+/**
+ * Keeps the cigars that match every set filter. Flavor notes must all be present.
+ * @param {Array<Object>} cigars - The cigars to filter
+ * @param {Object} filters - { brand, country, strength, flavorNotes }
+ * @returns {Array<Object>} The matching cigars
+ */
+export const applyCigarFilters = (cigars, filters = EMPTY_FILTERS) => cigars.filter(cigar =>
+    (!filters.brand || cigar.brand === filters.brand) &&
+    (!filters.country || cigar.country === filters.country) &&
+    (!filters.strength || cigar.strength === filters.strength) &&
+    (filters.flavorNotes || []).every(note => (cigar.flavorNotes || []).includes(note))
+);
+
+/**
+ * Sorts cigars by one of the SORT_LABELS keys without changing the original array.
+ * @param {Array<Object>} cigars - The cigars to sort
+ * @param {string} sortBy - The field to sort by
+ * @param {string} sortOrder - 'asc' or 'desc'
+ * @returns {Array<Object>} A sorted copy
+ */
+export const sortCigars = (cigars, sortBy, sortOrder) => [...cigars].sort((a, b) => {
+    let valA, valB;
+    switch (sortBy) {
+        case 'name': valA = (a.name || '').toLowerCase(); valB = (b.name || '').toLowerCase(); break;
+        case 'brand': valA = (a.brand || '').toLowerCase(); valB = (b.brand || '').toLowerCase(); break;
+        case 'rating': valA = a.rating || 0; valB = b.rating || 0; break;
+        case 'quantity': valA = a.quantity; valB = b.quantity; break;
+        case 'price': valA = a.price || 0; valB = b.price || 0; break;
+        case 'dateAdded': valA = a.dateAdded; valB = b.dateAdded; break;
+        default: return 0;
+    }
+    if (valA < valB) return sortOrder === 'asc' ? -1 : 1;
+    if (valA > valB) return sortOrder === 'asc' ? 1 : -1;
+    return 0;
+});
+
+/**
+ * Builds the record stored for a smart collection from the current search, filters and sort.
+ * @param {Object} details - { name, query, filters, sortBy, sortOrder, humidorId }, where a null
+ * humidorId means the collection looks across every humidor
+ * @returns {Object} The smart collection record (without an id)
+ */
+export const createSmartCollection = ({ name, query = '', filters = EMPTY_FILTERS, sortBy = 'name', sortOrder = 'asc', humidorId = null }) => ({
+    name: String(name || '').trim(),
+    query: String(query || '').trim(),
+    filters: {
+        brand: filters.brand || '',
+        country: filters.country || '',
+        strength: filters.strength || '',
+        flavorNotes: [...(filters.flavorNotes || [])]
+    },
+    sortBy: SORT_LABELS[sortBy] ? sortBy : 'name',
+    sortOrder: sortOrder === 'desc' ? 'desc' : 'asc',
+    humidorId: humidorId || null
+});
+
+/**
+ * Checks a smart collection before it is saved.
+ * @param {Object} collection - The smart collection record
+ * @param {Array<Object>} [existing=[]] - The user's other smart collections, to catch duplicate names
+ * @returns {Object} Field name -> error message; empty if the collection is valid
+ */
+export const validateSmartCollection = (collection, existing = []) => {
+    const errors = {};
+    if (!collection.name) {
+        errors.name = 'Give the collection a name.';
+    } else if (existing.some(other => other.id !== collection.id && other.name.toLowerCase() === collection.name.toLowerCase())) {
+        errors.name = 'You already have a collection with this name.';
+    }
+    if (!collection.query && !hasActiveFilters(collection.filters)) {
+        errors.criteria = 'Search for something or set a filter first, so the collection has something to match.';
+    }
+    return errors;
+};
+
+/**
+ * Works out which cigars are in a smart collection right now.
+ * @param {Object} collection - The smart collection record
+ * @param {Array<Object>} cigars - All of the user's cigars
+ * @param {Object} [related={}] - { humidors, journalEntries }, passed on to the search
+ * @returns {Array<Object>} The matching cigars in the collection's sort order
+ */
+export const evaluateSmartCollection = (collection, cigars, related = {}) => {
+    const inScope = collection.humidorId ? cigars.filter(c => c.humidorId === collection.humidorId) : cigars;
+    const matching = applyCigarFilters(filterCigarsByQuery(inScope, collection.query, related), collection.filters);
+    return sortCigars(matching, collection.sortBy, collection.sortOrder);
+};
+
+/**
+ * Summarizes a smart collection's criteria for display, e.g. "age:>1y · Medium-Full · Sorted by Rating ↓".
+ * @param {Object} collection - The smart collection record
+ * @param {Array<Object>} [humidors=[]] - The user's humidors, to name a collection's humidor
+ * @returns {string} The summary
+ */
+export const describeSmartCollection = (collection, humidors = []) => {
+    const { brand, country, strength, flavorNotes = [] } = collection.filters || {};
+    const humidor = collection.humidorId && humidors.find(h => h.id === collection.humidorId);
+    return [
+        collection.query,
+        brand,
+        country,
+        strength,
+        ...flavorNotes,
+        humidor && `In ${humidor.name}`,
+        `Sorted by ${SORT_LABELS[collection.sortBy] || SORT_LABELS.name} ${collection.sortOrder === 'desc' ? '↓' : '↑'}`
+    ].filter(Boolean).join(' · ');
+};
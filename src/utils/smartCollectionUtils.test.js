@@ -0,0 +1,26 @@
+import { createSmartCollection, validateSmartCollection, evaluateSmartCollection, describeSmartCollection } from './smartCollectionUtils';
+
+const humidors = [{ id: 'h1', name: 'Desktop' }, { id: 'h2', name: 'Cabinet' }];
+const cigars = [
+    { id: 'c1', humidorId: 'h1', brand: 'Oliva', name: 'Serie V', strength: 'Medium-Full', rating: 91, quantity: 4, flavorNotes: ['Cocoa'], dateAdded: '2024-01-01T00:00:00Z' },
+    { id: 'c2', humidorId: 'h2', brand: 'Padron', name: '1964', strength: 'Medium-Full', rating: 94, quantity: 2, flavorNotes: ['Cocoa', 'Earth'], dateAdded: '2023-01-01T00:00:00Z' },
+    { id: 'c3', humidorId: 'h2', brand: 'Padron', name: '2000', strength: 'Medium-Full', rating: 88, quantity: 10, flavorNotes: ['Earth'], dateAdded: new Date().toISOString() },
+    { id: 'c4', humidorId: 'h1', brand: 'Fuente', name: 'Hemingway', strength: 'Medium', rating: 90, quantity: 1, flavorNotes: [], dateAdded: '2023-01-01T00:00:00Z' }
+];
+
+test('evaluates the saved search, filters and sort against the current cigars', () => {
+    const readyToSmoke = createSmartCollection({ name: ' Ready to Smoke ', query: 'age:>1y', filters: { strength: 'Medium-Full' }, sortBy: 'rating', sortOrder: 'desc' });
+    expect(readyToSmoke).toEqual(expect.objectContaining({ name: 'Ready to Smoke', humidorId: null, filters: { brand: '', country: '', strength: 'Medium-Full', flavorNotes: [] } }));
+    expect(evaluateSmartCollection(readyToSmoke, cigars, { humidors }).map(c => c.id)).toEqual(['c2', 'c1']);
+
+    const cabinetEarth = createSmartCollection({ name: 'Earthy', filters: { flavorNotes: ['Earth'] }, sortBy: 'quantity', humidorId: 'h2' });
+    expect(evaluateSmartCollection(cabinetEarth, cigars).map(c => c.id)).toEqual(['c2', 'c3']);
+    expect(describeSmartCollection(cabinetEarth, humidors)).toBe('Earth · In Cabinet · Sorted by Quantity ↑');
+});
+
+test('requires a unique name and something to match', () => {
+    const existing = [{ id: 'x', name: 'Ready to Smoke' }];
+    expect(validateSmartCollection(createSmartCollection({ name: 'ready to smoke', query: 'maduro' }), existing)).toEqual({ name: expect.any(String) });
+    expect(validateSmartCollection(createSmartCollection({ name: 'Everything' }), existing)).toEqual({ criteria: expect.any(String) });
+    expect(validateSmartCollection({ ...existing[0], query: 'maduro', filters: {} }, existing)).toEqual({});
+});